@@ -1,16 +1,31 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./CarLeaseBase.sol";
+import "./LeaseMetadata.sol";
+import "./LeaseLogic.sol";
 
 /**
  * @title CarLease
  * @notice NFT-based smart contract for trustless car leasing
- * @dev Implements ERC721 for lease options, with commit-reveal pattern for front-running prevention
+ * @dev Implements ERC721 for lease options, with commit-reveal pattern for front-running prevention.
+ *      Multi-dealer: the platform owner (Ownable) onboards and suspends dealers (DEALER_ROLE);
+ *      each token records its issuing dealer, who alone services that lease and receives its funds.
+ *      Each token is priced in one payment asset: native ETH or an allow-listed ERC-20.
+ *      Dealers can also sign EIP-712 lease offers off-chain that a customer accepts in one
+ *      transaction, and customers can authorize commit, reveal and payment by signature
+ *      for a relayer to submit. Those entry points live in CarLeaseModule, which the
+ *      fallback runs via DELEGATECALL; storage and helpers are shared through CarLeaseBase.
+ *      Deployable directly (constructor) or as the implementation behind an ERC-1967
+ *      proxy (initialize), upgradeable by the owner via UUPS. New storage variables
+ *      must only be appended (scripts/check-storage-layout.js).
  */
-contract CarLease is ERC721, Ownable, ReentrancyGuard {
+contract CarLease is CarLeaseBase, UUPSUpgradeable {
+    using SafeERC20 for IERC20;
     
     // ============================================
     // DATA STRUCTURES
@@ -28,24 +43,53 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
         uint256 mileageLimit;      // Maximum allowed mileage for lease
     }
     
+    /**
+     * @notice Lease terms offered by the dealer for each NFT
+     * @dev Stored once at mint. revealAndPay must match these exactly,
+     *      so the customer cannot choose their own price or duration.
+     *      All amounts of the lease (deposit, payments, charges) are in paymentToken units.
+     */
+    struct LeaseTerms {
+        uint256 monthlyPayment;    // Offered monthly payment in wei (or token units)
+        uint32 durationMonths;     // Offered lease duration in months
+        uint256 excessMileageRateWei; // Charge per km driven over mileageLimit
+        address paymentToken;      // ERC-20 used for all lease payments (address(0) = native ETH)
+        uint256 residualValue;     // Buyout price at the end of the term (0 = derived, see getBuyoutQuote)
+    }
+    
     /**
      * @notice Mutable lease agreement state
      * @dev Struct packing: address(20) + uint64(8) + uint32(4) = 32 bytes (slot 1)
      *                      uint256 = 32 bytes (slot 2 & 3)
-     *                      uint32(4) + uint64(8) + bool(1) + bool(1) + uint64(8) = 22 bytes (slot 4)
-     *      Saves ~40,000 gas per lease vs unpacked
+     *                      uint32(4) + uint64(8) + bool(1) + bool(1) + uint64(8) + bool(1)
+     *                      + uint32(4) + uint32(4) + uint8(1) = 32 bytes (slot 4)
+     *                      uint16(2) + uint16(2) + uint64(8) (slot 5)
+     *      Saves ~40,000 gas per lease vs unpacked.
+     *      paymentPeriod, paymentGrace and depositMultiplier are snapshotted from
+     *      leaseParams at reveal; leases revealed before they existed read 0 and keep
+     *      the original 30 days, 45 days and 3x (see LeaseLogic). lateFeeBps and
+     *      earlyTerminationPenaltyBps are snapshotted alongside them; those older
+     *      leases keep following the current leaseParams rates. returnedAt starts the
+     *      return inspection; leases completed before it existed use lastPaymentTime.
      */
     struct Lease {
         address lessee;            // Customer holding the lease
         uint64 startTime;          // Lease activation timestamp (0 if not confirmed)
         uint32 durationMonths;     // Total lease duration in months
         uint256 monthlyPayment;    // Monthly payment amount in wei
-        uint256 deposit;           // Deposit held (3x monthly payment)
+        uint256 deposit;           // Deposit held (depositMultiplier x monthly payment)
         uint32 paymentsMade;       // Counter of payments received
         uint64 lastPaymentTime;    // Timestamp of most recent payment
         bool active;               // True if lease is active
         bool exists;               // True if lease has been initiated
         uint64 confirmDeadline;    // Dealer must confirm before this time
+        bool completed;            // True once all durationMonths payments are made
+        uint32 paymentPeriod;      // Time between payment due dates
+        uint32 paymentGrace;       // Time without payment before the deposit can be claimed
+        uint8 depositMultiplier;   // Deposit as a multiple of the monthly payment
+        uint16 lateFeeBps;         // Late fee per overdue payment (basis points)
+        uint16 earlyTerminationPenaltyBps; // Lessee early exit penalty (basis points)
+        uint64 returnedAt;         // Final payment or termination time (0 while running)
     }
     
     /**
@@ -58,40 +102,188 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
         uint64 deadline;           // Reveal must occur before this time
     }
     
-    // ============================================
-    // STORAGE
-    // ============================================
+    /**
+     * @notice Odometer reading recorded by dealer or mileage oracle
+     * @dev First reading of a lease is the baseline; distance driven is last - first
+     */
+    struct MileageReading {
+        uint256 odometerKm;        // Odometer value in km
+        uint64 timestamp;          // Time reading was recorded
+        address reporter;          // Dealer or oracle that reported it
+    }
+    
+    /**
+     * @notice Owner-tunable timing, deposit and fee parameters
+     * @dev Changed via proposeLeaseParams and, after PARAMS_TIMELOCK, applyLeaseParams.
+     *      Commitments and reveals use the values current at the time; all but the two
+     *      windows are snapshotted into the Lease at reveal, so later changes never
+     *      affect it. The two rates were appended later and fit in the struct's slot.
+     */
+    struct LeaseParams {
+        uint32 revealWindow;       // Time to reveal after committing
+        uint32 confirmWindow;      // Time for the dealer to confirm after reveal
+        uint32 paymentPeriod;      // Time between payment due dates
+        uint32 paymentGrace;       // Time without payment before the deposit can be claimed
+        uint8 depositMultiplier;   // Deposit as a multiple of the monthly payment
+        uint16 lateFeeBps;         // Late fee per overdue payment (basis points, max 20%)
+        uint16 earlyTerminationPenaltyBps; // Lessee early exit penalty (basis points, max 100%)
+    }
+    
+    /**
+     * @notice Lease parameter change waiting out the timelock
+     * @dev Same fields as LeaseParams, kept flat so the public getter returns them all
+     */
+    struct PendingLeaseParams {
+        uint32 revealWindow;
+        uint32 confirmWindow;
+        uint32 paymentPeriod;
+        uint32 paymentGrace;
+        uint8 depositMultiplier;
+        uint64 eta;                // Earliest time applyLeaseParams can set them (0 = none pending)
+        uint16 lateFeeBps;
+        uint16 earlyTerminationPenaltyBps;
+    }
+    
+    /**
+     * @notice Reason code carried by LeaseTerminated
+     */
+    enum TerminationReason {
+        LesseeEarlyExit,           // Lessee exits early, penalty deducted from deposit
+        DealerTermination,         // Dealer terminates, full deposit refunded
+        Default                    // Lessee defaulted, deposit claimed by dealer
+    }
+    
+    /**
+     * @notice Reason code carried by LeaseRejected
+     */
+    enum RejectionReason {
+        CreditCheckFailed,         // Applicant did not pass the dealer's credit check
+        IncompleteApplication,     // Applicant details missing or unverifiable
+        VehicleUnavailable,        // Car can no longer be delivered
+        Other                      // Any other reason
+    }
+    
+    /**
+     * @notice Lifecycle status of a lease option NFT
+     * @dev Updated on every transition (LeaseStatusChanged). Terminated, Completed
+     *      (once the deposit is reclaimed) and Defaulted tokens return to Available
+     *      via relistOption; Cancelled tokens accept new commitments directly.
+     *      BoughtOut is final: the former lessee owns the NFT outright.
+     */
+    enum LeaseStatus {
+        Available,                 // Listed, no live commitment
+        Committed,                 // Customer committed, reveal pending
+        PendingConfirmation,       // Deposit paid, awaiting dealer confirmation
+        Active,                    // Confirmed, payments running
+        Completed,                 // All payments made
+        Terminated,                // Ended early by lessee or dealer
+        Defaulted,                 // Deposit claimed by dealer after missed payments
+        Cancelled,                 // Dealer never confirmed, deposit refunded
+        BoughtOut                  // Lessee bought the car, NFT owned and freely transferable
+    }
+    
+    /**
+     * @notice Off-chain credit check result for a lease application
+     * @dev Signed by a credit attestor, stored by submitCreditAttestation and
+     *      consumed by confirmLease (or cleared by rejectLease)
+     */
+    struct CreditAttestation {
+        address lessee;            // Applicant the attestation was issued for
+        uint32 creditFactor;       // Credit score from 0 to MAX_CREDIT_FACTOR
+        uint64 expiresAt;          // Cannot be used after this time
+        address attestor;          // Attestor that signed it
+    }
     
-    /// @notice Maps tokenId to car metadata
-    mapping(uint256 => CarMetadata) public carData;
+    /**
+     * @notice Dealer-approved extension awaiting lessee acceptance
+     * @dev Created by offerExtension, consumed by extendLease
+     */
+    struct ExtensionOffer {
+        uint32 additionalMonths;   // Months to add to durationMonths
+        uint256 newMonthlyPayment; // Monthly payment after extension
+        uint64 expiresAt;          // Offer must be accepted before this time
+    }
     
-    /// @notice Maps tokenId to lease state
-    mapping(uint256 => Lease) public leases;
+    /**
+     * @notice Lease offer signed off-chain by a dealer (EIP-712)
+     * @dev Accepted with acceptOffer, which mints the option and opens a confirmed
+     *      lease in one transaction. The nonce is chosen by the dealer and can be
+     *      voided with cancelOffer.
+     */
+    struct LeaseOffer {
+        CarMetadata car;           // Car to mint
+        LeaseTerms terms;          // Lease terms offered
+        address dealer;            // Signing dealer, recorded as the token's dealer
+        address lessee;            // Only address that may accept (address(0) = anyone)
+        uint256 nonce;             // Dealer-chosen, single use
+        uint64 expiresAt;          // Offer cannot be accepted after this time
+    }
     
-    /// @notice Maps tokenId to active commitment
-    mapping(uint256 => Commit) public commits;
+    /**
+     * @notice Stage of a return-inspection damage claim
+     * @dev Filed claims are Accepted by the lessee (or once the dispute window
+     *      lapses unanswered); Disputed claims are Resolved by the damage arbiter.
+     *      Waived means the dealer closed the inspection without a claim.
+     */
+    enum DamageClaimStatus {
+        None,                      // No claim filed for the current lease
+        Filed,                     // Awaiting the lessee's answer
+        Disputed,                  // Lessee disputed, awaiting the arbiter
+        Accepted,                  // Claimed amount paid to the dealer
+        Resolved,                  // Arbiter split the claimed amount
+        Waived                     // Dealer found no damage
+    }
     
-    /// @notice Auto-increment token ID counter
-    uint256 private _nextTokenId = 1;
+    /**
+     * @notice Dealer's claim against a returned car's deposit for damage found at inspection
+     * @dev Created by fileDamageClaim (CarLeaseModule). The claimed amount leaves the
+     *      lease deposit and stays escrowed until the claim is accepted or resolved;
+     *      the rest of the deposit can be reclaimed as usual.
+     */
+    struct DamageClaim {
+        uint256 amount;            // Part of the deposit claimed, escrowed
+        bytes32 evidenceHash;      // Hash of the dealer's inspection report and photos
+        uint64 disputeDeadline;    // Lessee must accept or dispute by this time
+        DamageClaimStatus status;  // Current stage
+        bytes32 disputeEvidenceHash; // Hash of the lessee's counter-evidence (if disputed)
+        uint256 dealerAmount;      // Part of amount paid to the dealer once settled
+    }
     
     // ============================================
     // CONSTANTS
     // ============================================
     
-    /// @notice Time window for revealing commitment (7 days)
-    uint64 public constant REVEAL_WINDOW = 7 days;
+    /// @notice CarLeaseModule deployment the fallback delegates to (fixed per implementation)
+    address public immutable module;
+    
+    /// @notice Delay between proposing and applying new lease parameters (2 days)
+    uint64 public constant PARAMS_TIMELOCK = LeaseLogic.PARAMS_TIMELOCK;
+    
+    /// @notice Maximum months a single extension can add
+    uint32 public constant MAX_EXTENSION_MONTHS = LeaseLogic.MAX_EXTENSION_MONTHS;
+    
+    /// @notice Maximum monthly payment change on extension (basis points, 20%)
+    uint256 public constant MAX_PAYMENT_CHANGE_BPS = LeaseLogic.MAX_PAYMENT_CHANGE_BPS;
     
-    /// @notice Time window for dealer confirmation (7 days)
-    uint64 public constant CONFIRM_WINDOW = 7 days;
+    /// @notice Time after a payment's due date before it incurs a late fee (5 days)
+    uint64 public constant LATE_FEE_GRACE = LeaseLogic.LATE_FEE_GRACE;
     
-    /// @notice Grace period before deposit can be claimed (45 days)
-    uint64 public constant PAYMENT_GRACE = 45 days;
+    /// @notice Maximum late fee per overdue payment (basis points, 20%)
+    uint256 public constant MAX_LATE_FEE_BPS = LeaseLogic.MAX_LATE_FEE_BPS;
     
-    /// @notice Reserved for future: max usage percentage adjustment
-    uint32 public constant MAX_USAGE_PERCENT = 100;
+    /// @notice Time window for lessee to accept an extension offer (7 days)
+    uint64 public constant EXTENSION_OFFER_WINDOW = LeaseLogic.EXTENSION_OFFER_WINDOW;
     
-    /// @notice Reserved for future: credit score factor
-    uint32 public constant MAX_CREDIT_FACTOR = 1000;
+    /// @notice Return inspection after the final payment or termination: time for the
+    ///         dealer to record return mileage and file or waive a damage claim (14 days)
+    uint64 public constant FINAL_READING_WINDOW = LeaseLogic.FINAL_READING_WINDOW;
+    
+    /// @notice Distance driven since the baseline, as a percent of mileageLimit, above which
+    ///         readings are flagged with MileageLimitExceeded
+    uint32 public constant MAX_USAGE_PERCENT = LeaseLogic.MAX_USAGE_PERCENT;
+    
+    /// @notice Highest credit factor a credit attestation can carry
+    uint32 public constant MAX_CREDIT_FACTOR = LeaseLogic.MAX_CREDIT_FACTOR;
     
     // ============================================
     // EVENTS
@@ -127,6 +319,42 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
         uint64 deadline
     );
     
+    /**
+     * @notice Emitted when a committer replaces their own live commitment
+     * @param tokenId NFT ID committed to
+     * @param committer Address holding the commitment
+     * @param previousCommitment Replaced hash
+     * @param newCommitment Replacement hash
+     */
+    event CommitSuperseded(
+        uint256 indexed tokenId,
+        address indexed committer,
+        bytes32 previousCommitment,
+        bytes32 newCommitment
+    );
+    
+    /**
+     * @notice Emitted when an unrevealed commitment is cleared after its deadline
+     * @param tokenId NFT ID committed to
+     * @param committer Address whose commitment expired
+     * @param deadline Missed reveal deadline
+     */
+    event CommitExpired(
+        uint256 indexed tokenId,
+        address indexed committer,
+        uint64 deadline
+    );
+    
+    /**
+     * @notice Emitted when a committer cancels their commitment
+     * @param tokenId NFT ID committed to
+     * @param committer Address that cancelled
+     */
+    event CommitCancelled(
+        uint256 indexed tokenId,
+        address indexed committer
+    );
+    
     /**
      * @notice Emitted when customer reveals commitment and pays deposit
      * @param tokenId NFT ID being leased
@@ -174,15 +402,119 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
     );
     
     /**
-     * @notice Emitted when lease is terminated (by lessee or dealer)
+     * @notice Emitted when overdue payments are settled with a late fee
+     * @param tokenId NFT ID for payment
+     * @param lessee Customer address
+     * @param overduePayments Number of overdue monthly payments in this transaction
+     * @param feeAmount Total late fee charged in wei (or token units)
+     */
+    event LateFeeCharged(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        uint256 overduePayments,
+        uint256 feeAmount
+    );
+    
+    /**
+     * @notice Emitted when platform owner proposes new lease parameters
+     * @param params Proposed values
+     * @param eta Earliest time applyLeaseParams can apply them
+     */
+    event LeaseParamsProposed(
+        LeaseParams params,
+        uint64 eta
+    );
+    
+    /**
+     * @notice Emitted when proposed lease parameters take effect
+     * @param oldParams Values replaced
+     * @param newParams Values now used for new commitments and reveals
+     */
+    event LeaseParamsUpdated(
+        LeaseParams oldParams,
+        LeaseParams newParams
+    );
+    
+    /**
+     * @notice Emitted when platform owner withdraws a lease parameter proposal
+     * @param params Proposed values that will not be applied
+     */
+    event LeaseParamsCancelled(
+        LeaseParams params
+    );
+    
+    /**
+     * @notice Emitted when platform owner freezes minting, commitments and reveals
+     * @param account Owner that paused
+     */
+    event Paused(
+        address account
+    );
+    
+    /**
+     * @notice Emitted when platform owner lifts the pause
+     * @param account Owner that unpaused
+     */
+    event Unpaused(
+        address account
+    );
+    
+    /**
+     * @notice Emitted on every lease lifecycle transition
+     * @param tokenId NFT ID whose status changed
+     * @param previousStatus Status before the transition
+     * @param newStatus Status after the transition
+     */
+    event LeaseStatusChanged(
+        uint256 indexed tokenId,
+        LeaseStatus previousStatus,
+        LeaseStatus newStatus
+    );
+    
+    /**
+     * @notice Emitted when dealer puts a finished lease option back on offer
+     * @param tokenId NFT ID relisted
+     * @param dealer Token's dealer
+     * @param monthlyPayment Monthly payment offered to the next customer
+     * @param durationMonths Lease duration offered to the next customer
+     */
+    event OptionRelisted(
+        uint256 indexed tokenId,
+        address indexed dealer,
+        uint256 monthlyPayment,
+        uint32 durationMonths
+    );
+    
+    /**
+     * @notice Emitted when lease is terminated (by lessee, dealer, or default)
      * @param tokenId NFT ID being terminated
      * @param by Terminator address (lessee or owner)
      * @param reason Termination reason code
+     * @param refundAmount Deposit refunded to lessee in wei
+     * @param penaltyAmount Deposit retained by dealer in wei
      */
     event LeaseTerminated(
         uint256 indexed tokenId,
         address indexed by,
-        string reason
+        TerminationReason reason,
+        uint256 refundAmount,
+        uint256 penaltyAmount
+    );
+    
+    /**
+     * @notice Emitted when dealer rejects a revealed lease application
+     * @param tokenId NFT ID of rejected application
+     * @param dealer Dealer that rejected it
+     * @param lessee Applicant whose deposit is refunded
+     * @param reason Rejection reason code
+     * @param refundAmount Deposit credited back to the applicant
+     */
+    event LeaseRejected(
+        uint256 indexed tokenId,
+        address indexed dealer,
+        address indexed lessee,
+        RejectionReason reason,
+        uint256 refundAmount
     );
     
     /**
@@ -210,15 +542,338 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
     );
     
     /**
-     * @notice Emitted when lease duration is extended (future feature)
+     * @notice Emitted when the final monthly payment completes a lease
+     * @param tokenId NFT ID of completed lease
+     * @param lessee Customer address
+     * @param paymentsMade Total payments made (equals durationMonths)
+     * @param depositHeld Deposit now reclaimable by the lessee
+     */
+    event LeaseCompleted(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        uint32 paymentsMade,
+        uint256 depositHeld
+    );
+    
+    /**
+     * @notice Emitted when the deposit of a completed lease is returned to the lessee
+     * @param tokenId NFT ID with returned deposit
+     * @param lessee Customer receiving deposit
+     * @param depositAmount Returned amount in wei
+     */
+    event DepositReturned(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        uint256 depositAmount
+    );
+    
+    /**
+     * @notice Emitted when the lessee buys the car and takes ownership of the NFT
+     * @param tokenId NFT ID bought out
+     * @param lessee Customer who now owns the NFT
+     * @param price Buyout price in wei (or token units), including late fees
+     * @param depositApplied Deposit credited against the price
+     */
+    event LeaseBuyout(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        uint256 price,
+        uint256 depositApplied
+    );
+    
+    /**
+     * @notice Emitted when dealer approves (or clears) a lease assignment
+     * @param tokenId NFT ID of lease
+     * @param lessee Current lessee
+     * @param newLessee Approved assignee (zero address if cleared)
+     */
+    event AssignmentApproved(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        address indexed newLessee
+    );
+    
+    /**
+     * @notice Emitted when a lease is handed over to a new lessee via NFT transfer
+     * @param tokenId NFT ID of lease
+     * @param previousLessee Lessee giving up the lease
+     * @param newLessee Lessee taking over payments
+     */
+    event LeaseAssigned(
+        uint256 indexed tokenId,
+        address indexed previousLessee,
+        address indexed newLessee
+    );
+    
+    /**
+     * @notice Emitted when an odometer reading is recorded
+     * @param tokenId NFT ID of leased car
+     * @param reporter Dealer or oracle address
+     * @param odometerKm Odometer value in km
+     * @param readingIndex Position in the lease's reading history
+     */
+    event MileageReported(
+        uint256 indexed tokenId,
+        address indexed reporter,
+        uint256 odometerKm,
+        uint256 readingIndex
+    );
+    
+    /**
+     * @notice Emitted with MileageReported when a reading shows more than
+     *         MAX_USAGE_PERCENT of the mileage limit driven
+     * @param tokenId NFT ID of leased car
+     * @param drivenKm Distance since the baseline reading
+     * @param mileageLimit Distance allowed over the lease
+     */
+    event MileageLimitExceeded(
+        uint256 indexed tokenId,
+        uint256 drivenKm,
+        uint256 mileageLimit
+    );
+    
+    /**
+     * @notice Emitted when owner adds or removes an ERC-20 payment token
+     * @param token ERC-20 address
+     * @param allowed True if new lease options may be priced in it
+     */
+    event PaymentTokenUpdated(
+        address indexed token,
+        bool allowed
+    );
+    
+    /**
+     * @notice Emitted when owner authorizes or revokes a mileage oracle
+     * @param reporter Oracle address
+     * @param authorized True if allowed to report readings
+     */
+    event MileageReporterUpdated(
+        address indexed reporter,
+        bool authorized
+    );
+    
+    /**
+     * @notice Emitted when owner authorizes or revokes a credit attestor
+     * @param attestor Credit bureau address
+     * @param authorized True if allowed to sign attestations
+     */
+    event CreditAttestorUpdated(
+        address indexed attestor,
+        bool authorized
+    );
+    
+    /**
+     * @notice Emitted when a dealer changes the credit factor required to confirm
+     * @param dealer Dealer address
+     * @param oldFactor Previous minimum (0 = no check)
+     * @param newFactor New minimum (0 = no check)
+     */
+    event MinCreditFactorUpdated(
+        address indexed dealer,
+        uint32 oldFactor,
+        uint32 newFactor
+    );
+    
+    /**
+     * @notice Emitted when a credit attestation is recorded for a lease application
+     * @param tokenId NFT ID of the lease application
+     * @param lessee Applicant the attestation covers
+     * @param attestor Attestor that signed it
+     * @param creditFactor Attested credit factor
+     * @param expiresAt Time after which it cannot be used
+     */
+    event CreditAttested(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        address indexed attestor,
+        uint32 creditFactor,
+        uint64 expiresAt
+    );
+    
+    /**
+     * @notice Emitted when an excess-mileage charge is deducted from a deposit
+     * @param tokenId NFT ID of leased car
+     * @param lessee Customer address
+     * @param excessKm Distance driven over mileageLimit
+     * @param chargeAmount Amount deducted in wei
+     */
+    event MileageCharged(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        uint256 excessKm,
+        uint256 chargeAmount
+    );
+    
+    /**
+     * @notice Emitted when a dealer withdraws collected revenue
+     * @param dealer Dealer whose revenue was withdrawn
+     * @param asset Payment asset withdrawn (address(0) = ETH)
+     * @param to Recipient of the withdrawn funds
+     * @param amount Amount withdrawn in wei (or token units)
+     * @param remainingWithdrawable Dealer revenue in this asset still available for withdrawal
+     */
+    event Withdrawn(
+        address indexed dealer,
+        address asset,
+        address indexed to,
+        uint256 amount,
+        uint256 remainingWithdrawable
+    );
+    
+    /**
+     * @notice Emitted when a refund or proceeds are credited for later withdrawal
+     * @param account Address that can withdraw the funds
+     * @param asset Payment asset credited (address(0) = ETH)
+     * @param amount Amount credited in wei (or token units)
+     */
+    event FundsCredited(
+        address indexed account,
+        address indexed asset,
+        uint256 amount
+    );
+    
+    /**
+     * @notice Emitted when an account withdraws its credited funds
+     * @param account Address whose credit was withdrawn
+     * @param asset Payment asset withdrawn (address(0) = ETH)
+     * @param to Recipient of the funds
+     * @param amount Amount withdrawn in wei (or token units)
+     */
+    event FundsWithdrawn(
+        address indexed account,
+        address indexed asset,
+        address to,
+        uint256 amount
+    );
+    
+    /**
+     * @notice Emitted when dealer offers a lease extension
+     * @param tokenId NFT ID offered for extension
+     * @param lessee Customer address
+     * @param additionalMonths Months to add
+     * @param newMonthlyPayment Monthly payment after extension
+     * @param expiresAt Offer acceptance deadline
+     */
+    event ExtensionOffered(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        uint32 additionalMonths,
+        uint256 newMonthlyPayment,
+        uint64 expiresAt
+    );
+    
+    /**
+     * @notice Emitted when lease duration is extended
      * @param tokenId NFT ID being extended
      * @param lessee Customer address
      * @param newDurationMonths Updated total duration
+     * @param newMonthlyPayment Monthly payment after extension
+     * @param additionalDeposit Top-up deposit paid in wei
      */
     event LeaseExtended(
         uint256 indexed tokenId,
         address indexed lessee,
-        uint32 newDurationMonths
+        uint32 newDurationMonths,
+        uint256 newMonthlyPayment,
+        uint256 additionalDeposit
+    );
+    
+    /**
+     * @notice Emitted when a customer accepts a dealer-signed lease offer
+     * @param tokenId NFT ID minted for the offer
+     * @param dealer Dealer that signed the offer
+     * @param lessee Customer now holding the lease
+     * @param nonce Offer nonce, now spent
+     */
+    event OfferAccepted(
+        uint256 indexed tokenId,
+        address indexed dealer,
+        address indexed lessee,
+        uint256 nonce
+    );
+    
+    /**
+     * @notice Emitted when a dealer voids a signed lease offer
+     * @param dealer Dealer that signed the offer
+     * @param nonce Offer nonce, now spent
+     */
+    event OfferCancelled(
+        address indexed dealer,
+        uint256 nonce
+    );
+    
+    /**
+     * @notice Emitted when a dealer files a damage claim against a returned car's deposit
+     * @param tokenId NFT ID of the completed lease
+     * @param dealer Token's dealer
+     * @param amount Part of the deposit claimed (now escrowed)
+     * @param evidenceHash Hash of the dealer's inspection evidence
+     * @param disputeDeadline Lessee must accept or dispute by this time
+     */
+    event DamageClaimFiled(
+        uint256 indexed tokenId,
+        address indexed dealer,
+        uint256 amount,
+        bytes32 evidenceHash,
+        uint64 disputeDeadline
+    );
+    
+    /**
+     * @notice Emitted when a damage claim is accepted and paid to the dealer
+     * @param tokenId NFT ID of the lease
+     * @param by Lessee, or whoever settled it after the dispute window lapsed
+     * @param amount Amount paid to the dealer
+     */
+    event DamageClaimAccepted(
+        uint256 indexed tokenId,
+        address indexed by,
+        uint256 amount
+    );
+    
+    /**
+     * @notice Emitted when the lessee disputes a damage claim
+     * @param tokenId NFT ID of the lease
+     * @param lessee Customer disputing the claim
+     * @param evidenceHash Hash of the lessee's counter-evidence
+     */
+    event DamageClaimDisputed(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        bytes32 evidenceHash
+    );
+    
+    /**
+     * @notice Emitted when the damage arbiter splits a disputed claim
+     * @param tokenId NFT ID of the lease
+     * @param arbiter Arbiter that resolved it
+     * @param dealerAmount Amount paid to the dealer
+     * @param lesseeAmount Amount credited back to the lessee
+     */
+    event DamageClaimResolved(
+        uint256 indexed tokenId,
+        address indexed arbiter,
+        uint256 dealerAmount,
+        uint256 lesseeAmount
+    );
+    
+    /**
+     * @notice Emitted when a dealer closes a return inspection without a claim
+     * @param tokenId NFT ID of the lease
+     * @param dealer Token's dealer
+     */
+    event DamageClaimWaived(
+        uint256 indexed tokenId,
+        address indexed dealer
+    );
+    
+    /**
+     * @notice Emitted when the owner changes the damage arbiter
+     * @param oldArbiter Previous arbiter (address(0) = none)
+     * @param newArbiter New arbiter (address(0) = none)
+     */
+    event DamageArbiterUpdated(
+        address indexed oldArbiter,
+        address indexed newArbiter
     );
     
     // ============================================
@@ -227,38 +882,41 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
     
     /**
      * @notice Initializes CarLease contract with ERC721 metadata
-     * @dev Sets up NFT name and symbol, initializes owner
+     * @dev Sets up NFT name and symbol, initializes owner. The deployer is also
+     *      onboarded as the first dealer so single-lot deployments work unchanged.
+     *      Disables initialize, so a direct deployment (or a proxy implementation)
+     *      cannot be re-initialized.
+     * @param moduleAddress CarLeaseModule deployment
      */
-    constructor() 
+    constructor(address moduleAddress) 
         ERC721("CarLeaseOption", "CLO") 
         Ownable(msg.sender) 
     {
-        // _nextTokenId = 1 (initialized at declaration)
+        require(moduleAddress != address(0), "Invalid module");
+        module = moduleAddress;
+        
+        _initializeCarLease(msg.sender);
+        _disableInitializers();
     }
     
-    // ============================================
-    // INTERNAL HELPERS
-    // ============================================
-    
     /**
-     * @notice Processes ETH transfer to recipient with error handling
-     * @dev Follows checks-effects-interactions pattern
-     * @param recipient Address to send ETH
-     * @param amount Amount in wei
+     * @notice Initializes a proxy deployment (replaces the constructor)
+     * @dev Called once by deploy.js in the ERC1967Proxy constructor, so it cannot be front-run
+     * @param initialOwner Platform owner, also onboarded as the first dealer
      */
-    function _sendEther(address recipient, uint256 amount) internal {
-        (bool success, ) = recipient.call{value: amount}("");
-        require(success, "ETH transfer failed");
+    function initialize(address initialOwner) external initializer {
+        _transferOwnership(initialOwner);
+        _initializeCarLease(initialOwner);
     }
     
     /**
-     * @notice Validates that token exists and is owned by contract
-     * @dev Used to ensure NFT control before lease operations
-     * @param tokenId Token ID to validate
+     * @notice Shared setup of constructor and initialize
+     * @param initialOwner Platform owner
      */
-    function _validateContractOwnsToken(uint256 tokenId) internal view {
-        require(_ownerOf(tokenId) != address(0), "Token does not exist");
-        require(ownerOf(tokenId) == address(this), "Contract must own token");
+    function _initializeCarLease(address initialOwner) private {
+        _nextTokenId = 1;
+        leaseParams = LeaseLogic.defaultParams();
+        _grantRole(DEALER_ROLE, initialOwner);
     }
     
     // ============================================
@@ -267,14 +925,20 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
     
     /**
      * @notice Dealer mints a new lease option NFT
-     * @dev Only contract owner (dealer) can mint. NFT owned by contract not dealer (FR-003).
+     * @dev Only active dealers can mint; the caller is recorded as the token's dealer.
+     *      NFT owned by contract not dealer (FR-003).
      * @param model Car model name (e.g., "Tesla Model 3")
      * @param color Car color (e.g., "Blue")
      * @param year Manufacturing year (e.g., 2024)
      * @param originalValueWei Car purchase value in wei
      * @param monthlyPaymentWei Monthly lease payment in wei
      * @param durationMonths Lease duration (e.g., 36 months)
-     * @param mileageLimit Maximum allowed mileage
+     * @param mileageLimit Maximum allowed mileage (km) over the lease
+     * @param excessMileageRateWei Charge per km driven over mileageLimit (0 = no charge)
+     * @param paymentToken Allow-listed ERC-20 the lease is paid in (address(0) = native ETH);
+     *        monthlyPaymentWei, excessMileageRateWei and residualValue are then in that token's units
+     * @param residualValue Buyout price at the end of the term (0 = originalValueWei less
+     *        payments made, ETH leases only; see getBuyoutQuote)
      * @return tokenId The newly minted token ID
      */
     function mintOption(
@@ -284,78 +948,112 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
         uint256 originalValueWei,
         uint256 monthlyPaymentWei,
         uint32 durationMonths,
-        uint256 mileageLimit
-    ) external onlyOwner returns (uint256) {
-        // FR-001: Validate metadata
-        require(bytes(model).length > 0, "Model cannot be empty");
-        require(originalValueWei > 0, "Original value must be greater than zero");
-        require(monthlyPaymentWei > 0, "Monthly payment must be greater than zero");
-        require(durationMonths > 0, "Duration must be greater than zero");
-        
-        uint256 tokenId = _nextTokenId++;
-        
-        // FR-003: Mint to contract address (not dealer)
-        // Use _mint instead of _safeMint because contract doesn't need IERC721Receiver
-        _mint(address(this), tokenId);
-        
-        // Store metadata
-        carData[tokenId] = CarMetadata({
-            model: model,
-            color: color,
-            year: year,
-            originalValueWei: originalValueWei,
-            mileageLimit: mileageLimit
-        });
-        
-        // FR-039: Emit event
-        emit OptionMinted(
-            tokenId,
-            model,
-            color,
-            year,
-            originalValueWei
+        uint256 mileageLimit,
+        uint256 excessMileageRateWei,
+        address paymentToken,
+        uint256 residualValue
+    ) external onlyRole(DEALER_ROLE) returns (uint256) {
+        return _mintOption(
+            msg.sender,
+            CarMetadata({
+                model: model,
+                color: color,
+                year: year,
+                originalValueWei: originalValueWei,
+                mileageLimit: mileageLimit
+            }),
+            LeaseTerms({
+                monthlyPayment: monthlyPaymentWei,
+                durationMonths: durationMonths,
+                excessMileageRateWei: excessMileageRateWei,
+                paymentToken: paymentToken,
+                residualValue: residualValue
+            })
         );
-        
-        return tokenId;
     }
     
-    // ============================================
+    /**
+     * @notice Dealer mints several lease option NFTs in one transaction
+     * @dev Each entry is validated like mintOption and emits its own OptionMinted;
+     *      one invalid entry reverts the whole batch. Token IDs are consecutive.
+     *      Callers should size batches to stay under the block gas limit
+     *      (see scripts/import-inventory.js).
+     * @param cars Car metadata per option
+     * @param terms Offered lease terms per option, same order as cars
+     * @return tokenIds The newly minted token IDs, in input order
+     */
+    function mintOptionsBatch(
+        CarMetadata[] calldata cars,
+        LeaseTerms[] calldata terms
+    ) external onlyRole(DEALER_ROLE) returns (uint256[] memory tokenIds) {
+        require(cars.length > 0, "Empty batch");
+        require(cars.length == terms.length, "Array length mismatch");
+        
+        tokenIds = new uint256[](cars.length);
+        for (uint256 i = 0; i < cars.length; i++) {
+            tokenIds[i] = _mintOption(msg.sender, cars[i], terms[i]);
+        }
+    }
+    
+    /**
+     * @notice Dealer puts a finished lease option back on offer for a new customer
+     * @dev Allowed once the previous lease is Completed (deposit reclaimed, or released
+     *      with CarLeaseModule.releaseDeposit, and any damage claim settled), Terminated
+     *      or Defaulted. Clears the old lease, its mileage
+     *      history, extension offer and damage claim; car metadata, payment asset and excess-mileage rate are kept
+     *      (see LeaseLogic.relist).
+     * @param tokenId NFT ID to relist
+     * @param monthlyPaymentWei Monthly payment offered to the next customer
+     * @param durationMonths Lease duration offered to the next customer
+     */
+    function relistOption(
+        uint256 tokenId,
+        uint256 monthlyPaymentWei,
+        uint32 durationMonths
+    ) external onlyRole(DEALER_ROLE) onlyTokenDealer(tokenId) {
+        LeaseLogic.relist(
+            leases,
+            _mileageReadings,
+            extensionOffers,
+            _damageClaims,
+            leaseTerms[tokenId],
+            _leaseStatus,
+            tokenId,
+            monthlyPaymentWei,
+            durationMonths
+        );
+    }
+    
+    // ============================================
     // PUBLIC FUNCTIONS - Commit-Reveal Pattern
     // ============================================
     
     /**
      * @notice Customer places commitment to lease an NFT
-     * @dev Commit-reveal pattern prevents front-running (FR-005, FR-006)
+     * @dev Commit-reveal pattern prevents front-running (FR-005, FR-006).
+     *      A live commitment locks the token until its deadline: other addresses
+     *      cannot replace it, only the committer can (CommitSuperseded) or cancel it.
+     *      Once expired, the next commit clears it (CommitExpired).
      * @param tokenId NFT ID to commit to
      * @param commitment Hash of keccak256(tokenId, secret, msg.sender)
      */
-    function commitToLease(uint256 tokenId, bytes32 commitment) external {
+    function commitToLease(uint256 tokenId, bytes32 commitment) external whenNotPaused {
         _validateContractOwnsToken(tokenId);
-        require(!leases[tokenId].exists, "Already leased");
         
-        // FR-007: Store commitment with 7-day deadline
-        commits[tokenId] = Commit({
-            commitment: commitment,
-            committer: msg.sender,
-            deadline: uint64(block.timestamp) + REVEAL_WINDOW
-        });
-        
-        // FR-040: Emit event
-        emit CommitPlaced(
-            tokenId,
-            msg.sender,
-            commitment,
-            commits[tokenId].deadline
-        );
+        LeaseLogic.commit(commits, leases[tokenId], _leaseStatus, tokenId, commitment, leaseParams.revealWindow, _customer());
     }
     
     /**
      * @notice Customer reveals commitment and pays deposit to initiate lease
-     * @dev Must be called within REVEAL_WINDOW of commitment (FR-008, FR-010)
+     * @dev Must be called before the commitment's reveal deadline (FR-008, FR-010).
+     *      Duration and payment must match the terms stored at mint (see getLeaseTerms);
+     *      the deposit is leaseParams.depositMultiplier times the monthly payment.
+     *      Token leases pull the deposit with transferFrom, so approve it first
+     *      (or use revealAndPayWithPermit).
      * @param tokenId NFT ID to lease
      * @param secret Random secret used in commitment
-     * @param durationMonths Lease duration in months
-     * @param monthlyPaymentWei Monthly payment amount in wei
+     * @param durationMonths Lease duration in months (must match offered terms)
+     * @param monthlyPaymentWei Monthly payment amount in wei (must match offered terms)
      */
     function revealAndPay(
         uint256 tokenId,
@@ -363,54 +1061,83 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
         uint32 durationMonths,
         uint256 monthlyPaymentWei
     ) external payable nonReentrant {
+        _revealAndPay(tokenId, secret, durationMonths, monthlyPaymentWei, _customer());
+    }
+    
+    /**
+     * @notice revealAndPay for token leases, approving the deposit with an EIP-2612 permit
+     * @dev Permit value must cover the deposit (depositMultiplier x the offered monthly payment)
+     * @param tokenId NFT ID to lease
+     * @param secret Random secret used in commitment
+     * @param durationMonths Lease duration in months (must match offered terms)
+     * @param monthlyPaymentWei Monthly payment amount in token units (must match offered terms)
+     * @param deadline Permit expiry timestamp
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function revealAndPayWithPermit(
+        uint256 tokenId,
+        bytes32 secret,
+        uint32 durationMonths,
+        uint256 monthlyPaymentWei,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        _permit(tokenId, leaseTerms[tokenId].monthlyPayment * leaseParams.depositMultiplier, deadline, v, r, s);
+        _revealAndPay(tokenId, secret, durationMonths, monthlyPaymentWei, msg.sender);
+    }
+    
+    /**
+     * @notice Shared body of revealAndPay and revealAndPayWithPermit
+     */
+    function _revealAndPay(
+        uint256 tokenId,
+        bytes32 secret,
+        uint32 durationMonths,
+        uint256 monthlyPaymentWei,
+        address applicant
+    ) internal whenNotPaused {
         _validateContractOwnsToken(tokenId);
         
-        Commit memory c = commits[tokenId];
-        
-        // FR-010: Check deadline
-        require(block.timestamp <= c.deadline, "Commitment expired");
-        
-        // FR-009: Validate hash
-        bytes32 computedHash = keccak256(
-            abi.encodePacked(tokenId, secret, msg.sender)
-        );
-        require(computedHash == c.commitment, "Invalid secret");
-        
-        // FR-011: Check not already leased
-        require(!leases[tokenId].exists, "Already leased");
-        
-        // FR-012, FR-013: Validate deposit = 3x monthly payment
-        uint256 requiredDeposit = monthlyPaymentWei * 3;
-        require(msg.value == requiredDeposit, "Incorrect deposit");
-        
-        // Create lease in pending state
-        uint64 confirmDeadline = uint64(block.timestamp) + CONFIRM_WINDOW;
-        
-        leases[tokenId] = Lease({
-            lessee: msg.sender,
-            startTime: 0,  // Not started yet (pending confirmation)
-            durationMonths: durationMonths,
-            monthlyPayment: monthlyPaymentWei,
-            deposit: msg.value,
-            paymentsMade: 0,
-            lastPaymentTime: 0,
-            active: false,  // Pending confirmation
-            exists: true,
-            confirmDeadline: confirmDeadline
-        });
-        
-        // Clear commitment
-        delete commits[tokenId];
-        
-        // FR-041: Emit event
-        emit LeaseSignedRevealed(
+        // FR-008 to FR-012: Check commitment and terms, open pending lease
+        LeaseTerms storage terms = leaseTerms[tokenId];
+        uint256 requiredDeposit = LeaseLogic.reveal(
+            commits,
+            leases,
+            terms,
+            leaseParams,
+            _leaseStatus,
             tokenId,
-            msg.sender,
+            secret,
             durationMonths,
             monthlyPaymentWei,
-            msg.value,
-            confirmDeadline
+            applicant
         );
+        
+        // FR-013: Collect deposit; it is escrowed, not revenue
+        _collectPayment(tokenId, applicant, requiredDeposit, "Incorrect deposit");
+        totalDepositsHeld[terms.paymentToken] += requiredDeposit;
+    }
+    
+    /**
+     * @notice Committer withdraws their pending commitment
+     * @dev Frees the token for other customers before the reveal deadline
+     * @param tokenId NFT ID with commitment to cancel
+     */
+    function cancelCommit(uint256 tokenId) external {
+        LeaseLogic.cancelCommit(commits, _leaseStatus, tokenId);
+    }
+    
+    /**
+     * @notice Clears a commitment whose reveal deadline has passed
+     * @dev Callable by anyone so the token shows as free again
+     * @param tokenId NFT ID with expired commitment
+     */
+    function expireCommit(uint256 tokenId) external {
+        LeaseLogic.expireCommit(commits, _leaseStatus, tokenId);
     }
     
     // ============================================
@@ -419,101 +1146,201 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
     
     /**
      * @notice Dealer confirms lease activation
-     * @dev Only owner can confirm. Activates lease and sets start timestamp (FR-019, FR-020)
+     * @dev Only the token's dealer, while not suspended, can confirm. Activates lease,
+     *      sets start timestamp (FR-019, FR-020) and transfers the NFT to the lessee.
+     *      If the dealer set a minCreditFactor, an unexpired credit attestation for the
+     *      lessee meeting it must have been submitted; it is consumed on confirmation.
      * @param tokenId NFT ID to confirm
      */
-    function confirmLease(uint256 tokenId) external onlyOwner {
-        Lease storage lease = leases[tokenId];
-        
-        // FR-020: Validate lease exists
-        require(lease.exists, "Lease does not exist");
+    function confirmLease(uint256 tokenId) external onlyRole(DEALER_ROLE) onlyTokenDealer(tokenId) {
+        // FR-019 to FR-022, FR-042: Credit check and activation (see LeaseLogic.confirm)
+        address lessee = LeaseLogic.confirm(
+            leases[tokenId],
+            creditAttestations,
+            _leaseStatus,
+            tokenId,
+            minCreditFactor[msg.sender]
+        );
         
-        // FR-022: Check not already confirmed
-        require(!lease.active, "Already confirmed");
+        // NFT moves into the lessee's wallet for the life of the lease
+        _transfer(address(this), lessee, tokenId);
+    }
+    
+    /**
+     * @notice Dealer rejects a revealed lease application
+     * @dev Only the token's dealer, before confirmation. Suspended dealers can still
+     *      reject so applicants are not left waiting for the confirmation deadline.
+     *      The deposit is credited to the applicant (collected via withdraw) and the
+     *      token returns to Available for new commitments.
+     * @param tokenId NFT ID of the pending application
+     * @param reason Rejection reason code
+     */
+    function rejectLease(uint256 tokenId, RejectionReason reason) external onlyTokenDealer(tokenId) {
+        // Clear the application; the NFT never left the contract (see LeaseLogic.rejectApplication)
+        (address lessee, uint256 refundAmount) = LeaseLogic.rejectApplication(
+            leases,
+            creditAttestations,
+            _leaseStatus,
+            tokenId
+        );
+        totalDepositsHeld[leaseTerms[tokenId].paymentToken] -= refundAmount;
         
-        // Activate lease
-        lease.active = true;
-        lease.startTime = uint64(block.timestamp);
+        emit LeaseRejected(tokenId, msg.sender, lessee, reason, refundAmount);
         
-        // FR-042: Emit event
-        emit LeaseConfirmed(
+        // Credit refund (collected via withdraw)
+        _credit(tokenId, lessee, refundAmount);
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Credit Checks
+    // ============================================
+    
+    /**
+     * @notice Records a signed credit attestation for a revealed lease application
+     * @dev Callable by anyone (applicant, dealer or the attestor itself); the signature
+     *      must come from an authorized credit attestor (see LeaseLogic.attestCredit)
+     * @param tokenId NFT ID of the pending application
+     * @param creditFactor Credit factor from 0 to MAX_CREDIT_FACTOR
+     * @param expiresAt Time after which the attestation cannot be used
+     * @param signature Attestor's signature over the attestation
+     */
+    function submitCreditAttestation(
+        uint256 tokenId,
+        uint32 creditFactor,
+        uint64 expiresAt,
+        bytes calldata signature
+    ) external {
+        LeaseLogic.attestCredit(
+            leases[tokenId],
+            creditAttestations[tokenId],
+            creditAttestors,
             tokenId,
-            lease.lessee,
-            lease.startTime
+            creditFactor,
+            expiresAt,
+            signature
         );
     }
     
+    /**
+     * @notice Dealer sets the attested credit factor required before confirming
+     * @param newFactor Minimum credit factor, 0 to confirm without a credit check
+     */
+    function setMinCreditFactor(uint32 newFactor) external onlyRole(DEALER_ROLE) {
+        LeaseLogic.setMinCreditFactor(minCreditFactor, newFactor);
+    }
+    
+    /**
+     * @notice Platform owner authorizes or revokes a credit attestor
+     * @param attestor Credit bureau signing address
+     * @param authorized True to accept its attestations
+     */
+    function setCreditAttestor(address attestor, bool authorized) external onlyOwner {
+        require(attestor != address(0), "Invalid attestor");
+        
+        creditAttestors[attestor] = authorized;
+        
+        emit CreditAttestorUpdated(attestor, authorized);
+    }
+    
     // ============================================
     // PUBLIC FUNCTIONS - Monthly Payments
     // ============================================
     
     /**
-     * @notice Customer makes monthly lease payment
-     * @dev Payment must equal monthlyPayment amount. Updates counters and timestamp (FR-013, FR-014, FR-015)
+     * @notice Customer pays one or more monthly lease payments
+     * @dev Payments are applied in order from paymentsMade + 1, so arrears are settled
+     *      first and any further months are prepaid. Amount must equal
+     *      months * monthlyPayment plus late fees (see getAmountDue and LeaseLogic.lateFees).
+     *      Updates counters and timestamp (FR-013, FR-014, FR-015).
+     *      The final payment (paymentsMade == durationMonths) completes the lease and
+     *      makes the deposit reclaimable via reclaimDeposit. Token leases pull the
+     *      payment with transferFrom.
+     * @param tokenId NFT ID for payment
+     * @param months Number of monthly payments to make (overdue and/or future)
+     */
+    function makeMonthlyPayment(uint256 tokenId, uint256 months) external payable nonReentrant {
+        _makeMonthlyPayment(tokenId, months, _customer());
+    }
+    
+    /**
+     * @notice makeMonthlyPayment for token leases, approving the payment with an EIP-2612 permit
+     * @dev Permit value must be exactly months * monthlyPayment plus late fees at
+     *      execution time (see getAmountDue)
      * @param tokenId NFT ID for payment
+     * @param months Number of monthly payments to make
+     * @param deadline Permit expiry timestamp
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
      */
-    function makeMonthlyPayment(uint256 tokenId) external payable nonReentrant {
+    function makeMonthlyPaymentWithPermit(
+        uint256 tokenId,
+        uint256 months,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
         Lease storage lease = leases[tokenId];
-        
-        // FR-017: Validate active lease
-        require(lease.exists, "Lease does not exist");
-        require(lease.active, "Lease not active");
-        
-        // FR-016: Only lessee can pay
-        require(msg.sender == lease.lessee, "Only lessee can pay");
-        
-        // FR-013: Validate payment amount
-        require(msg.value == lease.monthlyPayment, "Incorrect payment amount");
-        
-        // FR-015: Check payment is due (must wait ~30 days between payments)
-        uint256 timeSinceStart = block.timestamp - lease.startTime;
-        uint256 expectedPayments = timeSinceStart / 30 days;
-        require(lease.paymentsMade < expectedPayments, "Payment not due");
-        
-        // FR-014: Update payment tracking
-        lease.paymentsMade++;
-        lease.lastPaymentTime = uint64(block.timestamp);
-        
-        // FR-043: Emit event
-        emit MonthlyPaid(
+        (, uint256 fee) = LeaseLogic.lateFees(lease, months, leaseParams.lateFeeBps);
+        _permit(tokenId, months * lease.monthlyPayment + fee, deadline, v, r, s);
+        _makeMonthlyPayment(tokenId, months, msg.sender);
+    }
+    
+    /**
+     * @notice Shared body of makeMonthlyPayment and makeMonthlyPaymentWithPermit
+     */
+    function _makeMonthlyPayment(uint256 tokenId, uint256 months, address payer) internal {
+        // FR-013 to FR-017, FR-043: Validate and book the payments (see LeaseLogic.recordPayments)
+        (uint256 amount, bool completed) = LeaseLogic.recordPayments(
+            leases[tokenId],
+            _leaseStatus,
             tokenId,
-            lease.lessee,
-            lease.paymentsMade,
-            msg.value,
-            uint64(block.timestamp)
+            months,
+            leaseParams.lateFeeBps,
+            payer
         );
+        _collectPayment(tokenId, payer, amount, "Incorrect payment amount");
+        
+        // Record revenue for dealer treasury
+        _recordRevenue(tokenId, amount);
+        
+        // Final payment closes the lease and the NFT comes back; deposit stays escrowed until reclaimed
+        if (completed) {
+            _returnToken(tokenId);
+        }
     }
     
     /**
-     * @notice Terminates lease (by owner or lessee)
+     * @notice Terminates lease early (by token dealer or lessee) and settles the deposit
      * @dev Used for voluntary termination or early termination (FR-028, FR-029, FR-030, FR-044)
      * @param tokenId NFT ID to terminate
      * 
      * Termination scenarios:
-     * - Lessee voluntary termination: No refund (deposit forfeited for early exit)
-     * - Dealer termination: Only after deposit claimed (via claimDeposit)
-     * 
-     * Future enhancement (v2.x): Calculate partial deposit refund based on:
-     * - Time remaining in lease
-     * - Payments already made
-     * - Early termination penalty
+     * - Lessee early exit: pays earlyTerminationPenaltyBps of the remaining
+     *   months' payments out of the deposit, rest of deposit refunded
+     * - Dealer termination: full deposit refunded to lessee
+     * - Defaulted lease: rejected here, dealer must use claimDeposit
+     * In both cases the car comes back and the refund stays escrowed for the return
+     * inspection, as for a completed lease: the lessee reclaims it with reclaimDeposit,
+     * less any excess-mileage charge and damage claim.
      */
     function terminateLease(uint256 tokenId) external nonReentrant {
-        Lease storage lease = leases[tokenId];
-        
-        require(lease.exists, "Lease does not exist");
-        require(lease.active, "Lease not active");
-        require(msg.sender == owner() || msg.sender == lease.lessee, "Unauthorized");
-        
-        // FR-030: Deactivate lease
-        lease.active = false;
-        
-        // FR-044: Emit event with reason
-        emit LeaseTerminated(tokenId, msg.sender, "Terminated");
+        // FR-030, FR-044: Validate, deactivate lease and take the penalty (see LeaseLogic.terminate)
+        uint256 penalty = LeaseLogic.terminate(
+            leases[tokenId],
+            _leaseStatus,
+            tokenId,
+            tokenDealer[tokenId],
+            leaseParams.earlyTerminationPenaltyBps
+        );
+        _returnToken(tokenId);
         
-        // Note: Current implementation does not refund deposit on termination (FR-028)
-        // Lessee forfeits deposit for early termination
-        // In v2.x, could add partial refund logic based on remaining lease term
+        // Penalty becomes dealer revenue
+        if (penalty > 0) {
+            totalDepositsHeld[leaseTerms[tokenId].paymentToken] -= penalty;
+            _recordRevenue(tokenId, penalty);
+        }
     }
     
     // ============================================
@@ -522,123 +1349,431 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
     
     /**
      * @notice Customer reclaims deposit when dealer fails to confirm
-     * @dev Can only be called after confirmation deadline passes and before dealer confirms (FR-021, FR-023)
+     * @dev Can only be called after confirmation deadline passes and before dealer confirms (FR-021, FR-023).
+     *      The deposit is credited to the lessee and collected via withdraw.
      * @param tokenId NFT ID to refund
      */
     function refundUnconfirmedDeposit(uint256 tokenId) external nonReentrant {
-        Lease storage lease = leases[tokenId];
+        // FR-021, FR-023, FR-026, FR-027: Validate and clear the application (see LeaseLogic.refundApplication)
+        uint256 refundAmount = LeaseLogic.refundApplication(leases, creditAttestations, _leaseStatus, tokenId);
+        totalDepositsHeld[leaseTerms[tokenId].paymentToken] -= refundAmount;
         
-        // FR-023: Validate lease exists but not confirmed
-        require(lease.exists, "Lease does not exist");
-        require(!lease.active, "Lease already confirmed");
+        // Credit refund (collected via withdraw)
+        _credit(tokenId, msg.sender, refundAmount);
+    }
+    
+    /**
+     * @notice Lessee reclaims deposit once the car is back
+     * @dev Available once the lease is completed or terminated, after the return
+     *      inspection: FINAL_READING_WINDOW for the dealer to record the return odometer
+     *      reading and file a damage claim, unless they have recorded the reading and
+     *      filed or waived the claim. Any excess-mileage charge is deducted and a filed
+     *      claim stays escrowed. The rest is credited to the lessee and collected via
+     *      withdraw. A deposit left unreclaimed can be released by anyone after that
+     *      window (CarLeaseModule.releaseDeposit).
+     * @param tokenId NFT ID of completed or terminated lease
+     */
+    function reclaimDeposit(uint256 tokenId) external nonReentrant {
+        // Validate and release the deposit, less any mileage charge (see LeaseLogic.releaseDeposit)
+        (uint256 depositAmount, uint256 mileageCharge) = LeaseLogic.releaseDeposit(
+            leases[tokenId],
+            _damageClaims[tokenId],
+            _mileageReadings[tokenId],
+            carData[tokenId],
+            leaseTerms[tokenId],
+            tokenId
+        );
+        totalDepositsHeld[leaseTerms[tokenId].paymentToken] -= depositAmount;
         
-        // FR-021: Check confirmation deadline has passed
-        require(block.timestamp > lease.confirmDeadline, "Confirmation deadline not passed");
+        if (mileageCharge > 0) {
+            _recordRevenue(tokenId, mileageCharge);
+        }
         
-        // Only lessee can claim refund
-        require(msg.sender == lease.lessee, "Only lessee can claim refund");
+        // Credit deposit back (collected via withdraw)
+        if (depositAmount > mileageCharge) {
+            _credit(tokenId, msg.sender, depositAmount - mileageCharge);
+        }
+    }
+    
+    /**
+     * @notice Dealer claims deposit after customer payment default
+     * @dev Can only be called after the lease's payment grace period expires (FR-024, FR-025, FR-027, FR-030).
+     *      The deposit is credited to the dealer and collected via withdraw.
+     * @param tokenId NFT ID to claim deposit from
+     */
+    function claimDeposit(uint256 tokenId) external onlyTokenDealer(tokenId) nonReentrant {
+        // FR-024, FR-025, FR-027, FR-030, FR-045: Validate default and end the lease (see LeaseLogic.claimDefault)
+        uint256 claimAmount = LeaseLogic.claimDefault(leases[tokenId], _leaseStatus, tokenId);
+        totalDepositsHeld[leaseTerms[tokenId].paymentToken] -= claimAmount;
+        _returnToken(tokenId);
         
-        // FR-026: Store deposit amount before clearing
-        uint256 refundAmount = lease.deposit;
-        require(refundAmount > 0, "No deposit to refund");
+        // Credit claimed deposit to the dealer (collected via withdraw)
+        _credit(tokenId, msg.sender, claimAmount);
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Buyout
+    // ============================================
+    
+    /**
+     * @notice Lessee buys the car and takes permanent ownership of the NFT
+     * @dev Allowed while the lease is active, or once it is completed until
+     *      FINAL_READING_WINDOW after the final payment and while the deposit is still
+     *      held (see getBuyoutQuote for the price). Any excess-mileage charge on the
+     *      latest reading is taken from the deposit first and the rest is applied to the
+     *      price; send what remains (msg.value for ETH leases, transferFrom for token
+     *      leases), and any deposit above the price is credited back (collected via
+     *      withdraw). The whole price and the mileage charge become dealer revenue.
+     * @param tokenId NFT ID to buy out
+     */
+    function buyout(uint256 tokenId) external payable nonReentrant {
+        // Validate, price, settle mileage and close out the lease (see LeaseLogic.buyout)
+        (uint256 price, uint256 deposit, uint256 mileageCharge) = LeaseLogic.buyout(
+            leases[tokenId],
+            leaseTerms[tokenId],
+            carData[tokenId],
+            _mileageReadings[tokenId],
+            _leaseStatus,
+            extensionOffers,
+            assignmentApprovals,
+            tokenId,
+            leaseParams.lateFeeBps
+        );
+        totalDepositsHeld[leaseTerms[tokenId].paymentToken] -= deposit;
+        uint256 credit = deposit - mileageCharge;
+        _collectPayment(tokenId, msg.sender, price > credit ? price - credit : 0, "Incorrect buyout amount");
+        _recordRevenue(tokenId, price + mileageCharge);
+        
+        // Ownership moves to the lessee for good (from the contract if the lease completed)
+        if (_ownerOf(tokenId) != msg.sender) {
+            _transfer(address(this), msg.sender, tokenId);
+        }
+        
+        if (credit > price) {
+            _credit(tokenId, msg.sender, credit - price);
+        }
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Lease Assignment
+    // ============================================
+    
+    /**
+     * @notice Dealer approves handing an active lease over to a new lessee
+     * @dev The current holder then completes the assignment with a standard
+     *      transferFrom/safeTransferFrom to newLessee. The deposit travels with the
+     *      lease; settling it between old and new lessee happens off-chain.
+     *      Pass address(0) to withdraw a pending approval.
+     * @param tokenId NFT ID of lease
+     * @param newLessee Address allowed to take over the lease
+     */
+    function approveAssignment(uint256 tokenId, address newLessee) external onlyTokenDealer(tokenId) {
+        LeaseLogic.approveAssignment(leases[tokenId], assignmentApprovals, tokenId, newLessee);
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Mileage Tracking
+    // ============================================
+    
+    /**
+     * @notice Records an odometer reading for a confirmed lease
+     * @dev Callable by the token's dealer or an authorized mileage oracle. The first reading is
+     *      the baseline; readings are accepted until the deposit is settled. Readings over
+     *      MAX_USAGE_PERCENT of mileageLimit are recorded and flagged (see LeaseLogic.recordMileage).
+     * @param tokenId NFT ID of leased car
+     * @param odometerKm Current odometer value in km (must not decrease)
+     */
+    function reportMileage(uint256 tokenId, uint256 odometerKm) external {
+        require(msg.sender == tokenDealer[tokenId] || mileageReporters[msg.sender], "Not a mileage reporter");
         
-        // FR-027: Clear lease state (mark as cancelled)
-        delete leases[tokenId];
+        LeaseLogic.recordMileage(leases[tokenId], _mileageReadings[tokenId], tokenId, odometerKm, carData[tokenId].mileageLimit);
+    }
+    
+    /**
+     * @notice Platform owner authorizes or revokes a mileage oracle
+     * @param reporter Oracle address
+     * @param authorized True to allow reporting readings
+     */
+    function setMileageReporter(address reporter, bool authorized) external onlyOwner {
+        require(reporter != address(0), "Invalid reporter");
         
-        // FR-046: Emit event
-        emit RefundUnconfirmed(tokenId, msg.sender, refundAmount);
+        mileageReporters[reporter] = authorized;
         
-        // Transfer refund (checks-effects-interactions pattern)
-        _sendEther(msg.sender, refundAmount);
+        emit MileageReporterUpdated(reporter, authorized);
     }
     
+    // ============================================
+    // PUBLIC FUNCTIONS - Payment Assets
+    // ============================================
+    
     /**
-     * @notice Dealer claims deposit after customer payment default
-     * @dev Can only be called after 45-day grace period expires (FR-024, FR-025, FR-027, FR-030)
-     * @param tokenId NFT ID to claim deposit from
+     * @notice Platform owner allow-lists or removes an ERC-20 payment token
+     * @dev Only affects new mints; existing leases keep paying in their token.
+     *      Only list standard tokens (no fee-on-transfer or rebasing balances),
+     *      since payments are booked at face value.
+     * @param token ERC-20 address
+     * @param allowed True to let dealers price lease options in it
      */
-    function claimDeposit(uint256 tokenId) external onlyOwner nonReentrant {
-        Lease storage lease = leases[tokenId];
+    function setPaymentTokenAllowed(address token, bool allowed) external onlyOwner {
+        require(token != address(0), "Invalid token");
         
-        // Validate lease exists and is active
-        require(lease.exists, "Lease does not exist");
-        require(lease.active, "Lease not active");
+        allowedPaymentTokens[token] = allowed;
         
-        // FR-024: Check 45-day grace period has passed since last payment
-        require(
-            block.timestamp > lease.lastPaymentTime + PAYMENT_GRACE,
-            "Payment grace period not expired"
+        emit PaymentTokenUpdated(token, allowed);
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Dealer Treasury
+    // ============================================
+    
+    /**
+     * @notice Dealer withdraws revenue collected on their own tokens
+     * @dev Only collected revenue can leave the contract this way; deposits held
+     *      for lessees are tracked separately in totalDepositsHeld and excluded.
+     *      Not role-gated, so suspended dealers can still withdraw what they earned.
+     * @param asset Payment asset to withdraw (address(0) = ETH)
+     * @param to Recipient of the withdrawn funds
+     * @param amount Amount to withdraw in wei or token units (must not exceed withdrawableBalance)
+     */
+    function withdrawRevenue(address asset, address payable to, uint256 amount) external nonReentrant {
+        // Check and book the withdrawal (see LeaseLogic.withdrawRevenue)
+        LeaseLogic.withdrawRevenue(
+            dealerRevenueCollected,
+            dealerRevenueWithdrawn,
+            totalRevenueWithdrawn,
+            totalDepositsHeld,
+            totalPendingWithdrawals,
+            asset,
+            to,
+            amount
         );
         
-        // FR-025: Customer must not be current on payments
-        // (implicitly satisfied if grace period expired, but double-check)
-        uint256 timeSinceStart = block.timestamp - lease.startTime;
-        uint256 expectedPayments = timeSinceStart / 30 days;
-        require(lease.paymentsMade < expectedPayments, "Payments are current");
+        // Transfer revenue (checks-effects-interactions pattern)
+        _sendFunds(asset, to, amount);
+    }
+    
+    /**
+     * @notice Withdraws refunds and proceeds credited to the caller
+     * @dev Pull side of the escrow (see _credit). Accounts that cannot receive
+     *      ETH themselves can direct the funds to another address.
+     * @param asset Payment asset to withdraw (address(0) = ETH)
+     * @param to Recipient of the funds
+     */
+    function withdraw(address asset, address payable to) external nonReentrant {
+        // Clear the credit first (see LeaseLogic.releaseCredit)
+        uint256 amount = LeaseLogic.releaseCredit(_pendingWithdrawals, totalPendingWithdrawals, asset, to);
         
-        // FR-027: Store deposit amount before clearing
-        uint256 claimAmount = lease.deposit;
-        require(claimAmount > 0, "No deposit to claim");
+        // Transfer credit (checks-effects-interactions pattern)
+        _sendFunds(asset, to, amount);
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Dealer Administration
+    // ============================================
+    
+    /**
+     * @notice Platform owner onboards a dealer (or reinstates a suspended one)
+     * @dev Grants DEALER_ROLE; emits AccessControl's RoleGranted
+     * @param dealer Dealer address
+     */
+    function onboardDealer(address dealer) external onlyOwner {
+        require(dealer != address(0), "Invalid dealer");
+        require(_grantRole(DEALER_ROLE, dealer), "Already a dealer");
+    }
+    
+    /**
+     * @notice Platform owner suspends a dealer
+     * @dev Revokes DEALER_ROLE: the dealer can no longer mint or confirm leases,
+     *      but can still service existing leases and withdraw their revenue.
+     *      Emits AccessControl's RoleRevoked.
+     * @param dealer Dealer address
+     */
+    function suspendDealer(address dealer) external onlyOwner {
+        require(_revokeRole(DEALER_ROLE, dealer), "Not a dealer");
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Lease Parameters & Pause
+    // ============================================
+    
+    /**
+     * @notice Platform owner proposes new timing, deposit and fee parameters
+     * @dev Applied with applyLeaseParams once PARAMS_TIMELOCK has passed, so customers
+     *      see a change coming (LeaseParamsProposed). Replaces any pending proposal.
+     *      Existing commitments and leases keep the values they started with.
+     *      On a proxy upgraded from a version without lease parameters the first
+     *      proposal applies immediately (scripts/upgrade.js sends the defaults).
+     * @param params Reveal window, confirm window, payment period, payment grace, deposit
+     *        multiplier, late fee and early termination penalty, within the bounds
+     *        checked by LeaseLogic.proposeParams
+     */
+    function proposeLeaseParams(LeaseParams calldata params) external onlyOwner {
+        LeaseLogic.proposeParams(leaseParams, pendingLeaseParams, params);
+    }
+    
+    /**
+     * @notice Platform owner applies the pending lease parameters after the timelock
+     * @dev Used for commitments and reveals from now on (LeaseParamsUpdated)
+     */
+    function applyLeaseParams() external onlyOwner {
+        LeaseLogic.applyParams(leaseParams, pendingLeaseParams);
+    }
+    
+    /**
+     * @notice Platform owner withdraws the pending lease parameter proposal
+     */
+    function cancelLeaseParams() external onlyOwner {
+        LeaseLogic.cancelParams(pendingLeaseParams);
+    }
+    
+    /**
+     * @notice Platform owner freezes minting, commitments and reveals
+     * @dev Emergency switch, effective immediately. Everything that services existing
+     *      leases (confirmations, payments, refunds, settlement, withdrawals) stays open.
+     */
+    function pause() external onlyOwner {
+        require(!paused, "Already paused");
         
-        // FR-030: Mark lease as terminated
-        lease.active = false;
-        lease.deposit = 0;
+        paused = true;
         
-        // FR-045: Emit event
-        emit DepositClaimed(tokenId, owner(), claimAmount);
+        emit Paused(msg.sender);
+    }
+    
+    /**
+     * @notice Platform owner lifts the pause
+     */
+    function unpause() external onlyOwner {
+        require(paused, "Not paused");
+        
+        paused = false;
         
-        // Transfer deposit to dealer (checks-effects-interactions pattern)
-        _sendEther(owner(), claimAmount);
+        emit Unpaused(msg.sender);
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Upgrades
+    // ============================================
+    
+    /**
+     * @notice Restricts UUPS upgrades (upgradeToAndCall) to the platform owner
+     * @dev Only reachable through a proxy; direct deployments cannot be upgraded
+     * @param newImplementation Address of the new CarLease implementation
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Module
+    // ============================================
+    
+    /**
+     * @notice Runs any call CarLease does not implement in CarLeaseModule
+     * @dev DELEGATECALL, so the module acts on this contract's storage, balance and
+     *      msg.sender/msg.value; its return data and revert reasons are passed through.
+     *      Calls matching no module function (including plain ETH transfers) revert.
+     */
+    fallback() external payable {
+        bytes memory result = Address.functionDelegateCall(module, msg.data);
+        assembly ("memory-safe") {
+            return(add(result, 32), mload(result))
+        }
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Lease Extension
+    // ============================================
+    
+    /**
+     * @notice Dealer offers the lessee an extension of an active lease
+     * @dev Extensions require dealer approval: the lessee can only accept an
+     *      offer made here, and only before it expires (FR-031).
+     *      A new offer replaces any previous one for the same token
+     *      (see LeaseLogic.offerExtension).
+     * @param tokenId NFT ID to extend
+     * @param additionalMonths Months to add (1..MAX_EXTENSION_MONTHS)
+     * @param newMonthlyPayment Monthly payment for all remaining months, within
+     *        MAX_PAYMENT_CHANGE_BPS of the current payment
+     */
+    function offerExtension(
+        uint256 tokenId,
+        uint256 additionalMonths,
+        uint256 newMonthlyPayment
+    ) external onlyTokenDealer(tokenId) {
+        LeaseLogic.offerExtension(
+            leases[tokenId],
+            extensionOffers[tokenId],
+            tokenId,
+            additionalMonths,
+            newMonthlyPayment
+        );
     }
     
     /**
-     * @notice Customer extends active lease for additional months (v2.x Feature)
-     * @dev Reserved for future implementation - currently reverts (FR-031, FR-032, FR-033)
+     * @notice Customer accepts the dealer's extension offer and pays the top-up deposit
+     * @dev Arguments must match the pending offer exactly (FR-031, FR-032, FR-033).
+     *      The deposit is topped up to the lease's depositMultiplier times the new
+     *      monthly payment; if the new payment is lower, the existing deposit is kept
+     *      (no partial refund) and returned in full when the lease completes. Token leases pull the
+     *      top-up with transferFrom. Validation lives in LeaseLogic.acceptExtension.
      * @param tokenId NFT ID to extend
      * @param additionalMonths Number of months to add to lease
-     * @param newMonthlyPayment New monthly payment amount (can be adjusted)
-     * 
-     * Future Implementation Plan (v2.x):
-     * - Validate lease is active and caller is lessee (FR-037)
-     * - Calculate required additional deposit: newMonthlyPayment * 3 (FR-032)
-     * - Validate msg.value matches additional deposit
-     * - Update lease.durationMonths += additionalMonths (FR-033)
-     * - Update lease.monthlyPayment = newMonthlyPayment (FR-033)
-     * - Update lease.deposit += msg.value
-     * - Emit LeaseExtended event (FR-047)
-     * - Protected with nonReentrant modifier (FR-034, FR-035)
-     * 
-     * Design Considerations:
-     * - Should extension be allowed at any time or only near end?
-     * - Should there be limits on additionalMonths?
-     * - Should monthly payment changes have min/max bounds?
-     * - How to handle deposit refund timing with extensions?
+     * @param newMonthlyPayment New monthly payment amount
      */
     function extendLease(
         uint256 tokenId,
         uint256 additionalMonths,
         uint256 newMonthlyPayment
     ) external payable nonReentrant {
-        // Placeholder for v2.x implementation
-        revert("Not implemented - reserved for v2.x");
+        // FR-031 to FR-033, FR-037, FR-047: Validate offer and apply new terms
+        uint256 additionalDeposit = LeaseLogic.acceptExtension(
+            leases[tokenId],
+            extensionOffers,
+            tokenId,
+            additionalMonths,
+            newMonthlyPayment
+        );
         
-        // Future implementation would include:
-        // Lease storage lease = leases[tokenId];
-        // require(lease.exists, "Lease does not exist");
-        // require(lease.active, "Lease not active");
-        // require(msg.sender == lease.lessee, "Only lessee can extend");
-        // uint256 additionalDeposit = newMonthlyPayment * 3;
-        // require(msg.value == additionalDeposit, "Incorrect additional deposit");
-        // lease.durationMonths += uint16(additionalMonths);
-        // lease.monthlyPayment = newMonthlyPayment;
-        // lease.deposit += additionalDeposit;
-        // emit LeaseExtended(tokenId, msg.sender, additionalMonths, newMonthlyPayment, additionalDeposit);
+        _collectPayment(tokenId, msg.sender, additionalDeposit, "Incorrect additional deposit");
+        totalDepositsHeld[leaseTerms[tokenId].paymentToken] += additionalDeposit;
     }
     
     // ============================================
     // VIEW FUNCTIONS
     // ============================================
     
+    /**
+     * @notice Returns fully on-chain metadata for a lease option NFT
+     * @dev Base64 JSON data URI with car details, live lease status and an SVG
+     *      card image, rendered by the linked LeaseMetadata library
+     * @param tokenId NFT ID to query
+     * @return data:application/json;base64 URI
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        return LeaseMetadata.tokenURI(
+            tokenId,
+            carData[tokenId],
+            leases[tokenId],
+            uint8(getLeaseStatus(tokenId)),
+            leaseTerms[tokenId].paymentToken
+        );
+    }
+    
+    /**
+     * @notice ERC721 collection name
+     * @dev Constant rather than ERC721's storage, which a proxy never initializes
+     */
+    function name() public pure override returns (string memory) {
+        return "CarLeaseOption";
+    }
+    
+    /**
+     * @notice ERC721 collection symbol
+     * @dev Constant rather than ERC721's storage, which a proxy never initializes
+     */
+    function symbol() public pure override returns (string memory) {
+        return "CLO";
+    }
+    
     /**
      * @notice Gets car metadata for an NFT
      * @param tokenId NFT ID to query
@@ -649,6 +1784,25 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
         return carData[tokenId];
     }
     
+    /**
+     * @notice Gets the dealer-offered lease terms for an NFT
+     * @param tokenId NFT ID to query
+     * @return LeaseTerms struct with monthly payment, duration, excess-mileage rate and payment token
+     */
+    function getLeaseTerms(uint256 tokenId) external view returns (LeaseTerms memory) {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        return leaseTerms[tokenId];
+    }
+    
+    /**
+     * @notice Gets pending extension offer for an NFT
+     * @param tokenId NFT ID to query
+     * @return ExtensionOffer struct (expiresAt == 0 if none)
+     */
+    function getExtensionOffer(uint256 tokenId) external view returns (ExtensionOffer memory) {
+        return extensionOffers[tokenId];
+    }
+    
     /**
      * @notice Gets lease information for an NFT
      * @param tokenId NFT ID to query
@@ -667,24 +1821,180 @@ contract CarLease is ERC721, Ownable, ReentrancyGuard {
         return commits[tokenId];
     }
     
+    /**
+     * @notice Gets odometer reading history for the current lease
+     * @param tokenId NFT ID to query
+     * @return Array of MileageReading structs, oldest first
+     */
+    function getMileageReadings(uint256 tokenId) external view returns (MileageReading[] memory) {
+        return _mileageReadings[tokenId];
+    }
+    
+    /**
+     * @notice Gets excess mileage and its charge based on readings so far
+     * @dev Uncapped; the deducted amount is limited by the deposit at settlement
+     * @param tokenId NFT ID to query
+     * @return excessKm Distance driven over mileageLimit
+     * @return charge Excess-mileage charge in wei
+     */
+    function getExcessMileageCharge(uint256 tokenId) external view returns (uint256 excessKm, uint256 charge) {
+        return LeaseLogic.excessMileage(
+            _mileageReadings[tokenId],
+            carData[tokenId].mileageLimit,
+            leaseTerms[tokenId].excessMileageRateWei
+        );
+    }
+    
+    /**
+     * @notice Gets number of lease option NFTs minted so far
+     * @dev Token IDs are sequential starting at 1, so valid IDs are 1..totalMinted()
+     * @return Count of minted tokens
+     */
+    function totalMinted() external view returns (uint256) {
+        return _nextTokenId - 1;
+    }
+    
+    /**
+     * @notice Gets collected revenue in one asset not yet withdrawn by a dealer
+     * @dev Capped by the asset balance minus held deposits and credited funds as a safety net
+     * @param dealer Dealer address to query
+     * @param asset Payment asset (address(0) = ETH)
+     * @return Amount the dealer can withdraw right now
+     */
+    function withdrawableBalance(address dealer, address asset) public view returns (uint256) {
+        return LeaseLogic.capToFreeBalance(
+            totalDepositsHeld,
+            totalPendingWithdrawals,
+            asset,
+            dealerRevenueCollected[dealer][asset] - dealerRevenueWithdrawn[dealer][asset]
+        );
+    }
+    
+    /**
+     * @notice Gets refunds and proceeds credited to an account awaiting withdraw()
+     * @param account Lessee or dealer address
+     * @param asset Payment asset (address(0) = ETH)
+     * @return Amount in wei (or token units)
+     */
+    function pendingWithdrawal(address account, address asset) external view returns (uint256) {
+        return _pendingWithdrawals[account][asset];
+    }
+    
+    /**
+     * @notice Gets contract-wide treasury breakdown for one payment asset
+     * @param asset Payment asset (address(0) = ETH)
+     * @return collected Total revenue ever collected across all dealers
+     * @return depositsHeld Deposits currently held for lessees
+     * @return withdrawable Revenue all dealers together can withdraw right now
+     */
+    function getTreasurySummary(address asset) external view returns (
+        uint256 collected,
+        uint256 depositsHeld,
+        uint256 withdrawable
+    ) {
+        return (
+            totalRevenueCollected[asset],
+            totalDepositsHeld[asset],
+            LeaseLogic.capToFreeBalance(
+                totalDepositsHeld,
+                totalPendingWithdrawals,
+                asset,
+                totalRevenueCollected[asset] - totalRevenueWithdrawn[asset]
+            )
+        );
+    }
+    
+    /**
+     * @notice Gets the lifecycle status of a lease option
+     * @dev A commitment past its reveal deadline reports Available even before
+     *      expireCommit or the next commit clears it
+     * @param tokenId NFT ID to check
+     * @return Current LeaseStatus
+     */
+    function getLeaseStatus(uint256 tokenId) public view returns (LeaseStatus) {
+        _requireOwned(tokenId);
+        
+        LeaseStatus status = _leaseStatus[tokenId];
+        if (status == LeaseStatus.Committed && block.timestamp > commits[tokenId].deadline) {
+            return LeaseStatus.Available;
+        }
+        return status;
+    }
+    
     /**
      * @notice Checks if lessee's payments are current
      * @param tokenId NFT ID to check
      * @return True if payments are up to date within grace period
      */
     function isPaymentCurrent(uint256 tokenId) external view returns (bool) {
-        Lease memory lease = leases[tokenId];
+        Lease storage lease = leases[tokenId];
         
         if (!lease.active) return false;
         
-        uint256 timeSinceStart = block.timestamp - lease.startTime;
-        uint256 expectedPayments = timeSinceStart / 30 days;
-        
         // Allow grace period for payment
-        if (lease.paymentsMade >= expectedPayments) return true;
-        if (block.timestamp <= lease.lastPaymentTime + PAYMENT_GRACE) return true;
-        
-        return false;
+        return !LeaseLogic.isInDefault(lease);
+    }
+    
+    /**
+     * @notice Gets what the lessee owes right now
+     * @dev Covers every payment whose due date has passed (startTime + n * the
+     *      lease's paymentPeriod); pay it with makeMonthlyPayment(tokenId, payments due).
+     *      Prepaying further months costs principal only (see LeaseLogic.amountDue).
+     * @param tokenId NFT ID to check
+     * @return principal Monthly payments currently due in wei (or token units)
+     * @return fees Late fees on the overdue ones
+     * @return nextDueDate Due date of the next unpaid payment (0 if lease not active)
+     */
+    function getAmountDue(uint256 tokenId) external view returns (
+        uint256 principal,
+        uint256 fees,
+        uint64 nextDueDate
+    ) {
+        return LeaseLogic.amountDue(leases[tokenId], leaseParams.lateFeeBps);
+    }
+    
+    /**
+     * @notice Previews deposit settlement if the lessee terminated now
+     * @param tokenId NFT ID to check
+     * @return penalty Early termination penalty retained by dealer in wei
+     * @return refund Amount returned to lessee in wei (after any mileage charge)
+     */
+    function getTerminationQuote(uint256 tokenId) external view returns (uint256 penalty, uint256 refund) {
+        return LeaseLogic.terminationQuote(
+            leases[tokenId],
+            _mileageReadings[tokenId],
+            carData[tokenId],
+            leaseTerms[tokenId],
+            leaseParams.earlyTerminationPenaltyBps
+        );
+    }
+    
+    /**
+     * @notice Prices buying the car out now
+     * @dev With a residualValue set at mint: the remaining monthly payments plus the
+     *      residual value. Without one (ETH leases only): originalValueWei less the
+     *      payments made, floored at zero. Late fees on overdue payments are added
+     *      in both cases. Reverts unless the lease is active, or completed with its
+     *      deposit held and FINAL_READING_WINDOW not yet passed.
+     * @param tokenId NFT ID to check
+     * @return price Buyout price in wei (or token units)
+     * @return depositCredit Deposit applied against the price, after any excess-mileage charge
+     * @return amountDue What buyout() must be paid (price less depositCredit)
+     */
+    function getBuyoutQuote(uint256 tokenId) external view returns (
+        uint256 price,
+        uint256 depositCredit,
+        uint256 amountDue
+    ) {
+        return LeaseLogic.buyoutQuote(
+            leases[tokenId],
+            leaseTerms[tokenId],
+            carData[tokenId],
+            _mileageReadings[tokenId],
+            _leaseStatus,
+            tokenId,
+            leaseParams.lateFeeBps
+        );
     }
     
     /**
@@ -0,0 +1,361 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./CarLease.sol";
+import "./LeaseLogic.sol";
+
+/**
+ * @title CarLeaseBase
+ * @notice Storage, modifiers and internal helpers shared by CarLease and CarLeaseModule
+ * @dev CarLease is close to the EVM contract size limit, so newer entry points live in
+ *      CarLeaseModule, which CarLease's fallback runs via DELEGATECALL. Both contracts
+ *      inherit this one, so the module reads and writes CarLease storage (the proxy's,
+ *      when deployed behind one) through the same layout. Data types, constants and
+ *      events stay declared in CarLease. New storage variables must only be appended
+ *      here (scripts/check-storage-layout.js).
+ */
+abstract contract CarLeaseBase is ERC721, Ownable, AccessControl, ReentrancyGuard, Initializable {
+    using SafeERC20 for IERC20;
+    
+    // ============================================
+    // STORAGE
+    // ============================================
+    
+    /// @notice Maps tokenId to car metadata
+    mapping(uint256 => CarLease.CarMetadata) public carData;
+    
+    /// @notice Maps tokenId to dealer-offered lease terms
+    mapping(uint256 => CarLease.LeaseTerms) public leaseTerms;
+    
+    /// @notice Maps tokenId to lease state
+    mapping(uint256 => CarLease.Lease) public leases;
+    
+    /// @notice Maps tokenId to active commitment
+    mapping(uint256 => CarLease.Commit) public commits;
+    
+    /// @notice Maps tokenId to pending dealer extension offer
+    mapping(uint256 => CarLease.ExtensionOffer) public extensionOffers;
+    
+    /// @notice Maps tokenId to odometer reading history for the current lease
+    mapping(uint256 => CarLease.MileageReading[]) internal _mileageReadings;
+    
+    /// @notice Maps tokenId to lifecycle status (read via getLeaseStatus)
+    mapping(uint256 => CarLease.LeaseStatus) internal _leaseStatus;
+    
+    /// @notice Oracle addresses (besides each token's dealer) allowed to report odometer readings
+    mapping(address => bool) public mileageReporters;
+    
+    /// @notice Maps tokenId to credit attestation for the pending lease application
+    mapping(uint256 => CarLease.CreditAttestation) public creditAttestations;
+    
+    /// @notice Off-chain credit bureaus allowed to sign credit attestations
+    mapping(address => bool) public creditAttestors;
+    
+    /// @notice Maps dealer to minimum attested credit factor required to confirm (0 = no check)
+    mapping(address => uint32) public minCreditFactor;
+    
+    /// @notice Maps tokenId to dealer-approved new lessee for a lease assignment
+    mapping(uint256 => address) public assignmentApprovals;
+    
+    /// @notice Maps tokenId to the dealer that minted it
+    mapping(uint256 => address) public tokenDealer;
+    
+    /// @notice Auto-increment token ID counter
+    uint256 internal _nextTokenId;
+    
+    /// @notice Maps tokenId to total monthly payments collected for that lease
+    mapping(uint256 => uint256) public revenueCollected;
+    
+    /// @notice Maps payment asset to total revenue collected across all leases
+    mapping(address => uint256) public totalRevenueCollected;
+    
+    /// @notice Maps payment asset to collected revenue already withdrawn by dealers
+    mapping(address => uint256) public totalRevenueWithdrawn;
+    
+    /// @notice Maps dealer => payment asset to total revenue collected on their tokens
+    mapping(address => mapping(address => uint256)) public dealerRevenueCollected;
+    
+    /// @notice Maps dealer => payment asset to revenue they have already withdrawn
+    mapping(address => mapping(address => uint256)) public dealerRevenueWithdrawn;
+    
+    /// @notice Maps payment asset to customer deposits held in escrow (never withdrawable by dealer)
+    mapping(address => uint256) public totalDepositsHeld;
+    
+    /// @notice Maps account => payment asset to refunds and proceeds awaiting withdraw()
+    mapping(address => mapping(address => uint256)) internal _pendingWithdrawals;
+    
+    /// @notice Maps payment asset to total credited to accounts but not yet withdrawn
+    mapping(address => uint256) public totalPendingWithdrawals;
+    
+    /// @notice ERC-20 tokens dealers may price new lease options in
+    mapping(address => bool) public allowedPaymentTokens;
+    
+    /// @notice Early exit penalty rate of implementations before it moved into leaseParams;
+    ///         kept for the storage layout, cleared by CarLeaseModule.migrateLeaseRates
+    uint256 internal earlyTerminationPenaltyBps;
+    
+    /// @notice Late fee rate of implementations before it moved into leaseParams;
+    ///         kept for the storage layout, cleared by CarLeaseModule.migrateLeaseRates
+    uint256 internal lateFeeBps;
+    
+    /// @notice Timing and deposit parameters for new commitments and reveals
+    CarLease.LeaseParams public leaseParams;
+    
+    /// @notice Proposed lease parameters and when they can be applied
+    CarLease.PendingLeaseParams public pendingLeaseParams;
+    
+    /// @notice True while minting, commitments and reveals are frozen
+    bool public paused;
+    
+    /// @notice Maps customer to the nonce their next signed (relayed) action must carry (read via nonces)
+    mapping(address => uint256) internal _nonces;
+    
+    /// @notice Maps dealer => offer nonce to true once the offer is accepted or cancelled (read via offerNonceUsed)
+    mapping(address => mapping(uint256 => bool)) internal _offerNonceUsed;
+    
+    /// @notice Maps tokenId to the damage claim against the current lease's deposit (read via getDamageClaim)
+    mapping(uint256 => CarLease.DamageClaim) internal _damageClaims;
+    
+    /// @notice Account that resolves disputed damage claims (read via damageArbiter)
+    address internal _damageArbiter;
+    
+    // ============================================
+    // CONSTANTS
+    // ============================================
+    
+    /// @notice Role held by onboarded dealers (mint and confirm leases)
+    bytes32 public constant DEALER_ROLE = keccak256("DEALER_ROLE");
+    
+    // ============================================
+    // MODIFIERS
+    // ============================================
+    
+    /**
+     * @notice Restricts a lease operation to the dealer that minted the token
+     * @dev Deliberately not tied to DEALER_ROLE: a suspended dealer can still
+     *      service (terminate, claim, report mileage on) leases they already issued
+     * @param tokenId NFT ID being operated on
+     */
+    modifier onlyTokenDealer(uint256 tokenId) {
+        _checkTokenDealer(tokenId);
+        _;
+    }
+    
+    /**
+     * @notice Blocks minting, commitments and reveals while the platform is paused
+     * @dev Payments, refunds, settlement and withdrawals stay open, so a pause never
+     *      pushes a lessee into default or locks anyone's funds
+     */
+    modifier whenNotPaused() {
+        require(!paused, "Paused");
+        _;
+    }
+    
+    // ============================================
+    // INTERNAL HELPERS
+    // ============================================
+    
+    /**
+     * @notice Reverts unless msg.sender is the dealer that minted the token
+     * @dev Body of onlyTokenDealer, kept out of line so the check is not
+     *      duplicated into every function using the modifier
+     * @param tokenId NFT ID being operated on
+     */
+    function _checkTokenDealer(uint256 tokenId) internal view {
+        require(msg.sender == tokenDealer[tokenId], "Not the token's dealer");
+    }
+    
+    /**
+     * @notice Customer a commit, reveal or monthly payment is made for
+     * @dev msg.sender, except when executeBySig calls back into this contract: it appends
+     *      the account whose signature it verified to the calldata, which is read back
+     *      here (as in ERC-2771). CarLease makes no other calls to itself.
+     * @return Account acting as the customer
+     */
+    function _customer() internal view returns (address) {
+        if (msg.sender == address(this)) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+    
+    /**
+     * @notice Processes ETH transfer to recipient with error handling
+     * @dev Follows checks-effects-interactions pattern
+     * @param recipient Address to send ETH
+     * @param amount Amount in wei
+     */
+    function _sendEther(address recipient, uint256 amount) internal {
+        (bool success, ) = recipient.call{value: amount}("");
+        require(success, "ETH transfer failed");
+    }
+    
+    /**
+     * @notice Sends an amount of a payment asset to recipient
+     * @param asset ERC-20 address, or address(0) for ETH
+     * @param recipient Address to pay
+     * @param amount Amount in wei (or token units)
+     */
+    function _sendFunds(address asset, address recipient, uint256 amount) internal {
+        if (asset == address(0)) {
+            _sendEther(recipient, amount);
+        } else {
+            IERC20(asset).safeTransfer(recipient, amount);
+        }
+    }
+    
+    /**
+     * @notice Credits a refund or proceeds to an account instead of sending them
+     * @dev Pull-payment escrow: lease flows never transfer funds out directly, so a
+     *      recipient that rejects ETH (or a token that blocks it) cannot make a
+     *      refund or claim revert. The account collects later with withdraw().
+     * @param tokenId NFT ID whose payment asset is credited
+     * @param account Address entitled to the funds
+     * @param amount Amount in wei (or token units)
+     */
+    function _credit(uint256 tokenId, address account, uint256 amount) internal {
+        address asset = leaseTerms[tokenId].paymentToken;
+        _pendingWithdrawals[account][asset] += amount;
+        totalPendingWithdrawals[asset] += amount;
+        
+        emit CarLease.FundsCredited(account, asset, amount);
+    }
+    
+    /**
+     * @notice Takes an exact payment in a token's payment asset
+     * @dev ETH leases require msg.value == amount, sent by the caller (a relayer pays
+     *      for the account it relays for). Token leases reject ETH and pull the amount
+     *      from payer with transferFrom (prior approve or permit required).
+     * @param tokenId NFT ID whose payment asset is used
+     * @param payer Account the tokens are pulled from
+     * @param amount Amount due in wei (or token units)
+     * @param incorrectAmountError Revert reason when msg.value does not match
+     */
+    function _collectPayment(uint256 tokenId, address payer, uint256 amount, string memory incorrectAmountError) internal {
+        address asset = leaseTerms[tokenId].paymentToken;
+        if (asset == address(0)) {
+            require(msg.value == amount, incorrectAmountError);
+        } else {
+            require(msg.value == 0, "ETH not accepted for token lease");
+            IERC20(asset).safeTransferFrom(payer, address(this), amount);
+        }
+    }
+    
+    /**
+     * @notice Applies an EIP-2612 permit for a token lease payment
+     * @dev Failure is ignored so a front-run permit does not block the payment;
+     *      the subsequent transferFrom still needs sufficient allowance.
+     * @param tokenId NFT ID whose payment token is approved
+     * @param amount Allowance to grant this contract
+     * @param deadline Permit expiry timestamp
+     * @param v Signature v
+     * @param r Signature r
+     * @param s Signature s
+     */
+    function _permit(
+        uint256 tokenId,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        address asset = leaseTerms[tokenId].paymentToken;
+        require(asset != address(0), "Not a token lease");
+        
+        try IERC20Permit(asset).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+    }
+    
+    /**
+     * @notice Credits an amount to dealer revenue for a token
+     * @dev Booked in the token's payment asset
+     * @param tokenId NFT ID the revenue belongs to
+     * @param amount Amount in wei (or token units)
+     */
+    function _recordRevenue(uint256 tokenId, uint256 amount) internal {
+        address asset = leaseTerms[tokenId].paymentToken;
+        revenueCollected[tokenId] += amount;
+        totalRevenueCollected[asset] += amount;
+        dealerRevenueCollected[tokenDealer[tokenId]][asset] += amount;
+    }
+    
+    /**
+     * @notice Moves a lease NFT back into contract custody
+     * @dev Called when a lease completes, is terminated or defaults. Clears any
+     *      pending assignment approval.
+     * @param tokenId NFT ID to return
+     */
+    function _returnToken(uint256 tokenId) internal {
+        address holder = _ownerOf(tokenId);
+        if (holder != address(this)) {
+            _transfer(holder, address(this), tokenId);
+        }
+        delete assignmentApprovals[tokenId];
+    }
+    
+    /**
+     * @notice Restricts user-initiated NFT transfers to dealer-approved assignments
+     * @dev Contract-driven moves (mint, confirm, return) go through _mint/_transfer,
+     *      which pass auth = address(0) and skip the check. A transferFrom by the
+     *      holder or an approved operator must target the address the dealer approved,
+     *      and hands the lease (lessee, payment duties, deposit) to that address.
+     *      Bought-out NFTs belong to their holder and transfer without restriction.
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        if (auth != address(0) && _leaseStatus[tokenId] != CarLease.LeaseStatus.BoughtOut) {
+            LeaseLogic.assign(leases[tokenId], assignmentApprovals, extensionOffers, tokenId, to);
+        }
+        
+        return super._update(to, tokenId, auth);
+    }
+    
+    /**
+     * @notice Validates that token exists and is owned by contract
+     * @dev Used to ensure NFT control before lease operations
+     * @param tokenId Token ID to validate
+     */
+    function _validateContractOwnsToken(uint256 tokenId) internal view {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        require(ownerOf(tokenId) == address(this), "Contract must own token");
+    }
+    
+    /**
+     * @notice Shared mint logic for mintOption, mintOptionsBatch and acceptOffer
+     * @param dealer Dealer recorded for the token
+     * @param car Car metadata to store
+     * @param terms Lease terms to offer
+     * @return tokenId The newly minted token ID
+     */
+    function _mintOption(
+        address dealer,
+        CarLease.CarMetadata memory car,
+        CarLease.LeaseTerms memory terms
+    ) internal whenNotPaused returns (uint256 tokenId) {
+        tokenId = _nextTokenId++;
+        
+        // FR-003: Mint to contract address (not dealer)
+        // Use _mint instead of _safeMint because contract doesn't need IERC721Receiver
+        _mint(address(this), tokenId);
+        tokenDealer[tokenId] = dealer;
+        
+        // FR-001: Validate and store metadata and offered terms (see LeaseLogic.createOption)
+        LeaseLogic.createOption(carData[tokenId], leaseTerms[tokenId], allowedPaymentTokens, tokenId, car, terms);
+    }
+    
+    /**
+     * @notice Reports supported interfaces (ERC721 and AccessControl)
+     * @param interfaceId Interface identifier
+     * @return True if supported
+     */
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, AccessControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
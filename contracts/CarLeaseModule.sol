@@ -0,0 +1,336 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./CarLeaseBase.sol";
+import "./LeaseLogic.sol";
+import "./LeaseSignatures.sol";
+
+/**
+ * @title CarLeaseModule
+ * @notice CarLease entry points that no longer fit in the CarLease contract itself
+ * @dev Only ever runs via DELEGATECALL from CarLease's fallback, so it acts on CarLease
+ *      storage (shared through CarLeaseBase), balance and callers. Declares no storage
+ *      of its own. Call it at the CarLease (or proxy) address with this contract's ABI.
+ *      Holds dealer-signed EIP-712 lease offers and relayed (signed) customer actions,
+ *      whose signatures are checked by the linked LeaseSignatures library,
+ *      return-inspection damage claims, the release of unreclaimed deposits and
+ *      the migration of upgraded proxies' fee rates.
+ */
+contract CarLeaseModule is CarLeaseBase {
+    // ============================================
+    // CONSTANTS
+    // ============================================
+    
+    /// @notice Time the lessee has to accept or dispute a damage claim (7 days)
+    uint64 public constant DAMAGE_DISPUTE_WINDOW = LeaseLogic.DAMAGE_DISPUTE_WINDOW;
+    
+    // ============================================
+    // CONSTRUCTOR
+    // ============================================
+    
+    /**
+     * @notice Deploys the module for a CarLease constructor to point at
+     * @dev Its own storage is never used; initializers are disabled like CarLease's
+     */
+    constructor()
+        ERC721("CarLeaseOption", "CLO")
+        Ownable(msg.sender)
+    {
+        _disableInitializers();
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Signed Offers
+    // ============================================
+    
+    /**
+     * @notice Customer accepts a dealer-signed lease offer and pays the deposit
+     * @dev Replaces mintOption, commit, reveal and confirmLease with one transaction:
+     *      mints the offered option for the signing dealer, opens an Active lease for
+     *      msg.sender under the current leaseParams and hands them the NFT.
+     *      The dealer must still hold DEALER_ROLE. Offers from a dealer with a
+     *      minCreditFactor must name the lessee (see LeaseSignatures.useOffer).
+     *      Token leases pull the deposit with transferFrom, so approve it first.
+     * @param offer Offer as signed by the dealer (see scripts/lib/signatures.js)
+     * @param signature Dealer's EIP-712 LeaseOffer signature
+     * @return tokenId The newly minted token ID
+     */
+    function acceptOffer(
+        CarLease.LeaseOffer calldata offer,
+        bytes calldata signature
+    ) external payable nonReentrant returns (uint256 tokenId) {
+        _checkRole(DEALER_ROLE, offer.dealer);
+        
+        tokenId = _mintOption(offer.dealer, offer.car, offer.terms);
+        LeaseSignatures.useOffer(_offerNonceUsed, offer, signature, tokenId, minCreditFactor[offer.dealer] > 0);
+        
+        // The signature stands in for reveal and confirmation (see LeaseLogic.openSignedLease)
+        uint256 deposit = LeaseLogic.openSignedLease(
+            leases[tokenId],
+            leaseTerms[tokenId],
+            leaseParams,
+            _leaseStatus,
+            tokenId,
+            msg.sender
+        );
+        
+        // FR-013: Collect deposit; it is escrowed, not revenue
+        _collectPayment(tokenId, msg.sender, deposit, "Incorrect deposit");
+        totalDepositsHeld[offer.terms.paymentToken] += deposit;
+        
+        // NFT moves into the lessee's wallet for the life of the lease
+        _transfer(address(this), msg.sender, tokenId);
+    }
+    
+    /**
+     * @notice Dealer voids a signed lease offer that has not been accepted
+     * @param nonce Nonce of the offer
+     */
+    function cancelOffer(uint256 nonce) external {
+        LeaseSignatures.cancelOffer(_offerNonceUsed, nonce);
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Relayed Actions
+    // ============================================
+    
+    /**
+     * @notice Performs a customer's commitToLease, revealAndPay or makeMonthlyPayment
+     *         that they signed off-chain, so a relayer can pay the gas
+     * @dev `action` is the calldata of the direct call. The customer signs it as EIP-712
+     *      typed data (CommitToLease, RevealAndPay or MakeMonthlyPayment) together with
+     *      their current nonce, which is spent here; see LeaseSignatures.useActionSignature
+     *      and scripts/lib/signatures.js. The action is then sent to this contract with
+     *      account appended to the calldata, so it runs exactly as if account had sent it
+     *      (see CarLeaseBase._customer). ETH leases: the submitter sends the deposit or
+     *      payment as msg.value. Token leases: the amount is pulled from account, which
+     *      must have approved CarLease (a relayer can submit the account's EIP-2612
+     *      permit to the token first).
+     * @param account Customer the action is performed for
+     * @param action ABI-encoded commitToLease, revealAndPay or makeMonthlyPayment call
+     * @param deadline Signature expiry timestamp
+     * @param signature Account's EIP-712 signature over the action
+     */
+    function executeBySig(
+        address account,
+        bytes calldata action,
+        uint64 deadline,
+        bytes calldata signature
+    ) external payable {
+        LeaseSignatures.useActionSignature(_nonces, account, action, deadline, signature);
+        
+        // Not guarded itself: the action takes CarLease's reentrancy lock
+        Address.functionCallWithValue(address(this), abi.encodePacked(action, account), msg.value);
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Damage Claims
+    // ============================================
+    
+    /**
+     * @notice Owner sets the account that resolves disputed damage claims
+     * @dev Replacing the arbiter hands it any dispute still open
+     * @param arbiter New damage arbiter (address(0) = none)
+     */
+    function setDamageArbiter(address arbiter) external onlyOwner {
+        emit CarLease.DamageArbiterUpdated(_damageArbiter, arbiter);
+        _damageArbiter = arbiter;
+    }
+    
+    /**
+     * @notice Dealer claims part of a returned car's deposit for damage found at inspection
+     * @dev For completed and terminated leases, within FINAL_READING_WINDOW after the
+     *      final payment or termination; the deposit stays escrowed until then unless
+     *      the dealer files or waives a claim. The amount is escrowed until the lessee
+     *      accepts it (or lets DAMAGE_DISPUTE_WINDOW lapse) or the damage arbiter
+     *      resolves their dispute (see LeaseLogic.fileDamageClaim).
+     * @param tokenId NFT ID of the completed or terminated lease
+     * @param amount Part of the deposit claimed
+     * @param evidenceHash Hash of the inspection report and photos kept off-chain
+     */
+    function fileDamageClaim(
+        uint256 tokenId,
+        uint256 amount,
+        bytes32 evidenceHash
+    ) external onlyTokenDealer(tokenId) {
+        LeaseLogic.fileDamageClaim(leases[tokenId], _damageClaims[tokenId], tokenId, amount, evidenceHash);
+    }
+    
+    /**
+     * @notice Dealer closes a returned car's inspection without a damage claim
+     * @dev Lets the lessee reclaim the deposit before FINAL_READING_WINDOW has passed,
+     *      once the return odometer reading is recorded (see LeaseLogic.waiveDamageClaim)
+     * @param tokenId NFT ID of the completed or terminated lease
+     */
+    function waiveDamageClaim(uint256 tokenId) external onlyTokenDealer(tokenId) {
+        LeaseLogic.waiveDamageClaim(leases[tokenId], _damageClaims[tokenId], tokenId);
+    }
+    
+    /**
+     * @notice Lessee accepts a damage claim, paying the claimed amount to the dealer
+     * @dev After DAMAGE_DISPUTE_WINDOW an undisputed claim stands and anyone can
+     *      settle it. The amount is booked as dealer revenue.
+     * @param tokenId NFT ID of the lease
+     */
+    function acceptDamageClaim(uint256 tokenId) external nonReentrant {
+        uint256 amount = LeaseLogic.acceptDamageClaim(leases[tokenId], _damageClaims[tokenId], tokenId);
+        _settleDamageClaim(tokenId, amount, amount);
+    }
+    
+    /**
+     * @notice Lessee disputes a damage claim within DAMAGE_DISPUTE_WINDOW
+     * @dev The amount stays escrowed until the damage arbiter resolves the dispute
+     * @param tokenId NFT ID of the lease
+     * @param evidenceHash Hash of the lessee's counter-evidence kept off-chain
+     */
+    function disputeDamageClaim(uint256 tokenId, bytes32 evidenceHash) external {
+        LeaseLogic.disputeDamageClaim(leases[tokenId], _damageClaims[tokenId], tokenId, evidenceHash);
+    }
+    
+    /**
+     * @notice Damage arbiter splits a disputed claim between dealer and lessee
+     * @dev dealerAmount is booked as dealer revenue and the rest of the claimed amount
+     *      is credited to the lessee (collected via withdraw)
+     * @param tokenId NFT ID of the lease
+     * @param dealerAmount Part of the claimed amount awarded to the dealer (at most the claim)
+     */
+    function resolveDamageClaim(uint256 tokenId, uint256 dealerAmount) external nonReentrant {
+        require(msg.sender == _damageArbiter, "Only damage arbiter");
+        
+        uint256 amount = LeaseLogic.resolveDamageClaim(_damageClaims[tokenId], tokenId, dealerAmount);
+        _settleDamageClaim(tokenId, amount, dealerAmount);
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Deposit Release
+    // ============================================
+    
+    /**
+     * @notice Releases a completed or terminated lease's deposit that its lessee never reclaimed
+     * @dev Anyone can call once FINAL_READING_WINDOW after the final payment or
+     *      termination has passed.
+     *      Any excess-mileage charge is booked as dealer revenue and the rest is credited
+     *      to the lessee (collected via withdraw), so the dealer can relist the car
+     *      (see LeaseLogic.releaseUnclaimedDeposit).
+     * @param tokenId NFT ID of the completed or terminated lease
+     */
+    function releaseDeposit(uint256 tokenId) external nonReentrant {
+        (uint256 depositAmount, uint256 mileageCharge) = LeaseLogic.releaseUnclaimedDeposit(
+            leases[tokenId],
+            _mileageReadings[tokenId],
+            carData[tokenId],
+            leaseTerms[tokenId],
+            tokenId
+        );
+        totalDepositsHeld[leaseTerms[tokenId].paymentToken] -= depositAmount;
+        
+        if (mileageCharge > 0) {
+            _recordRevenue(tokenId, mileageCharge);
+        }
+        if (depositAmount > mileageCharge) {
+            _credit(tokenId, leases[tokenId].lessee, depositAmount - mileageCharge);
+        }
+    }
+    
+    // ============================================
+    // PUBLIC FUNCTIONS - Upgrade Migration
+    // ============================================
+    
+    /**
+     * @notice Moves the late fee and early termination penalty of a proxy upgraded from an
+     *         implementation that kept them outside leaseParams into leaseParams
+     * @dev Sent with the upgrade by scripts/upgrade.js. Clears the old variables, so it runs
+     *      once and cannot later undo a timelocked change. A pending proposal takes the same
+     *      rates; a proxy that predates lease parameters also gets the default ones.
+     */
+    function migrateLeaseRates() external onlyOwner {
+        require(lateFeeBps != 0 || earlyTerminationPenaltyBps != 0, "Nothing to migrate");
+        
+        CarLease.LeaseParams memory params = leaseParams.paymentPeriod == 0
+            ? LeaseLogic.defaultParams()
+            : leaseParams;
+        params.lateFeeBps = uint16(lateFeeBps);
+        params.earlyTerminationPenaltyBps = uint16(earlyTerminationPenaltyBps);
+        emit CarLease.LeaseParamsUpdated(leaseParams, params);
+        leaseParams = params;
+        
+        if (pendingLeaseParams.eta > 0) {
+            pendingLeaseParams.lateFeeBps = params.lateFeeBps;
+            pendingLeaseParams.earlyTerminationPenaltyBps = params.earlyTerminationPenaltyBps;
+        }
+        delete lateFeeBps;
+        delete earlyTerminationPenaltyBps;
+    }
+    
+    // ============================================
+    // VIEW FUNCTIONS
+    // ============================================
+    
+    /**
+     * @notice EIP-712 domain separator for signed offers and relayed actions
+     * @dev Domain name "CarLease", version "1", this chain and the CarLease address
+     *      (the proxy, when deployed behind one)
+     * @return Domain separator hash
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return LeaseSignatures.domainSeparator();
+    }
+    
+    /**
+     * @notice Gets the nonce a customer's next signed action must carry
+     * @param account Customer address
+     * @return Current nonce
+     */
+    function nonces(address account) external view returns (uint256) {
+        return _nonces[account];
+    }
+    
+    /**
+     * @notice Checks whether a dealer's offer nonce is spent (accepted or cancelled)
+     * @param dealer Dealer that signed the offer
+     * @param nonce Offer nonce
+     * @return True if the offer can no longer be accepted
+     */
+    function offerNonceUsed(address dealer, uint256 nonce) external view returns (bool) {
+        return _offerNonceUsed[dealer][nonce];
+    }
+    
+    /**
+     * @notice Gets the damage claim against a lease's deposit
+     * @param tokenId NFT ID to query
+     * @return DamageClaim struct (status None if no claim was filed)
+     */
+    function getDamageClaim(uint256 tokenId) external view returns (CarLease.DamageClaim memory) {
+        return _damageClaims[tokenId];
+    }
+    
+    /**
+     * @notice Gets the account that resolves disputed damage claims
+     * @return Damage arbiter (address(0) = none)
+     */
+    function damageArbiter() external view returns (address) {
+        return _damageArbiter;
+    }
+    
+    // ============================================
+    // INTERNAL HELPERS
+    // ============================================
+    
+    /**
+     * @notice Releases a settled damage claim's escrow
+     * @param tokenId NFT ID of the lease
+     * @param amount Escrowed amount
+     * @param dealerAmount Part booked as dealer revenue; the rest is credited to the lessee
+     */
+    function _settleDamageClaim(uint256 tokenId, uint256 amount, uint256 dealerAmount) private {
+        totalDepositsHeld[leaseTerms[tokenId].paymentToken] -= amount;
+        
+        if (dealerAmount > 0) {
+            _recordRevenue(tokenId, dealerAmount);
+        }
+        if (amount > dealerAmount) {
+            _credit(tokenId, leases[tokenId].lessee, amount - dealerAmount);
+        }
+    }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title CarLeaseProxy
+ * @notice ERC-1967 proxy for UUPS deployments of CarLease (DEPLOY_MODE=uups in scripts/deploy.js)
+ * @dev Holds all lease state and delegates every call to the current CarLease implementation.
+ *      Upgrades go through CarLease.upgradeToAndCall, restricted to the platform owner.
+ */
+contract CarLeaseProxy is ERC1967Proxy {
+    /**
+     * @notice Deploys the proxy and runs the implementation's initializer
+     * @param implementation CarLease implementation address
+     * @param data Encoded CarLease.initialize(initialOwner) call
+     */
+    constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}
+}
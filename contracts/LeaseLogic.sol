@@ -0,0 +1,1912 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./CarLease.sol";
+
+/**
+ * @title LeaseLogic
+ * @notice Validation and state updates for CarLease lease flows
+ * @dev External library: deployed once and linked into CarLease, which keeps this
+ *      code out of the main contract's bytecode. Functions run via DELEGATECALL on
+ *      the storage CarLease hands them (msg.sender is the original caller), so the
+ *      events below are logged by CarLease. Fund and NFT movements stay in CarLease.
+ */
+library LeaseLogic {
+    // ============================================
+    // CONSTANTS
+    // ============================================
+
+    /// @notice Maximum months a single extension can add (CarLease.MAX_EXTENSION_MONTHS)
+    uint32 internal constant MAX_EXTENSION_MONTHS = 24;
+
+    /// @notice Maximum monthly payment change on extension (CarLease.MAX_PAYMENT_CHANGE_BPS)
+    uint256 internal constant MAX_PAYMENT_CHANGE_BPS = 2_000;
+
+    /// @notice Time window for lessee to accept an extension offer (CarLease.EXTENSION_OFFER_WINDOW)
+    uint64 internal constant EXTENSION_OFFER_WINDOW = 7 days;
+
+    /// @notice Delay between proposing and applying lease parameters (CarLease.PARAMS_TIMELOCK)
+    uint64 internal constant PARAMS_TIMELOCK = 2 days;
+
+    // Default lease parameters (CarLease.leaseParams), also used by leases revealed
+    // before the parameters became tunable, which carry no snapshot
+    uint32 internal constant DEFAULT_REVEAL_WINDOW = 7 days;
+    uint32 internal constant DEFAULT_CONFIRM_WINDOW = 7 days;
+    uint32 internal constant DEFAULT_PAYMENT_PERIOD = 30 days;
+    uint32 internal constant DEFAULT_PAYMENT_GRACE = 45 days;
+    uint8 internal constant DEFAULT_DEPOSIT_MULTIPLIER = 3;
+    uint16 internal constant DEFAULT_LATE_FEE_BPS = 500;
+    uint16 internal constant DEFAULT_EARLY_TERMINATION_PENALTY_BPS = 2_500;
+
+    // Bounds enforced by proposeParams (payment grace must also cover one payment period)
+    uint32 internal constant MIN_REVEAL_WINDOW = 1 hours;
+    uint32 internal constant MAX_REVEAL_WINDOW = 30 days;
+    uint32 internal constant MIN_CONFIRM_WINDOW = 1 days;
+    uint32 internal constant MAX_CONFIRM_WINDOW = 30 days;
+    uint32 internal constant MIN_PAYMENT_PERIOD = 7 days;
+    uint32 internal constant MAX_PAYMENT_PERIOD = 31 days;
+    uint32 internal constant MAX_PAYMENT_GRACE = 180 days;
+    uint8 internal constant MAX_DEPOSIT_MULTIPLIER = 6;
+    uint16 internal constant MAX_LATE_FEE_BPS = 2_000;
+    uint16 internal constant MAX_EARLY_TERMINATION_PENALTY_BPS = 10_000;
+
+    /// @notice Return inspection after the final payment or termination (CarLease.FINAL_READING_WINDOW)
+    uint64 internal constant FINAL_READING_WINDOW = 14 days;
+
+    /// @notice Time the lessee has to accept or dispute a damage claim (CarLeaseModule.DAMAGE_DISPUTE_WINDOW)
+    uint64 internal constant DAMAGE_DISPUTE_WINDOW = 7 days;
+
+    /// @notice Time after a payment's due date before it incurs a late fee (CarLease.LATE_FEE_GRACE)
+    uint64 internal constant LATE_FEE_GRACE = 5 days;
+
+    /// @notice Distance driven, as a percent of the car's mileage limit, above which readings are flagged (CarLease.MAX_USAGE_PERCENT)
+    uint32 internal constant MAX_USAGE_PERCENT = 100;
+
+    /// @notice Highest credit factor an attestation can carry (CarLease.MAX_CREDIT_FACTOR)
+    uint32 internal constant MAX_CREDIT_FACTOR = 1000;
+
+    // ============================================
+    // EVENTS
+    // ============================================
+    // Same signatures as the CarLease events of the same name, which document them.
+    // Events emitted by an external library are not part of the caller's ABI, so
+    // CarLease keeps its declarations for clients to decode these logs.
+
+    event OptionMinted(uint256 indexed tokenId, string model, string color, uint16 year, uint256 originalValueWei);
+    event LeaseStatusChanged(uint256 indexed tokenId, CarLease.LeaseStatus previousStatus, CarLease.LeaseStatus newStatus);
+    event OptionRelisted(uint256 indexed tokenId, address indexed dealer, uint256 monthlyPayment, uint32 durationMonths);
+    event CommitPlaced(uint256 indexed tokenId, address indexed committer, bytes32 commitment, uint64 deadline);
+    event CommitSuperseded(uint256 indexed tokenId, address indexed committer, bytes32 previousCommitment, bytes32 newCommitment);
+    event CommitExpired(uint256 indexed tokenId, address indexed committer, uint64 deadline);
+    event CommitCancelled(uint256 indexed tokenId, address indexed committer);
+    event LeaseSignedRevealed(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        uint32 durationMonths,
+        uint256 monthlyPayment,
+        uint256 deposit,
+        uint64 confirmDeadline
+    );
+    event LeaseConfirmed(uint256 indexed tokenId, address indexed lessee, uint64 startTime);
+    event MonthlyPaid(uint256 indexed tokenId, address indexed lessee, uint32 paymentNumber, uint256 amount, uint64 timestamp);
+    event LateFeeCharged(uint256 indexed tokenId, address indexed lessee, uint256 overduePayments, uint256 feeAmount);
+    event LeaseCompleted(uint256 indexed tokenId, address indexed lessee, uint32 paymentsMade, uint256 depositHeld);
+    event LeaseTerminated(
+        uint256 indexed tokenId,
+        address indexed by,
+        CarLease.TerminationReason reason,
+        uint256 refundAmount,
+        uint256 penaltyAmount
+    );
+    event DepositClaimed(uint256 indexed tokenId, address indexed seller, uint256 depositAmount);
+    event DepositReturned(uint256 indexed tokenId, address indexed lessee, uint256 depositAmount);
+    event MileageCharged(uint256 indexed tokenId, address indexed lessee, uint256 excessKm, uint256 chargeAmount);
+    event RefundUnconfirmed(uint256 indexed tokenId, address indexed lessee, uint256 depositAmount);
+    event LeaseBuyout(uint256 indexed tokenId, address indexed lessee, uint256 price, uint256 depositApplied);
+    event AssignmentApproved(uint256 indexed tokenId, address indexed currentLessee, address indexed newLessee);
+    event LeaseAssigned(uint256 indexed tokenId, address indexed previousLessee, address indexed newLessee);
+    event MileageReported(uint256 indexed tokenId, address indexed reporter, uint256 odometerKm, uint256 readingIndex);
+    event MileageLimitExceeded(uint256 indexed tokenId, uint256 drivenKm, uint256 mileageLimit);
+    event ExtensionOffered(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        uint32 additionalMonths,
+        uint256 newMonthlyPayment,
+        uint64 expiresAt
+    );
+    event LeaseExtended(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        uint32 newDurationMonths,
+        uint256 newMonthlyPayment,
+        uint256 additionalDeposit
+    );
+    event MinCreditFactorUpdated(address indexed dealer, uint32 oldFactor, uint32 newFactor);
+    event CreditAttested(
+        uint256 indexed tokenId,
+        address indexed lessee,
+        address indexed attestor,
+        uint32 creditFactor,
+        uint64 expiresAt
+    );
+    event FundsWithdrawn(address indexed account, address indexed asset, address to, uint256 amount);
+    event Withdrawn(address indexed dealer, address asset, address indexed to, uint256 amount, uint256 remainingWithdrawable);
+    event DamageClaimFiled(
+        uint256 indexed tokenId,
+        address indexed dealer,
+        uint256 amount,
+        bytes32 evidenceHash,
+        uint64 disputeDeadline
+    );
+    event DamageClaimAccepted(uint256 indexed tokenId, address indexed by, uint256 amount);
+    event DamageClaimDisputed(uint256 indexed tokenId, address indexed lessee, bytes32 evidenceHash);
+    event DamageClaimResolved(uint256 indexed tokenId, address indexed arbiter, uint256 dealerAmount, uint256 lesseeAmount);
+    event DamageClaimWaived(uint256 indexed tokenId, address indexed dealer);
+    event LeaseParamsProposed(CarLease.LeaseParams params, uint64 eta);
+    event LeaseParamsUpdated(CarLease.LeaseParams oldParams, CarLease.LeaseParams newParams);
+    event LeaseParamsCancelled(CarLease.LeaseParams params);
+
+    // ============================================
+    // LISTING
+    // ============================================
+
+    /**
+     * @notice Validates and stores a new lease option's car metadata and offered terms
+     * @dev Caller authorization and minting are handled by CarLease.mintOption (FR-001, FR-039)
+     * @param car Storage slot of the token's car metadata
+     * @param terms Storage slot of the token's offered terms
+     * @param allowedTokens CarLease ERC-20 payment token allow-list
+     * @param tokenId NFT ID being minted
+     * @param newCar Car metadata to store
+     * @param newTerms Lease terms to offer (enforced at reveal)
+     */
+    function createOption(
+        CarLease.CarMetadata storage car,
+        CarLease.LeaseTerms storage terms,
+        mapping(address => bool) storage allowedTokens,
+        uint256 tokenId,
+        CarLease.CarMetadata memory newCar,
+        CarLease.LeaseTerms memory newTerms
+    ) external {
+        require(bytes(newCar.model).length > 0, "Model cannot be empty");
+        require(newCar.originalValueWei > 0, "Original value must be greater than zero");
+        require(newTerms.monthlyPayment > 0, "Monthly payment must be greater than zero");
+        require(newTerms.durationMonths > 0, "Duration must be greater than zero");
+        require(
+            newTerms.paymentToken == address(0) || allowedTokens[newTerms.paymentToken],
+            "Payment token not allowed"
+        );
+
+        car.model = newCar.model;
+        car.color = newCar.color;
+        car.year = newCar.year;
+        car.originalValueWei = newCar.originalValueWei;
+        car.mileageLimit = newCar.mileageLimit;
+
+        terms.monthlyPayment = newTerms.monthlyPayment;
+        terms.durationMonths = newTerms.durationMonths;
+        terms.excessMileageRateWei = newTerms.excessMileageRateWei;
+        terms.paymentToken = newTerms.paymentToken;
+        terms.residualValue = newTerms.residualValue;
+
+        emit OptionMinted(tokenId, newCar.model, newCar.color, newCar.year, newCar.originalValueWei);
+    }
+
+    // ============================================
+    // RELISTING
+    // ============================================
+
+    /**
+     * @notice Puts a finished lease option back on offer
+     * @dev Caller authorization is checked by CarLease.relistOption. Allowed once the
+     *      previous lease is Completed or Terminated (deposit returned and any damage
+     *      claim settled) or Defaulted. Clears the old lease, its mileage history, extension
+     *      offer and damage claim; car metadata, payment asset, excess-mileage rate and
+     *      residual value are kept.
+     * @param leases CarLease lease mapping
+     * @param readings CarLease odometer reading mapping
+     * @param offers CarLease extension offer mapping
+     * @param claims CarLease damage claim mapping
+     * @param terms Storage slot of the token's offered terms
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID to relist
+     * @param monthlyPaymentWei Monthly payment offered to the next customer
+     * @param durationMonths Lease duration offered to the next customer
+     */
+    function relist(
+        mapping(uint256 => CarLease.Lease) storage leases,
+        mapping(uint256 => CarLease.MileageReading[]) storage readings,
+        mapping(uint256 => CarLease.ExtensionOffer) storage offers,
+        mapping(uint256 => CarLease.DamageClaim) storage claims,
+        CarLease.LeaseTerms storage terms,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        uint256 monthlyPaymentWei,
+        uint32 durationMonths
+    ) external {
+        CarLease.LeaseStatus status = statuses[tokenId];
+        require(
+            status == CarLease.LeaseStatus.Completed ||
+            status == CarLease.LeaseStatus.Terminated ||
+            status == CarLease.LeaseStatus.Defaulted,
+            "Lease not finished"
+        );
+        require(leases[tokenId].deposit == 0, "Deposit not settled");
+        CarLease.DamageClaimStatus claimStatus = claims[tokenId].status;
+        require(
+            claimStatus != CarLease.DamageClaimStatus.Filed && claimStatus != CarLease.DamageClaimStatus.Disputed,
+            "Damage claim not settled"
+        );
+        require(monthlyPaymentWei > 0, "Monthly payment must be greater than zero");
+        require(durationMonths > 0, "Duration must be greater than zero");
+
+        // Previous lessee's state must not leak into the next lease
+        delete leases[tokenId];
+        delete readings[tokenId];
+        delete offers[tokenId];
+        delete claims[tokenId];
+
+        terms.monthlyPayment = monthlyPaymentWei;
+        terms.durationMonths = durationMonths;
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Available);
+
+        emit OptionRelisted(tokenId, msg.sender, monthlyPaymentWei, durationMonths);
+    }
+
+    // ============================================
+    // COMMIT-REVEAL
+    // ============================================
+
+    /**
+     * @notice Places or replaces a commitment to lease a token
+     * @dev Contract custody of the token is checked by CarLease.commitToLease.
+     *      A live commitment locks the token until its deadline: other addresses
+     *      cannot replace it, only the committer can (CommitSuperseded).
+     *      Once expired, the next commit clears it (CommitExpired).
+     * @param commits CarLease commitment mapping
+     * @param lease Storage slot of the token's lease
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID to commit to
+     * @param commitment Hash of keccak256(tokenId, secret, committer)
+     * @param revealWindow CarLease reveal window (leaseParams)
+     * @param committer Customer committing (msg.sender, or the signer of a relayed commit)
+     */
+    function commit(
+        mapping(uint256 => CarLease.Commit) storage commits,
+        CarLease.Lease storage lease,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        bytes32 commitment,
+        uint64 revealWindow,
+        address committer
+    ) external {
+        require(revealWindow != 0, "Lease params not set");
+        require(!lease.exists, "Already leased");
+        require(commitment != bytes32(0), "Invalid commitment");
+
+        CarLease.Commit memory existing = commits[tokenId];
+        if (existing.deadline > 0) {
+            if (block.timestamp > existing.deadline) {
+                _expireCommit(commits, statuses, tokenId);
+            } else {
+                // Live commitment blocks everyone but its own committer
+                require(existing.committer == committer, "Commitment pending");
+                emit CommitSuperseded(tokenId, committer, existing.commitment, commitment);
+            }
+        }
+
+        // FR-007: Store commitment with reveal deadline
+        uint64 deadline = uint64(block.timestamp) + revealWindow;
+        commits[tokenId] = CarLease.Commit({
+            commitment: commitment,
+            committer: committer,
+            deadline: deadline
+        });
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Committed);
+
+        // FR-040: Emit event
+        emit CommitPlaced(tokenId, committer, commitment, deadline);
+    }
+
+    /**
+     * @notice Committer withdraws their pending commitment
+     * @param commits CarLease commitment mapping
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID with commitment to cancel
+     */
+    function cancelCommit(
+        mapping(uint256 => CarLease.Commit) storage commits,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId
+    ) external {
+        CarLease.Commit storage c = commits[tokenId];
+        require(c.deadline > 0, "No commitment");
+        require(msg.sender == c.committer, "Only committer can cancel");
+
+        delete commits[tokenId];
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Available);
+
+        emit CommitCancelled(tokenId, msg.sender);
+    }
+
+    /**
+     * @notice Clears a commitment whose reveal deadline has passed
+     * @param commits CarLease commitment mapping
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID with expired commitment
+     */
+    function expireCommit(
+        mapping(uint256 => CarLease.Commit) storage commits,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId
+    ) external {
+        uint64 deadline = commits[tokenId].deadline;
+        require(deadline > 0, "No commitment");
+        require(block.timestamp > deadline, "Commitment not expired");
+
+        _expireCommit(commits, statuses, tokenId);
+    }
+
+    /**
+     * @notice Checks a reveal against the commitment and offered terms and opens
+     *         the lease pending dealer confirmation
+     * @dev Contract custody of the token is checked, and the returned deposit
+     *      collected, by CarLease (FR-008 to FR-013). The current payment period,
+     *      payment grace, deposit multiplier, late fee and termination penalty are
+     *      snapshotted into the lease.
+     * @param commits CarLease commitment mapping
+     * @param leases CarLease lease mapping
+     * @param terms Terms the dealer set at mint
+     * @param params CarLease lease parameters
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID to lease
+     * @param secret Random secret used in commitment
+     * @param durationMonths Lease duration in months (must match offered terms)
+     * @param monthlyPaymentWei Monthly payment amount (must match offered terms)
+     * @param applicant Committer revealing (msg.sender, or the signer of a relayed reveal)
+     * @return requiredDeposit Deposit to collect (depositMultiplier x the offered monthly payment)
+     */
+    function reveal(
+        mapping(uint256 => CarLease.Commit) storage commits,
+        mapping(uint256 => CarLease.Lease) storage leases,
+        CarLease.LeaseTerms storage terms,
+        CarLease.LeaseParams storage params,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        bytes32 secret,
+        uint32 durationMonths,
+        uint256 monthlyPaymentWei,
+        address applicant
+    ) external returns (uint256 requiredDeposit) {
+        CarLease.Commit storage c = commits[tokenId];
+
+        // FR-010: Check deadline
+        require(block.timestamp <= c.deadline, "Commitment expired");
+
+        // FR-009: Validate hash
+        bytes32 computedHash = keccak256(
+            abi.encodePacked(tokenId, secret, applicant)
+        );
+        require(computedHash == c.commitment, "Invalid secret");
+
+        // FR-011: Check not already leased
+        require(!leases[tokenId].exists, "Already leased");
+
+        // Customer must accept the dealer's offered terms as-is
+        require(durationMonths == terms.durationMonths, "Duration does not match terms");
+        require(monthlyPaymentWei == terms.monthlyPayment, "Monthly payment does not match terms");
+
+        // Clear commitment, then create lease in pending state
+        delete commits[tokenId];
+        requiredDeposit = _openLease(
+            leases[tokenId],
+            terms,
+            params,
+            statuses,
+            tokenId,
+            applicant,
+            uint64(block.timestamp) + params.confirmWindow
+        );
+    }
+
+    /**
+     * @notice Opens an already confirmed lease from a dealer-signed offer
+     * @dev Called by CarLease.acceptOffer once the offer signature is checked and the
+     *      option minted; the signature stands in for both the reveal and the dealer's
+     *      confirmation. Emits LeaseSignedRevealed and LeaseConfirmed in the same
+     *      transaction so indexers see the usual lifecycle. CarLease collects the
+     *      returned deposit and hands the NFT to the lessee.
+     * @param lease Storage slot of the freshly minted token's lease
+     * @param terms Terms stored from the offer
+     * @param params CarLease lease parameters
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID minted for the offer
+     * @param lessee Customer accepting the offer
+     * @return deposit Deposit to collect (depositMultiplier x the offered monthly payment)
+     */
+    function openSignedLease(
+        CarLease.Lease storage lease,
+        CarLease.LeaseTerms storage terms,
+        CarLease.LeaseParams storage params,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        address lessee
+    ) external returns (uint256 deposit) {
+        deposit = _openLease(lease, terms, params, statuses, tokenId, lessee, uint64(block.timestamp));
+
+        // Activate lease
+        lease.active = true;
+        lease.startTime = uint64(block.timestamp);
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Active);
+
+        emit LeaseConfirmed(tokenId, lessee, lease.startTime);
+    }
+
+    // ============================================
+    // APPLICATION REVIEW
+    // ============================================
+
+    /**
+     * @notice Activates a revealed lease after the dealer's credit requirement is met
+     * @dev Called by CarLease.confirmLease after its dealer checks; CarLease then hands
+     *      the NFT to the lessee (FR-019 to FR-022)
+     * @param lease Lease awaiting confirmation
+     * @param attestations CarLease credit attestation mapping
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID to confirm
+     * @param requiredFactor Dealer's minimum credit factor (0 = no check)
+     * @return lessee Lessee receiving the NFT
+     */
+    function confirm(
+        CarLease.Lease storage lease,
+        mapping(uint256 => CarLease.CreditAttestation) storage attestations,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        uint32 requiredFactor
+    ) external returns (address lessee) {
+        // FR-020: Validate lease exists
+        require(lease.exists, "Lease does not exist");
+
+        // FR-022: Check not already confirmed (startTime is set once, so this
+        // also rejects completed or terminated leases)
+        require(lease.startTime == 0, "Already confirmed");
+
+        lessee = lease.lessee;
+        _consumeCreditAttestation(attestations, tokenId, lessee, requiredFactor);
+
+        // Activate lease
+        lease.active = true;
+        lease.startTime = uint64(block.timestamp);
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Active);
+
+        // FR-042: Emit event
+        emit LeaseConfirmed(tokenId, lessee, lease.startTime);
+    }
+
+    /**
+     * @notice Clears a revealed application the dealer turned down
+     * @dev Called by CarLease.rejectLease after its dealer check; CarLease emits
+     *      LeaseRejected and credits the refund
+     * @param leases CarLease lease mapping
+     * @param attestations CarLease credit attestation mapping
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID of the pending application
+     * @return lessee Applicant to refund
+     * @return refundAmount Deposit to credit back
+     */
+    function rejectApplication(
+        mapping(uint256 => CarLease.Lease) storage leases,
+        mapping(uint256 => CarLease.CreditAttestation) storage attestations,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId
+    ) external returns (address lessee, uint256 refundAmount) {
+        CarLease.Lease storage lease = leases[tokenId];
+
+        require(lease.exists, "Lease does not exist");
+        require(lease.startTime == 0, "Lease already confirmed");
+
+        lessee = lease.lessee;
+        refundAmount = lease.deposit;
+
+        delete leases[tokenId];
+        delete attestations[tokenId];
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Available);
+    }
+
+    // ============================================
+    // MONTHLY PAYMENTS
+    // ============================================
+
+    /**
+     * @notice Validates and books the lessee's next `months` payments
+     * @dev Called by CarLease before it collects the returned amount (FR-013 to FR-017).
+     *      Emits one MonthlyPaid per month (FR-043); the final payment marks the
+     *      lease Completed, after which CarLease takes back the NFT.
+     * @param lease Lease being paid
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID of leased car
+     * @param months Number of monthly payments being made
+     * @param lateFeeBps CarLease late fee rate (basis points)
+     * @param payer Account paying (msg.sender, or the signer of a relayed payment)
+     * @return amount Principal plus late fees the lessee must pay
+     * @return completed True if this was the final payment
+     */
+    function recordPayments(
+        CarLease.Lease storage lease,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        uint256 months,
+        uint256 lateFeeBps,
+        address payer
+    ) external returns (uint256 amount, bool completed) {
+        // FR-017: Validate active lease
+        require(lease.exists, "Lease does not exist");
+        require(lease.active, "Lease not active");
+
+        // FR-016: Only lessee can pay
+        require(payer == lease.lessee, "Only lessee can pay");
+        require(lease.paymentsMade < lease.durationMonths, "Lease fully paid");
+        require(months > 0, "Months must be greater than zero");
+        require(lease.paymentsMade + months <= lease.durationMonths, "Exceeds remaining payments");
+
+        // FR-013: Payment amount is principal plus late fees
+        (uint256 overdue, uint256 fee) = lateFees(lease, months, lateFeeBps);
+        amount = months * lease.monthlyPayment + fee;
+
+        // FR-014: Update payment tracking
+        lease.lastPaymentTime = uint64(block.timestamp);
+        if (fee > 0) {
+            emit LateFeeCharged(tokenId, lease.lessee, overdue, fee);
+        }
+
+        for (uint256 i = 0; i < months; i++) {
+            lease.paymentsMade++;
+            emit MonthlyPaid(tokenId, lease.lessee, lease.paymentsMade, lease.monthlyPayment, uint64(block.timestamp));
+        }
+
+        // Final payment closes the lease; deposit stays escrowed until reclaimed
+        if (lease.paymentsMade == lease.durationMonths) {
+            lease.active = false;
+            lease.completed = true;
+            lease.returnedAt = uint64(block.timestamp);
+            completed = true;
+            _setStatus(statuses, tokenId, CarLease.LeaseStatus.Completed);
+
+            emit LeaseCompleted(tokenId, lease.lessee, lease.paymentsMade, lease.deposit);
+        }
+    }
+
+    /**
+     * @notice Calculates late fees for paying the next `months` payments now
+     * @dev Payment n (1-indexed) is due at startTime + n * paymentPeriod and is overdue
+     *      once LATE_FEE_GRACE has passed after that. Each overdue payment costs the
+     *      lease's late fee rate of the monthly payment; prepaid (future) months cost nothing.
+     * @param lease Lease being paid
+     * @param months Number of payments being made, starting at paymentsMade + 1
+     * @param lateFeeBps CarLease late fee rate (basis points), for leases without a snapshot
+     * @return overdue Number of those payments that are overdue
+     * @return fee Total late fee in wei (or token units)
+     */
+    function lateFees(
+        CarLease.Lease storage lease,
+        uint256 months,
+        uint256 lateFeeBps
+    ) public view returns (uint256 overdue, uint256 fee) {
+        uint256 elapsed = block.timestamp - lease.startTime;
+        if (elapsed <= LATE_FEE_GRACE) return (0, 0);
+
+        // Payments 1..lastOverdue are past their due date plus grace
+        uint256 lastOverdue = (elapsed - LATE_FEE_GRACE) / _paymentPeriod(lease);
+        if (lastOverdue <= lease.paymentsMade) return (0, 0);
+
+        overdue = lastOverdue - lease.paymentsMade;
+        if (overdue > months) overdue = months;
+        fee = (overdue * lease.monthlyPayment * _rate(lease, lease.lateFeeBps, lateFeeBps)) / 10_000;
+    }
+
+    /**
+     * @notice Calculates what the lessee owes right now (CarLease.getAmountDue)
+     * @dev Covers every payment whose due date has passed
+     * @param lease Lease to check
+     * @param lateFeeBps CarLease late fee rate (basis points)
+     * @return principal Monthly payments currently due
+     * @return fees Late fees on the overdue ones
+     * @return nextDueDate Due date of the next unpaid payment (0 if lease not active)
+     */
+    function amountDue(
+        CarLease.Lease storage lease,
+        uint256 lateFeeBps
+    ) public view returns (uint256 principal, uint256 fees, uint64 nextDueDate) {
+        if (!lease.active) return (0, 0, 0);
+
+        uint256 period = _paymentPeriod(lease);
+        uint256 expectedPayments = (block.timestamp - lease.startTime) / period;
+        if (expectedPayments > lease.durationMonths) expectedPayments = lease.durationMonths;
+
+        if (expectedPayments > lease.paymentsMade) {
+            uint256 months = expectedPayments - lease.paymentsMade;
+            principal = months * lease.monthlyPayment;
+            (, fees) = lateFees(lease, months, lateFeeBps);
+        }
+        nextDueDate = uint64(lease.startTime + (uint256(lease.paymentsMade) + 1) * period);
+    }
+
+    // ============================================
+    // SETTLEMENT
+    // ============================================
+    // Each function validates and closes out the lease state; CarLease then updates
+    // deposit totals, takes back the NFT, books any penalty or mileage charge as
+    // revenue and credits the returned amount.
+
+    /**
+     * @notice Ends an active lease early on behalf of its dealer or lessee
+     * @dev Called by CarLease.terminateLease (FR-028, FR-029, FR-030). Defaulted
+     *      leases are rejected; the dealer must use claimDeposit. Dealer termination
+     *      takes precedence if the dealer is also the lessee. The lessee's penalty is
+     *      deducted from the deposit (FR-044); the rest stays escrowed for the return
+     *      inspection and is released like a completed lease's deposit (releaseDeposit).
+     * @param lease Lease being terminated
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID being terminated
+     * @param dealer The token's dealer
+     * @param penaltyBps CarLease early termination penalty rate (basis points)
+     * @return penalty Part of the deposit released from escrow as dealer revenue
+     */
+    function terminate(
+        CarLease.Lease storage lease,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        address dealer,
+        uint256 penaltyBps
+    ) external returns (uint256 penalty) {
+        require(lease.exists, "Lease does not exist");
+        require(lease.active, "Lease not active");
+        require(msg.sender == dealer || msg.sender == lease.lessee, "Unauthorized");
+        require(!isInDefault(lease), "Lease in default");
+
+        bool byDealer = msg.sender == dealer;
+        penalty = byDealer ? 0 : terminationPenalty(lease, penaltyBps);
+        uint256 refund = lease.deposit - penalty;
+
+        lease.active = false;
+        lease.deposit = refund;
+        lease.returnedAt = uint64(block.timestamp);
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Terminated);
+
+        emit LeaseTerminated(
+            tokenId,
+            msg.sender,
+            byDealer ? CarLease.TerminationReason.DealerTermination : CarLease.TerminationReason.LesseeEarlyExit,
+            refund,
+            penalty
+        );
+    }
+
+    /**
+     * @notice Ends a defaulted lease so its dealer can claim the deposit
+     * @dev Called by CarLease.claimDeposit (FR-024, FR-025, FR-027, FR-030, FR-045)
+     *      after its dealer check
+     * @param lease Lease in default
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID to claim deposit from
+     * @return claimAmount Deposit released to the dealer
+     */
+    function claimDefault(
+        CarLease.Lease storage lease,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId
+    ) external returns (uint256 claimAmount) {
+        require(lease.exists, "Lease does not exist");
+        require(lease.active, "Lease not active");
+
+        // FR-024: Check payment grace period has passed since last payment
+        require(
+            block.timestamp > _graceStart(lease) + _paymentGrace(lease),
+            "Payment grace period not expired"
+        );
+
+        // FR-025: Customer must not be current on payments
+        // (implicitly satisfied if grace period expired, but double-check)
+        uint256 expectedPayments = (block.timestamp - lease.startTime) / _paymentPeriod(lease);
+        require(lease.paymentsMade < expectedPayments, "Payments are current");
+
+        claimAmount = lease.deposit;
+        require(claimAmount > 0, "No deposit to claim");
+
+        lease.active = false;
+        lease.deposit = 0;
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Defaulted);
+
+        emit DepositClaimed(tokenId, msg.sender, claimAmount);
+        emit LeaseTerminated(tokenId, msg.sender, CarLease.TerminationReason.Default, 0, claimAmount);
+    }
+
+    /**
+     * @notice Releases the deposit of a completed or terminated lease to its lessee
+     * @dev Called by CarLease.reclaimDeposit. Until FINAL_READING_WINDOW after the car
+     *      came back has passed, waits for the dealer to close the inspection (file or
+     *      waive a damage claim) and record the return odometer reading. Any
+     *      excess-mileage charge is deducted.
+     * @param lease Completed or terminated lease
+     * @param claim The token's damage claim
+     * @param readings Odometer readings for the lease, oldest first
+     * @param car Car metadata (mileage limit)
+     * @param terms Terms the dealer set at mint (excess-mileage rate)
+     * @param tokenId NFT ID of the lease
+     * @return depositAmount Deposit released from escrow
+     * @return mileageCharge Part of it kept as dealer revenue; the rest is returned
+     */
+    function releaseDeposit(
+        CarLease.Lease storage lease,
+        CarLease.DamageClaim storage claim,
+        CarLease.MileageReading[] storage readings,
+        CarLease.CarMetadata storage car,
+        CarLease.LeaseTerms storage terms,
+        uint256 tokenId
+    ) external returns (uint256 depositAmount, uint256 mileageCharge) {
+        require(lease.exists, "Lease does not exist");
+        uint64 returnedAt = _returnedAt(lease);
+        require(returnedAt != 0, "Lease not ended");
+        require(msg.sender == lease.lessee, "Only lessee can reclaim deposit");
+        require(lease.deposit > 0, "No deposit to return");
+
+        if (block.timestamp <= returnedAt + FINAL_READING_WINDOW) {
+            require(claim.status != CarLease.DamageClaimStatus.None, "Inspection window still open");
+            require(
+                readings.length > 0 && readings[readings.length - 1].timestamp >= returnedAt,
+                "Awaiting final mileage reading"
+            );
+        }
+
+        return _releaseDeposit(lease, readings, car, terms, tokenId);
+    }
+
+    /**
+     * @notice Releases the deposit of a completed or terminated lease its lessee never reclaimed
+     * @dev Called by CarLeaseModule.releaseDeposit; anyone, once FINAL_READING_WINDOW
+     *      after the car came back has passed (no damage claim can be filed after it).
+     *      Any excess-mileage charge is deducted.
+     * @param lease Completed or terminated lease
+     * @param readings Odometer readings for the lease, oldest first
+     * @param car Car metadata (mileage limit)
+     * @param terms Terms the dealer set at mint (excess-mileage rate)
+     * @param tokenId NFT ID of the lease
+     * @return depositAmount Deposit released from escrow
+     * @return mileageCharge Part of it kept as dealer revenue; the rest is owed to the lessee
+     */
+    function releaseUnclaimedDeposit(
+        CarLease.Lease storage lease,
+        CarLease.MileageReading[] storage readings,
+        CarLease.CarMetadata storage car,
+        CarLease.LeaseTerms storage terms,
+        uint256 tokenId
+    ) external returns (uint256 depositAmount, uint256 mileageCharge) {
+        require(lease.exists, "Lease does not exist");
+        uint64 returnedAt = _returnedAt(lease);
+        require(returnedAt != 0, "Lease not ended");
+        require(lease.deposit > 0, "No deposit to return");
+        require(block.timestamp > returnedAt + FINAL_READING_WINDOW, "Inspection window still open");
+
+        return _releaseDeposit(lease, readings, car, terms, tokenId);
+    }
+
+    /**
+     * @notice Cancels an application the dealer did not confirm in time
+     * @dev Called by CarLease.refundUnconfirmedDeposit (FR-021, FR-023, FR-026, FR-027);
+     *      only the lessee, after the confirmation deadline
+     * @param leases CarLease lease mapping
+     * @param attestations CarLease credit attestation mapping
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID to refund
+     * @return refundAmount Deposit to credit back to the lessee
+     */
+    function refundApplication(
+        mapping(uint256 => CarLease.Lease) storage leases,
+        mapping(uint256 => CarLease.CreditAttestation) storage attestations,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId
+    ) external returns (uint256 refundAmount) {
+        CarLease.Lease storage lease = leases[tokenId];
+
+        require(lease.exists, "Lease does not exist");
+        require(lease.startTime == 0, "Lease already confirmed");
+        require(block.timestamp > lease.confirmDeadline, "Confirmation deadline not passed");
+        require(msg.sender == lease.lessee, "Only lessee can claim refund");
+
+        refundAmount = lease.deposit;
+        require(refundAmount > 0, "No deposit to refund");
+
+        // Clear lease state (mark as cancelled)
+        delete leases[tokenId];
+        delete attestations[tokenId];
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Cancelled);
+
+        emit RefundUnconfirmed(tokenId, msg.sender, refundAmount);
+    }
+
+    /**
+     * @notice Checks whether an active lease has defaulted on payments
+     * @dev Behind on payments and paymentGrace expired since last payment
+     *      (or since the lease started, before the first payment), i.e. the
+     *      conditions under which claimDeposit is allowed
+     * @param lease Lease to check
+     * @return True if lease is in default
+     */
+    function isInDefault(CarLease.Lease storage lease) public view returns (bool) {
+        uint256 expectedPayments = (block.timestamp - lease.startTime) / _paymentPeriod(lease);
+        return lease.paymentsMade < expectedPayments &&
+            block.timestamp > _graceStart(lease) + _paymentGrace(lease);
+    }
+
+    /**
+     * @notice Calculates lessee early termination penalty
+     * @dev penaltyBps of remaining (unpaid) months, capped at deposit
+     * @param lease Lease being terminated
+     * @param penaltyBps CarLease early termination penalty rate (basis points)
+     * @return Penalty amount in wei
+     */
+    function terminationPenalty(CarLease.Lease storage lease, uint256 penaltyBps) public view returns (uint256) {
+        uint256 remainingMonths = lease.durationMonths - lease.paymentsMade;
+        uint256 penalty = (remainingMonths * lease.monthlyPayment * _rate(lease, lease.earlyTerminationPenaltyBps, penaltyBps)) / 10_000;
+        return penalty < lease.deposit ? penalty : lease.deposit;
+    }
+
+    /**
+     * @notice Previews the deposit settlement if the lessee terminated now
+     * @param lease Active lease
+     * @param readings Odometer readings for the lease, oldest first
+     * @param car Car metadata (mileage limit)
+     * @param terms Terms the dealer set at mint (excess-mileage rate)
+     * @param penaltyBps CarLease early termination penalty rate (basis points)
+     * @return penalty Early termination penalty
+     * @return refund Deposit returned after the penalty and the mileage charge on the
+     *         latest reading (released after the return inspection, less any damage claim)
+     */
+    function terminationQuote(
+        CarLease.Lease storage lease,
+        CarLease.MileageReading[] storage readings,
+        CarLease.CarMetadata storage car,
+        CarLease.LeaseTerms storage terms,
+        uint256 penaltyBps
+    ) public view returns (uint256 penalty, uint256 refund) {
+        require(lease.active, "Lease not active");
+
+        penalty = terminationPenalty(lease, penaltyBps);
+        refund = lease.deposit - penalty;
+
+        (, uint256 charge) = excessMileage(readings, car.mileageLimit, terms.excessMileageRateWei);
+        refund -= _usageCharge(charge, refund);
+    }
+
+    // ============================================
+    // BUYOUT
+    // ============================================
+
+    /**
+     * @notice Closes out a lease bought by its lessee
+     * @dev Called by CarLease.buyout, which collects the price less the deposit credit,
+     *      books the revenue and hands over the NFT. The excess-mileage charge on the
+     *      latest reading is settled from the deposit first, as when it is released;
+     *      what is left is applied to the price. Pending extension offers and
+     *      assignment approvals lapse.
+     * @param lease Lease being bought out
+     * @param terms Terms the dealer set at mint
+     * @param car Car metadata (value and mileage limit)
+     * @param readings Odometer readings for the lease, oldest first
+     * @param statuses CarLease status mapping
+     * @param offers CarLease extension offer mapping
+     * @param assignments CarLease assignment approval mapping
+     * @param tokenId NFT ID bought out
+     * @param lateFeeBps CarLease late fee rate (basis points)
+     * @return price Buyout price (see buyoutPrice)
+     * @return deposit Deposit released from escrow
+     * @return mileageCharge Part of it kept as dealer revenue before the price
+     */
+    function buyout(
+        CarLease.Lease storage lease,
+        CarLease.LeaseTerms storage terms,
+        CarLease.CarMetadata storage car,
+        CarLease.MileageReading[] storage readings,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        mapping(uint256 => CarLease.ExtensionOffer) storage offers,
+        mapping(uint256 => address) storage assignments,
+        uint256 tokenId,
+        uint256 lateFeeBps
+    ) external returns (uint256 price, uint256 deposit, uint256 mileageCharge) {
+        require(msg.sender == lease.lessee, "Only lessee can buy out");
+        price = buyoutPrice(lease, terms, car.originalValueWei, statuses, tokenId, lateFeeBps);
+        deposit = lease.deposit;
+        mileageCharge = _chargeMileage(lease, readings, car, terms, tokenId, deposit);
+        uint256 credit = deposit - mileageCharge;
+
+        lease.active = false;
+        lease.deposit = 0;
+        delete offers[tokenId];
+        delete assignments[tokenId];
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.BoughtOut);
+
+        emit LeaseBuyout(tokenId, msg.sender, price, credit < price ? credit : price);
+    }
+
+    /**
+     * @notice Calculates the price to buy out a lease now
+     * @dev Residual value set: remaining monthly payments plus the residual value.
+     *      Otherwise (ETH leases only, as originalValueWei is in wei): originalValueWei
+     *      less payments made at the current monthly payment, floored at zero.
+     *      Late fees on overdue payments are added either way. A completed lease can
+     *      only be bought during its return inspection (FINAL_READING_WINDOW after the
+     *      final payment) and while its deposit is still held.
+     * @param lease Active or completed lease
+     * @param terms Terms the dealer set at mint
+     * @param originalValueWei Car value recorded at mint
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID to price
+     * @param lateFeeBps CarLease late fee rate (basis points)
+     * @return price Buyout price in wei (or token units)
+     */
+    function buyoutPrice(
+        CarLease.Lease storage lease,
+        CarLease.LeaseTerms storage terms,
+        uint256 originalValueWei,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        uint256 lateFeeBps
+    ) public view returns (uint256 price) {
+        if (!lease.active) {
+            require(statuses[tokenId] == CarLease.LeaseStatus.Completed, "Lease not active or completed");
+            require(
+                lease.deposit > 0 && block.timestamp <= _returnedAt(lease) + FINAL_READING_WINDOW,
+                "Buyout window closed"
+            );
+        }
+
+        uint256 remainingMonths = lease.durationMonths - lease.paymentsMade;
+        if (terms.residualValue > 0) {
+            price = remainingMonths * lease.monthlyPayment + terms.residualValue;
+        } else {
+            require(terms.paymentToken == address(0), "No buyout price");
+            uint256 paid = lease.paymentsMade * lease.monthlyPayment;
+            price = originalValueWei > paid ? originalValueWei - paid : 0;
+        }
+
+        (, uint256 fee) = lateFees(lease, remainingMonths, lateFeeBps);
+        price += fee;
+    }
+
+    /**
+     * @notice Prices a buyout and splits it into deposit credit and amount to pay
+     * @dev Same arguments as buyout, less the mappings it clears. The deposit credit is
+     *      what is left of the deposit after the excess-mileage charge on the latest
+     *      reading, capped at the price.
+     * @return price Buyout price in wei (or token units)
+     * @return depositCredit Deposit applied against the price
+     * @return balanceDue What CarLease.buyout must be paid (price less depositCredit)
+     */
+    function buyoutQuote(
+        CarLease.Lease storage lease,
+        CarLease.LeaseTerms storage terms,
+        CarLease.CarMetadata storage car,
+        CarLease.MileageReading[] storage readings,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        uint256 lateFeeBps
+    ) external view returns (uint256 price, uint256 depositCredit, uint256 balanceDue) {
+        price = buyoutPrice(lease, terms, car.originalValueWei, statuses, tokenId, lateFeeBps);
+        (, uint256 charge) = excessMileage(readings, car.mileageLimit, terms.excessMileageRateWei);
+        depositCredit = lease.deposit - _usageCharge(charge, lease.deposit);
+        if (depositCredit > price) depositCredit = price;
+        balanceDue = price - depositCredit;
+    }
+
+    // ============================================
+    // DAMAGE CLAIMS
+    // ============================================
+    // Each function validates and advances the claim; CarLeaseModule checks the
+    // dealer and arbiter roles and, once a claim settles, releases the escrowed
+    // amount as dealer revenue and a credit to the lessee.
+
+    /**
+     * @notice Escrows part of a returned car's deposit against damage found at inspection
+     * @dev Called by CarLeaseModule.fileDamageClaim after its dealer check. One claim
+     *      per lease, filed within FINAL_READING_WINDOW after the lease completed or
+     *      was terminated; the lessee cannot reclaim the deposit before that unless the
+     *      dealer files or waives the claim. The claimed amount moves out of
+     *      lease.deposit, so the rest can be reclaimed meanwhile.
+     * @param lease Completed or terminated lease
+     * @param claim Storage slot of the token's damage claim
+     * @param tokenId NFT ID of the lease
+     * @param amount Part of the deposit claimed
+     * @param evidenceHash Hash of the dealer's inspection evidence
+     */
+    function fileDamageClaim(
+        CarLease.Lease storage lease,
+        CarLease.DamageClaim storage claim,
+        uint256 tokenId,
+        uint256 amount,
+        bytes32 evidenceHash
+    ) external {
+        _openInspection(lease, claim);
+        require(amount > 0, "Claim amount must be greater than zero");
+        require(amount <= lease.deposit, "Claim exceeds deposit");
+
+        uint64 disputeDeadline = uint64(block.timestamp) + DAMAGE_DISPUTE_WINDOW;
+        lease.deposit -= amount;
+        claim.amount = amount;
+        claim.evidenceHash = evidenceHash;
+        claim.disputeDeadline = disputeDeadline;
+        claim.status = CarLease.DamageClaimStatus.Filed;
+
+        emit DamageClaimFiled(tokenId, msg.sender, amount, evidenceHash, disputeDeadline);
+    }
+
+    /**
+     * @notice Closes a return inspection without a claim
+     * @dev Called by CarLeaseModule.waiveDamageClaim after its dealer check. Lets the
+     *      lessee reclaim the deposit before FINAL_READING_WINDOW has passed, once the
+     *      return reading is recorded.
+     * @param lease Completed or terminated lease
+     * @param claim Storage slot of the token's damage claim
+     * @param tokenId NFT ID of the lease
+     */
+    function waiveDamageClaim(
+        CarLease.Lease storage lease,
+        CarLease.DamageClaim storage claim,
+        uint256 tokenId
+    ) external {
+        _openInspection(lease, claim);
+        claim.status = CarLease.DamageClaimStatus.Waived;
+
+        emit DamageClaimWaived(tokenId, msg.sender);
+    }
+
+    /**
+     * @notice Accepts a damage claim in full
+     * @dev Called by CarLeaseModule.acceptDamageClaim. The lessee can accept until the
+     *      dispute deadline; after it an undisputed claim stands and anyone can settle it.
+     * @param lease Lease the claim was filed against
+     * @param claim Filed damage claim
+     * @param tokenId NFT ID of the lease
+     * @return amount Escrowed amount, all of it owed to the dealer
+     */
+    function acceptDamageClaim(
+        CarLease.Lease storage lease,
+        CarLease.DamageClaim storage claim,
+        uint256 tokenId
+    ) external returns (uint256 amount) {
+        require(claim.status == CarLease.DamageClaimStatus.Filed, "No damage claim to accept");
+        if (block.timestamp <= claim.disputeDeadline) {
+            require(msg.sender == lease.lessee, "Dispute window still open");
+        }
+
+        amount = claim.amount;
+        claim.status = CarLease.DamageClaimStatus.Accepted;
+        claim.dealerAmount = amount;
+
+        emit DamageClaimAccepted(tokenId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Lessee disputes a damage claim, leaving it to the damage arbiter
+     * @dev Called by CarLeaseModule.disputeDamageClaim; the amount stays escrowed
+     * @param lease Lease the claim was filed against
+     * @param claim Filed damage claim
+     * @param tokenId NFT ID of the lease
+     * @param evidenceHash Hash of the lessee's counter-evidence
+     */
+    function disputeDamageClaim(
+        CarLease.Lease storage lease,
+        CarLease.DamageClaim storage claim,
+        uint256 tokenId,
+        bytes32 evidenceHash
+    ) external {
+        require(claim.status == CarLease.DamageClaimStatus.Filed, "No damage claim to dispute");
+        require(msg.sender == lease.lessee, "Only lessee can dispute");
+        require(block.timestamp <= claim.disputeDeadline, "Dispute window closed");
+
+        claim.status = CarLease.DamageClaimStatus.Disputed;
+        claim.disputeEvidenceHash = evidenceHash;
+
+        emit DamageClaimDisputed(tokenId, msg.sender, evidenceHash);
+    }
+
+    /**
+     * @notice Arbiter splits a disputed claim between dealer and lessee
+     * @dev Called by CarLeaseModule.resolveDamageClaim after its arbiter check. The
+     *      dealer can be awarded at most the amount claimed.
+     * @param claim Disputed damage claim
+     * @param tokenId NFT ID of the lease
+     * @param dealerAmount Part of the claimed amount awarded to the dealer
+     * @return amount Escrowed amount; the part above dealerAmount goes back to the lessee
+     */
+    function resolveDamageClaim(
+        CarLease.DamageClaim storage claim,
+        uint256 tokenId,
+        uint256 dealerAmount
+    ) external returns (uint256 amount) {
+        require(claim.status == CarLease.DamageClaimStatus.Disputed, "No disputed damage claim");
+        amount = claim.amount;
+        require(dealerAmount <= amount, "Award exceeds claim");
+
+        claim.status = CarLease.DamageClaimStatus.Resolved;
+        claim.dealerAmount = dealerAmount;
+
+        emit DamageClaimResolved(tokenId, msg.sender, dealerAmount, amount - dealerAmount);
+    }
+
+    // ============================================
+    // LEASE ASSIGNMENT
+    // ============================================
+
+    /**
+     * @notice Approves handing an active lease over to a new lessee
+     * @dev Caller authorization is checked by CarLease.approveAssignment.
+     *      address(this) is CarLease here, as the library runs via delegatecall.
+     * @param lease Active lease
+     * @param assignments CarLease assignment approval mapping
+     * @param tokenId NFT ID of lease
+     * @param newLessee Address allowed to take over (address(0) withdraws the approval)
+     */
+    function approveAssignment(
+        CarLease.Lease storage lease,
+        mapping(uint256 => address) storage assignments,
+        uint256 tokenId,
+        address newLessee
+    ) external {
+        require(lease.active, "Lease not active");
+        require(newLessee != lease.lessee && newLessee != address(this), "Invalid assignee");
+
+        assignments[tokenId] = newLessee;
+
+        emit AssignmentApproved(tokenId, lease.lessee, newLessee);
+    }
+
+    /**
+     * @notice Hands a lease to the address its NFT is being transferred to
+     * @dev Called by CarLease._update for holder-initiated transfers. The target must
+     *      be the dealer-approved assignee; the approval and any extension offer lapse.
+     * @param lease Active lease
+     * @param assignments CarLease assignment approval mapping
+     * @param offers CarLease extension offer mapping
+     * @param tokenId NFT ID being transferred
+     * @param to Transfer recipient and new lessee
+     */
+    function assign(
+        CarLease.Lease storage lease,
+        mapping(uint256 => address) storage assignments,
+        mapping(uint256 => CarLease.ExtensionOffer) storage offers,
+        uint256 tokenId,
+        address to
+    ) external {
+        require(lease.active, "Lease not active");
+        require(to != address(0) && to == assignments[tokenId], "Assignment not approved");
+
+        address previousLessee = lease.lessee;
+        lease.lessee = to;
+        delete assignments[tokenId];
+        delete offers[tokenId];
+
+        emit LeaseAssigned(tokenId, previousLessee, to);
+    }
+
+    // ============================================
+    // MILEAGE TRACKING
+    // ============================================
+
+    /**
+     * @notice Appends an odometer reading to a confirmed lease
+     * @dev Caller authorization is checked by CarLease.reportMileage. Every reading is
+     *      recorded, however far the car was driven: it is what the excess-mileage charge
+     *      is worked out from. Readings showing more than MAX_USAGE_PERCENT of mileageLimit
+     *      driven since the baseline also emit MileageLimitExceeded, flagging them for
+     *      review (never when mileageLimit is 0).
+     * @param lease Lease the reading belongs to
+     * @param readings Odometer readings for the lease, oldest first
+     * @param tokenId NFT ID of leased car
+     * @param odometerKm Current odometer value in km (must not decrease)
+     * @param mileageLimit Distance allowed over the lease (car metadata)
+     */
+    function recordMileage(
+        CarLease.Lease storage lease,
+        CarLease.MileageReading[] storage readings,
+        uint256 tokenId,
+        uint256 odometerKm,
+        uint256 mileageLimit
+    ) external {
+        require(lease.exists, "Lease does not exist");
+        require(lease.startTime != 0, "Lease not confirmed");
+        require(lease.deposit > 0, "Lease already settled");
+
+        if (readings.length > 0) {
+            require(
+                odometerKm >= readings[readings.length - 1].odometerKm,
+                "Odometer cannot decrease"
+            );
+            uint256 drivenKm = odometerKm - readings[0].odometerKm;
+            if (mileageLimit > 0 && drivenKm > (mileageLimit * MAX_USAGE_PERCENT) / 100) {
+                emit MileageLimitExceeded(tokenId, drivenKm, mileageLimit);
+            }
+        }
+
+        readings.push(CarLease.MileageReading({
+            odometerKm: odometerKm,
+            timestamp: uint64(block.timestamp),
+            reporter: msg.sender
+        }));
+
+        emit MileageReported(tokenId, msg.sender, odometerKm, readings.length - 1);
+    }
+
+    /**
+     * @notice Calculates distance driven over the limit and its charge
+     * @dev Needs at least two readings (baseline and latest); uncapped
+     * @param readings Odometer readings for the lease, oldest first
+     * @param mileageLimit Distance allowed over the lease (car metadata)
+     * @param ratePerKm Charge per km over the limit (offered terms)
+     * @return excessKm Distance over mileageLimit
+     * @return charge excessKm times ratePerKm
+     */
+    function excessMileage(
+        CarLease.MileageReading[] storage readings,
+        uint256 mileageLimit,
+        uint256 ratePerKm
+    ) public view returns (uint256 excessKm, uint256 charge) {
+        if (readings.length < 2) return (0, 0);
+
+        uint256 driven = readings[readings.length - 1].odometerKm - readings[0].odometerKm;
+        if (driven <= mileageLimit) return (0, 0);
+
+        excessKm = driven - mileageLimit;
+        charge = excessKm * ratePerKm;
+    }
+
+
+    // ============================================
+    // CREDIT CHECKS
+    // ============================================
+
+    /**
+     * @notice Verifies and stores an off-chain credit attestation for a revealed lease
+     * @dev The attestor signs (EIP-191 personal_sign) the hash of
+     *      abi.encode(chainid, CarLease address, tokenId, lessee, creditFactor, expiresAt),
+     *      binding the result to this deployment, token and applicant. Anyone may submit.
+     *      A newer attestation replaces the stored one.
+     * @param lease Lease awaiting confirmation
+     * @param attestation Storage slot of the token's credit attestation
+     * @param attestors CarLease credit attestor mapping
+     * @param tokenId NFT ID of the lease application
+     * @param creditFactor Credit factor from 0 to MAX_CREDIT_FACTOR
+     * @param expiresAt Time after which the attestation cannot be used
+     * @param signature Attestor's signature
+     */
+    function attestCredit(
+        CarLease.Lease storage lease,
+        CarLease.CreditAttestation storage attestation,
+        mapping(address => bool) storage attestors,
+        uint256 tokenId,
+        uint32 creditFactor,
+        uint64 expiresAt,
+        bytes calldata signature
+    ) external {
+        require(lease.exists, "Lease does not exist");
+        require(lease.startTime == 0, "Lease already confirmed");
+        require(creditFactor <= MAX_CREDIT_FACTOR, "Credit factor out of range");
+        require(block.timestamp <= expiresAt, "Attestation expired");
+
+        bytes32 digest = MessageHashUtils.toEthSignedMessageHash(keccak256(abi.encode(
+            block.chainid,
+            address(this),
+            tokenId,
+            lease.lessee,
+            creditFactor,
+            expiresAt
+        )));
+        address attestor = ECDSA.recover(digest, signature);
+        require(attestors[attestor], "Not a credit attestor");
+
+        attestation.lessee = lease.lessee;
+        attestation.creditFactor = creditFactor;
+        attestation.expiresAt = expiresAt;
+        attestation.attestor = attestor;
+
+        emit CreditAttested(tokenId, lease.lessee, attestor, creditFactor, expiresAt);
+    }
+
+    /**
+     * @notice Sets the attested credit factor the calling dealer requires before confirming
+     * @dev Caller authorization is checked by CarLease.setMinCreditFactor
+     * @param minFactors CarLease minimum credit factor mapping
+     * @param newFactor Minimum credit factor, 0 to confirm without a credit check
+     */
+    function setMinCreditFactor(mapping(address => uint32) storage minFactors, uint32 newFactor) external {
+        require(newFactor <= MAX_CREDIT_FACTOR, "Credit factor out of range");
+
+        uint32 oldFactor = minFactors[msg.sender];
+        minFactors[msg.sender] = newFactor;
+
+        emit MinCreditFactorUpdated(msg.sender, oldFactor, newFactor);
+    }
+
+    // ============================================
+    // LEASE EXTENSION
+    // ============================================
+
+    /**
+     * @notice Validates and stores a dealer's extension offer
+     * @dev Caller authorization is checked by CarLease.offerExtension.
+     *      A new offer replaces any previous one.
+     * @param lease Lease to extend
+     * @param offer Storage slot of the token's extension offer
+     * @param tokenId NFT ID to extend
+     * @param additionalMonths Months to add (1..MAX_EXTENSION_MONTHS)
+     * @param newMonthlyPayment Monthly payment for all remaining months, within
+     *        MAX_PAYMENT_CHANGE_BPS of the current payment
+     */
+    function offerExtension(
+        CarLease.Lease storage lease,
+        CarLease.ExtensionOffer storage offer,
+        uint256 tokenId,
+        uint256 additionalMonths,
+        uint256 newMonthlyPayment
+    ) external {
+        require(lease.exists, "Lease does not exist");
+        require(lease.active, "Lease not active");
+        require(
+            additionalMonths > 0 && additionalMonths <= MAX_EXTENSION_MONTHS,
+            "Invalid extension length"
+        );
+
+        // Bound re-pricing relative to the current monthly payment
+        uint256 maxChange = (lease.monthlyPayment * MAX_PAYMENT_CHANGE_BPS) / 10_000;
+        require(
+            newMonthlyPayment >= lease.monthlyPayment - maxChange &&
+            newMonthlyPayment <= lease.monthlyPayment + maxChange,
+            "Payment change out of bounds"
+        );
+
+        uint64 expiresAt = uint64(block.timestamp) + EXTENSION_OFFER_WINDOW;
+        offer.additionalMonths = uint32(additionalMonths);
+        offer.newMonthlyPayment = newMonthlyPayment;
+        offer.expiresAt = expiresAt;
+
+        emit ExtensionOffered(
+            tokenId,
+            lease.lessee,
+            uint32(additionalMonths),
+            newMonthlyPayment,
+            expiresAt
+        );
+    }
+
+    /**
+     * @notice Applies a pending extension offer accepted by the lessee
+     * @dev Arguments must match the offer exactly (FR-031, FR-032, FR-033). Terms
+     *      are applied and the offer cleared before CarLease collects the top-up.
+     * @param lease Lease to extend
+     * @param offers CarLease extension offer mapping
+     * @param tokenId NFT ID to extend
+     * @param additionalMonths Number of months to add to lease
+     * @param newMonthlyPayment New monthly payment amount
+     * @return additionalDeposit Top-up bringing the deposit to depositMultiplier x the new payment
+     *         (0 if the existing deposit already covers it)
+     */
+    function acceptExtension(
+        CarLease.Lease storage lease,
+        mapping(uint256 => CarLease.ExtensionOffer) storage offers,
+        uint256 tokenId,
+        uint256 additionalMonths,
+        uint256 newMonthlyPayment
+    ) external returns (uint256 additionalDeposit) {
+        // FR-037: Validate lease is active and caller is lessee
+        require(lease.exists, "Lease does not exist");
+        require(lease.active, "Lease not active");
+        require(msg.sender == lease.lessee, "Only lessee can extend");
+
+        // Extension must match a live dealer offer
+        CarLease.ExtensionOffer memory offer = offers[tokenId];
+        require(offer.expiresAt > 0, "No extension offer");
+        require(block.timestamp <= offer.expiresAt, "Extension offer expired");
+        require(
+            additionalMonths == offer.additionalMonths &&
+            newMonthlyPayment == offer.newMonthlyPayment,
+            "Does not match extension offer"
+        );
+
+        // Lessee in arrears must catch up before extending
+        uint256 expectedPayments = (block.timestamp - lease.startTime) / _paymentPeriod(lease);
+        require(lease.paymentsMade >= expectedPayments, "Payments not current");
+
+        // FR-032: Top up deposit to the lease's multiple of the new monthly payment
+        uint256 requiredDeposit = newMonthlyPayment *
+            (lease.depositMultiplier > 0 ? lease.depositMultiplier : DEFAULT_DEPOSIT_MULTIPLIER);
+        additionalDeposit = requiredDeposit > lease.deposit
+            ? requiredDeposit - lease.deposit
+            : 0;
+
+        // FR-033: Apply new terms
+        lease.durationMonths += uint32(additionalMonths);
+        lease.monthlyPayment = newMonthlyPayment;
+        lease.deposit += additionalDeposit;
+        delete offers[tokenId];
+
+        // FR-047: Emit event
+        emit LeaseExtended(
+            tokenId,
+            msg.sender,
+            lease.durationMonths,
+            newMonthlyPayment,
+            additionalDeposit
+        );
+    }
+
+    // ============================================
+    // DEALER TREASURY
+    // ============================================
+
+    /**
+     * @notice Books a withdrawal of the caller's collected revenue in an asset
+     * @dev Called by CarLease.withdrawRevenue, which then sends the amount to `to`
+     * @param dealerCollected CarLease revenue collected per dealer and asset
+     * @param dealerWithdrawn CarLease revenue withdrawn per dealer and asset
+     * @param totalWithdrawn CarLease revenue withdrawn per asset
+     * @param depositsHeld CarLease deposits held per asset
+     * @param totalPending CarLease total pending withdrawals per asset
+     * @param asset Payment asset (address(0) = ETH)
+     * @param to Recipient of the funds
+     * @param amount Amount to withdraw (must not exceed the withdrawable balance)
+     */
+    function withdrawRevenue(
+        mapping(address => mapping(address => uint256)) storage dealerCollected,
+        mapping(address => mapping(address => uint256)) storage dealerWithdrawn,
+        mapping(address => uint256) storage totalWithdrawn,
+        mapping(address => uint256) storage depositsHeld,
+        mapping(address => uint256) storage totalPending,
+        address asset,
+        address to,
+        uint256 amount
+    ) external {
+        require(to != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than zero");
+
+        uint256 available = capToFreeBalance(
+            depositsHeld,
+            totalPending,
+            asset,
+            dealerCollected[msg.sender][asset] - dealerWithdrawn[msg.sender][asset]
+        );
+        require(amount <= available, "Amount exceeds withdrawable balance");
+
+        dealerWithdrawn[msg.sender][asset] += amount;
+        totalWithdrawn[asset] += amount;
+
+        emit Withdrawn(msg.sender, asset, to, amount, available - amount);
+    }
+
+    /**
+     * @notice Caps a revenue amount at the asset balance minus held deposits and credits
+     * @dev Safety net so revenue withdrawals can never touch deposits or funds
+     *      credited to lessees/dealers awaiting withdraw(). Balances are CarLease's,
+     *      since this runs via DELEGATECALL.
+     * @param depositsHeld CarLease deposits held per asset
+     * @param totalPending CarLease total pending withdrawals per asset
+     * @param asset ERC-20 address, or address(0) for ETH
+     * @param amount Unwithdrawn revenue in wei (or token units)
+     * @return Amount actually withdrawable
+     */
+    function capToFreeBalance(
+        mapping(address => uint256) storage depositsHeld,
+        mapping(address => uint256) storage totalPending,
+        address asset,
+        uint256 amount
+    ) public view returns (uint256) {
+        uint256 balance = asset == address(0)
+            ? address(this).balance
+            : IERC20(asset).balanceOf(address(this));
+        uint256 reserved = depositsHeld[asset] + totalPending[asset];
+        if (balance <= reserved) return 0;
+
+        uint256 free = balance - reserved;
+        return amount < free ? amount : free;
+    }
+
+    // ============================================
+    // CREDITED FUNDS
+    // ============================================
+
+    /**
+     * @notice Clears the caller's credited balance in an asset for withdrawal
+     * @dev Called by CarLease.withdraw, which then sends the amount to `to`
+     * @param pending CarLease pending withdrawal mapping (account => asset => amount)
+     * @param totalPending CarLease total pending withdrawals per asset
+     * @param asset Payment asset (address(0) = ETH)
+     * @param to Recipient of the funds
+     * @return amount Credited balance released
+     */
+    function releaseCredit(
+        mapping(address => mapping(address => uint256)) storage pending,
+        mapping(address => uint256) storage totalPending,
+        address asset,
+        address to
+    ) external returns (uint256 amount) {
+        require(to != address(0), "Invalid recipient");
+
+        amount = pending[msg.sender][asset];
+        require(amount > 0, "Nothing to withdraw");
+
+        pending[msg.sender][asset] = 0;
+        totalPending[asset] -= amount;
+
+        emit FundsWithdrawn(msg.sender, asset, to, amount);
+    }
+
+    // ============================================
+    // LEASE PARAMETERS
+    // ============================================
+
+    /**
+     * @notice Lease parameters a new deployment starts with
+     * @return params 7-day reveal and confirm windows, 30-day payment period,
+     *         45-day payment grace, a 3x deposit, a 5% late fee and a 25% early
+     *         termination penalty
+     */
+    function defaultParams() internal pure returns (CarLease.LeaseParams memory params) {
+        params = CarLease.LeaseParams({
+            revealWindow: DEFAULT_REVEAL_WINDOW,
+            confirmWindow: DEFAULT_CONFIRM_WINDOW,
+            paymentPeriod: DEFAULT_PAYMENT_PERIOD,
+            paymentGrace: DEFAULT_PAYMENT_GRACE,
+            depositMultiplier: DEFAULT_DEPOSIT_MULTIPLIER,
+            lateFeeBps: DEFAULT_LATE_FEE_BPS,
+            earlyTerminationPenaltyBps: DEFAULT_EARLY_TERMINATION_PENALTY_BPS
+        });
+    }
+
+    /**
+     * @notice Validates and queues a lease parameter change behind PARAMS_TIMELOCK
+     * @dev Caller authorization is checked by CarLease.proposeLeaseParams.
+     *      A new proposal replaces any pending one and restarts the timelock.
+     *      A proxy upgraded from an implementation without lease parameters has none
+     *      set (paymentPeriod 0); its first proposal applies immediately, as nothing
+     *      can run on it until it does (see scripts/upgrade.js).
+     * @param current Storage slot of the current parameters
+     * @param pending Storage slot of the pending proposal
+     * @param params Proposed values, within the MIN_/MAX_ bounds above
+     */
+    function proposeParams(
+        CarLease.LeaseParams storage current,
+        CarLease.PendingLeaseParams storage pending,
+        CarLease.LeaseParams memory params
+    ) external {
+        require(
+            params.revealWindow >= MIN_REVEAL_WINDOW && params.revealWindow <= MAX_REVEAL_WINDOW,
+            "Reveal window out of range"
+        );
+        require(
+            params.confirmWindow >= MIN_CONFIRM_WINDOW && params.confirmWindow <= MAX_CONFIRM_WINDOW,
+            "Confirm window out of range"
+        );
+        require(
+            params.paymentPeriod >= MIN_PAYMENT_PERIOD && params.paymentPeriod <= MAX_PAYMENT_PERIOD,
+            "Payment period out of range"
+        );
+        require(
+            params.paymentGrace >= params.paymentPeriod && params.paymentGrace <= MAX_PAYMENT_GRACE,
+            "Payment grace out of range"
+        );
+        require(
+            params.depositMultiplier > 0 && params.depositMultiplier <= MAX_DEPOSIT_MULTIPLIER,
+            "Deposit multiplier out of range"
+        );
+        require(params.lateFeeBps <= MAX_LATE_FEE_BPS, "Late fee too high");
+        require(params.earlyTerminationPenaltyBps <= MAX_EARLY_TERMINATION_PENALTY_BPS, "Penalty exceeds 100%");
+
+        if (current.paymentPeriod == 0) {
+            emit LeaseParamsUpdated(current, params);
+            _setParams(current, params);
+            return;
+        }
+
+        uint64 eta = uint64(block.timestamp) + PARAMS_TIMELOCK;
+        pending.revealWindow = params.revealWindow;
+        pending.confirmWindow = params.confirmWindow;
+        pending.paymentPeriod = params.paymentPeriod;
+        pending.paymentGrace = params.paymentGrace;
+        pending.depositMultiplier = params.depositMultiplier;
+        pending.eta = eta;
+        pending.lateFeeBps = params.lateFeeBps;
+        pending.earlyTerminationPenaltyBps = params.earlyTerminationPenaltyBps;
+
+        emit LeaseParamsProposed(params, eta);
+    }
+
+    /**
+     * @notice Makes the pending proposal the current lease parameters
+     * @dev Caller authorization is checked by CarLease.applyLeaseParams
+     * @param current Storage slot of the current parameters
+     * @param pending Storage slot of the pending proposal
+     */
+    function applyParams(
+        CarLease.LeaseParams storage current,
+        CarLease.PendingLeaseParams storage pending
+    ) external {
+        require(pending.eta > 0, "No pending params");
+        require(block.timestamp >= pending.eta, "Timelock not expired");
+
+        CarLease.LeaseParams memory params = _pendingParams(pending);
+        emit LeaseParamsUpdated(current, params);
+
+        _setParams(current, params);
+        delete pending.revealWindow;
+        delete pending.confirmWindow;
+        delete pending.paymentPeriod;
+        delete pending.paymentGrace;
+        delete pending.depositMultiplier;
+        delete pending.eta;
+        delete pending.lateFeeBps;
+        delete pending.earlyTerminationPenaltyBps;
+    }
+
+    /**
+     * @notice Withdraws the pending proposal
+     * @dev Caller authorization is checked by CarLease.cancelLeaseParams
+     * @param pending Storage slot of the pending proposal
+     */
+    function cancelParams(CarLease.PendingLeaseParams storage pending) external {
+        require(pending.eta > 0, "No pending params");
+
+        emit LeaseParamsCancelled(_pendingParams(pending));
+
+        delete pending.revealWindow;
+        delete pending.confirmWindow;
+        delete pending.paymentPeriod;
+        delete pending.paymentGrace;
+        delete pending.depositMultiplier;
+        delete pending.eta;
+        delete pending.lateFeeBps;
+        delete pending.earlyTerminationPenaltyBps;
+    }
+
+    /**
+     * @notice Overwrites the current lease parameters
+     */
+    function _setParams(CarLease.LeaseParams storage current, CarLease.LeaseParams memory params) private {
+        current.revealWindow = params.revealWindow;
+        current.confirmWindow = params.confirmWindow;
+        current.paymentPeriod = params.paymentPeriod;
+        current.paymentGrace = params.paymentGrace;
+        current.depositMultiplier = params.depositMultiplier;
+        current.lateFeeBps = params.lateFeeBps;
+        current.earlyTerminationPenaltyBps = params.earlyTerminationPenaltyBps;
+    }
+
+    /**
+     * @notice Copies a pending proposal's values into a LeaseParams
+     */
+    function _pendingParams(
+        CarLease.PendingLeaseParams storage pending
+    ) private view returns (CarLease.LeaseParams memory) {
+        return CarLease.LeaseParams({
+            revealWindow: pending.revealWindow,
+            confirmWindow: pending.confirmWindow,
+            paymentPeriod: pending.paymentPeriod,
+            paymentGrace: pending.paymentGrace,
+            depositMultiplier: pending.depositMultiplier,
+            lateFeeBps: pending.lateFeeBps,
+            earlyTerminationPenaltyBps: pending.earlyTerminationPenaltyBps
+        });
+    }
+
+    // ============================================
+    // PRIVATE HELPERS
+    // ============================================
+
+    /**
+     * @notice Moves a token to a new lifecycle status
+     * @dev Emits LeaseStatusChanged; no-op if the status is unchanged.
+     *      Every lifecycle transition goes through here.
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID
+     * @param newStatus Status after the transition
+     */
+    function _setStatus(
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        CarLease.LeaseStatus newStatus
+    ) private {
+        CarLease.LeaseStatus previousStatus = statuses[tokenId];
+        if (previousStatus == newStatus) return;
+
+        statuses[tokenId] = newStatus;
+
+        emit LeaseStatusChanged(tokenId, previousStatus, newStatus);
+    }
+
+    /**
+     * @notice Creates a revealed lease on the offered terms, pending confirmation
+     * @dev Shared by reveal and openSignedLease (FR-012, FR-041)
+     * @param lease Storage slot of the token's lease
+     * @param terms Terms the dealer offered
+     * @param params CarLease lease parameters, snapshotted into the lease
+     * @param statuses CarLease status mapping
+     * @param tokenId NFT ID being leased
+     * @param lessee Customer taking the lease
+     * @param confirmDeadline Dealer must confirm before this time
+     * @return deposit Deposit to collect
+     */
+    function _openLease(
+        CarLease.Lease storage lease,
+        CarLease.LeaseTerms storage terms,
+        CarLease.LeaseParams storage params,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId,
+        address lessee,
+        uint64 confirmDeadline
+    ) private returns (uint256 deposit) {
+        // A zero payment period would make every lease look like a legacy one
+        require(params.paymentPeriod != 0, "Lease params not set");
+
+        // FR-012: Deposit = depositMultiplier x offered monthly payment
+        deposit = terms.monthlyPayment * params.depositMultiplier;
+
+        lease.lessee = lessee;
+        lease.startTime = 0;  // Not started yet (pending confirmation)
+        lease.durationMonths = terms.durationMonths;
+        lease.monthlyPayment = terms.monthlyPayment;
+        lease.deposit = deposit;
+        lease.paymentsMade = 0;
+        lease.lastPaymentTime = 0;
+        lease.active = false;  // Pending confirmation
+        lease.exists = true;
+        lease.confirmDeadline = confirmDeadline;
+        lease.completed = false;
+        lease.paymentPeriod = params.paymentPeriod;
+        lease.paymentGrace = params.paymentGrace;
+        lease.depositMultiplier = params.depositMultiplier;
+        lease.lateFeeBps = params.lateFeeBps;
+        lease.earlyTerminationPenaltyBps = params.earlyTerminationPenaltyBps;
+        lease.returnedAt = 0;
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.PendingConfirmation);
+
+        // FR-041: Emit event
+        emit LeaseSignedRevealed(tokenId, lessee, terms.durationMonths, terms.monthlyPayment, deposit, confirmDeadline);
+    }
+
+    /**
+     * @notice Time the payment grace period runs from: the last payment, or the
+     *         lease start while no payment has been made yet
+     */
+    function _graceStart(CarLease.Lease storage lease) private view returns (uint64) {
+        return lease.lastPaymentTime > lease.startTime ? lease.lastPaymentTime : lease.startTime;
+    }
+
+    /**
+     * @notice Time between the lease's payment due dates (its snapshot, or the
+     *         default for leases revealed before parameters were tunable)
+     */
+    function _paymentPeriod(CarLease.Lease storage lease) private view returns (uint256) {
+        return lease.paymentPeriod > 0 ? lease.paymentPeriod : DEFAULT_PAYMENT_PERIOD;
+    }
+
+    /**
+     * @notice Time without payment before the lease's deposit can be claimed
+     *         (its snapshot, or the default for leases revealed before parameters were tunable)
+     */
+    function _paymentGrace(CarLease.Lease storage lease) private view returns (uint256) {
+        return lease.paymentGrace > 0 ? lease.paymentGrace : DEFAULT_PAYMENT_GRACE;
+    }
+
+    /**
+     * @notice When the car came back (final payment or termination), or 0 while the
+     *         lease runs; leases completed before returnedAt existed use their final payment
+     */
+    function _returnedAt(CarLease.Lease storage lease) private view returns (uint64) {
+        return lease.returnedAt == 0 && lease.completed ? lease.lastPaymentTime : lease.returnedAt;
+    }
+
+    /**
+     * @notice Checks that a returned car's inspection is still open for a damage claim
+     */
+    function _openInspection(CarLease.Lease storage lease, CarLease.DamageClaim storage claim) private view {
+        require(lease.exists, "Lease does not exist");
+        uint64 returnedAt = _returnedAt(lease);
+        require(returnedAt != 0, "Lease not ended");
+        require(block.timestamp <= returnedAt + FINAL_READING_WINDOW, "Inspection window closed");
+        require(claim.status == CarLease.DamageClaimStatus.None, "Damage claim already filed");
+    }
+
+    /**
+     * @notice Fee or penalty rate a lease was revealed under, or the current platform
+     *         rate for leases revealed before rates were snapshotted
+     */
+    function _rate(CarLease.Lease storage lease, uint16 snapshot, uint256 current) private view returns (uint256) {
+        return lease.paymentPeriod > 0 ? snapshot : current;
+    }
+
+    /**
+     * @notice Enforces the dealer's credit requirement and clears the token's attestation
+     * @dev With requiredFactor 0 no attestation is needed
+     * @param attestations CarLease credit attestation mapping
+     * @param tokenId NFT ID being confirmed
+     * @param lessee Applicant the attestation must cover
+     * @param requiredFactor Dealer's minimum credit factor (0 = no check)
+     */
+    function _consumeCreditAttestation(
+        mapping(uint256 => CarLease.CreditAttestation) storage attestations,
+        uint256 tokenId,
+        address lessee,
+        uint32 requiredFactor
+    ) private {
+        CarLease.CreditAttestation storage attestation = attestations[tokenId];
+        if (requiredFactor > 0) {
+            require(
+                attestation.lessee == lessee && block.timestamp <= attestation.expiresAt,
+                "Credit attestation required"
+            );
+            require(attestation.creditFactor >= requiredFactor, "Credit factor too low");
+        }
+        delete attestations[tokenId];
+    }
+
+    /**
+     * @notice Works out the excess-mileage charge on a deposit being released
+     * @dev Capped at what is left of the deposit
+     * @return charge Amount deducted (MileageCharged)
+     */
+    function _chargeMileage(
+        CarLease.Lease storage lease,
+        CarLease.MileageReading[] storage readings,
+        CarLease.CarMetadata storage car,
+        CarLease.LeaseTerms storage terms,
+        uint256 tokenId,
+        uint256 available
+    ) private returns (uint256 charge) {
+        (uint256 excessKm, uint256 fullCharge) = excessMileage(readings, car.mileageLimit, terms.excessMileageRateWei);
+        charge = _usageCharge(fullCharge, available);
+        if (charge > 0) {
+            emit MileageCharged(tokenId, lease.lessee, excessKm, charge);
+        }
+    }
+
+    /**
+     * @notice Caps an excess-mileage charge at the deposit left
+     */
+    function _usageCharge(uint256 charge, uint256 available) private pure returns (uint256) {
+        return charge < available ? charge : available;
+    }
+
+    /**
+     * @notice Deducts any excess-mileage charge and clears a completed lease's deposit
+     * @return depositAmount Deposit released from escrow
+     * @return mileageCharge Part of it kept as dealer revenue
+     */
+    function _releaseDeposit(
+        CarLease.Lease storage lease,
+        CarLease.MileageReading[] storage readings,
+        CarLease.CarMetadata storage car,
+        CarLease.LeaseTerms storage terms,
+        uint256 tokenId
+    ) private returns (uint256 depositAmount, uint256 mileageCharge) {
+        depositAmount = lease.deposit;
+        mileageCharge = _chargeMileage(lease, readings, car, terms, tokenId, depositAmount);
+        lease.deposit = 0;
+
+        emit DepositReturned(tokenId, lease.lessee, depositAmount - mileageCharge);
+    }
+
+    /**
+     * @notice Deletes an expired commitment and notifies its committer
+     */
+    function _expireCommit(
+        mapping(uint256 => CarLease.Commit) storage commits,
+        mapping(uint256 => CarLease.LeaseStatus) storage statuses,
+        uint256 tokenId
+    ) private {
+        CarLease.Commit memory c = commits[tokenId];
+        delete commits[tokenId];
+        _setStatus(statuses, tokenId, CarLease.LeaseStatus.Available);
+
+        emit CommitExpired(tokenId, c.committer, c.deadline);
+    }
+}
@@ -0,0 +1,219 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./CarLease.sol";
+
+/**
+ * @title LeaseMetadata
+ * @notice Builds fully on-chain ERC-721 metadata for CarLease tokens
+ * @dev External library: deployed once and linked into CarLease, which keeps the
+ *      SVG/JSON rendering code out of the main contract's bytecode.
+ *      Output is a base64 data URI of JSON whose image is a base64 SVG data URI.
+ *      Lease amounts are shown in the lease's payment asset (ETH or the ERC-20's symbol/decimals).
+ */
+library LeaseMetadata {
+    using Strings for uint256;
+
+    /**
+     * @notice Renders the tokenURI for a lease option NFT
+     * @param tokenId NFT ID being rendered
+     * @dev Car and lease are passed as CarLease storage references (read via
+     *      DELEGATECALL) rather than copied into the call, which keeps CarLease small
+     * @param car Car metadata stored at mint
+     * @param lease Current lease state
+     * @param leaseStatus Current lifecycle status (CarLease.LeaseStatus as uint8, which
+     *        keeps the library ABI readable by standard tooling)
+     * @param paymentToken ERC-20 the lease is paid in (address(0) = native ETH)
+     * @return data:application/json;base64 URI
+     */
+    function tokenURI(
+        uint256 tokenId,
+        CarLease.CarMetadata storage car,
+        CarLease.Lease storage lease,
+        uint8 leaseStatus,
+        address paymentToken
+    ) external view returns (string memory) {
+        string memory model = _escape(car.model);
+        string memory status = statusLabel(CarLease.LeaseStatus(leaseStatus));
+        (string memory symbol, uint8 decimals) = _currency(paymentToken);
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"CarLease #', tokenId.toString(), ': ', model,
+            '","description":"Lease option for a ', uint256(car.year).toString(), ' ',
+            _escape(car.color), ' ', model, '. Status: ', status, '.'
+        );
+        json = abi.encodePacked(
+            json,
+            '","image":"data:image/svg+xml;base64,', Base64.encode(_svg(tokenId, car, lease, status, symbol, decimals)),
+            '","attributes":', _attributes(car, lease, status, symbol), '}'
+        );
+
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    /**
+     * @notice Human-readable label for a lease lifecycle status
+     * @param status Current lifecycle status
+     * @return Status label shown in metadata
+     */
+    function statusLabel(CarLease.LeaseStatus status) internal pure returns (string memory) {
+        if (status == CarLease.LeaseStatus.Committed) return "Committed";
+        if (status == CarLease.LeaseStatus.PendingConfirmation) return "Pending Confirmation";
+        if (status == CarLease.LeaseStatus.Active) return "Active";
+        if (status == CarLease.LeaseStatus.Completed) return "Completed";
+        if (status == CarLease.LeaseStatus.Terminated) return "Terminated";
+        if (status == CarLease.LeaseStatus.Defaulted) return "Defaulted";
+        if (status == CarLease.LeaseStatus.Cancelled) return "Cancelled";
+        if (status == CarLease.LeaseStatus.BoughtOut) return "Bought Out";
+        return "Available";
+    }
+
+    /**
+     * @notice Symbol and decimals of a lease's payment asset
+     * @dev Falls back to "TOKEN"/18 for ERC-20s without metadata
+     */
+    function _currency(address paymentToken) private view returns (string memory symbol, uint8 decimals) {
+        if (paymentToken == address(0)) return ("ETH", 18);
+
+        symbol = "TOKEN";
+        decimals = 18;
+        try IERC20Metadata(paymentToken).symbol() returns (string memory s) {
+            symbol = _escape(s);
+        } catch {}
+        try IERC20Metadata(paymentToken).decimals() returns (uint8 d) {
+            decimals = d;
+        } catch {}
+    }
+
+    /**
+     * @notice Builds the JSON attributes array
+     * @dev Wei amounts are strings so JSON parsers don't lose precision; lease
+     *      amounts are in base units of the payment asset
+     */
+    function _attributes(
+        CarLease.CarMetadata memory car,
+        CarLease.Lease memory lease,
+        string memory status,
+        string memory symbol
+    ) private pure returns (bytes memory) {
+        bytes memory attrs = abi.encodePacked(
+            '[{"trait_type":"Model","value":"', _escape(car.model),
+            '"},{"trait_type":"Color","value":"', _escape(car.color),
+            '"},{"trait_type":"Year","display_type":"number","value":', uint256(car.year).toString()
+        );
+        attrs = abi.encodePacked(
+            attrs,
+            '},{"trait_type":"Value (wei)","value":"', car.originalValueWei.toString(),
+            '"},{"trait_type":"Mileage Limit (km)","display_type":"number","value":', car.mileageLimit.toString(),
+            '},{"trait_type":"Status","value":"', status,
+            '"},{"trait_type":"Payment Asset","value":"', symbol, '"}'
+        );
+
+        if (lease.exists) {
+            attrs = abi.encodePacked(
+                attrs,
+                ',{"trait_type":"Lessee","value":"', Strings.toHexString(lease.lessee),
+                '"},{"trait_type":"Monthly Payment (wei)","value":"', lease.monthlyPayment.toString()
+            );
+            attrs = abi.encodePacked(
+                attrs,
+                '"},{"trait_type":"Payments Made","display_type":"number","value":', uint256(lease.paymentsMade).toString(),
+                '},{"trait_type":"Duration (months)","display_type":"number","value":', uint256(lease.durationMonths).toString(),
+                '}'
+            );
+        }
+
+        return abi.encodePacked(attrs, ']');
+    }
+
+    /**
+     * @notice Builds the SVG card image
+     */
+    function _svg(
+        uint256 tokenId,
+        CarLease.CarMetadata memory car,
+        CarLease.Lease memory lease,
+        string memory status,
+        string memory symbol,
+        uint8 decimals
+    ) private pure returns (bytes memory) {
+        string memory progress = lease.exists
+            ? string(abi.encodePacked(
+                uint256(lease.paymentsMade).toString(), '/', uint256(lease.durationMonths).toString(),
+                ' payments - ', _formatUnits(lease.monthlyPayment, decimals), ' ', symbol, '/month'
+            ))
+            : string(abi.encodePacked('Value ', _formatUnits(car.originalValueWei, 18), ' ETH'));
+
+        bytes memory svg = abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="240" viewBox="0 0 400 240">',
+            '<rect width="400" height="240" rx="16" fill="#1e293b"/>',
+            '<text x="24" y="44" font-family="sans-serif" font-size="14" fill="#94a3b8">CarLease #', tokenId.toString(), '</text>',
+            '<text x="24" y="84" font-family="sans-serif" font-size="24" fill="#f8fafc">', _escape(car.model), '</text>'
+        );
+        svg = abi.encodePacked(
+            svg,
+            '<text x="24" y="114" font-family="sans-serif" font-size="16" fill="#cbd5e1">',
+            _escape(car.color), ' - ', uint256(car.year).toString(), ' - ', car.mileageLimit.toString(), ' km limit</text>'
+        );
+        return abi.encodePacked(
+            svg,
+            '<text x="24" y="164" font-family="sans-serif" font-size="18" fill="#38bdf8">', status, '</text>',
+            '<text x="24" y="194" font-family="sans-serif" font-size="14" fill="#cbd5e1">', progress, '</text>',
+            '</svg>'
+        );
+    }
+
+    /**
+     * @notice Formats a base-unit amount with up to 4 decimals
+     */
+    function _formatUnits(uint256 amount, uint8 decimals) private pure returns (string memory) {
+        uint256 unit = 10 ** decimals;
+        uint256 whole = amount / unit;
+        // 4 decimals (scaled up for assets with fewer than 4)
+        uint256 fraction = decimals >= 4
+            ? (amount % unit) / (unit / 1e4)
+            : (amount % unit) * (1e4 / unit);
+        if (fraction == 0) return whole.toString();
+
+        // Left-pad to 4 digits, then drop trailing zeros
+        bytes memory digits = bytes((fraction + 10_000).toString());
+        uint256 len = 5;
+        while (digits[len - 1] == "0") len--;
+
+        bytes memory fractionDigits = new bytes(len - 1);
+        for (uint256 i = 1; i < len; i++) {
+            fractionDigits[i - 1] = digits[i];
+        }
+        return string(abi.encodePacked(whole.toString(), ".", fractionDigits));
+    }
+
+    /**
+     * @notice Makes dealer-supplied text safe inside both JSON strings and SVG text
+     * @dev Substitutes characters that would break either format (" to ', \ to /,
+     *      < > to parentheses, & to +) and drops control characters
+     */
+    function _escape(string memory text) private pure returns (string memory) {
+        bytes memory input = bytes(text);
+        bytes memory output = new bytes(input.length);
+        uint256 len;
+
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 ch = input[i];
+            if (uint8(ch) < 0x20) continue;
+            if (ch == '"') ch = "'";
+            else if (ch == "\\") ch = "/";
+            else if (ch == "<") ch = "(";
+            else if (ch == ">") ch = ")";
+            else if (ch == "&") ch = "+";
+            output[len++] = ch;
+        }
+
+        assembly {
+            mstore(output, len)
+        }
+        return string(output);
+    }
+}
@@ -0,0 +1,219 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./CarLease.sol";
+
+/**
+ * @title LeaseSignatures
+ * @notice EIP-712 checks for dealer-signed lease offers and relayed customer actions
+ * @dev External library linked into CarLeaseModule. Functions run via DELEGATECALL
+ *      from the module, itself delegated to by CarLease, so address(this) is the CarLease
+ *      deployment (the proxy, when behind one) and serves as the domain's
+ *      verifyingContract. The domain separator is derived on every call rather than
+ *      cached, so it stays correct behind a proxy and after a chain fork. scripts/lib/signatures.js builds the same typed data.
+ */
+library LeaseSignatures {
+    // ============================================
+    // EIP-712 TYPES
+    // ============================================
+
+    /// @notice Signing domain: name "CarLease", version "1", current chain, this contract
+    bytes32 internal constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 internal constant NAME_HASH = keccak256("CarLease");
+    bytes32 internal constant VERSION_HASH = keccak256("1");
+
+    bytes32 internal constant CAR_METADATA_TYPEHASH = keccak256(
+        "CarMetadata(string model,string color,uint16 year,uint256 originalValueWei,uint256 mileageLimit)"
+    );
+    bytes32 internal constant LEASE_TERMS_TYPEHASH = keccak256(
+        "LeaseTerms(uint256 monthlyPayment,uint32 durationMonths,uint256 excessMileageRateWei,address paymentToken,uint256 residualValue)"
+    );
+    bytes32 internal constant LEASE_OFFER_TYPEHASH = keccak256(
+        "LeaseOffer(CarMetadata car,LeaseTerms terms,address dealer,address lessee,uint256 nonce,uint64 expiresAt)"
+        "CarMetadata(string model,string color,uint16 year,uint256 originalValueWei,uint256 mileageLimit)"
+        "LeaseTerms(uint256 monthlyPayment,uint32 durationMonths,uint256 excessMileageRateWei,address paymentToken,uint256 residualValue)"
+    );
+
+    // Relayed customer actions: signed by `account`, consuming CarLeaseModule.nonces(account)
+    bytes32 internal constant COMMIT_TYPEHASH = keccak256(
+        "CommitToLease(address account,uint256 tokenId,bytes32 commitment,uint256 nonce,uint64 deadline)"
+    );
+    bytes32 internal constant REVEAL_TYPEHASH = keccak256(
+        "RevealAndPay(address account,uint256 tokenId,bytes32 secret,uint32 durationMonths,uint256 monthlyPayment,uint256 nonce,uint64 deadline)"
+    );
+    bytes32 internal constant PAYMENT_TYPEHASH = keccak256(
+        "MakeMonthlyPayment(address account,uint256 tokenId,uint256 months,uint256 nonce,uint64 deadline)"
+    );
+
+    // ============================================
+    // EVENTS
+    // ============================================
+    // Same signatures as the CarLease events of the same name, which document them.
+
+    event OfferAccepted(uint256 indexed tokenId, address indexed dealer, address indexed lessee, uint256 nonce);
+    event OfferCancelled(address indexed dealer, uint256 nonce);
+
+    // ============================================
+    // DOMAIN
+    // ============================================
+
+    /**
+     * @notice EIP-712 domain separator of the calling CarLease deployment
+     * @return Hash of the EIP712Domain struct
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, NAME_HASH, VERSION_HASH, block.chainid, address(this)));
+    }
+
+    // ============================================
+    // LEASE OFFERS
+    // ============================================
+
+    /**
+     * @notice Checks a dealer-signed offer accepted by msg.sender and spends its nonce
+     * @dev Called by CarLeaseModule.acceptOffer, which checks the dealer's role, mints
+     *      the option and opens the lease. Dealers who require a credit check
+     *      (minCreditFactor > 0) vet the customer off-chain, so their offers must name
+     *      the lessee.
+     * @param usedNonces CarLease offer nonce mapping
+     * @param offer Offer as signed by the dealer
+     * @param signature Dealer's EIP-712 signature over the offer
+     * @param tokenId NFT ID minted for the offer
+     * @param lesseeRequired True if the dealer requires a credit check
+     */
+    function useOffer(
+        mapping(address => mapping(uint256 => bool)) storage usedNonces,
+        CarLease.LeaseOffer calldata offer,
+        bytes calldata signature,
+        uint256 tokenId,
+        bool lesseeRequired
+    ) external {
+        require(block.timestamp <= offer.expiresAt, "Offer expired");
+        require(
+            offer.lessee == msg.sender || (offer.lessee == address(0) && !lesseeRequired),
+            "Offer not for caller"
+        );
+        require(!usedNonces[offer.dealer][offer.nonce], "Offer already used or cancelled");
+
+        bytes32 structHash = keccak256(abi.encode(
+            LEASE_OFFER_TYPEHASH,
+            _hashCar(offer.car),
+            _hashTerms(offer.terms),
+            offer.dealer,
+            offer.lessee,
+            offer.nonce,
+            offer.expiresAt
+        ));
+        require(ECDSA.recover(_digest(structHash), signature) == offer.dealer, "Invalid dealer signature");
+
+        usedNonces[offer.dealer][offer.nonce] = true;
+
+        emit OfferAccepted(tokenId, offer.dealer, msg.sender, offer.nonce);
+    }
+
+    /**
+     * @notice Dealer voids one of their signed offers before anyone accepts it
+     * @param usedNonces CarLease offer nonce mapping
+     * @param nonce Nonce of the offer to void
+     */
+    function cancelOffer(mapping(address => mapping(uint256 => bool)) storage usedNonces, uint256 nonce) external {
+        require(!usedNonces[msg.sender][nonce], "Offer already used or cancelled");
+
+        usedNonces[msg.sender][nonce] = true;
+
+        emit OfferCancelled(msg.sender, nonce);
+    }
+
+    // ============================================
+    // RELAYED ACTIONS
+    // ============================================
+
+    /**
+     * @notice Checks a customer's signature over a relayed action and spends their nonce
+     * @dev Called by CarLeaseModule.executeBySig, which then performs the action. The
+     *      action calldata is decoded here into the matching typed struct, so the
+     *      customer signs readable fields rather than raw calldata. Each signature covers
+     *      the account's current nonce and can be submitted once, by anyone, before its
+     *      deadline.
+     * @param nonces CarLease per-account nonce mapping
+     * @param account Customer the action is performed for
+     * @param action ABI-encoded commitToLease, revealAndPay or makeMonthlyPayment call
+     * @param deadline Signature expiry timestamp
+     * @param signature Account's EIP-712 signature
+     */
+    function useActionSignature(
+        mapping(address => uint256) storage nonces,
+        address account,
+        bytes calldata action,
+        uint64 deadline,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= deadline, "Signature expired");
+
+        bytes4 selector = bytes4(action);
+        uint256 nonce = nonces[account];
+        bytes32 structHash;
+        if (selector == CarLease.commitToLease.selector) {
+            // Nothing to pay on a commit, so relayed ETH would be stranded
+            require(msg.value == 0, "ETH not accepted for commit");
+            (uint256 tokenId, bytes32 commitment) = abi.decode(action[4:], (uint256, bytes32));
+            structHash = keccak256(abi.encode(COMMIT_TYPEHASH, account, tokenId, commitment, nonce, deadline));
+        } else if (selector == CarLease.revealAndPay.selector) {
+            (uint256 tokenId, bytes32 secret, uint32 durationMonths, uint256 monthlyPayment) =
+                abi.decode(action[4:], (uint256, bytes32, uint32, uint256));
+            structHash = keccak256(abi.encode(
+                REVEAL_TYPEHASH, account, tokenId, secret, durationMonths, monthlyPayment, nonce, deadline
+            ));
+        } else if (selector == CarLease.makeMonthlyPayment.selector) {
+            (uint256 tokenId, uint256 months) = abi.decode(action[4:], (uint256, uint256));
+            structHash = keccak256(abi.encode(PAYMENT_TYPEHASH, account, tokenId, months, nonce, deadline));
+        } else {
+            revert("Action not relayable");
+        }
+
+        require(ECDSA.recover(_digest(structHash), signature) == account, "Invalid signature");
+        nonces[account] = nonce + 1;
+    }
+
+    // ============================================
+    // PRIVATE HELPERS
+    // ============================================
+
+    /**
+     * @notice EIP-712 struct hash of an offer's car metadata
+     */
+    function _hashCar(CarLease.CarMetadata calldata car) private pure returns (bytes32) {
+        return keccak256(abi.encode(
+            CAR_METADATA_TYPEHASH,
+            keccak256(bytes(car.model)),
+            keccak256(bytes(car.color)),
+            car.year,
+            car.originalValueWei,
+            car.mileageLimit
+        ));
+    }
+
+    /**
+     * @notice EIP-712 struct hash of an offer's lease terms
+     */
+    function _hashTerms(CarLease.LeaseTerms calldata terms) private pure returns (bytes32) {
+        return keccak256(abi.encode(
+            LEASE_TERMS_TYPEHASH,
+            terms.monthlyPayment,
+            terms.durationMonths,
+            terms.excessMileageRateWei,
+            terms.paymentToken,
+            terms.residualValue
+        ));
+    }
+
+    /**
+     * @notice Typed-data digest of a struct hash under this contract's domain
+     */
+    function _digest(bytes32 structHash) private view returns (bytes32) {
+        return MessageHashUtils.toTypedDataHash(domainSeparator(), structHash);
+    }
+}
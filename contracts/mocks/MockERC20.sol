@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockERC20
+ * @notice Stablecoin stand-in for local Hardhat testing of token-paid leases
+ * @dev EIP-2612 permit enabled, configurable decimals (e.g. 6 like USDC) and
+ *      an open mint so any account can fund itself. Never deploy to a live network.
+ */
+contract MockERC20 is ERC20, ERC20Permit {
+    uint8 private immutable _decimals;
+
+    /**
+     * @notice Deploys the mock token
+     * @param name Token name (e.g., "Mock USD")
+     * @param symbol Token symbol (e.g., "mUSD")
+     * @param decimals_ Token decimals (e.g., 6)
+     */
+    constructor(string memory name, string memory symbol, uint8 decimals_)
+        ERC20(name, symbol)
+        ERC20Permit(name)
+    {
+        _decimals = decimals_;
+    }
+
+    /**
+     * @notice Mints tokens to any address (test faucet)
+     * @param to Recipient
+     * @param amount Amount in base units
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @notice Token decimals set at deployment
+     * @return Number of decimals
+     */
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title RejectingReceiver
+ * @notice Contract account that refuses ETH, for local testing of the pull-payment escrow
+ * @dev Acts as a lessee or dealer by forwarding calls through execute(). While
+ *      rejectPayments is true every incoming ETH transfer reverts, so refunds and
+ *      claims must be credited rather than pushed. Never deploy to a live network.
+ */
+contract RejectingReceiver {
+    /// @notice True while incoming ETH transfers revert
+    bool public rejectPayments = true;
+
+    /**
+     * @notice Toggles whether incoming ETH is rejected
+     * @param reject True to reject ETH
+     */
+    function setRejectPayments(bool reject) external {
+        rejectPayments = reject;
+    }
+
+    /**
+     * @notice Forwards a call (with value) so this contract can act as lessee or dealer
+     * @dev Bubbles up the revert reason of a failed call
+     * @param target Contract to call
+     * @param data ABI-encoded calldata
+     * @return result Raw return data
+     */
+    function execute(address target, bytes calldata data) external payable returns (bytes memory result) {
+        bool success;
+        (success, result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    /**
+     * @notice Rejects ETH while rejectPayments is set
+     */
+    receive() external payable {
+        require(!rejectPayments, "RejectingReceiver: ETH rejected");
+    }
+}
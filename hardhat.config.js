@@ -1,16 +1,32 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
-require("dotenv").config();
+// quiet: keep stdout clean for `lease ... --json`
+require("dotenv").config({ quiet: true });
+
+// `npx hardhat lease <command>` operational CLI
+require("./tasks/lease");
+require("./tasks/dealer");
+require("./tasks/admin");
+require("./tasks/keeper");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    // 0.8.22+ is required by OpenZeppelin's UUPSUpgradeable and ERC1967Proxy
+    version: "0.8.26",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200
+      },
+      // IR pipeline keeps CarLease under the 24 KB contract size limit
+      viaIR: true,
+      // Storage layouts are recorded in deployments/ and compared before upgrades
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
       }
     }
   },
@@ -0,0 +1,341 @@
+/**
+ * Read-only REST API for CarLease inventory and lease data
+ * Serves JSON over HTTP for the web front-end and support staff, read from the CarLease
+ * deployment on the selected Hardhat network. Each response is read at a single block
+ * and cached until the next block; nothing is ever signed or sent.
+ *
+ * Usage:
+ *   npx hardhat run scripts/api.js --network localhost
+ *   curl http://127.0.0.1:3000/cars
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS  - CarLease address (default: deployments/<network>.json)
+ *   API_HOST          - Interface to listen on (default: 127.0.0.1)
+ *   API_PORT          - Port to listen on (default: 3000)
+ *
+ * Endpoints (GET):
+ *   /                            - Network, contract and latest block
+ *   /cars                        - Cars open for commitment; ?status=<LeaseStatus> or ?status=all
+ *   /cars/:tokenId               - Car metadata, offered terms and status
+ *   /leases/:tokenId             - Lease details, status, NFT holder, extension offer and damage claim
+ *   /leases/:tokenId/payments    - Payment schedule, amount due now, next due date and isPaymentCurrent
+ *   /leases/:tokenId/commitment  - Commitment, reveal deadline and whether it can still be revealed
+ *   /lessees/:address/leases     - Leases whose current lessee is the address
+ *
+ * Responses are { blockNumber, data }. Amounts (wei or token base units), token IDs and
+ * timestamps are decimal strings. Errors are { "error": "<message>" } with status 400,
+ * 404 or 405.
+ */
+
+const http = require("http");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { resolveContractAddress } = require("./lib/deployments");
+
+// CarLease enums, in declaration order
+const LEASE_STATUS = [
+  "Available", "Committed", "PendingConfirmation", "Active",
+  "Completed", "Terminated", "Defaulted", "Cancelled", "BoughtOut"
+];
+const DAMAGE_CLAIM_STATUS = ["None", "Filed", "Disputed", "Accepted", "Resolved", "Waived"];
+
+// Statuses that accept a new commitment (Cancelled tokens need no relist)
+const OPEN_STATUSES = ["Available", "Cancelled"];
+
+// Payment period of leases revealed before lease parameters were tunable (getLease reads 0)
+const LEGACY_PAYMENT_PERIOD = 30n * 24n * 60n * 60n;
+
+/**
+ * Request error carrying its HTTP status
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+// ============================================
+// READS
+// ============================================
+
+/**
+ * CarLease reads pinned to one block, so a response never mixes two chain states
+ */
+function reader(contract, module, blockTag) {
+  const read = (target) => (method, ...args) => target[method](...args, { blockTag });
+  const call = read(contract);
+  const moduleCall = read(module);
+
+  async function tokenId(value) {
+    if (!/^\d+$/.test(value)) throw new ApiError(400, `Invalid token ID: ${value}`);
+    const id = BigInt(value);
+    if (id === 0n || id > await call("totalMinted")) throw new ApiError(404, `Token #${id} does not exist`);
+    return id;
+  }
+
+  async function car(id) {
+    const [metadata, terms, status, dealer] = await Promise.all([
+      call("getCarMetadata", id),
+      call("getLeaseTerms", id),
+      call("getLeaseStatus", id),
+      call("tokenDealer", id)
+    ]);
+    return {
+      tokenId: id,
+      status: LEASE_STATUS[Number(status)],
+      dealer,
+      car: metadata.toObject(true),
+      terms: terms.toObject(true)
+    };
+  }
+
+  async function lease(id) {
+    const [summary, details, holder, offer, damageClaim] = await Promise.all([
+      car(id),
+      call("getLease", id),
+      call("ownerOf", id),
+      call("getExtensionOffer", id),
+      moduleCall("getDamageClaim", id)
+    ]);
+    return {
+      ...summary,
+      holder,
+      lease: details.toObject(true),
+      extensionOffer: offer.expiresAt === 0n ? null : offer.toObject(true),
+      damageClaim: damageClaim.status === 0n ? null
+        : { ...damageClaim.toObject(true), status: DAMAGE_CLAIM_STATUS[Number(damageClaim.status)] }
+    };
+  }
+
+  async function payments(id) {
+    const details = await call("getLease", id);
+    if (!details.exists) throw new ApiError(404, `Token #${id} has no lease`);
+
+    const [[principal, lateFees, nextDueDate], current, status] = await Promise.all([
+      call("getAmountDue", id),
+      details.active ? call("isPaymentCurrent", id) : null,
+      call("getLeaseStatus", id)
+    ]);
+
+    // Payment n falls due n payment periods after the start (LeaseLogic.amountDue)
+    const period = details.paymentPeriod > 0n ? details.paymentPeriod : LEGACY_PAYMENT_PERIOD;
+    const schedule = [];
+    if (details.startTime > 0n) {
+      for (let n = 1n; n <= details.durationMonths; n++) {
+        schedule.push({
+          paymentNumber: n,
+          dueDate: details.startTime + n * period,
+          amount: details.monthlyPayment,
+          paid: n <= details.paymentsMade
+        });
+      }
+    }
+
+    return {
+      tokenId: id,
+      status: LEASE_STATUS[Number(status)],
+      lessee: details.lessee,
+      startTime: details.startTime,
+      paymentPeriod: period,
+      paymentsMade: details.paymentsMade,
+      durationMonths: details.durationMonths,
+      amountDue: { principal, lateFees },
+      // Only meaningful while the lease is active
+      nextDueDate: details.active ? nextDueDate : null,
+      isPaymentCurrent: current,
+      schedule
+    };
+  }
+
+  async function commitment(id) {
+    const [commit, valid, status] = await Promise.all([
+      call("getCommit", id),
+      call("isCommitmentValid", id),
+      call("getLeaseStatus", id)
+    ]);
+    return {
+      tokenId: id,
+      status: LEASE_STATUS[Number(status)],
+      committed: commit.committer !== ethers.ZeroAddress,
+      ...commit.toObject(true),
+      valid
+    };
+  }
+
+  /**
+   * Status and current lessee of every token, for the list endpoints
+   */
+  async function tokens() {
+    const total = await call("totalMinted");
+    const ids = Array.from({ length: Number(total) }, (_, i) => BigInt(i + 1));
+    return Promise.all(ids.map(async (id) => {
+      const [status, details] = await Promise.all([call("getLeaseStatus", id), call("getLease", id)]);
+      return { tokenId: id, status: LEASE_STATUS[Number(status)], lessee: details.exists ? details.lessee : null };
+    }));
+  }
+
+  return { tokenId, car, lease, payments, commitment, tokens };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * Resolve a GET path to its response data
+ */
+async function route(url, read, info) {
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  if (parts.length === 0) {
+    return info;
+  }
+
+  if (parts[0] === "cars" && parts.length === 1) {
+    const filter = url.searchParams.get("status");
+    if (filter && filter !== "all" && !LEASE_STATUS.includes(filter)) {
+      throw new ApiError(400, `Invalid status: ${filter} (expected all or one of ${LEASE_STATUS.join(", ")})`);
+    }
+    const statuses = filter === "all" ? LEASE_STATUS : filter ? [filter] : OPEN_STATUSES;
+    const matching = (await read.tokens()).filter((t) => statuses.includes(t.status));
+    return Promise.all(matching.map((t) => read.car(t.tokenId)));
+  }
+
+  if (parts[0] === "cars" && parts.length === 2) {
+    return read.car(await read.tokenId(parts[1]));
+  }
+
+  if (parts[0] === "leases" && parts.length === 2) {
+    return read.lease(await read.tokenId(parts[1]));
+  }
+
+  if (parts[0] === "leases" && parts.length === 3 && parts[2] === "payments") {
+    return read.payments(await read.tokenId(parts[1]));
+  }
+
+  if (parts[0] === "leases" && parts.length === 3 && parts[2] === "commitment") {
+    return read.commitment(await read.tokenId(parts[1]));
+  }
+
+  if (parts[0] === "lessees" && parts.length === 3 && parts[2] === "leases") {
+    if (!ethers.isAddress(parts[1])) throw new ApiError(400, `Invalid address: ${parts[1]}`);
+    const lessee = parts[1].toLowerCase();
+    const held = (await read.tokens()).filter((t) => t.lessee && t.lessee.toLowerCase() === lessee);
+    return Promise.all(held.map((t) => read.lease(t.tokenId)));
+  }
+
+  throw new ApiError(404, `Not found: ${url.pathname}`);
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * HTTP handler serving routes from a cache that is emptied whenever a new block arrives.
+ * Concurrent requests for the same URL share one read.
+ */
+function createHandler(contract, module, info) {
+  let cachedBlock = -1;
+  let cache = new Map();
+
+  return async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*"
+      });
+      res.end(toJson(body) + "\n");
+    };
+
+    if (req.method !== "GET") {
+      send(405, { error: "Only GET is supported" });
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const blockNumber = await ethers.provider.getBlockNumber();
+      if (blockNumber !== cachedBlock) {
+        cachedBlock = blockNumber;
+        cache = new Map();
+      }
+
+      const key = url.pathname.replace(/\/+$/, "") + url.search;
+      let response = cache.get(key);
+      if (!response) {
+        const read = reader(contract, module, blockNumber);
+        response = route(url, read, info).then((data) => ({ blockNumber, data }));
+        cache.set(key, response);
+        response.catch(() => cache.delete(key));
+      }
+      send(200, await response);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        send(error.status, { error: error.message });
+      } else {
+        console.error(`❌ ${req.url}:`, error.shortMessage || error.message);
+        send(500, { error: "Internal error" });
+      }
+    }
+  };
+}
+
+async function main() {
+  const networkInfo = await ethers.provider.getNetwork();
+  const contractAddress = await resolveContractAddress(hre);
+  if (!contractAddress) {
+    console.error("❌ Error: CONTRACT_ADDRESS is required (or deploy with scripts/deploy.js first)");
+    console.error("Usage: npx hardhat run scripts/api.js --network <network>");
+    process.exit(1);
+  }
+
+  const host = process.env.API_HOST || "127.0.0.1";
+  const port = Number(process.env.API_PORT || 3000);
+
+  // Module functions (damage claims) are called at the CarLease address
+  const contract = await ethers.getContractAt("CarLease", contractAddress);
+  const module = await ethers.getContractAt("CarLeaseModule", contractAddress);
+  const info = { network: hre.network.name, chainId: networkInfo.chainId, contract: contractAddress };
+
+  console.log("\n🌐 CarLease REST API");
+  console.log("============================================================\n");
+  console.log(`🌐 Network: ${hre.network.name} (Chain ID: ${networkInfo.chainId})`);
+  console.log("📍 Contract:", contractAddress);
+
+  const server = http.createServer(createHandler(contract, module, info));
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(`🚀 Listening on http://${host}:${port} (Ctrl+C to stop)\n`);
+
+  // Serve until interrupted
+  await new Promise((resolve) => {
+    const stop = () => server.close(resolve);
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ API server failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ApiError,
+  reader,
+  route,
+  createHandler
+};
@@ -0,0 +1,68 @@
+/**
+ * Storage layout check for UUPS deployments of CarLease
+ * Compares the freshly compiled CarLease storage layout with the one recorded in
+ * deployments/<network>.json and exits non-zero if upgrading would corrupt proxy storage
+ * or CarLeaseModule's layout differs from CarLease's (scripts/upgrade.js runs the same
+ * checks before every upgrade)
+ *
+ * Usage:
+ *   npx hardhat run scripts/check-storage-layout.js --network <network>
+ *
+ * Environment:
+ *   DEPLOYMENT_FILE  - Deployment record to compare against (default: deployments/<network>.json)
+ */
+
+const fs = require("fs");
+const hre = require("hardhat");
+const { loadDeployment, deploymentFile } = require("./lib/deployments");
+const { currentLayout, compareLayouts, moduleLayoutErrors } = require("./lib/storage-layout");
+
+async function main() {
+  const file = process.env.DEPLOYMENT_FILE || deploymentFile(hre.network.name);
+  const deployment = process.env.DEPLOYMENT_FILE
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : loadDeployment(hre.network.name);
+
+  if (!deployment || !deployment.storageLayout) {
+    console.error(`❌ Error: no UUPS deployment with a recorded storage layout in ${file}`);
+    console.error("Usage: DEPLOY_MODE=uups npx hardhat run scripts/deploy.js --network <network> first");
+    process.exit(1);
+  }
+
+  console.log("\n🧱 CarLease Storage Layout Check");
+  console.log("============================================================\n");
+  console.log("📍 Proxy:          ", deployment.address);
+  console.log("📍 Implementation: ", deployment.implementation);
+  console.log("💾 Recorded layout:", file, "\n");
+
+  const layout = await currentLayout(hre);
+  const errors = [
+    ...compareLayouts(deployment.storageLayout, layout),
+    ...await moduleLayoutErrors(hre, layout)
+  ];
+  const added = layout.storage.slice(deployment.storageLayout.storage.length);
+
+  console.log(`📦 ${deployment.storageLayout.storage.length} deployed variable(s), ${layout.storage.length} in the current build`);
+  for (const variable of added) {
+    console.log(`   ➕ ${variable.label} (slot ${variable.slot}, offset ${variable.offset})`);
+  }
+
+  if (errors.length > 0) {
+    console.error(`\n❌ ${errors.length} storage layout violation(s):`);
+    for (const error of errors) {
+      console.error(`   • ${error}`);
+    }
+    console.error("\nAppend new state variables at the end of CarLeaseBase and only grow structs stored in mappings.\n");
+    process.exit(1);
+  }
+
+  console.log("\n✅ Storage layout is upgrade-compatible\n");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Storage layout check failed:");
+    console.error(error);
+    process.exit(1);
+  });
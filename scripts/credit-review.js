@@ -0,0 +1,142 @@
+/**
+ * Credit review script for a deployed CarLease contract
+ * A credit attestor signs and submits an applicant's credit factor, or the dealer
+ * rejects a revealed lease application (deposit credited back to the applicant)
+ *
+ * Usage:
+ *   REVIEW_ACTION=attest TOKEN_ID=1 CREDIT_FACTOR=720 \
+ *     npx hardhat run scripts/credit-review.js --network <network>
+ *   REVIEW_ACTION=reject TOKEN_ID=1 REJECT_REASON=CreditCheckFailed \
+ *     npx hardhat run scripts/credit-review.js --network <network>
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS      - CarLease address (default: deployments/<network>.json)
+ *   TOKEN_ID              - Lease NFT awaiting dealer confirmation
+ *   REVIEW_ACTION         - "attest" (credit attestor) or "reject" (dealer)
+ *   CREDIT_FACTOR         - Credit factor from 0 to MAX_CREDIT_FACTOR (attest only)
+ *   ATTESTATION_TTL_DAYS  - Days the attestation stays valid (attest only, default: 7)
+ *   REJECT_REASON         - CreditCheckFailed, IncompleteApplication, VehicleUnavailable
+ *                           or Other (reject only, default: CreditCheckFailed)
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { resolveContractAddress } = require("./lib/deployments");
+
+// CarLease.RejectionReason enum, in declaration order
+const REJECTION_REASONS = ["CreditCheckFailed", "IncompleteApplication", "VehicleUnavailable", "Other"];
+
+async function main() {
+  const networkInfo = await ethers.provider.getNetwork();
+  const chainId = Number(networkInfo.chainId);
+
+  const contractAddress = await resolveContractAddress(hre);
+  const action = process.env.REVIEW_ACTION;
+
+  if (!contractAddress || !process.env.TOKEN_ID || !["attest", "reject"].includes(action)) {
+    console.error("❌ Error: CONTRACT_ADDRESS, TOKEN_ID and REVIEW_ACTION=attest|reject are required");
+    console.error("Usage: REVIEW_ACTION=attest TOKEN_ID=1 CREDIT_FACTOR=720 npx hardhat run scripts/credit-review.js --network <network>");
+    process.exit(1);
+  }
+
+  const tokenId = BigInt(process.env.TOKEN_ID);
+
+  console.log("\n🧾 CarLease Credit Review");
+  console.log("============================================================\n");
+
+  const signers = await ethers.getSigners();
+  const contract = await ethers.getContractAt("CarLease", contractAddress);
+
+  const lease = await contract.getLease(tokenId);
+  if (!lease.exists || lease.startTime !== 0n) {
+    console.error(`❌ Error: token #${tokenId} has no lease application awaiting confirmation`);
+    process.exit(1);
+  }
+
+  const tokenDealer = await contract.tokenDealer(tokenId);
+  const requiredFactor = await contract.minCreditFactor(tokenDealer);
+
+  console.log("📍 Contract:", contractAddress);
+  console.log(`📄 Token #${tokenId}`);
+  console.log(`   Applicant:       ${lease.lessee}`);
+  console.log(`   Dealer:          ${tokenDealer}`);
+  console.log(`   Required factor: ${requiredFactor === 0n ? "none" : requiredFactor}`);
+  console.log(`   Confirm before:  ${new Date(Number(lease.confirmDeadline) * 1000).toISOString()}\n`);
+
+  if (action === "attest") {
+    // Sign with whichever local account the platform owner authorized as attestor
+    let attestor;
+    for (const signer of signers) {
+      if (await contract.creditAttestors(signer.address)) {
+        attestor = signer;
+        break;
+      }
+    }
+    if (!attestor) {
+      console.error("❌ Error: none of the configured accounts is an authorized credit attestor");
+      process.exit(1);
+    }
+
+    const creditFactor = Number(process.env.CREDIT_FACTOR);
+    const maxFactor = Number(await contract.MAX_CREDIT_FACTOR());
+    if (!Number.isInteger(creditFactor) || creditFactor < 0 || creditFactor > maxFactor) {
+      console.error(`❌ Error: CREDIT_FACTOR must be an integer from 0 to ${maxFactor}`);
+      process.exit(1);
+    }
+    const ttlDays = Number(process.env.ATTESTATION_TTL_DAYS || 7);
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const expiresAt = latestBlock.timestamp + ttlDays * 24 * 60 * 60;
+
+    // Same encoding as LeaseLogic.attestCredit, signed as an EIP-191 personal message
+    const digest = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "address", "uint256", "address", "uint32", "uint64"],
+      [chainId, contractAddress, tokenId, lease.lessee, creditFactor, expiresAt]
+    ));
+    const signature = await attestor.signMessage(ethers.getBytes(digest));
+
+    console.log("1️⃣  Attestor submits credit attestation...");
+    console.log(`   🖊️  Attestor: ${attestor.address}`);
+    const tx = await contract.connect(attestor).submitCreditAttestation(tokenId, creditFactor, expiresAt, signature);
+    console.log(`   ⏳ Waiting for transaction: ${tx.hash}`);
+    await tx.wait();
+
+    console.log(`   ✅ Credit factor ${creditFactor} recorded`);
+    console.log(`   ⏰ Valid until ${new Date(expiresAt * 1000).toISOString()}`);
+    if (requiredFactor > 0n) {
+      console.log(`   ${BigInt(creditFactor) >= requiredFactor ? "✅ Meets" : "⚠️  Below"} the dealer's minimum of ${requiredFactor}`);
+    }
+    console.log();
+    return;
+  }
+
+  // Reject: only the dealer that minted the token can reject its applications
+  const dealer = signers.find((s) => s.address.toLowerCase() === tokenDealer.toLowerCase());
+  if (!dealer) {
+    console.error(`❌ Error: token dealer ${tokenDealer} is not one of the configured accounts`);
+    process.exit(1);
+  }
+
+  const reasonName = process.env.REJECT_REASON || "CreditCheckFailed";
+  const reason = REJECTION_REASONS.indexOf(reasonName);
+  if (reason < 0) {
+    console.error(`❌ Error: REJECT_REASON must be one of ${REJECTION_REASONS.join(", ")}`);
+    process.exit(1);
+  }
+
+  console.log("1️⃣  Dealer rejects lease application...");
+  console.log(`   📝 Reason: ${reasonName}`);
+  const tx = await contract.connect(dealer).rejectLease(tokenId, reason);
+  console.log(`   ⏳ Waiting for transaction: ${tx.hash}`);
+  await tx.wait();
+
+  console.log("   ✅ Application rejected, token is available again");
+  console.log(`   💰 Deposit credited to ${lease.lessee} (collect with withdraw())\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Credit review failed:");
+    console.error(error);
+    process.exit(1);
+  });
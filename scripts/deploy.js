@@ -1,8 +1,32 @@
-const { ethers } = require("hardhat");
+/**
+ * Deployment script for CarLease, its CarLeaseModule and their linked libraries
+ * Records the result in deployments/<network>.json, which every other script reads
+ *
+ * Usage:
+ *   npx hardhat run scripts/deploy.js --network <network>
+ *   DEPLOY_MODE=uups npx hardhat run scripts/deploy.js --network <network>
+ *
+ * Environment:
+ *   DEPLOY_MODE      - "direct" (plain contract, default) or "uups" (CarLease implementation
+ *                      behind a CarLeaseProxy, upgradeable with scripts/upgrade.js)
+ *   MINT_SAMPLE_NFT  - "true" to mint a sample lease option after deployment
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { saveDeployment, abiHash } = require("./lib/deployments");
+const { currentLayout } = require("./lib/storage-layout");
 
 async function main() {
+  const mode = process.env.DEPLOY_MODE || "direct";
+  if (!["direct", "uups"].includes(mode)) {
+    console.error("❌ Error: DEPLOY_MODE must be direct|uups");
+    process.exit(1);
+  }
+
   console.log("\n🚀 Starting CarLease Contract Deployment...\n");
   console.log("=".repeat(60));
+  console.log(`🧩 Deployment mode: ${mode}`);
 
   // Get deployer account
   const [deployer] = await ethers.getSigners();
@@ -18,27 +42,118 @@ async function main() {
     process.exit(1);
   }
 
-  // Deploy CarLease contract
-  console.log("📦 Deploying CarLease contract...");
-  const CarLease = await ethers.getContractFactory("CarLease");
+  // Deploy metadata library (linked into CarLease for on-chain tokenURI)
+  console.log("📦 Deploying LeaseMetadata library...");
+  const LeaseMetadata = await ethers.getContractFactory("LeaseMetadata");
+  const leaseMetadata = await LeaseMetadata.deploy();
+  await leaseMetadata.waitForDeployment();
+
+  const libraryAddress = await leaseMetadata.getAddress();
+  console.log(`✅ LeaseMetadata deployed to: ${libraryAddress}\n`);
+
+  // Deploy lease logic library (linked into CarLease and CarLeaseModule for lease flow validation)
+  console.log("📦 Deploying LeaseLogic library...");
+  const LeaseLogic = await ethers.getContractFactory("LeaseLogic");
+  const leaseLogic = await LeaseLogic.deploy();
+  await leaseLogic.waitForDeployment();
+
+  const logicAddress = await leaseLogic.getAddress();
+  console.log(`✅ LeaseLogic deployed to: ${logicAddress}\n`);
+
+  // Deploy signature library (linked into CarLeaseModule for signed offers and relayed actions)
+  console.log("📦 Deploying LeaseSignatures library...");
+  const LeaseSignatures = await ethers.getContractFactory("LeaseSignatures");
+  const leaseSignatures = await LeaseSignatures.deploy();
+  await leaseSignatures.waitForDeployment();
+
+  const signaturesAddress = await leaseSignatures.getAddress();
+  console.log(`✅ LeaseSignatures deployed to: ${signaturesAddress}\n`);
+
+  // Deploy the module CarLease's fallback delegates to (entry points beyond the size limit)
+  console.log("📦 Deploying CarLeaseModule...");
+  const CarLeaseModule = await ethers.getContractFactory("CarLeaseModule", {
+    libraries: { LeaseLogic: logicAddress, LeaseSignatures: signaturesAddress }
+  });
+  const carLeaseModule = await CarLeaseModule.deploy();
+  await carLeaseModule.waitForDeployment();
+
+  const moduleAddress = await carLeaseModule.getAddress();
+  console.log(`✅ CarLeaseModule deployed to: ${moduleAddress}\n`);
+
+  // Deploy CarLease contract (the implementation, in UUPS mode)
+  console.log(`📦 Deploying CarLease ${mode === "uups" ? "implementation" : "contract"}...`);
+  const CarLease = await ethers.getContractFactory("CarLease", {
+    libraries: { LeaseMetadata: libraryAddress, LeaseLogic: logicAddress }
+  });
   
-  const carLease = await CarLease.deploy();
+  let carLease = await CarLease.deploy(moduleAddress);
   await carLease.waitForDeployment();
   
+  const implementationAddress = await carLease.getAddress();
+  let deployTx = carLease.deploymentTransaction();
+  console.log(`✅ CarLease deployed to: ${implementationAddress}\n`);
+
+  // UUPS: put the implementation behind a proxy, initialized in the same transaction
+  if (mode === "uups") {
+    console.log("📦 Deploying CarLeaseProxy...");
+    const CarLeaseProxy = await ethers.getContractFactory("CarLeaseProxy");
+    const initData = CarLease.interface.encodeFunctionData("initialize", [deployer.address]);
+    const proxy = await CarLeaseProxy.deploy(implementationAddress, initData);
+    await proxy.waitForDeployment();
+
+    deployTx = proxy.deploymentTransaction();
+    carLease = CarLease.attach(await proxy.getAddress());
+    console.log(`✅ CarLeaseProxy deployed to: ${await proxy.getAddress()}\n`);
+  }
+
   const contractAddress = await carLease.getAddress();
-  console.log(`✅ CarLease deployed to: ${contractAddress}\n`);
+  const deployReceipt = await deployTx.wait();
 
   // Display deployment info
   const network = await ethers.provider.getNetwork();
   console.log("=".repeat(60));
   console.log("📋 Deployment Summary");
   console.log("=".repeat(60));
-  console.log(`Network: ${network.name} (Chain ID: ${network.chainId})`);
-  console.log(`Contract: ${contractAddress}`);
+  console.log(`Network: ${hre.network.name} (Chain ID: ${network.chainId})`);
+  console.log(`Contract: ${contractAddress}${mode === "uups" ? " (proxy)" : ""}`);
+  if (mode === "uups") {
+    console.log(`Implementation: ${implementationAddress}`);
+  }
+  console.log(`Library:  ${libraryAddress} (LeaseMetadata)`);
+  console.log(`Library:  ${logicAddress} (LeaseLogic)`);
+  console.log(`Library:  ${signaturesAddress} (LeaseSignatures)`);
+  console.log(`Module:   ${moduleAddress} (CarLeaseModule)`);
   console.log(`Deployer: ${deployer.address}`);
-  console.log(`Block: ${await ethers.provider.getBlockNumber()}`);
+  console.log(`Block: ${deployReceipt.blockNumber}`);
+  console.log(`Transaction: ${deployReceipt.hash}`);
   console.log("=".repeat(60));
 
+  // Record the deployment for the other scripts (the in-process hardhat network is discarded on exit)
+  if (hre.network.name === "hardhat") {
+    console.log("\n⚠️  In-process hardhat network: deployment registry not written");
+  } else {
+    const deployment = {
+      network: hre.network.name,
+      chainId: Number(network.chainId),
+      mode,
+      address: contractAddress,
+      implementation: mode === "uups" ? implementationAddress : null,
+      module: moduleAddress,
+      libraries: { LeaseMetadata: libraryAddress, LeaseLogic: logicAddress, LeaseSignatures: signaturesAddress },
+      blockNumber: deployReceipt.blockNumber,
+      transactionHash: deployReceipt.hash,
+      deployer: deployer.address,
+      abiHash: abiHash(ethers, CarLease.interface),
+      deployedAt: new Date().toISOString()
+    };
+    if (mode === "uups") {
+      deployment.storageLayout = await currentLayout(hre);
+      deployment.upgrades = [];
+    }
+    const file = saveDeployment(hre.network.name, deployment);
+    console.log(`\n💾 Deployment recorded in ${file}`);
+  }
+
   // Mint sample NFT for testing (optional)
   if (process.env.MINT_SAMPLE_NFT === "true") {
     console.log("\n🎨 Minting sample NFT for testing...");
@@ -50,7 +165,10 @@ async function main() {
       ethers.parseEther("30"),      // originalValueWei: 30 ETH total value
       ethers.parseEther("0.5"),     // monthlyPayment: 0.5 ETH/month
       36,                            // durationMonths: 36 months
-      50000                          // mileageLimit: 50,000 km
+      50000,                         // mileageLimit: 50,000 km
+      ethers.parseEther("0.0001"),   // excessMileageRateWei: 0.0001 ETH per km over limit
+      ethers.ZeroAddress,            // paymentToken: native ETH
+      ethers.parseEther("12")        // residualValue: 12 ETH buyout price at the end of the term
     );
     
     const receipt = await tx.wait();
@@ -65,24 +183,38 @@ async function main() {
     console.log(`   Year: ${carData.year}`);
     console.log(`   Total Value: ${ethers.formatEther(carData.originalValueWei)} ETH`);
     console.log(`   Mileage Limit: ${carData.mileageLimit} km`);
-  }
 
-  // Save deployment address
-  console.log("\n💾 Save this information:");
-  console.log("=".repeat(60));
-  console.log(`CARLEASE_ADDRESS=${contractAddress}`);
-  console.log("=".repeat(60));
+    // Read back the lease terms enforced at reveal
+    const terms = await carLease.getLeaseTerms(1);
+    console.log("\n📑 Offered Lease Terms:");
+    console.log(`   Monthly Payment: ${ethers.formatEther(terms.monthlyPayment)} ETH`);
+    console.log(`   Duration: ${terms.durationMonths} months`);
+    console.log(`   Excess Mileage Rate: ${ethers.formatEther(terms.excessMileageRateWei)} ETH/km`);
+    const { depositMultiplier } = await carLease.leaseParams();
+    console.log(`   Required Deposit: ${ethers.formatEther(terms.monthlyPayment * depositMultiplier)} ETH (${depositMultiplier}x monthly)`);
+    console.log(`   Buyout Price at End: ${ethers.formatEther(terms.residualValue)} ETH`);
+  }
 
   // Verification instructions
   console.log("\n🔍 To verify on Etherscan:");
-  console.log(`npx hardhat verify --network ${network.name} ${contractAddress}`);
+  console.log(`npx hardhat verify --network ${hre.network.name} ${libraryAddress}`);
+  console.log(`npx hardhat verify --network ${hre.network.name} ${logicAddress}`);
+  console.log(`npx hardhat verify --network ${hre.network.name} ${signaturesAddress}`);
+  console.log(`npx hardhat verify --network ${hre.network.name} ${moduleAddress}`);
+  console.log(`npx hardhat verify --network ${hre.network.name} ${implementationAddress} ${moduleAddress}`);
+  if (mode === "uups") {
+    console.log(`npx hardhat verify --network ${hre.network.name} ${contractAddress} ${implementationAddress} ${CarLease.interface.encodeFunctionData("initialize", [deployer.address])}`);
+  }
 
   // Next steps
   console.log("\n📝 Next Steps:");
-  console.log("1. Save contract address to .env or deployment-addresses.json");
-  console.log("2. Verify contract on Etherscan (see command above)");
-  console.log("3. Test contract via Etherscan 'Write Contract' interface");
-  console.log("4. Interact with contract using frontend or scripts");
+  console.log("1. Verify contract on Etherscan (see command above)");
+  console.log("2. Test contract via Etherscan 'Write Contract' interface");
+  console.log("3. Operate it with the lease CLI: npx hardhat lease info --network " + hre.network.name);
+  console.log("4. Import dealer inventory: INVENTORY_FILE=cars.csv npx hardhat run scripts/import-inventory.js --network " + hre.network.name);
+  if (mode === "uups") {
+    console.log("5. Ship fixes without migrating leases: npx hardhat run scripts/upgrade.js --network " + hre.network.name);
+  }
 
   console.log("\n✨ Deployment complete!\n");
 
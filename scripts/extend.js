@@ -0,0 +1,142 @@
+/**
+ * Lease extension script for a deployed CarLease contract
+ * Dealer offers an extension, then the lessee accepts it and pays the top-up deposit
+ *
+ * Usage:
+ *   EXTEND_ACTION=offer TOKEN_ID=1 EXTEND_MONTHS=6 EXTEND_MONTHLY_PAYMENT=1.1 \
+ *     npx hardhat run scripts/extend.js --network <network>
+ *   EXTEND_ACTION=accept TOKEN_ID=1 npx hardhat run scripts/extend.js --network <network>
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS        - CarLease address (default: deployments/<network>.json)
+ *   TOKEN_ID                - Lease NFT to extend
+ *   EXTEND_ACTION           - "offer" (dealer) or "accept" (lessee)
+ *   EXTEND_MONTHS           - Months to add (offer only)
+ *   EXTEND_MONTHLY_PAYMENT  - New monthly payment in ETH/token units (offer only, default: unchanged)
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { resolveContractAddress } = require("./lib/deployments");
+
+async function main() {
+  const contractAddress = await resolveContractAddress(hre);
+  const action = process.env.EXTEND_ACTION;
+
+  if (!contractAddress || !process.env.TOKEN_ID || !["offer", "accept"].includes(action)) {
+    console.error("❌ Error: CONTRACT_ADDRESS, TOKEN_ID and EXTEND_ACTION=offer|accept are required");
+    console.error("Usage: EXTEND_ACTION=offer TOKEN_ID=1 EXTEND_MONTHS=6 npx hardhat run scripts/extend.js --network <network>");
+    process.exit(1);
+  }
+
+  const tokenId = BigInt(process.env.TOKEN_ID);
+
+  console.log("\n📆 CarLease Lease Extension");
+  console.log("============================================================\n");
+
+  const signers = await ethers.getSigners();
+  const contract = await ethers.getContractAt("CarLease", contractAddress);
+
+  const lease = await contract.getLease(tokenId);
+  if (!lease.active) {
+    console.error(`❌ Error: lease for token #${tokenId} is not active`);
+    process.exit(1);
+  }
+
+  // Amounts are in the lease's payment asset (native ETH or an ERC-20)
+  const { paymentToken } = await contract.getLeaseTerms(tokenId);
+  const paidInEth = paymentToken === ethers.ZeroAddress;
+  let symbol = "ETH";
+  let decimals = 18;
+  if (!paidInEth) {
+    const token = await ethers.getContractAt("IERC20Metadata", paymentToken);
+    symbol = await token.symbol();
+    decimals = Number(await token.decimals());
+  }
+  const format = (amount) => `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+
+  console.log("📍 Contract:", contractAddress);
+  console.log(`📄 Token #${tokenId}`);
+  console.log(`   Lessee:          ${lease.lessee}`);
+  console.log(`   Payments made:   ${lease.paymentsMade}/${lease.durationMonths}`);
+  console.log(`   Monthly payment: ${format(lease.monthlyPayment)}`);
+  console.log(`   Deposit held:    ${format(lease.deposit)}\n`);
+
+  if (action === "offer") {
+    // Only the dealer that minted the token can offer an extension
+    const tokenDealer = await contract.tokenDealer(tokenId);
+    const dealer = signers.find((s) => s.address.toLowerCase() === tokenDealer.toLowerCase());
+    if (!dealer) {
+      console.error(`❌ Error: token dealer ${tokenDealer} is not one of the configured accounts`);
+      process.exit(1);
+    }
+    const additionalMonths = Number(process.env.EXTEND_MONTHS || 0);
+    const newMonthlyPayment = process.env.EXTEND_MONTHLY_PAYMENT
+      ? ethers.parseUnits(process.env.EXTEND_MONTHLY_PAYMENT, decimals)
+      : lease.monthlyPayment;
+
+    console.log("1️⃣  Dealer offers extension...");
+    const tx = await contract.connect(dealer).offerExtension(tokenId, additionalMonths, newMonthlyPayment);
+    console.log(`   ⏳ Waiting for transaction: ${tx.hash}`);
+    await tx.wait();
+
+    const offer = await contract.getExtensionOffer(tokenId);
+    console.log(`   ✅ Offered +${offer.additionalMonths} months at ${format(offer.newMonthlyPayment)}/month`);
+    console.log(`   ⏰ Lessee must accept before ${new Date(Number(offer.expiresAt) * 1000).toISOString()}\n`);
+    return;
+  }
+
+  // Accept: act as whichever local account holds the lease
+  const lessee = signers.find((s) => s.address.toLowerCase() === lease.lessee.toLowerCase());
+  if (!lessee) {
+    console.error(`❌ Error: lessee ${lease.lessee} is not one of the configured accounts`);
+    process.exit(1);
+  }
+
+  const offer = await contract.getExtensionOffer(tokenId);
+  if (offer.expiresAt === 0n) {
+    console.error("❌ Error: no extension offer for this token - ask the dealer to run EXTEND_ACTION=offer");
+    process.exit(1);
+  }
+
+  // Deposit is topped up to the lease's multiple of the new monthly payment, never reduced
+  // (leases from before lease parameters read 0 and keep 3x)
+  const multiplier = lease.depositMultiplier > 0n ? lease.depositMultiplier : 3n;
+  const requiredDeposit = offer.newMonthlyPayment * multiplier;
+  const additionalDeposit = requiredDeposit > lease.deposit ? requiredDeposit - lease.deposit : 0n;
+
+  console.log("1️⃣  Lessee accepts extension...");
+  console.log(`   📅 Adding ${offer.additionalMonths} months`);
+  console.log(`   💵 New monthly payment: ${format(offer.newMonthlyPayment)}`);
+  console.log(`   💰 Top-up deposit: ${format(additionalDeposit)}`);
+
+  // Token leases pull the top-up with transferFrom instead of msg.value
+  if (!paidInEth && additionalDeposit > 0n) {
+    const token = await ethers.getContractAt("IERC20", paymentToken);
+    const approveTx = await token.connect(lessee).approve(contractAddress, additionalDeposit);
+    console.log(`   ⏳ Approving top-up: ${approveTx.hash}`);
+    await approveTx.wait();
+  }
+
+  const tx = await contract.connect(lessee).extendLease(
+    tokenId,
+    offer.additionalMonths,
+    offer.newMonthlyPayment,
+    { value: paidInEth ? additionalDeposit : 0n }
+  );
+  console.log(`   ⏳ Waiting for transaction: ${tx.hash}`);
+  await tx.wait();
+
+  const updated = await contract.getLease(tokenId);
+  console.log("   ✅ Lease extended!");
+  console.log(`   📅 Duration: ${updated.durationMonths} months (${updated.paymentsMade} paid)`);
+  console.log(`   💰 Deposit held: ${format(updated.deposit)}\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Extension failed:");
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,366 @@
+/**
+ * Inventory import script for a deployed CarLease contract
+ * Mints a dealer's cars from a CSV or JSON file with mintOptionsBatch, split into
+ * batches that fit the gas limit, and writes the row -> token ID mapping to a file
+ *
+ * Usage:
+ *   INVENTORY_FILE=cars.csv DRY_RUN=true npx hardhat run scripts/import-inventory.js --network <network>
+ *   INVENTORY_FILE=cars.csv npx hardhat run scripts/import-inventory.js --network <network>
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS  - CarLease address (default: deployments/<network>.json)
+ *   INVENTORY_FILE    - .csv (header row) or .json (array of objects) with one car per row
+ *   DRY_RUN           - "true" to validate and plan batches without sending transactions
+ *   BATCH_GAS_LIMIT   - Max gas per batch transaction (default: half the block gas limit)
+ *   OUTPUT_FILE       - Where to write the mapping (default: <input>.minted.json)
+ *   DEALER_ADDRESS    - Account to mint from (default: first configured account)
+ *
+ * Columns / keys (amounts in ETH, or in the payment token's units):
+ *   model, color, year, originalValue, monthlyPayment, durationMonths,
+ *   mileageLimit, excessMileageRate, paymentToken (empty = native ETH),
+ *   residualValue (buyout price at the end of the term; empty = originalValue
+ *   less payments made on ETH leases, no buyout on token leases)
+ *
+ * A failed batch stops the import; rows already minted are in the output file,
+ * so remove them from the input before running again.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { resolveContractAddress } = require("./lib/deployments");
+
+const COLUMNS = [
+  "model", "color", "year", "originalValue", "monthlyPayment",
+  "durationMonths", "mileageLimit", "excessMileageRate", "paymentToken", "residualValue"
+];
+const OPTIONAL_COLUMNS = ["paymentToken", "residualValue"];
+const MAX_UINT16 = 65535n;
+const MAX_UINT32 = 4294967295n;
+
+/**
+ * Splits CSV text into records; supports quoted fields with "" escapes
+ * @returns Array of { line, fields } (line numbers are 1-based)
+ */
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = "";
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+
+  // Skip blank lines and # comments
+  return records.filter((r) => !(r.fields.length === 1 && r.fields[0].trim() === "") && !r.fields[0].startsWith("#"));
+}
+
+/**
+ * Reads the inventory file into raw rows keyed by column name
+ * @returns Array of { row, values } where row is the CSV line or JSON index (1-based)
+ */
+function readInventory(file) {
+  const text = fs.readFileSync(file, "utf8");
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new Error("JSON inventory must be an array of car objects");
+    }
+    return data.map((values, i) => ({ row: i + 1, values }));
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw new Error("CSV inventory is empty");
+  }
+  const names = header.fields.map((name) => name.trim());
+  const missing = COLUMNS.filter((column) => !OPTIONAL_COLUMNS.includes(column) && !names.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing column(s): ${missing.join(", ")}`);
+  }
+  return records.map(({ line, fields }) => ({
+    row: line,
+    values: Object.fromEntries(names.map((name, i) => [name, fields[i] === undefined ? "" : fields[i].trim()]))
+  }));
+}
+
+/**
+ * Validates one row against the same rules as CarLease.mintOption
+ * @returns { car, terms } ready for mintOptionsBatch, or throws with all problems found
+ */
+async function toMintArgs(values, contract, assetCache) {
+  const errors = [];
+  const text = (key) => (values[key] === undefined || values[key] === null ? "" : String(values[key]).trim());
+  const integer = (key, max) => {
+    const raw = text(key);
+    if (!/^\d+$/.test(raw)) {
+      errors.push(`${key} must be a whole number (got "${raw}")`);
+      return 0n;
+    }
+    const value = BigInt(raw);
+    if (max !== undefined && value > max) {
+      errors.push(`${key} must be at most ${max}`);
+    }
+    return value;
+  };
+
+  // Payment asset decides the units of every amount in the row
+  const paymentToken = text("paymentToken") || ethers.ZeroAddress;
+  let decimals = 18;
+  if (!ethers.isAddress(paymentToken)) {
+    errors.push(`paymentToken is not an address (got "${paymentToken}")`);
+  } else if (paymentToken !== ethers.ZeroAddress) {
+    const key = paymentToken.toLowerCase();
+    if (!assetCache[key]) {
+      const allowed = await contract.allowedPaymentTokens(paymentToken);
+      const token = await ethers.getContractAt("IERC20Metadata", paymentToken);
+      assetCache[key] = { allowed, decimals: allowed ? Number(await token.decimals()) : 18 };
+    }
+    if (!assetCache[key].allowed) {
+      errors.push(`paymentToken ${paymentToken} is not allow-listed`);
+    }
+    decimals = assetCache[key].decimals;
+  }
+  const amount = (key) => {
+    const raw = text(key);
+    try {
+      return ethers.parseUnits(raw, decimals);
+    } catch {
+      errors.push(`${key} must be a decimal amount (got "${raw}")`);
+      return 0n;
+    }
+  };
+
+  const model = text("model");
+  const year = integer("year", MAX_UINT16);
+  const originalValueWei = amount("originalValue");
+  const monthlyPayment = amount("monthlyPayment");
+  const durationMonths = integer("durationMonths", MAX_UINT32);
+  const mileageLimit = integer("mileageLimit");
+  const excessMileageRateWei = text("excessMileageRate") === "" ? 0n : amount("excessMileageRate");
+  const residualValue = text("residualValue") === "" ? 0n : amount("residualValue");
+
+  // Same checks as mintOption (LeaseLogic.createOption)
+  if (model.length === 0) errors.push("Model cannot be empty");
+  if (originalValueWei === 0n) errors.push("Original value must be greater than zero");
+  if (monthlyPayment === 0n) errors.push("Monthly payment must be greater than zero");
+  if (durationMonths === 0n) errors.push("Duration must be greater than zero");
+
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+
+  return {
+    car: { model, color: text("color"), year, originalValueWei, mileageLimit },
+    terms: { monthlyPayment, durationMonths, excessMileageRateWei, paymentToken, residualValue }
+  };
+}
+
+async function main() {
+  const networkInfo = await ethers.provider.getNetwork();
+  const chainId = Number(networkInfo.chainId);
+
+  const contractAddress = await resolveContractAddress(hre);
+  const inventoryFile = process.env.INVENTORY_FILE;
+  const dryRun = process.env.DRY_RUN === "true";
+
+  if (!contractAddress || !inventoryFile) {
+    console.error("❌ Error: CONTRACT_ADDRESS and INVENTORY_FILE are required");
+    console.error("Usage: INVENTORY_FILE=cars.csv DRY_RUN=true npx hardhat run scripts/import-inventory.js --network <network>");
+    process.exit(1);
+  }
+
+  console.log("\n🚚 CarLease Inventory Import");
+  console.log("============================================================\n");
+
+  const contract = await ethers.getContractAt("CarLease", contractAddress);
+  const signers = await ethers.getSigners();
+  const dealer = process.env.DEALER_ADDRESS
+    ? signers.find((s) => s.address.toLowerCase() === process.env.DEALER_ADDRESS.toLowerCase())
+    : signers[0];
+  if (!dealer) {
+    console.error(`❌ Error: dealer ${process.env.DEALER_ADDRESS} is not one of the configured accounts`);
+    process.exit(1);
+  }
+  if (!(await contract.hasRole(await contract.DEALER_ROLE(), dealer.address))) {
+    console.error(`❌ Error: ${dealer.address} does not hold DEALER_ROLE - ask the platform owner to onboardDealer()`);
+    process.exit(1);
+  }
+
+  console.log("📍 Contract:", contractAddress);
+  console.log("🧑‍💼 Dealer:  ", dealer.address);
+  console.log("📄 Inventory:", inventoryFile);
+  console.log(`🧪 Mode:      ${dryRun ? "dry run (no transactions)" : "live"}\n`);
+
+  // Step 1: validate every row before minting anything
+  console.log("1️⃣  Validating rows...");
+  const rows = readInventory(inventoryFile);
+  if (rows.length === 0) {
+    console.error("❌ Error: inventory has no rows");
+    process.exit(1);
+  }
+  const assetCache = {};
+  const valid = [];
+  const invalid = [];
+  for (const { row, values } of rows) {
+    try {
+      valid.push({ row, ...(await toMintArgs(values, contract, assetCache)) });
+    } catch (error) {
+      invalid.push({ row, error: error.message });
+    }
+  }
+  if (invalid.length > 0) {
+    console.error(`   ❌ ${invalid.length} of ${rows.length} row(s) failed validation:`);
+    for (const { row, error } of invalid) {
+      console.error(`      Row ${row}: ${error}`);
+    }
+    process.exit(1);
+  }
+  console.log(`   ✅ ${valid.length} row(s) valid\n`);
+
+  // Step 2: split into batches that stay under the gas limit
+  const latestBlock = await ethers.provider.getBlock("latest");
+  const gasLimit = process.env.BATCH_GAS_LIMIT
+    ? BigInt(process.env.BATCH_GAS_LIMIT)
+    : latestBlock.gasLimit / 2n;
+  const estimate = (batch) => contract.connect(dealer).mintOptionsBatch.estimateGas(
+    batch.map((r) => r.car),
+    batch.map((r) => r.terms)
+  );
+
+  console.log(`2️⃣  Planning batches (gas limit ${gasLimit} per transaction)...`);
+  const batches = [];
+  let current = [];
+  let currentGas = 0n;
+  for (const entry of valid) {
+    const gas = await estimate([...current, entry]);
+    if (gas <= gasLimit) {
+      current.push(entry);
+      currentGas = gas;
+      continue;
+    }
+    if (current.length === 0) {
+      console.error(`   ❌ Row ${entry.row} alone needs ${gas} gas - raise BATCH_GAS_LIMIT`);
+      process.exit(1);
+    }
+    batches.push({ rows: current, gas: currentGas });
+    current = [entry];
+    currentGas = await estimate(current);
+  }
+  batches.push({ rows: current, gas: currentGas });
+
+  // Token IDs are consecutive, so the plan can predict them (unless others mint meanwhile)
+  let nextTokenId = (await contract.totalMinted()) + 1n;
+  batches.forEach((batch, i) => {
+    const first = batch.rows[0].row;
+    const last = batch.rows[batch.rows.length - 1].row;
+    console.log(`   📦 Batch ${i + 1}: rows ${first}-${last} (${batch.rows.length} cars, ~${batch.gas} gas)`);
+  });
+  console.log();
+
+  if (dryRun) {
+    console.log("📋 Predicted token IDs:");
+    for (const { row, car } of valid) {
+      console.log(`   Row ${row}: #${nextTokenId++} ${car.model} (${car.year})`);
+    }
+    console.log("\n✨ Dry run complete - no transactions sent.\n");
+    return;
+  }
+
+  // Step 3: mint, recording each batch's token IDs as it lands
+  const outputFile = process.env.OUTPUT_FILE ||
+    path.join(path.dirname(inventoryFile), `${path.basename(inventoryFile, path.extname(inventoryFile))}.minted.json`);
+  const output = {
+    network: networkInfo.name,
+    chainId,
+    contract: contractAddress,
+    dealer: dealer.address,
+    source: inventoryFile,
+    rows: []
+  };
+
+  console.log("3️⃣  Minting...");
+  for (const [i, batch] of batches.entries()) {
+    const tx = await contract.connect(dealer).mintOptionsBatch(
+      batch.rows.map((r) => r.car),
+      batch.rows.map((r) => r.terms),
+      { gasLimit: (batch.gas * 12n) / 10n } // 20% headroom over the estimate
+    );
+    console.log(`   ⏳ Batch ${i + 1}/${batches.length}: ${tx.hash}`);
+    const receipt = await tx.wait();
+
+    // One OptionMinted per car, in input order
+    const tokenIds = receipt.logs
+      .map((log) => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter((event) => event && event.name === "OptionMinted")
+      .map((event) => event.args.tokenId);
+
+    batch.rows.forEach(({ row, car }, j) => {
+      output.rows.push({ row, model: car.model, tokenId: tokenIds[j].toString(), txHash: receipt.hash });
+    });
+    fs.writeFileSync(outputFile, JSON.stringify(output, null, 2) + "\n");
+    console.log(`   ✅ Minted tokens #${tokenIds[0]}-#${tokenIds[tokenIds.length - 1]} (gas used ${receipt.gasUsed})`);
+  }
+
+  console.log(`\n💾 Row -> token ID mapping written to ${outputFile}`);
+  console.log(`✨ Imported ${output.rows.length} car(s) in ${batches.length} transaction(s).\n`);
+}
+
+// Run only via `hardhat run`; tests require the parsing and validation functions directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Import failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  COLUMNS,
+  parseCsv,
+  readInventory,
+  toMintArgs
+};
@@ -0,0 +1,95 @@
+/**
+ * Deployment registry shared by the CarLease scripts
+ * deploy.js and upgrade.js record each network's deployment in deployments/<network>.json;
+ * every other script resolves the CarLease address from there unless CONTRACT_ADDRESS is set
+ *
+ * Registry format:
+ *   network, chainId     - Hardhat network name and chain it was deployed on
+ *   mode                 - "direct" (plain contract) or "uups" (ERC1967 proxy)
+ *   address              - CarLease address scripts talk to (the proxy in UUPS mode)
+ *   implementation       - Current implementation behind the proxy (UUPS only)
+ *   module               - CarLeaseModule the implementation's fallback delegates to
+ *   libraries            - Linked LeaseMetadata, LeaseLogic and LeaseSignatures addresses
+ *   blockNumber, transactionHash, deployer
+ *                        - Where and by whom `address` was created
+ *   abiHash              - keccak256 of the CarLease ABI JSON, to spot stale frontends
+ *   storageLayout        - Normalized CarLease storage layout (UUPS only, checked on upgrade)
+ *   upgrades             - History of implementation upgrades (UUPS only)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Registry file for a Hardhat network name
+ */
+function deploymentFile(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * Read a network's deployment record, or null when it has not been deployed yet
+ */
+function loadDeployment(networkName) {
+  const file = deploymentFile(networkName);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Write a network's deployment record atomically (temp file + rename)
+ */
+function saveDeployment(networkName, deployment) {
+  const file = deploymentFile(networkName);
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(deployment, null, 2) + "\n");
+  fs.renameSync(tmpFile, file);
+  return file;
+}
+
+/**
+ * keccak256 of a contract's ABI in ethers' canonical JSON form
+ */
+function abiHash(ethers, contractInterface) {
+  return ethers.id(contractInterface.formatJson());
+}
+
+/**
+ * Resolve the CarLease address for the connected network.
+ * CONTRACT_ADDRESS wins; otherwise the registry entry is used after checking that it was
+ * recorded on this chain and still has code (a restarted `npx hardhat node` forgets it).
+ * Returns undefined when neither source has an address.
+ */
+async function resolveContractAddress(hre) {
+  if (process.env.CONTRACT_ADDRESS) return process.env.CONTRACT_ADDRESS;
+
+  const deployment = loadDeployment(hre.network.name);
+  if (!deployment) return undefined;
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (BigInt(deployment.chainId) !== chainId) {
+    throw new Error(
+      `deployments/${hre.network.name}.json was recorded on chain ${deployment.chainId}, ` +
+      `but the connected chain is ${chainId}`
+    );
+  }
+  if ((await hre.ethers.provider.getCode(deployment.address)) === "0x") {
+    throw new Error(
+      `No contract at ${deployment.address} from deployments/${hre.network.name}.json; ` +
+      `redeploy with scripts/deploy.js`
+    );
+  }
+  return deployment.address;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  deploymentFile,
+  loadDeployment,
+  saveDeployment,
+  abiHash,
+  resolveContractAddress
+};
@@ -0,0 +1,150 @@
+/**
+ * EIP-712 typed data for CarLease signed offers and relayed customer actions
+ * Mirrors contracts/LeaseSignatures.sol: dealers sign a LeaseOffer that a customer accepts
+ * with CarLeaseModule.acceptOffer; customers sign a CommitToLease, RevealAndPay or
+ * MakeMonthlyPayment that anyone can submit with CarLeaseModule.executeBySig.
+ * Both are called at the CarLease address, which is also the domain's verifyingContract.
+ */
+
+const DOMAIN_NAME = "CarLease";
+const DOMAIN_VERSION = "1";
+
+const CAR_METADATA = [
+  { name: "model", type: "string" },
+  { name: "color", type: "string" },
+  { name: "year", type: "uint16" },
+  { name: "originalValueWei", type: "uint256" },
+  { name: "mileageLimit", type: "uint256" }
+];
+
+const LEASE_TERMS = [
+  { name: "monthlyPayment", type: "uint256" },
+  { name: "durationMonths", type: "uint32" },
+  { name: "excessMileageRateWei", type: "uint256" },
+  { name: "paymentToken", type: "address" },
+  { name: "residualValue", type: "uint256" }
+];
+
+const OFFER_TYPES = {
+  LeaseOffer: [
+    { name: "car", type: "CarMetadata" },
+    { name: "terms", type: "LeaseTerms" },
+    { name: "dealer", type: "address" },
+    { name: "lessee", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiresAt", type: "uint64" }
+  ],
+  CarMetadata: CAR_METADATA,
+  LeaseTerms: LEASE_TERMS
+};
+
+// Relayable CarLease functions and the typed struct each is signed as; struct fields
+// between `account` and `nonce` are the function's arguments, in order
+const ACTION_TYPES = {
+  commitToLease: {
+    CommitToLease: [
+      { name: "account", type: "address" },
+      { name: "tokenId", type: "uint256" },
+      { name: "commitment", type: "bytes32" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint64" }
+    ]
+  },
+  revealAndPay: {
+    RevealAndPay: [
+      { name: "account", type: "address" },
+      { name: "tokenId", type: "uint256" },
+      { name: "secret", type: "bytes32" },
+      { name: "durationMonths", type: "uint32" },
+      { name: "monthlyPayment", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint64" }
+    ]
+  },
+  makeMonthlyPayment: {
+    MakeMonthlyPayment: [
+      { name: "account", type: "address" },
+      { name: "tokenId", type: "uint256" },
+      { name: "months", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint64" }
+    ]
+  }
+};
+
+/**
+ * Signing domain of a CarLease deployment (the proxy address in UUPS mode)
+ */
+function domain(chainId, contractAddress) {
+  return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId, verifyingContract: contractAddress };
+}
+
+/**
+ * Dealer signs a lease offer
+ * @param offer { car, terms, dealer, lessee, nonce, expiresAt } as passed to acceptOffer
+ * @returns Signature hex string
+ */
+function signOffer(dealer, chainId, contractAddress, offer) {
+  return dealer.signTypedData(domain(chainId, contractAddress), OFFER_TYPES, offer);
+}
+
+/**
+ * Address that signed an offer (compare with offer.dealer)
+ */
+function recoverOfferSigner(ethers, chainId, contractAddress, offer, signature) {
+  return ethers.verifyTypedData(domain(chainId, contractAddress), OFFER_TYPES, offer, signature);
+}
+
+/**
+ * Typed data a customer signs for a relayed action
+ * @param carLeaseInterface CarLease interface, to decode the action calldata
+ * @param account Customer the action is performed for
+ * @param action Calldata of commitToLease, revealAndPay or makeMonthlyPayment
+ * @param nonce The account's current CarLeaseModule.nonces value
+ * @param deadline Unix time after which the signature is rejected
+ * @returns { name, types, message }
+ */
+function actionTypedData(carLeaseInterface, account, action, nonce, deadline) {
+  const call = carLeaseInterface.parseTransaction({ data: action });
+  const types = call && ACTION_TYPES[call.name];
+  if (!types) {
+    throw new Error("Only commitToLease, revealAndPay and makeMonthlyPayment can be relayed");
+  }
+
+  const [fields] = Object.values(types);
+  const message = { account, nonce, deadline };
+  fields.slice(1, -2).forEach((field, i) => {
+    message[field.name] = call.args[i];
+  });
+  return { name: call.name, types, message };
+}
+
+/**
+ * Customer signs a relayed action
+ * @returns Signature hex string
+ */
+function signAction(customer, chainId, contractAddress, carLeaseInterface, action, nonce, deadline) {
+  const { types, message } = actionTypedData(carLeaseInterface, customer.address, action, nonce, deadline);
+  return customer.signTypedData(domain(chainId, contractAddress), types, message);
+}
+
+/**
+ * Address that signed a relayed action (compare with the account it is relayed for)
+ */
+function recoverActionSigner(ethers, chainId, contractAddress, carLeaseInterface, account, action, nonce, deadline, signature) {
+  const { types, message } = actionTypedData(carLeaseInterface, account, action, nonce, deadline);
+  return ethers.verifyTypedData(domain(chainId, contractAddress), types, message, signature);
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  OFFER_TYPES,
+  ACTION_TYPES,
+  domain,
+  signOffer,
+  recoverOfferSigner,
+  actionTypedData,
+  signAction,
+  recoverActionSigner
+};
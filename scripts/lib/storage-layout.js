@@ -0,0 +1,177 @@
+/**
+ * Storage layout helpers for UUPS upgrades of CarLease
+ * Reads the compiler's storageLayout output (enabled in hardhat.config.js), strips AST ids so
+ * layouts from different builds compare equal, and checks that a new implementation keeps every
+ * existing variable where the proxy's storage expects it
+ *
+ * Rules enforced by compareLayouts():
+ *   - Every deployed variable keeps its slot, offset, name and type
+ *   - New state variables may only be appended after the existing ones
+ *   - Structs may only grow (new members at the end) when stored as mapping values,
+ *     where each entry has its own slot range; structs stored inline or in arrays may only
+ *     gain members that fit in the padding of their last slot, so nothing after them moves
+ *   - Enums may gain members as long as they still fit in the same number of bytes
+ *
+ * CarLeaseModule runs on the same storage via DELEGATECALL, so its layout must equal CarLease's
+ * (moduleLayoutErrors); both take their state variables from CarLeaseBase.
+ */
+
+const CONTRACT = "contracts/CarLease.sol:CarLease";
+const MODULE_CONTRACT = "contracts/CarLeaseModule.sol:CarLeaseModule";
+
+// `t_struct(Lease)9454_storage` -> `t_struct(Lease)_storage`; AST ids change on every edit
+function normalizeTypeId(typeId) {
+  return typeId.replace(/\)\d+/g, ")");
+}
+
+/**
+ * Compact, build-independent form of solc's storageLayout output
+ */
+function normalizeLayout(layout) {
+  const types = {};
+  for (const [id, type] of Object.entries(layout.types || {})) {
+    const normalized = {
+      label: type.label,
+      encoding: type.encoding,
+      numberOfBytes: type.numberOfBytes
+    };
+    if (type.key) normalized.key = normalizeTypeId(type.key);
+    if (type.value) normalized.value = normalizeTypeId(type.value);
+    if (type.base) normalized.base = normalizeTypeId(type.base);
+    if (type.members) {
+      normalized.members = type.members.map((m) => ({
+        label: m.label, slot: m.slot, offset: m.offset, type: normalizeTypeId(m.type)
+      }));
+    }
+    types[normalizeTypeId(id)] = normalized;
+  }
+
+  return {
+    storage: layout.storage.map((s) => ({
+      label: s.label, slot: s.slot, offset: s.offset, type: normalizeTypeId(s.type), contract: s.contract
+    })),
+    types
+  };
+}
+
+/**
+ * Normalized storage layout of CarLease (or another contract) from the latest compilation
+ */
+async function currentLayout(hre, contract = CONTRACT) {
+  const buildInfo = await hre.artifacts.getBuildInfo(contract);
+  const [source, name] = contract.split(":");
+  const layout = buildInfo && buildInfo.output.contracts[source][name].storageLayout;
+  if (!layout) {
+    throw new Error("No storageLayout in build info; check outputSelection in hardhat.config.js and recompile");
+  }
+  return normalizeLayout(layout);
+}
+
+/**
+ * Compare a deployed (old) layout against a candidate (new) one.
+ * Returns a list of human-readable violations; an empty list means the upgrade is safe.
+ */
+function compareLayouts(oldLayout, newLayout) {
+  const errors = [];
+
+  function compareTypes(where, oldId, newId, canGrow) {
+    const oldType = oldLayout.types[oldId];
+    const newType = newLayout.types[newId];
+    if (!oldType || !newType) {
+      if (oldId !== newId) errors.push(`${where}: type changed from ${oldId} to ${newId}`);
+      return;
+    }
+    if (oldType.encoding !== newType.encoding) {
+      errors.push(`${where}: encoding changed from ${oldType.encoding} to ${newType.encoding}`);
+      return;
+    }
+
+    if (oldType.encoding === "mapping") {
+      if (oldType.key !== newType.key) {
+        errors.push(`${where}: mapping key changed from ${oldType.key} to ${newType.key}`);
+      }
+      compareTypes(`${where} (value)`, oldType.value, newType.value, true);
+      return;
+    }
+    if (oldType.encoding === "dynamic_array") {
+      compareTypes(`${where} (element)`, oldType.base, newType.base, false);
+      return;
+    }
+
+    if (oldType.members) {
+      if (!newType.members) {
+        errors.push(`${where}: ${oldType.label} is no longer a struct`);
+        return;
+      }
+      oldType.members.forEach((member, i) => {
+        const next = newType.members[i];
+        const memberWhere = `${where}.${member.label}`;
+        if (!next) {
+          errors.push(`${memberWhere}: struct member removed`);
+        } else if (next.label !== member.label || next.slot !== member.slot || next.offset !== member.offset) {
+          errors.push(
+            `${memberWhere}: struct member moved or renamed ` +
+            `(was ${member.label} @ ${member.slot}/${member.offset}, now ${next.label} @ ${next.slot}/${next.offset})`
+          );
+        } else {
+          compareTypes(memberWhere, member.type, next.type, false);
+        }
+      });
+      if (newType.members.length > oldType.members.length && !canGrow &&
+          newType.numberOfBytes !== oldType.numberOfBytes) {
+        errors.push(`${where}: ${oldType.label} gained members but is not stored as a mapping value`);
+      }
+      return;
+    }
+
+    if (oldType.base) {
+      compareTypes(`${where} (element)`, oldType.base, newType.base, false);
+    } else if (oldId !== newId) {
+      errors.push(`${where}: type changed from ${oldType.label} to ${newType.label}`);
+    }
+    if (oldType.numberOfBytes !== newType.numberOfBytes) {
+      errors.push(`${where}: size changed from ${oldType.numberOfBytes} to ${newType.numberOfBytes} bytes`);
+    }
+  }
+
+  oldLayout.storage.forEach((variable, i) => {
+    const next = newLayout.storage[i];
+    if (!next) {
+      errors.push(`${variable.label}: state variable removed (slot ${variable.slot})`);
+      return;
+    }
+    if (next.label !== variable.label || next.slot !== variable.slot || next.offset !== variable.offset) {
+      errors.push(
+        `${variable.label}: state variable moved, renamed or a variable was inserted before it ` +
+        `(was ${variable.label} @ slot ${variable.slot}/${variable.offset}, now ${next.label} @ slot ${next.slot}/${next.offset})`
+      );
+      return;
+    }
+    compareTypes(variable.label, variable.type, next.type, false);
+  });
+
+  return errors;
+}
+
+/**
+ * Check that CarLeaseModule sees exactly CarLease's storage: same variables in the same
+ * slots and nothing of its own. Returns a list of violations like compareLayouts().
+ */
+async function moduleLayoutErrors(hre, layout) {
+  const carLeaseLayout = layout || await currentLayout(hre);
+  const moduleLayout = await currentLayout(hre, MODULE_CONTRACT);
+  const errors = compareLayouts(carLeaseLayout, moduleLayout).map((error) => `CarLeaseModule: ${error}`);
+  for (const variable of moduleLayout.storage.slice(carLeaseLayout.storage.length)) {
+    errors.push(`CarLeaseModule: ${variable.label} is not in CarLease; declare state variables in CarLeaseBase`);
+  }
+  return errors;
+}
+
+module.exports = {
+  CONTRACT,
+  MODULE_CONTRACT,
+  normalizeLayout,
+  currentLayout,
+  compareLayouts,
+  moduleLayoutErrors
+};
@@ -0,0 +1,208 @@
+/**
+ * Upgrade script for UUPS deployments of CarLease
+ * Checks the storage layout against deployments/<network>.json, deploys the new libraries,
+ * CarLeaseModule and implementation, points the proxy at it (upgradeToAndCall) and updates
+ * the registry.
+ * Leases, balances and NFTs stay in the proxy, so nothing has to be migrated.
+ * A proxy from before owner-tunable lease parameters gets the defaults in the same
+ * transaction (proposeLeaseParams applies immediately while none are set). A proxy
+ * from before the late fee and early termination penalty moved into the lease
+ * parameters has them moved there in the same transaction (migrateLeaseRates).
+ *
+ * Usage:
+ *   npx hardhat run scripts/upgrade.js --network <network>
+ *   DRY_RUN=true npx hardhat run scripts/upgrade.js --network <network>
+ *
+ * Environment:
+ *   DRY_RUN  - "true" to stop after the storage layout check
+ *
+ * The signer must be the platform owner (Ownable) of the proxy.
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment, saveDeployment, abiHash } = require("./lib/deployments");
+const { currentLayout, compareLayouts, moduleLayoutErrors } = require("./lib/storage-layout");
+
+// Lease parameters set on proxies that predate them (LeaseLogic.defaultParams)
+const DAY = 24 * 60 * 60;
+const DEFAULT_LEASE_PARAMS = {
+  revealWindow: 7 * DAY,
+  confirmWindow: 7 * DAY,
+  paymentPeriod: 30 * DAY,
+  paymentGrace: 45 * DAY,
+  depositMultiplier: 3,
+  lateFeeBps: 500,
+  earlyTerminationPenaltyBps: 2_500
+};
+
+// Getters of earlier implementations, which the current CarLease ABI no longer decodes
+const PREVIOUS_ABI = [
+  "function leaseParams() view returns (uint32 revealWindow, uint32 confirmWindow, uint32 paymentPeriod, uint32 paymentGrace, uint8 depositMultiplier)",
+  "function lateFeeBps() view returns (uint256)",
+  "function earlyTerminationPenaltyBps() view returns (uint256)"
+];
+
+// ERC-1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Deploy a library unless the one already linked has identical runtime code.
+ * Library code embeds its own address (call protection), so it is zeroed out as in the artifact.
+ * Libraries the deployment does not have yet (no currentAddress) are always deployed.
+ */
+async function deployLibrary(name, currentAddress) {
+  const factory = await ethers.getContractFactory(name);
+  const artifact = await hre.artifacts.readArtifact(name);
+  if (currentAddress) {
+    const deployedCode = (await ethers.provider.getCode(currentAddress))
+      .split(currentAddress.slice(2).toLowerCase())
+      .join("0".repeat(40));
+    if (deployedCode === artifact.deployedBytecode.toLowerCase()) {
+      console.log(`   ♻️  ${name} unchanged, keeping ${currentAddress}`);
+      return currentAddress;
+    }
+  }
+
+  const library = await factory.deploy();
+  await library.waitForDeployment();
+  const address = await library.getAddress();
+  console.log(`   ✅ ${name} deployed to: ${address}`);
+  return address;
+}
+
+async function main() {
+  const deployment = loadDeployment(hre.network.name);
+  const dryRun = process.env.DRY_RUN === "true";
+
+  if (!deployment || deployment.mode !== "uups") {
+    console.error(`❌ Error: deployments/${hre.network.name}.json is not a UUPS deployment`);
+    console.error("Usage: DEPLOY_MODE=uups npx hardhat run scripts/deploy.js --network <network> first");
+    process.exit(1);
+  }
+
+  console.log("\n⬆️  CarLease Upgrade");
+  console.log("============================================================\n");
+  console.log("📍 Proxy:          ", deployment.address);
+  console.log("📍 Implementation: ", deployment.implementation, "\n");
+
+  // Refuse layouts that would reinterpret existing lease storage
+  console.log("1️⃣  Checking storage layout...");
+  const layout = await currentLayout(hre);
+  const errors = [
+    ...compareLayouts(deployment.storageLayout, layout),
+    ...await moduleLayoutErrors(hre, layout)
+  ];
+  if (errors.length > 0) {
+    console.error(`   ❌ ${errors.length} storage layout violation(s):`);
+    for (const error of errors) {
+      console.error(`      • ${error}`);
+    }
+    process.exit(1);
+  }
+  console.log("   ✅ Storage layout is upgrade-compatible\n");
+
+  if (dryRun) {
+    console.log("🧪 Dry run: nothing deployed\n");
+    return;
+  }
+
+  const contract = await ethers.getContractAt("CarLease", deployment.address);
+  const owner = await contract.owner();
+  const signers = await ethers.getSigners();
+  const signer = signers.find((s) => s.address.toLowerCase() === owner.toLowerCase());
+  if (!signer) {
+    console.error(`❌ Error: platform owner ${owner} is not one of the configured accounts`);
+    process.exit(1);
+  }
+
+  console.log("2️⃣  Deploying libraries...");
+  const libraries = {
+    LeaseMetadata: await deployLibrary("LeaseMetadata", deployment.libraries.LeaseMetadata),
+    LeaseLogic: await deployLibrary("LeaseLogic", deployment.libraries.LeaseLogic),
+    LeaseSignatures: await deployLibrary("LeaseSignatures", deployment.libraries.LeaseSignatures)
+  };
+
+  console.log("\n3️⃣  Deploying new CarLeaseModule and CarLease implementation...");
+  const CarLeaseModule = await ethers.getContractFactory("CarLeaseModule", {
+    libraries: { LeaseLogic: libraries.LeaseLogic, LeaseSignatures: libraries.LeaseSignatures }
+  });
+  const carLeaseModule = await CarLeaseModule.deploy();
+  await carLeaseModule.waitForDeployment();
+  const moduleAddress = await carLeaseModule.getAddress();
+  console.log(`   ✅ Module deployed to: ${moduleAddress}`);
+
+  const CarLease = await ethers.getContractFactory("CarLease", {
+    libraries: { LeaseMetadata: libraries.LeaseMetadata, LeaseLogic: libraries.LeaseLogic }
+  });
+  const implementation = await CarLease.deploy(moduleAddress);
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log(`   ✅ Implementation deployed to: ${implementationAddress}\n`);
+
+  // Old implementations have no leaseParams() getter; newer proxies read a non-zero payment period.
+  // Implementations with public lateFeeBps()/earlyTerminationPenaltyBps() kept the rates outside it.
+  const previous = new ethers.Contract(deployment.address, PREVIOUS_ABI, ethers.provider);
+  const hasLeaseParams = await previous.leaseParams()
+    .then((params) => params.paymentPeriod > 0n)
+    .catch(() => false);
+  const previousRates = await Promise.all([previous.lateFeeBps(), previous.earlyTerminationPenaltyBps()])
+    .catch(() => null);
+  const migrateRates = previousRates !== null && previousRates.some((bps) => bps > 0n);
+
+  // migrateLeaseRates also sets the default timing on a proxy without lease parameters
+  let initData = "0x";
+  if (migrateRates) {
+    initData = CarLeaseModule.interface.encodeFunctionData("migrateLeaseRates");
+  } else if (!hasLeaseParams) {
+    const rates = previousRates && { lateFeeBps: previousRates[0], earlyTerminationPenaltyBps: previousRates[1] };
+    initData = CarLease.interface.encodeFunctionData("proposeLeaseParams", [{ ...DEFAULT_LEASE_PARAMS, ...rates }]);
+  }
+
+  console.log("4️⃣  Upgrading proxy...");
+  if (migrateRates) {
+    console.log(`   ⚙️  Moving the ${Number(previousRates[0]) / 100}% late fee and ` +
+      `${Number(previousRates[1]) / 100}% early exit fee into the lease parameters`);
+  }
+  if (!hasLeaseParams) {
+    console.log("   ⚙️  Setting default lease parameters (7-day windows, 30-day period, 45-day grace, 3x deposit)");
+  }
+  const tx = await contract.connect(signer).upgradeToAndCall(implementationAddress, initData);
+  console.log(`   ⏳ Waiting for transaction: ${tx.hash}`);
+  const receipt = await tx.wait();
+
+  const slot = await ethers.provider.getStorage(deployment.address, IMPLEMENTATION_SLOT);
+  if (ethers.getAddress(ethers.dataSlice(slot, 12)) !== implementationAddress) {
+    throw new Error(`Proxy implementation slot holds ${ethers.dataSlice(slot, 12)} after upgrade`);
+  }
+  console.log("   ✅ Proxy now points at the new implementation\n");
+
+  deployment.upgrades = deployment.upgrades || [];
+  deployment.upgrades.push({
+    previousImplementation: deployment.implementation,
+    implementation: implementationAddress,
+    module: moduleAddress,
+    libraries,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    upgradedBy: signer.address,
+    upgradedAt: new Date().toISOString()
+  });
+  deployment.implementation = implementationAddress;
+  deployment.module = moduleAddress;
+  deployment.libraries = libraries;
+  deployment.abiHash = abiHash(ethers, CarLease.interface);
+  deployment.storageLayout = layout;
+
+  const file = saveDeployment(hre.network.name, deployment);
+  console.log(`💾 Deployment record updated: ${file}`);
+  console.log("\n✨ Upgrade complete!\n");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Upgrade failed:");
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,155 @@
+/**
+ * Dealer treasury script for a deployed CarLease contract
+ * Prints the signing dealer's revenue/deposit breakdown and withdraws their collected revenue
+ *
+ * Usage:
+ *   npx hardhat run scripts/withdraw.js --network <network>
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS  - CarLease address (default: deployments/<network>.json)
+ *   WITHDRAW_ASSET    - ERC-20 address to withdraw (default: native ETH)
+ *   WITHDRAW_AMOUNT   - Amount in ETH/token units to withdraw (default: full withdrawable balance)
+ *   WITHDRAW_TO       - Recipient address (default: dealer account)
+ *   WITHDRAW_CONFIRM  - Set to "yes" to skip the interactive confirmation prompt
+ */
+
+const readline = require("readline");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { resolveContractAddress } = require("./lib/deployments");
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase());
+    });
+  });
+}
+
+async function main() {
+  const contractAddress = await resolveContractAddress(hre);
+
+  if (!contractAddress) {
+    console.error(`❌ Error: CONTRACT_ADDRESS not set and no deployments/${hre.network.name}.json found`);
+    console.error("Usage: CONTRACT_ADDRESS=0x... npx hardhat run scripts/withdraw.js --network <network>");
+    process.exit(1);
+  }
+
+  console.log("\n🏦 CarLease Dealer Treasury");
+  console.log("============================================================\n");
+
+  const [dealer] = await ethers.getSigners();
+  const contract = await ethers.getContractAt("CarLease", contractAddress);
+
+  // Revenue is tracked per payment asset; address(0) is native ETH
+  const asset = process.env.WITHDRAW_ASSET || ethers.ZeroAddress;
+  let symbol = "ETH";
+  let decimals = 18;
+  if (asset !== ethers.ZeroAddress) {
+    const token = await ethers.getContractAt("IERC20Metadata", asset);
+    symbol = await token.symbol();
+    decimals = Number(await token.decimals());
+  }
+  const format = (amount) => `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+
+  // Suspended dealers may still withdraw, so only require that they have earned something
+  const isDealer = await contract.hasRole(await contract.DEALER_ROLE(), dealer.address);
+  const earned = await contract.dealerRevenueCollected(dealer.address, asset);
+  if (!isDealer && earned === 0n) {
+    console.error(`❌ Error: ${dealer.address} is not a dealer on this contract`);
+    process.exit(1);
+  }
+
+  console.log("📍 Contract:", contractAddress);
+  console.log(`👤 Dealer:   ${dealer.address}${isDealer ? "" : " (suspended)"}`);
+  console.log(`🪙 Asset:    ${symbol}${asset === ethers.ZeroAddress ? "" : ` (${asset})`}\n`);
+
+  // Per-lease revenue breakdown (this dealer's tokens paid in this asset only)
+  const totalMinted = await contract.totalMinted();
+  console.log("📊 Revenue per lease:");
+  let listed = 0;
+  for (let tokenId = 1n; tokenId <= totalMinted; tokenId++) {
+    const tokenDealer = await contract.tokenDealer(tokenId);
+    if (tokenDealer.toLowerCase() !== dealer.address.toLowerCase()) continue;
+    const terms = await contract.leaseTerms(tokenId);
+    if (terms.paymentToken.toLowerCase() !== asset.toLowerCase()) continue;
+
+    const collected = await contract.revenueCollected(tokenId);
+    const lease = await contract.leases(tokenId);
+    if (collected === 0n && lease.deposit === 0n) continue;
+
+    console.log(
+      `   Token #${tokenId}: collected ${format(collected)}, ` +
+      `deposit held ${format(lease.deposit)}`
+    );
+    listed++;
+  }
+  if (listed === 0) {
+    console.log("   (no payments or deposits recorded)");
+  }
+
+  // Contract-wide summary, then this dealer's share
+  const [collected, depositsHeld, totalWithdrawable] = await contract.getTreasurySummary(asset);
+  const balance = asset === ethers.ZeroAddress
+    ? await ethers.provider.getBalance(contractAddress)
+    : await (await ethers.getContractAt("IERC20Metadata", asset)).balanceOf(contractAddress);
+  console.log("\n💰 Treasury summary (all dealers):");
+  console.log(`   Contract balance:     ${format(balance)}`);
+  console.log(`   Total collected:      ${format(collected)}`);
+  console.log(`   Deposits held:        ${format(depositsHeld)} (not withdrawable)`);
+  console.log(`   Credited refunds:     ${format(await contract.totalPendingWithdrawals(asset))} (awaiting withdraw())`);
+  console.log(`   Withdrawable:         ${format(totalWithdrawable)}`);
+
+  const withdrawable = await contract.withdrawableBalance(dealer.address, asset);
+  console.log("\n🏷️  Your revenue:");
+  console.log(`   Collected:            ${format(earned)}`);
+  console.log(`   Already withdrawn:    ${format(await contract.dealerRevenueWithdrawn(dealer.address, asset))}`);
+  console.log(`   Withdrawable:         ${format(withdrawable)}`);
+
+  // Claimed deposits are credited separately and collected with withdraw(asset, to)
+  const credited = await contract.pendingWithdrawal(dealer.address, asset);
+  if (credited > 0n) {
+    console.log(`   Claimed deposits:     ${format(credited)} (collect with withdraw())`);
+  }
+  console.log();
+
+  if (withdrawable === 0n) {
+    console.log("ℹ️  Nothing to withdraw.\n");
+    return;
+  }
+
+  const amount = process.env.WITHDRAW_AMOUNT
+    ? ethers.parseUnits(process.env.WITHDRAW_AMOUNT, decimals)
+    : withdrawable;
+  const recipient = process.env.WITHDRAW_TO || dealer.address;
+
+  if (amount > withdrawable) {
+    console.error(`❌ Error: requested ${format(amount)} exceeds withdrawable balance`);
+    process.exit(1);
+  }
+
+  if (process.env.WITHDRAW_CONFIRM !== "yes") {
+    const answer = await ask(`❓ Withdraw ${format(amount)} to ${recipient}? (y/N) `);
+    if (answer !== "y" && answer !== "yes") {
+      console.log("🚫 Withdrawal cancelled.\n");
+      return;
+    }
+  }
+
+  const tx = await contract.connect(dealer).withdrawRevenue(asset, recipient, amount);
+  console.log(`   ⏳ Waiting for transaction: ${tx.hash}`);
+  await tx.wait();
+
+  console.log(`   ✅ Withdrew ${format(amount)} to ${recipient}`);
+  console.log(`   💰 Remaining withdrawable: ${format(await contract.withdrawableBalance(dealer.address, asset))}\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Withdrawal failed:");
+    console.error(error);
+    process.exit(1);
+  });
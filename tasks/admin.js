@@ -0,0 +1,124 @@
+/**
+ * Lease CLI: platform owner commands
+ * Sign as the contract owner when that account is configured
+ *
+ * Examples:
+ *   npx hardhat lease onboard-dealer 0x70997970C51812dc3A010C7d01b50e0d17dc79C8 --network localhost
+ *   npx hardhat lease set-arbiter 0x90F79bf6EB2c4f870365E785982E1f101E93b906 --network localhost
+ *   npx hardhat lease set-mileage-reporter 0x... --revoke --network localhost
+ *   npx hardhat lease propose-params --grace-days 60 --deposit-multiplier 2 --network localhost
+ *   npx hardhat lease propose-params --late-fee-bps 300 --network localhost
+ *   npx hardhat lease pause --network localhost
+ */
+
+const { types } = require("hardhat/config");
+const { leaseTask, action, isoDate, printTx } = require("./lib/cli");
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+/**
+ * Signer for an owner-only command
+ */
+async function owner(ctx) {
+  return ctx.signer(await ctx.contract.owner());
+}
+
+/**
+ * Owner command that authorizes or revokes an address
+ */
+function toggleTask(name, description, method, label) {
+  leaseTask(name, description)
+    .addPositionalParam("account", "Address to authorize")
+    .addFlag("revoke", "Revoke instead of authorize")
+    .setAction(action(async (args, ctx) => {
+      const tx = await ctx.send(label, ctx.contract.connect(await owner(ctx))[method](args.account, !args.revoke));
+      return {
+        result: { account: args.account, authorized: !args.revoke, ...tx },
+        print: printTx(`${args.account} ${args.revoke ? "revoked" : "authorized"}`)
+      };
+    }));
+}
+
+/**
+ * Owner command that onboards or suspends a dealer
+ */
+function dealerTask(name, description, method, message) {
+  leaseTask(name, description)
+    .addPositionalParam("dealer", "Dealer address")
+    .setAction(action(async (args, ctx) => {
+      const tx = await ctx.send(message, ctx.contract.connect(await owner(ctx))[method](args.dealer));
+      return { result: { dealer: args.dealer, ...tx }, print: printTx(`${message}: ${args.dealer}`) };
+    }));
+}
+
+dealerTask("onboard-dealer", "Grant DEALER_ROLE to a dealership (also reinstates a suspended one)", "onboardDealer", "Dealer onboarded");
+dealerTask("suspend-dealer", "Revoke DEALER_ROLE; existing leases keep being serviced", "suspendDealer", "Dealer suspended");
+
+toggleTask("set-mileage-reporter", "Authorize or revoke a mileage oracle", "setMileageReporter", "Set mileage reporter");
+toggleTask("set-credit-attestor", "Authorize or revoke a credit attestor", "setCreditAttestor", "Set credit attestor");
+toggleTask("allow-token", "Allow-list or remove an ERC-20 payment token", "setPaymentTokenAllowed", "Set payment token");
+
+leaseTask("set-arbiter", "Set the account that resolves disputed damage claims")
+  .addPositionalParam("arbiter", "Damage arbiter address (the zero address removes it)")
+  .setAction(action(async (args, ctx) => {
+    const tx = await ctx.send("Set damage arbiter", ctx.module.connect(await owner(ctx)).setDamageArbiter(args.arbiter));
+    return { result: { arbiter: args.arbiter, ...tx }, print: printTx(`Damage arbiter set to ${args.arbiter}`) };
+  }));
+
+// ============================================
+// LEASE PARAMETERS & PAUSE
+// ============================================
+
+leaseTask("propose-params", "Propose new lease timing, deposit and fee parameters (applied after PARAMS_TIMELOCK)")
+  .addOptionalParam("revealHours", "Reveal window in hours (default: current)", undefined, types.float)
+  .addOptionalParam("confirmDays", "Dealer confirmation window in days (default: current)", undefined, types.float)
+  .addOptionalParam("periodDays", "Payment period in days (default: current)", undefined, types.float)
+  .addOptionalParam("graceDays", "Days without payment before default (default: current)", undefined, types.float)
+  .addOptionalParam("depositMultiplier", "Deposit as a multiple of the monthly payment (default: current)", undefined, types.int)
+  .addOptionalParam("lateFeeBps", "Late fee per overdue payment in basis points (default: current)", undefined, types.int)
+  .addOptionalParam("penaltyBps", "Early termination penalty in basis points of remaining payments (default: current)", undefined, types.int)
+  .setAction(action(async (args, ctx) => {
+    const current = await ctx.contract.leaseParams();
+    const seconds = (value, unit, fallback) => (value === undefined ? fallback : BigInt(Math.round(value * unit)));
+    const params = {
+      revealWindow: seconds(args.revealHours, HOUR, current.revealWindow),
+      confirmWindow: seconds(args.confirmDays, DAY, current.confirmWindow),
+      paymentPeriod: seconds(args.periodDays, DAY, current.paymentPeriod),
+      paymentGrace: seconds(args.graceDays, DAY, current.paymentGrace),
+      depositMultiplier: args.depositMultiplier === undefined ? current.depositMultiplier : BigInt(args.depositMultiplier),
+      lateFeeBps: args.lateFeeBps === undefined ? current.lateFeeBps : BigInt(args.lateFeeBps),
+      earlyTerminationPenaltyBps: args.penaltyBps === undefined ? current.earlyTerminationPenaltyBps : BigInt(args.penaltyBps)
+    };
+
+    const tx = await ctx.send("Propose lease params", ctx.contract.connect(await owner(ctx)).proposeLeaseParams(params));
+    const { eta } = await ctx.contract.pendingLeaseParams();
+    return {
+      result: { params, eta, ...tx },
+      print: printTx(eta === 0n ? "Lease parameters set" : `Lease parameters proposed; apply from ${isoDate(eta)}`)
+    };
+  }));
+
+leaseTask("apply-params", "Apply the proposed lease parameters once the timelock has passed")
+  .setAction(action(async (args, ctx) => {
+    const tx = await ctx.send("Apply lease params", ctx.contract.connect(await owner(ctx)).applyLeaseParams());
+    return { result: { params: (await ctx.contract.leaseParams()).toObject(true), ...tx }, print: printTx("Lease parameters applied") };
+  }));
+
+leaseTask("cancel-params", "Withdraw the proposed lease parameters")
+  .setAction(action(async (args, ctx) => {
+    const tx = await ctx.send("Cancel lease params", ctx.contract.connect(await owner(ctx)).cancelLeaseParams());
+    return { result: tx, print: printTx("Lease parameter proposal cancelled") };
+  }));
+
+leaseTask("pause", "Stop new mints, commitments and reveals (existing leases keep running)")
+  .setAction(action(async (args, ctx) => {
+    const tx = await ctx.send("Pause", ctx.contract.connect(await owner(ctx)).pause());
+    return { result: tx, print: printTx("CarLease paused") };
+  }));
+
+leaseTask("unpause", "Resume mints, commitments and reveals")
+  .setAction(action(async (args, ctx) => {
+    const tx = await ctx.send("Unpause", ctx.contract.connect(await owner(ctx)).unpause());
+    return { result: tx, print: printTx("CarLease unpaused") };
+  }));
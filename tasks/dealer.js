@@ -0,0 +1,362 @@
+/**
+ * Lease CLI: dealer, mileage reporter, credit attestor and damage arbiter commands
+ * Token-scoped commands sign as the token's dealer when that account is configured
+ *
+ * Examples:
+ *   npx hardhat lease mint --model "Tesla Model 3" --color Red --year 2024 --value 30 \
+ *     --monthly 0.5 --duration 36 --mileage-limit 50000 --excess-rate 0.0001 --network localhost
+ *   npx hardhat lease confirm 1 --network localhost
+ *   npx hardhat lease reject 1 --reason IncompleteApplication --network localhost
+ *   npx hardhat lease sign-offer --model "Tesla Model 3" --color Red --year 2024 --value 30 \
+ *     --monthly 0.5 --duration 36 --mileage-limit 50000 --excess-rate 0.0001 --out offer.json --network localhost
+ *   npx hardhat lease file-damage 1 0.4 --evidence inspection.pdf --network localhost
+ *   npx hardhat lease waive-damage 1 --network localhost
+ */
+
+const { types } = require("hardhat/config");
+const {
+  REJECTION_REASONS, leaseTask, action, tokenIdArg, isoDate, evidenceHash, toJson, saveSigned, printTx
+} = require("./lib/cli");
+const { signOffer } = require("../scripts/lib/signatures");
+
+/**
+ * Signer for a dealer command on an existing token
+ */
+async function tokenDealer(ctx, tokenId) {
+  return ctx.signer(await ctx.contract.tokenDealer(tokenId));
+}
+
+/**
+ * Parse an amount in the asset's units (ETH or the ERC-20's decimals)
+ */
+function parseAmount(ctx, assetInfo, value, name) {
+  try {
+    return ctx.ethers.parseUnits(String(value), assetInfo.decimals);
+  } catch {
+    throw new Error(`Invalid --${name}: ${value}`);
+  }
+}
+
+// ============================================
+// DEALER
+// ============================================
+
+leaseTask("mint", "Mint a lease option NFT (amounts in ETH or the payment token's units)")
+  .addParam("model", "Car model")
+  .addParam("color", "Car color")
+  .addParam("year", "Model year", undefined, types.int)
+  .addParam("value", "Original car value (ETH; metadata only)")
+  .addParam("monthly", "Monthly payment")
+  .addParam("duration", "Lease duration in months", undefined, types.int)
+  .addParam("mileageLimit", "Mileage limit in km", undefined, types.int)
+  .addParam("excessRate", "Charge per km over the limit")
+  .addOptionalParam("paymentToken", "Allow-listed ERC-20 to price the lease in (default: ETH)")
+  .addOptionalParam("residual", "Buyout price at the end of the term (default: car value less payments made, ETH leases only)")
+  .setAction(action(async (args, ctx) => {
+    const dealer = ctx.signer();
+    const paymentAsset = await ctx.asset(args.paymentToken);
+
+    ctx.log(`\n🎨 Minting ${args.year} ${args.model} as ${dealer.address}...`);
+    const tx = await ctx.send("Mint", ctx.contract.connect(dealer).mintOption(
+      args.model,
+      args.color,
+      args.year,
+      ctx.ethers.parseEther(String(args.value)),
+      parseAmount(ctx, paymentAsset, args.monthly, "monthly"),
+      args.duration,
+      args.mileageLimit,
+      parseAmount(ctx, paymentAsset, args.excessRate, "excess-rate"),
+      paymentAsset.address,
+      args.residual !== undefined ? parseAmount(ctx, paymentAsset, args.residual, "residual") : 0n
+    ));
+    const minted = tx.events.find((e) => e.name === "OptionMinted");
+    return {
+      result: { tokenId: minted.args.tokenId, dealer: dealer.address, ...tx },
+      print: (r) => printTx(`Token #${r.tokenId} minted`)(r)
+    };
+  }));
+
+leaseTask("confirm", "Confirm a revealed lease application (starts the lease)")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const dealer = await tokenDealer(ctx, tokenId);
+    const tx = await ctx.send("Confirm", ctx.contract.connect(dealer).confirmLease(tokenId));
+    const lease = await ctx.contract.getLease(tokenId);
+    return {
+      result: { tokenId, startTime: lease.startTime, ...tx },
+      print: (r) => printTx(`Lease confirmed, started ${isoDate(r.startTime)}`)(r)
+    };
+  }));
+
+leaseTask("reject", "Reject a revealed lease application (deposit is credited back)")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addOptionalParam("reason", `One of ${REJECTION_REASONS.join(", ")}`, "CreditCheckFailed")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const reason = REJECTION_REASONS.indexOf(args.reason);
+    if (reason < 0) throw new Error(`--reason must be one of ${REJECTION_REASONS.join(", ")}`);
+    const dealer = await tokenDealer(ctx, tokenId);
+    const tx = await ctx.send("Reject", ctx.contract.connect(dealer).rejectLease(tokenId, reason));
+    return { result: { tokenId, reason: args.reason, ...tx }, print: printTx("Application rejected, token available again") };
+  }));
+
+leaseTask("relist", "Put a finished lease option back on offer with new terms")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addParam("monthly", "Monthly payment for the next customer")
+  .addParam("duration", "Lease duration in months", undefined, types.int)
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const dealer = await tokenDealer(ctx, tokenId);
+    const paymentAsset = await ctx.asset((await ctx.contract.getLeaseTerms(tokenId)).paymentToken);
+    const tx = await ctx.send("Relist", ctx.contract.connect(dealer).relistOption(
+      tokenId, parseAmount(ctx, paymentAsset, args.monthly, "monthly"), args.duration
+    ));
+    return { result: { tokenId, ...tx }, print: printTx(`Token #${tokenId} relisted`) };
+  }));
+
+leaseTask("offer-extension", "Offer the lessee more months, optionally at a new monthly payment")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addParam("months", "Months to add", undefined, types.int)
+  .addOptionalParam("monthly", "New monthly payment (default: unchanged)")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const dealer = await tokenDealer(ctx, tokenId);
+    const lease = await ctx.contract.getLease(tokenId);
+    const paymentAsset = await ctx.asset((await ctx.contract.getLeaseTerms(tokenId)).paymentToken);
+    const monthly = args.monthly !== undefined
+      ? parseAmount(ctx, paymentAsset, args.monthly, "monthly")
+      : lease.monthlyPayment;
+
+    const tx = await ctx.send("Offer extension", ctx.contract.connect(dealer).offerExtension(tokenId, args.months, monthly));
+    const offer = await ctx.contract.getExtensionOffer(tokenId);
+    return {
+      result: { tokenId, additionalMonths: offer.additionalMonths, newMonthlyPayment: offer.newMonthlyPayment, expiresAt: offer.expiresAt, ...tx },
+      print: (r) => printTx(`Offered +${r.additionalMonths} months at ${paymentAsset.format(r.newMonthlyPayment)}, open until ${isoDate(r.expiresAt)}`)(r)
+    };
+  }));
+
+leaseTask("approve-assignment", "Allow an active lease to be handed over to a new lessee")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addPositionalParam("newLessee", "Address allowed to take over the lease")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const dealer = await tokenDealer(ctx, tokenId);
+    const tx = await ctx.send("Approve assignment", ctx.contract.connect(dealer).approveAssignment(tokenId, args.newLessee));
+    return { result: { tokenId, newLessee: args.newLessee, ...tx }, print: printTx(`${args.newLessee} may take over the lease`) };
+  }));
+
+leaseTask("claim", "Claim the deposit of a lease in payment default")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const dealer = await tokenDealer(ctx, tokenId);
+    const tx = await ctx.send("Claim deposit", ctx.contract.connect(dealer).claimDeposit(tokenId));
+    return { result: { tokenId, ...tx }, print: printTx("Deposit claimed (collect with lease withdraw)") };
+  }));
+
+leaseTask("withdraw-revenue", "Withdraw revenue collected on your tokens")
+  .addOptionalParam("asset", "Payment asset (default: ETH)")
+  .addOptionalParam("to", "Recipient (default: the signer)")
+  .addOptionalParam("amount", "Amount to withdraw (default: everything withdrawable)")
+  .setAction(action(async (args, ctx) => {
+    const dealer = ctx.signer();
+    const paymentAsset = await ctx.asset(args.asset);
+    const available = await ctx.contract.withdrawableBalance(dealer.address, paymentAsset.address);
+    const amount = args.amount !== undefined ? parseAmount(ctx, paymentAsset, args.amount, "amount") : available;
+    if (amount === 0n) throw new Error(`No ${paymentAsset.symbol} revenue to withdraw for ${dealer.address}`);
+
+    const tx = await ctx.send("Withdraw revenue", ctx.contract.connect(dealer).withdrawRevenue(
+      paymentAsset.address, args.to || dealer.address, amount
+    ));
+    return { result: { dealer: dealer.address, asset: paymentAsset.symbol, amount, ...tx }, print: printTx(`Withdrew ${paymentAsset.format(amount)}`) };
+  }));
+
+leaseTask("set-min-credit", "Set the credit factor your lessees need before confirmation (0 = none)")
+  .addPositionalParam("factor", "Minimum credit factor", undefined, types.int)
+  .setAction(action(async (args, ctx) => {
+    const tx = await ctx.send("Set minimum credit factor", ctx.contract.connect(ctx.signer()).setMinCreditFactor(args.factor));
+    return { result: { factor: args.factor, ...tx }, print: printTx(`Minimum credit factor set to ${args.factor}`) };
+  }));
+
+// ============================================
+// SIGNED OFFERS
+// ============================================
+
+leaseTask("sign-offer", "Sign a lease offer off-chain; the customer mints and starts it with lease accept-offer")
+  .addParam("model", "Car model")
+  .addParam("color", "Car color")
+  .addParam("year", "Model year", undefined, types.int)
+  .addParam("value", "Original car value (ETH; metadata only)")
+  .addParam("monthly", "Monthly payment")
+  .addParam("duration", "Lease duration in months", undefined, types.int)
+  .addParam("mileageLimit", "Mileage limit in km", undefined, types.int)
+  .addParam("excessRate", "Charge per km over the limit")
+  .addOptionalParam("paymentToken", "Allow-listed ERC-20 to price the lease in (default: ETH)")
+  .addOptionalParam("residual", "Buyout price at the end of the term (default: car value less payments made, ETH leases only)")
+  .addOptionalParam("lessee", "Only address allowed to accept (required once you set a minimum credit factor)")
+  .addOptionalParam("nonce", "Offer nonce, to cancel it later (default: random)")
+  .addOptionalParam("ttlDays", "Days the offer can be accepted", 7, types.int)
+  .addOptionalParam("out", "Write the signed offer to this file (default: print it)")
+  .setAction(action(async (args, ctx) => {
+    const { ethers } = ctx;
+    const dealer = ctx.signer();
+    if (!(await ctx.contract.hasRole(await ctx.contract.DEALER_ROLE(), dealer.address))) {
+      throw new Error(`${dealer.address} is not an onboarded dealer`);
+    }
+    const lessee = args.lessee || ethers.ZeroAddress;
+    if (lessee === ethers.ZeroAddress && (await ctx.contract.minCreditFactor(dealer.address)) > 0n) {
+      throw new Error("You require a credit check, so the offer must name its --lessee");
+    }
+
+    const paymentAsset = await ctx.asset(args.paymentToken);
+    const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + args.ttlDays * 24 * 60 * 60;
+    const offer = {
+      car: {
+        model: args.model,
+        color: args.color,
+        year: args.year,
+        originalValueWei: ethers.parseEther(String(args.value)),
+        mileageLimit: args.mileageLimit
+      },
+      terms: {
+        monthlyPayment: parseAmount(ctx, paymentAsset, args.monthly, "monthly"),
+        durationMonths: args.duration,
+        excessMileageRateWei: parseAmount(ctx, paymentAsset, args.excessRate, "excess-rate"),
+        paymentToken: paymentAsset.address,
+        residualValue: args.residual !== undefined ? parseAmount(ctx, paymentAsset, args.residual, "residual") : 0n
+      },
+      dealer: dealer.address,
+      lessee,
+      nonce: args.nonce !== undefined ? BigInt(args.nonce) : BigInt(ethers.hexlify(ethers.randomBytes(8))),
+      expiresAt
+    };
+    if (await ctx.module.offerNonceUsed(dealer.address, offer.nonce)) {
+      throw new Error(`Offer nonce ${offer.nonce} is already used or cancelled`);
+    }
+
+    const signed = {
+      chainId: ctx.chainId,
+      contract: ctx.contractAddress,
+      offer,
+      signature: await signOffer(dealer, ctx.chainId, ctx.contractAddress, offer)
+    };
+    const file = args.out ? saveSigned(args.out, signed) : null;
+    return {
+      result: { ...signed, file },
+      print: (r) => {
+        console.log(`\n✍️  Offer ${r.offer.nonce} signed by ${r.offer.dealer}, valid until ${isoDate(r.offer.expiresAt)}`);
+        console.log(r.file ? `   💾 Saved to ${r.file}` : toJson(signed));
+        console.log(`   Accept with: npx hardhat lease accept-offer ${r.file || "<offer file>"}\n`);
+      }
+    };
+  }));
+
+leaseTask("cancel-offer", "Void a signed offer nobody has accepted yet")
+  .addPositionalParam("nonce", "Offer nonce")
+  .setAction(action(async (args, ctx) => {
+    const dealer = ctx.signer();
+    const tx = await ctx.send("Cancel offer", ctx.module.connect(dealer).cancelOffer(BigInt(args.nonce)));
+    return { result: { dealer: dealer.address, nonce: args.nonce, ...tx }, print: printTx(`Offer ${args.nonce} cancelled`) };
+  }));
+
+// ============================================
+// DAMAGE CLAIMS
+// ============================================
+
+leaseTask("file-damage", "Claim part of a returned car's deposit for damage found at inspection")
+  .addPositionalParam("tokenId", "Lease NFT ID of the completed or terminated lease")
+  .addPositionalParam("amount", "Amount claimed from the deposit")
+  .addParam("evidence", "Inspection report or photo archive to hash, or its 32-byte hash")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const dealer = await tokenDealer(ctx, tokenId);
+    const paymentAsset = await ctx.asset((await ctx.contract.getLeaseTerms(tokenId)).paymentToken);
+    const amount = parseAmount(ctx, paymentAsset, args.amount, "amount");
+    const hash = evidenceHash(ctx.ethers, args.evidence);
+
+    const tx = await ctx.send("File damage claim", ctx.module.connect(dealer).fileDamageClaim(tokenId, amount, hash));
+    const claim = await ctx.module.getDamageClaim(tokenId);
+    return {
+      result: { tokenId, amount, evidenceHash: hash, disputeDeadline: claim.disputeDeadline, ...tx },
+      print: (r) => printTx(`Claimed ${paymentAsset.format(r.amount)}; the lessee can dispute until ${isoDate(r.disputeDeadline)}`)(r)
+    };
+  }));
+
+leaseTask("waive-damage", "Close a returned car's inspection without a damage claim")
+  .addPositionalParam("tokenId", "Lease NFT ID of the completed or terminated lease")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const dealer = await tokenDealer(ctx, tokenId);
+
+    const tx = await ctx.send("Waive damage claim", ctx.module.connect(dealer).waiveDamageClaim(tokenId));
+    return { result: { tokenId, ...tx }, print: printTx("Inspection closed; the lessee can reclaim once the return reading is recorded") };
+  }));
+
+leaseTask("resolve-damage", "Split a disputed damage claim between dealer and lessee (damage arbiter)")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addPositionalParam("dealerAmount", "Part of the claimed amount awarded to the dealer; the rest goes back to the lessee")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const arbiter = ctx.signer(await ctx.module.damageArbiter());
+    const paymentAsset = await ctx.asset((await ctx.contract.getLeaseTerms(tokenId)).paymentToken);
+    const dealerAmount = parseAmount(ctx, paymentAsset, args.dealerAmount, "dealerAmount");
+
+    const tx = await ctx.send("Resolve damage claim", ctx.module.connect(arbiter).resolveDamageClaim(tokenId, dealerAmount));
+    const { amount } = await ctx.module.getDamageClaim(tokenId);
+    return {
+      result: { tokenId, dealerAmount, lesseeAmount: amount - dealerAmount, ...tx },
+      print: (r) => printTx(`${paymentAsset.format(r.dealerAmount)} to the dealer, ${paymentAsset.format(r.lesseeAmount)} back to the lessee`)(r)
+    };
+  }));
+
+// ============================================
+// MILEAGE REPORTERS AND CREDIT ATTESTORS
+// ============================================
+
+leaseTask("report-mileage", "Record an odometer reading (authorized mileage reporter)")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addPositionalParam("odometerKm", "Current odometer reading in km", undefined, types.int)
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const tx = await ctx.send("Report mileage", ctx.contract.connect(ctx.signer()).reportMileage(tokenId, args.odometerKm));
+    const [excessKm] = await ctx.contract.getExcessMileageCharge(tokenId);
+    return { result: { tokenId, odometerKm: args.odometerKm, excessKm, ...tx }, print: printTx(`Reading recorded (${excessKm} km over limit)`) };
+  }));
+
+leaseTask("attest", "Sign and submit an applicant's credit factor (authorized credit attestor)")
+  .addPositionalParam("tokenId", "Lease NFT ID awaiting confirmation")
+  .addPositionalParam("factor", "Credit factor from 0 to MAX_CREDIT_FACTOR", undefined, types.int)
+  .addOptionalParam("ttlDays", "Days the attestation stays valid", 7, types.int)
+  .setAction(action(async (args, ctx) => {
+    const { ethers } = ctx;
+    const tokenId = tokenIdArg(args.tokenId);
+    const lease = await ctx.contract.getLease(tokenId);
+    if (!lease.exists || lease.startTime !== 0n) throw new Error(`Token #${tokenId} has no application awaiting confirmation`);
+
+    // Prefer --from, else the first configured account that is an authorized attestor
+    let attestor = args.from !== undefined ? ctx.signer() : undefined;
+    for (const candidate of attestor ? [] : ctx.signers) {
+      if (await ctx.contract.creditAttestors(candidate.address)) {
+        attestor = candidate;
+        break;
+      }
+    }
+    if (!attestor) throw new Error("None of the configured accounts is an authorized credit attestor");
+
+    const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + args.ttlDays * 24 * 60 * 60;
+    // Same encoding as LeaseLogic.attestCredit, signed as an EIP-191 personal message
+    const digest = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "address", "uint256", "address", "uint32", "uint64"],
+      [ctx.chainId, ctx.contractAddress, tokenId, lease.lessee, args.factor, expiresAt]
+    ));
+    const signature = await attestor.signMessage(ethers.getBytes(digest));
+
+    const tx = await ctx.send("Submit attestation", ctx.contract.connect(attestor).submitCreditAttestation(
+      tokenId, args.factor, expiresAt, signature
+    ));
+    return {
+      result: { tokenId, lessee: lease.lessee, attestor: attestor.address, creditFactor: args.factor, expiresAt, ...tx },
+      print: (r) => printTx(`Credit factor ${r.creditFactor} attested, valid until ${isoDate(r.expiresAt)}`)(r)
+    };
+  }));
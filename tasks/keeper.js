@@ -0,0 +1,288 @@
+/**
+ * Lease CLI: payment-default monitor and clean-up keeper
+ * Scans every token and reports payments due soon, overdue leases, claimable
+ * deposits, expired commitments, applications the dealer did not confirm in time,
+ * damage claims the lessee let lapse or disputed and deposits of completed or
+ * terminated leases left unreclaimed past the return window.
+ *
+ * Dry run by default: planned transactions are simulated, nothing is sent.
+ * With --execute the keeper sends the ones the configured accounts may make:
+ *   - claimDeposit on leases in payment default (as the token's dealer)
+ *   - expireCommit on commitments past their reveal deadline (anyone)
+ *   - refundUnconfirmedDeposit on applications past their confirmation deadline (as the lessee)
+ *   - acceptDamageClaim on damage claims left unanswered past their dispute deadline (anyone)
+ *   - releaseDeposit on returned cars whose deposit was not reclaimed within the
+ *     return window, crediting it to the lessee so the car can be relisted (anyone)
+ *
+ * Applications past their confirmation deadline are only turned down by the dealer
+ * (rejectLease with reason Other) with --reject-unconfirmed; that rejects the
+ * customer on the dealer's behalf, so it is never done implicitly.
+ *
+ * Examples:
+ *   npx hardhat lease keeper --network sepolia
+ *   npx hardhat lease keeper --execute --report keeper-report.json --network sepolia
+ *   npx hardhat lease keeper --execute --reject-unconfirmed --from 0 --network sepolia
+ *   npx hardhat lease keeper --horizon 3 --json --network localhost
+ */
+
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const {
+  REJECTION_REASONS, DAMAGE_CLAIM_STATUS, leaseTask, action, errorReason, toJson, leaseTiming, isoDate
+} = require("./lib/cli");
+const { deleteSecret } = require("./lib/commit-secrets");
+
+const DAY = 24n * 60n * 60n;
+
+// Planned actions sent to CarLeaseModule (called at the CarLease address)
+const MODULE_ACTIONS = new Set(["acceptDamageClaim", "releaseDeposit"]);
+
+/**
+ * Collect the tokens that need attention at the latest block
+ */
+async function scan(ctx, horizonDays) {
+  const { contract } = ctx;
+  const block = await ctx.ethers.provider.getBlock("latest");
+  const now = BigInt(block.timestamp);
+  const horizon = now + BigInt(horizonDays) * DAY;
+  const returnWindow = await contract.FINAL_READING_WINDOW();
+
+  const report = {
+    blockNumber: block.number,
+    timestamp: now,
+    tokensScanned: 0n,
+    upcoming: [],
+    overdue: [],
+    claimable: [],
+    expiredCommits: [],
+    unconfirmed: [],
+    lapsedDamageClaims: [],
+    disputedDamageClaims: [],
+    unreclaimedDeposits: []
+  };
+
+  const total = await contract.totalMinted();
+  for (let tokenId = 1n; tokenId <= total; tokenId++) {
+    report.tokensScanned++;
+    const lease = await contract.getLease(tokenId);
+    const commit = await contract.getCommit(tokenId);
+    if (!lease.exists && commit.deadline === 0n) continue;
+
+    const dealer = await contract.tokenDealer(tokenId);
+    const { paymentToken } = await contract.getLeaseTerms(tokenId);
+    const entry = { tokenId, dealer, paymentToken };
+
+    if (lease.active) {
+      const [principal, fees, nextDueDate] = await contract.getAmountDue(tokenId);
+      const payments = { lessee: lease.lessee, paymentsMade: lease.paymentsMade, durationMonths: lease.durationMonths };
+
+      if (!(await contract.isPaymentCurrent(tokenId))) {
+        // Behind on payments and the lease's paymentGrace expired since the last one
+        report.claimable.push({ ...entry, ...payments, deposit: lease.deposit, lastPaymentTime: lease.lastPaymentTime, principal, fees });
+      } else if (principal > 0n) {
+        // Grace runs from the last payment, or from the start before the first one (LeaseLogic.isInDefault)
+        const graceStart = lease.lastPaymentTime > lease.startTime ? lease.lastPaymentTime : lease.startTime;
+        report.overdue.push({
+          ...entry, ...payments, principal, fees, dueSince: nextDueDate,
+          claimableAfter: graceStart + leaseTiming(lease).paymentGrace
+        });
+      } else if (lease.paymentsMade < lease.durationMonths && nextDueDate <= horizon) {
+        report.upcoming.push({ ...entry, ...payments, amount: lease.monthlyPayment, dueDate: nextDueDate });
+      }
+    } else if (lease.exists && lease.startTime === 0n && now > lease.confirmDeadline) {
+      report.unconfirmed.push({ ...entry, lessee: lease.lessee, deposit: lease.deposit, confirmDeadline: lease.confirmDeadline });
+    }
+
+    if (commit.deadline > 0n && now > commit.deadline) {
+      report.expiredCommits.push({ ...entry, committer: commit.committer, deadline: commit.deadline });
+    }
+
+    // Car returned: completed, or terminated (leases completed before returnedAt existed read 0)
+    if (lease.completed || lease.returnedAt > 0n) {
+      const returnedAt = lease.returnedAt > 0n ? lease.returnedAt : lease.lastPaymentTime;
+      const claim = await ctx.module.getDamageClaim(tokenId);
+      const claimStatus = DAMAGE_CLAIM_STATUS[Number(claim.status)];
+      const damage = { ...entry, lessee: lease.lessee, amount: claim.amount, disputeDeadline: claim.disputeDeadline };
+      if (claimStatus === "Filed" && now > claim.disputeDeadline) {
+        report.lapsedDamageClaims.push(damage);
+      } else if (claimStatus === "Disputed") {
+        report.disputedDamageClaims.push(damage);
+      }
+
+      // Never reclaimed: blocks relisting until someone releases it (LeaseLogic.releaseUnclaimedDeposit)
+      if (lease.deposit > 0n && now > returnedAt + returnWindow) {
+        report.unreclaimedDeposits.push({ ...entry, lessee: lease.lessee, deposit: lease.deposit, returnedAt });
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Transactions that would clean up the scanned tokens, each with the configured
+ * account allowed to send it (null when none is)
+ */
+function plan(report, accounts, rejectUnconfirmed) {
+  const account = (address) =>
+    accounts.find((s) => s.address.toLowerCase() === address.toLowerCase()) || null;
+
+  const actions = [];
+  for (const lease of report.claimable) {
+    actions.push({ type: "claimDeposit", tokenId: lease.tokenId, signer: account(lease.dealer), needs: "the token's dealer" });
+  }
+  for (const commit of report.expiredCommits) {
+    actions.push({ type: "expireCommit", tokenId: commit.tokenId, signer: accounts[0] || null, needs: "any account", committer: commit.committer });
+  }
+  for (const application of report.unconfirmed) {
+    const lessee = account(application.lessee);
+    if (lessee || !rejectUnconfirmed) {
+      actions.push({
+        type: "refundUnconfirmedDeposit", tokenId: application.tokenId, signer: lessee,
+        needs: "the lessee (--reject-unconfirmed lets the token's dealer reject it instead)"
+      });
+    } else {
+      actions.push({ type: "rejectLease", tokenId: application.tokenId, signer: account(application.dealer), needs: "the lessee or the token's dealer" });
+    }
+  }
+  for (const claim of report.lapsedDamageClaims) {
+    actions.push({ type: "acceptDamageClaim", tokenId: claim.tokenId, signer: accounts[0] || null, needs: "any account" });
+  }
+  for (const lease of report.unreclaimedDeposits) {
+    actions.push({ type: "releaseDeposit", tokenId: lease.tokenId, signer: accounts[0] || null, needs: "any account" });
+  }
+  return actions;
+}
+
+/**
+ * Arguments for a planned step's CarLease call
+ */
+function callArgs(step) {
+  return step.type === "rejectLease"
+    ? [step.tokenId, REJECTION_REASONS.indexOf("Other")]
+    : [step.tokenId];
+}
+
+leaseTask("keeper", "Report payment defaults and stale applications; --execute claims and clears them")
+  .addFlag("execute", "Send the clean-up transactions (default: dry run)")
+  .addFlag("rejectUnconfirmed", "Reject applications past their confirmation deadline as the dealer when the lessee's key is not configured")
+  .addOptionalParam("horizon", "Days ahead to report upcoming payments", 7, types.int)
+  .addOptionalParam("report", "Also write the JSON report to this file")
+  .setAction(action(async (args, ctx) => {
+    const { contract } = ctx;
+    // --from restricts the keeper to one account; otherwise any configured account may act
+    const accounts = args.from !== undefined ? [ctx.signer()] : ctx.signers;
+
+    ctx.log(`\n🤖 Scanning ${await contract.totalMinted()} token(s)...`);
+    const report = await scan(ctx, args.horizon);
+
+    const actions = [];
+    for (const planned of plan(report, accounts, args.rejectUnconfirmed)) {
+      const { signer, needs, committer, ...step } = planned;
+      if (!signer) {
+        actions.push({ ...step, status: "skipped", error: `No configured account is ${needs}` });
+        continue;
+      }
+      const target = MODULE_ACTIONS.has(step.type) ? ctx.module : contract;
+      const method = target.connect(signer)[step.type];
+      step.signer = signer.address;
+      try {
+        if (args.execute) {
+          const tx = await ctx.send(`${step.type} #${step.tokenId}`, method(...callArgs(step)));
+          if (step.type === "expireCommit") {
+            deleteSecret(ctx.hre.config.paths.root, ctx.chainId, ctx.contractAddress, step.tokenId, committer);
+          }
+          actions.push({ ...step, status: "sent", ...tx });
+        } else {
+          await method.staticCall(...callArgs(step));
+          actions.push({ ...step, status: "ready" });
+        }
+      } catch (error) {
+        actions.push({ ...step, status: "failed", error: errorReason(error, contract.interface) });
+      }
+    }
+
+    const result = {
+      network: ctx.hre.network.name,
+      chainId: ctx.chainId,
+      contract: ctx.contractAddress,
+      mode: args.execute ? "execute" : "dry-run",
+      horizonDays: args.horizon,
+      ...report,
+      actions
+    };
+    if (args.report) {
+      fs.writeFileSync(args.report, toJson(result) + "\n");
+    }
+    if (actions.some((a) => a.status === "failed")) {
+      process.exitCode = 1;
+    }
+
+    // Format amounts in each lease's payment asset
+    const assets = {};
+    const damageClaims = [...report.lapsedDamageClaims, ...report.disputedDamageClaims];
+    const deposits = [...report.claimable, ...report.unconfirmed, ...report.unreclaimedDeposits];
+    for (const entry of [...report.upcoming, ...report.overdue, ...deposits, ...damageClaims]) {
+      assets[entry.paymentToken] = assets[entry.paymentToken] || await ctx.asset(entry.paymentToken);
+    }
+    const fmt = (entry, value) => assets[entry.paymentToken].format(value);
+
+    return {
+      result,
+      print: (r) => {
+        console.log(`   ${r.mode === "execute" ? "Execute" : "Dry run"} at block ${r.blockNumber} (${isoDate(r.timestamp)})`);
+
+        console.log(`\n📅 Payments due within ${r.horizonDays} days: ${r.upcoming.length}`);
+        for (const e of r.upcoming) {
+          console.log(`   #${e.tokenId} ${fmt(e, e.amount)} due ${isoDate(e.dueDate)} (payment ${e.paymentsMade + 1n}/${e.durationMonths}, lessee ${e.lessee})`);
+        }
+
+        console.log(`\n⏰ Overdue: ${r.overdue.length}`);
+        for (const e of r.overdue) {
+          console.log(`   #${e.tokenId} ${fmt(e, e.principal)} + ${fmt(e, e.fees)} late fees, due since ${isoDate(e.dueSince)}; deposit claimable after ${isoDate(e.claimableAfter)}`);
+        }
+
+        console.log(`\n🚨 In default, deposit claimable: ${r.claimable.length}`);
+        for (const e of r.claimable) {
+          console.log(`   #${e.tokenId} deposit ${fmt(e, e.deposit)}, ${e.paymentsMade}/${e.durationMonths} paid, last payment ${isoDate(e.lastPaymentTime) || "never"} (dealer ${e.dealer})`);
+        }
+
+        console.log(`\n⌛ Expired commitments: ${r.expiredCommits.length}`);
+        for (const e of r.expiredCommits) {
+          console.log(`   #${e.tokenId} reveal deadline ${isoDate(e.deadline)} (committer ${e.committer})`);
+        }
+
+        console.log(`\n📭 Unconfirmed past deadline: ${r.unconfirmed.length}`);
+        for (const e of r.unconfirmed) {
+          console.log(`   #${e.tokenId} deposit ${fmt(e, e.deposit)}, confirm deadline ${isoDate(e.confirmDeadline)} (lessee ${e.lessee})`);
+        }
+
+        console.log(`\n🔧 Damage claims unanswered past deadline: ${r.lapsedDamageClaims.length}`);
+        for (const e of r.lapsedDamageClaims) {
+          console.log(`   #${e.tokenId} ${fmt(e, e.amount)}, dispute deadline ${isoDate(e.disputeDeadline)} (lessee ${e.lessee})`);
+        }
+
+        console.log(`\n⚖️  Damage claims awaiting the arbiter: ${r.disputedDamageClaims.length}`);
+        for (const e of r.disputedDamageClaims) {
+          console.log(`   #${e.tokenId} ${fmt(e, e.amount)} disputed (dealer ${e.dealer}, lessee ${e.lessee})`);
+        }
+
+        console.log(`\n💰 Deposits unreclaimed past the return window: ${r.unreclaimedDeposits.length}`);
+        for (const e of r.unreclaimedDeposits) {
+          console.log(`   #${e.tokenId} deposit ${fmt(e, e.deposit)}, returned ${isoDate(e.returnedAt)} (lessee ${e.lessee})`);
+        }
+
+        console.log(`\n🛠️  Actions: ${r.actions.length}`);
+        const icons = { ready: "🟢", sent: "✅", skipped: "⚪", failed: "❌" };
+        for (const a of r.actions) {
+          const detail = a.error ? `: ${a.error}` : a.signer ? ` as ${a.signer}` : "";
+          console.log(`   ${icons[a.status]} ${a.type} #${a.tokenId} ${a.status}${detail}`);
+        }
+        if (r.mode === "dry-run" && r.actions.some((a) => a.status === "ready")) {
+          console.log("\n   Run with --execute to send the ready transactions");
+        }
+        if (args.report) console.log(`\n📝 Report written to ${args.report}`);
+        console.log();
+      }
+    };
+  }));
@@ -0,0 +1,724 @@
+/**
+ * Lease CLI: read-only and lessee commands
+ * Run `npx hardhat lease --help` for the full command list (dealer and platform owner
+ * commands are in tasks/dealer.js and tasks/admin.js)
+ *
+ * Examples:
+ *   npx hardhat lease status 1 --network localhost
+ *   npx hardhat lease commit 1 --from 1 --network localhost
+ *   npx hardhat lease reveal 1 --from 1 --network localhost
+ *   npx hardhat lease pay 1 --months 2 --json --network sepolia
+ *   npx hardhat lease dispute-damage 1 --evidence return-photos.zip --from 1 --network localhost
+ *   npx hardhat lease accept-offer offer.json --from 1 --network localhost
+ *   npx hardhat lease sign-action pay 1 --from 1 --out pay.json --network localhost
+ *   npx hardhat lease relay pay.json --network localhost
+ */
+
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { loadDeployment, abiHash } = require("../scripts/lib/deployments");
+const {
+  LEASE_STATUS, DAMAGE_CLAIM_STATUS, leaseTask, action, tokenIdArg, leaseTiming, isoDate, evidenceHash,
+  toJson, saveSigned, loadSigned, printTx
+} = require("./lib/cli");
+const { saveSecret, loadSecret, deleteSecret, listSecrets } = require("./lib/commit-secrets");
+const { recoverOfferSigner, actionTypedData, signAction, recoverActionSigner } = require("../scripts/lib/signatures");
+
+/**
+ * Principal and late fees for paying the next `months` payments now
+ * (mirrors LeaseLogic.lateFees at the latest block's timestamp)
+ */
+async function paymentDue(ctx, lease, months) {
+  const now = BigInt((await ctx.ethers.provider.getBlock("latest")).timestamp);
+  const grace = await ctx.contract.LATE_FEE_GRACE();
+  // Snapshotted at reveal; older leases follow the current rate
+  const lateFeeBps = lease.paymentPeriod > 0n ? lease.lateFeeBps : (await ctx.contract.leaseParams()).lateFeeBps;
+
+  let overdue = 0n;
+  const elapsed = now - lease.startTime;
+  if (elapsed > grace) {
+    const lastOverdue = (elapsed - grace) / leaseTiming(lease).paymentPeriod;
+    if (lastOverdue > lease.paymentsMade) overdue = lastOverdue - lease.paymentsMade;
+    if (overdue > months) overdue = months;
+  }
+  const principal = months * lease.monthlyPayment;
+  const fees = (overdue * lease.monthlyPayment * lateFeeBps) / 10_000n;
+  return { principal, fees, overdue, total: principal + fees };
+}
+
+/**
+ * Raw secret file contents, to roll back a failed commit
+ */
+function loadRaw(root, chainId, contractAddress, tokenId, committer) {
+  const stored = listSecrets(root, chainId, contractAddress)
+    .find((s) => s.tokenId === tokenId.toString() && s.committer.toLowerCase() === committer.toLowerCase());
+  return stored ? fs.readFileSync(stored.file, "utf8") : null;
+}
+
+/**
+ * Put back the secret file as it was before a failed commit
+ */
+function restoreRaw(file, previous) {
+  if (previous === null) {
+    fs.unlinkSync(file);
+  } else {
+    fs.writeFileSync(file, previous, { mode: 0o600 });
+  }
+}
+
+// ============================================
+// READ-ONLY
+// ============================================
+
+leaseTask("info", "Show contract settings and the recorded deployment")
+  .setAction(action(async (args, ctx) => {
+    const { contract, ethers } = ctx;
+    const deployment = args.contract ? null : loadDeployment(ctx.hre.network.name);
+    const pending = await contract.pendingLeaseParams();
+    const result = {
+      contract: ctx.contractAddress,
+      chainId: ctx.chainId,
+      owner: await contract.owner(),
+      module: await contract.module(),
+      damageArbiter: await ctx.module.damageArbiter(),
+      totalMinted: await contract.totalMinted(),
+      paused: await contract.paused(),
+      leaseParams: (await contract.leaseParams()).toObject(true),
+      pendingLeaseParams: pending.eta === 0n ? null : pending.toObject(true),
+      windows: {
+        lateFeeGrace: await contract.LATE_FEE_GRACE(),
+        finalReading: await contract.FINAL_READING_WINDOW(),
+        extensionOffer: await contract.EXTENSION_OFFER_WINDOW(),
+        damageDispute: await ctx.module.DAMAGE_DISPUTE_WINDOW()
+      },
+      deployment: deployment && {
+        mode: deployment.mode,
+        implementation: deployment.implementation,
+        blockNumber: deployment.blockNumber,
+        abiUpToDate: deployment.abiHash === abiHash(ethers, contract.interface)
+      }
+    };
+    return {
+      result,
+      print: (r) => {
+        const days = (seconds) => `${Number(seconds) / 86400} days`;
+        console.log("\n🚗 CarLease");
+        console.log(`   Contract:          ${r.contract} (chain ${r.chainId})`);
+        console.log(`   Owner:             ${r.owner}`);
+        console.log(`   Module:            ${r.module} (signed offers, relayed actions, damage claims)`);
+        console.log(`   Damage arbiter:    ${r.damageArbiter === ethers.ZeroAddress ? "none" : r.damageArbiter}`);
+        console.log(`   Options minted:    ${r.totalMinted}`);
+        console.log(`   Early exit fee:    ${Number(r.leaseParams.earlyTerminationPenaltyBps) / 100}% of remaining payments`);
+        console.log(`   Late fee:          ${Number(r.leaseParams.lateFeeBps) / 100}% per overdue payment`);
+        if (r.paused) console.log("   ⏸️  Paused: no new mints, commitments or reveals");
+        console.log(`   Reveal window:     ${Number(r.leaseParams.revealWindow) / 3600} hours`);
+        console.log(`   Confirm window:    ${Number(r.leaseParams.confirmWindow) / 3600} hours`);
+        console.log(`   Payment period:    ${days(r.leaseParams.paymentPeriod)}`);
+        console.log(`   Late fee grace:    ${days(r.windows.lateFeeGrace)}`);
+        console.log(`   Default after:     ${days(r.leaseParams.paymentGrace)} without payment`);
+        console.log(`   Deposit:           ${r.leaseParams.depositMultiplier}x monthly payment`);
+        console.log(`   Damage disputes:   ${days(r.windows.damageDispute)} to accept or dispute a claim`);
+        if (r.pendingLeaseParams) {
+          const p = r.pendingLeaseParams;
+          console.log(`   ⏳ Pending change:  reveal ${Number(p.revealWindow) / 3600}h, confirm ${Number(p.confirmWindow) / 3600}h, ` +
+            `period ${days(p.paymentPeriod)}, default after ${days(p.paymentGrace)}, ${p.depositMultiplier}x deposit, ` +
+            `late fee ${Number(p.lateFeeBps) / 100}%, early exit fee ${Number(p.earlyTerminationPenaltyBps) / 100}%`);
+          console.log(`      Applies from:   ${isoDate(p.eta)}`);
+        }
+        if (r.deployment) {
+          console.log(`   Deployment:        ${r.deployment.mode} at block ${r.deployment.blockNumber}`);
+          if (r.deployment.implementation) console.log(`   Implementation:    ${r.deployment.implementation}`);
+          if (!r.deployment.abiUpToDate) console.log("   ⚠️  Local ABI differs from the deployed one - upgrade or redeploy");
+        }
+        console.log();
+      }
+    };
+  }));
+
+leaseTask("status", "Show a token's car, terms, lease, commitment and amounts due")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const { contract } = ctx;
+    const tokenId = tokenIdArg(args.tokenId);
+
+    const car = await contract.getCarMetadata(tokenId);
+    const terms = await contract.getLeaseTerms(tokenId);
+    const lease = await contract.getLease(tokenId);
+    const commit = await contract.getCommit(tokenId);
+    const offer = await contract.getExtensionOffer(tokenId);
+    const damageClaim = await ctx.module.getDamageClaim(tokenId);
+    const [principal, fees, nextDueDate] = await contract.getAmountDue(tokenId);
+    const [excessKm, mileageCharge] = await contract.getExcessMileageCharge(tokenId);
+    const paymentAsset = await ctx.asset(terms.paymentToken);
+    const { depositMultiplier } = await contract.leaseParams();
+    const hasSecret = listSecrets(ctx.hre.config.paths.root, ctx.chainId, ctx.contractAddress)
+      .some((s) => s.tokenId === tokenId.toString() && s.committer.toLowerCase() === commit.committer.toLowerCase());
+
+    const result = {
+      tokenId,
+      status: LEASE_STATUS[Number(await contract.getLeaseStatus(tokenId))],
+      holder: await contract.ownerOf(tokenId),
+      dealer: await contract.tokenDealer(tokenId),
+      asset: { address: paymentAsset.address, symbol: paymentAsset.symbol, decimals: paymentAsset.decimals },
+      car: car.toObject(true),
+      terms: { ...terms.toObject(true), deposit: terms.monthlyPayment * depositMultiplier },
+      lease: lease.exists ? { ...lease.toObject(true), ...leaseTiming(lease) } : lease.toObject(true),
+      commit: { ...commit.toObject(true), valid: await contract.isCommitmentValid(tokenId), secretStored: hasSecret },
+      extensionOffer: offer.expiresAt === 0n ? null : offer.toObject(true),
+      damageClaim: damageClaim.status === 0n ? null
+        : { ...damageClaim.toObject(true), status: DAMAGE_CLAIM_STATUS[Number(damageClaim.status)] },
+      amountDue: { principal, fees, nextDueDate },
+      paymentCurrent: lease.active ? await contract.isPaymentCurrent(tokenId) : null,
+      mileage: { readings: (await contract.getMileageReadings(tokenId)).length, excessKm, charge: mileageCharge }
+    };
+
+    return {
+      result,
+      print: (r) => {
+        const fmt = paymentAsset.format;
+        console.log(`\n🚗 Token #${r.tokenId}: ${r.car.year} ${r.car.model} (${r.car.color})`);
+        console.log(`   Status:            ${r.status}`);
+        console.log(`   NFT holder:        ${r.holder}`);
+        console.log(`   Dealer:            ${r.dealer}`);
+        console.log(`   Car value:         ${ctx.ethers.formatEther(r.car.originalValueWei)} ETH`);
+        console.log(`   Mileage limit:     ${r.car.mileageLimit} km`);
+
+        console.log("\n📑 Offered terms");
+        console.log(`   Monthly payment:   ${fmt(r.terms.monthlyPayment)}`);
+        console.log(`   Duration:          ${r.terms.durationMonths} months`);
+        console.log(`   Excess mileage:    ${fmt(r.terms.excessMileageRateWei)} per km`);
+        console.log(`   Deposit:           ${fmt(r.terms.deposit)}`);
+        console.log(`   Buyout at end:     ${r.terms.residualValue > 0n ? fmt(r.terms.residualValue)
+          : paymentAsset.address === ctx.ethers.ZeroAddress ? "car value less payments made" : "not offered"}`);
+
+        if (r.commit.committer !== ctx.ethers.ZeroAddress) {
+          console.log("\n🔐 Commitment");
+          console.log(`   Committer:         ${r.commit.committer}`);
+          console.log(`   Reveal before:     ${isoDate(r.commit.deadline)}${r.commit.valid ? "" : " (expired)"}`);
+          console.log(`   Secret stored:     ${r.commit.secretStored ? "yes (.carlease/commits)" : "no"}`);
+        }
+
+        if (r.lease.exists) {
+          console.log("\n📄 Lease");
+          console.log(`   Lessee:            ${r.lease.lessee}`);
+          console.log(`   Deposit held:      ${fmt(r.lease.deposit)}`);
+          if (r.lease.startTime === 0n) {
+            console.log(`   Confirm before:    ${isoDate(r.lease.confirmDeadline)}`);
+          } else {
+            console.log(`   Started:           ${isoDate(r.lease.startTime)}`);
+            console.log(`   Payments:          ${r.lease.paymentsMade}/${r.lease.durationMonths} at ${fmt(r.lease.monthlyPayment)}` +
+              ` every ${Number(r.lease.paymentPeriod) / 86400} days`);
+            if (r.lease.active) {
+              console.log(`   Due now:           ${fmt(r.amountDue.principal)} + ${fmt(r.amountDue.fees)} late fees`);
+              console.log(`   Next due date:     ${isoDate(r.amountDue.nextDueDate)}`);
+              console.log(`   Payments current:  ${r.paymentCurrent ? "yes" : "no"}`);
+            }
+            console.log(`   Mileage:           ${r.mileage.readings} reading(s), ${r.mileage.excessKm} km over (${fmt(r.mileage.charge)})`);
+          }
+        }
+
+        if (r.extensionOffer) {
+          console.log("\n📆 Extension offer");
+          console.log(`   +${r.extensionOffer.additionalMonths} months at ${fmt(r.extensionOffer.newMonthlyPayment)}/month`);
+          console.log(`   Accept before:     ${isoDate(r.extensionOffer.expiresAt)}`);
+        }
+
+        if (r.damageClaim) {
+          const c = r.damageClaim;
+          console.log("\n🔧 Damage claim");
+          console.log(`   Status:            ${c.status}`);
+          console.log(`   Claimed:           ${fmt(c.amount)} (evidence ${c.evidenceHash})`);
+          if (c.status === "Filed") console.log(`   Dispute before:    ${isoDate(c.disputeDeadline)}`);
+          if (c.disputeEvidenceHash !== ctx.ethers.ZeroHash) console.log(`   Lessee evidence:   ${c.disputeEvidenceHash}`);
+          if (c.status === "Accepted" || c.status === "Resolved") {
+            console.log(`   Settled:           ${fmt(c.dealerAmount)} to the dealer, ${fmt(c.amount - c.dealerAmount)} to the lessee`);
+          }
+        }
+        console.log();
+      }
+    };
+  }));
+
+leaseTask("quote", "Preview early termination, buyout and what is due for an active lease")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const lease = await ctx.contract.getLease(tokenId);
+    if (!lease.active) throw new Error(`Lease for token #${tokenId} is not active`);
+
+    const paymentAsset = await ctx.asset((await ctx.contract.getLeaseTerms(tokenId)).paymentToken);
+    const [penalty, refund] = await ctx.contract.getTerminationQuote(tokenId);
+    const [principal, fees, nextDueDate] = await ctx.contract.getAmountDue(tokenId);
+    const [excessKm, mileageCharge] = await ctx.contract.getExcessMileageCharge(tokenId);
+    // Token leases minted without a residual value offer no buyout
+    const buyout = await ctx.contract.getBuyoutQuote(tokenId)
+      .then(([price, depositCredit, amountDue]) => ({ price, depositCredit, amountDue }))
+      .catch(() => null);
+    const result = {
+      tokenId,
+      asset: paymentAsset.symbol,
+      termination: { penalty, refund },
+      buyout,
+      amountDue: { principal, fees, nextDueDate },
+      excessMileage: { km: excessKm, charge: mileageCharge }
+    };
+    return {
+      result,
+      print: (r) => {
+        const fmt = paymentAsset.format;
+        console.log(`\n🧾 Token #${r.tokenId} quote`);
+        console.log(`   Due now:           ${fmt(r.amountDue.principal)} + ${fmt(r.amountDue.fees)} late fees`);
+        console.log(`   Next due date:     ${isoDate(r.amountDue.nextDueDate)}`);
+        console.log(`   Excess mileage:    ${r.excessMileage.km} km (${fmt(r.excessMileage.charge)})`);
+        console.log(`   Terminate now:     ${fmt(r.termination.penalty)} penalty, ${fmt(r.termination.refund)} refunded`);
+        console.log(r.buyout
+          ? `   Buy out now:       ${fmt(r.buyout.price)}, ${fmt(r.buyout.depositCredit)} from the deposit, ${fmt(r.buyout.amountDue)} to pay\n`
+          : "   Buy out now:       not offered for this lease\n");
+      }
+    };
+  }));
+
+leaseTask("balance", "Show an account's withdrawable refunds, proceeds and dealer revenue")
+  .addOptionalParam("account", "Account to inspect (default: the signer)")
+  .addOptionalParam("asset", "Payment asset (default: ETH)")
+  .setAction(action(async (args, ctx) => {
+    const account = args.account || ctx.signer().address;
+    const paymentAsset = await ctx.asset(args.asset);
+    const result = {
+      account,
+      asset: paymentAsset.symbol,
+      leaseNfts: await ctx.contract.balanceOf(account),
+      pendingWithdrawal: await ctx.contract.pendingWithdrawal(account, paymentAsset.address),
+      dealerRevenue: await ctx.contract.withdrawableBalance(account, paymentAsset.address)
+    };
+    return {
+      result,
+      print: (r) => {
+        console.log(`\n👛 ${r.account}`);
+        console.log(`   Lease NFTs held:   ${r.leaseNfts}`);
+        console.log(`   Credited:          ${paymentAsset.format(r.pendingWithdrawal)} (lease withdraw)`);
+        console.log(`   Dealer revenue:    ${paymentAsset.format(r.dealerRevenue)} (lease withdraw-revenue)\n`);
+      }
+    };
+  }));
+
+leaseTask("secrets", "List commit secrets stored locally for this contract (secrets are not shown)")
+  .setAction(action(async (args, ctx) => {
+    const result = listSecrets(ctx.hre.config.paths.root, ctx.chainId, ctx.contractAddress);
+    return {
+      result,
+      print: (entries) => {
+        console.log(`\n🔐 ${entries.length} stored commit secret(s)`);
+        for (const e of entries) {
+          console.log(`   #${e.tokenId}  ${e.committer}  ${e.encrypted ? "encrypted" : "plaintext"}  ${e.createdAt}`);
+        }
+        console.log();
+      }
+    };
+  }));
+
+// ============================================
+// LESSEE
+// ============================================
+
+leaseTask("commit", "Commit to lease a token; the secret is kept in .carlease/commits for reveal")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const { ethers } = ctx;
+    const tokenId = tokenIdArg(args.tokenId);
+    const committer = ctx.signer();
+    const root = ctx.hre.config.paths.root;
+
+    const secret = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = ethers.solidityPackedKeccak256(
+      ["uint256", "bytes32", "address"],
+      [tokenId, secret, committer.address]
+    );
+
+    // Store before sending, so a crash after broadcast cannot lose the secret;
+    // a failed commit restores whatever secret was stored before
+    const key = [root, ctx.chainId, ctx.contractAddress, tokenId, committer.address];
+    const previous = loadRaw(...key);
+    const stored = saveSecret(root, {
+      chainId: ctx.chainId, contract: ctx.contractAddress, tokenId, committer: committer.address, commitment, secret
+    });
+
+    let tx;
+    try {
+      ctx.log(`\n🔐 Committing to token #${tokenId} as ${committer.address}...`);
+      tx = await ctx.send("Commit", ctx.contract.connect(committer).commitToLease(tokenId, commitment));
+    } catch (error) {
+      restoreRaw(stored.file, previous);
+      throw error;
+    }
+
+    const { deadline } = await ctx.contract.getCommit(tokenId);
+    return {
+      result: { tokenId, committer: committer.address, commitment, revealDeadline: deadline, secretFile: stored.file, encrypted: stored.encrypted, ...tx },
+      print: (r) => {
+        printTx("Commitment placed")(r);
+        console.log(`   ⏰ Reveal before ${isoDate(r.revealDeadline)} with: npx hardhat lease reveal ${tokenId} --from ${r.committer}`);
+        console.log(`   💾 Secret: ${r.secretFile}${r.encrypted ? " (encrypted)" : " (plaintext, local chain only)"}\n`);
+      }
+    };
+  }));
+
+leaseTask("reveal", "Reveal a stored commitment and pay the deposit")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addFlag("permit", "Pay an ERC-20 deposit with an EIP-2612 permit instead of approve")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const root = ctx.hre.config.paths.root;
+    const commit = await ctx.contract.getCommit(tokenId);
+    const committer = ctx.signer(commit.committer);
+
+    const stored = loadSecret(root, ctx.chainId, ctx.contractAddress, tokenId, committer.address);
+    if (!stored) {
+      throw new Error(`No stored secret for token #${tokenId} and ${committer.address}; run lease commit first`);
+    }
+    if (commit.commitment !== stored.commitment) {
+      throw new Error("On-chain commitment does not match the stored secret (superseded, cancelled or expired)");
+    }
+
+    const terms = await ctx.contract.getLeaseTerms(tokenId);
+    const paymentAsset = await ctx.asset(terms.paymentToken);
+    const deposit = terms.monthlyPayment * (await ctx.contract.leaseParams()).depositMultiplier;
+
+    ctx.log(`\n🔓 Revealing token #${tokenId} and paying ${paymentAsset.format(deposit)} deposit...`);
+    const funds = await ctx.fund(paymentAsset, committer, deposit, args.permit);
+    const lessee = ctx.contract.connect(committer);
+    const tx = await ctx.send("Reveal", funds.permit
+      ? lessee.revealAndPayWithPermit(
+        tokenId, stored.secret, terms.durationMonths, terms.monthlyPayment,
+        funds.permit.deadline, funds.permit.v, funds.permit.r, funds.permit.s
+      )
+      : lessee.revealAndPay(tokenId, stored.secret, terms.durationMonths, terms.monthlyPayment, { value: funds.value }));
+    deleteSecret(root, ctx.chainId, ctx.contractAddress, tokenId, committer.address);
+
+    const lease = await ctx.contract.getLease(tokenId);
+    return {
+      result: { tokenId, lessee: committer.address, deposit, confirmDeadline: lease.confirmDeadline, ...tx },
+      print: (r) => {
+        printTx(`Deposit paid: ${paymentAsset.format(r.deposit)}`)(r);
+        console.log(`   ⏰ Dealer must confirm before ${isoDate(r.confirmDeadline)}\n`);
+      }
+    };
+  }));
+
+leaseTask("cancel-commit", "Withdraw your pending commitment")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const committer = ctx.signer((await ctx.contract.getCommit(tokenId)).committer);
+    const tx = await ctx.send("Cancel commitment", ctx.contract.connect(committer).cancelCommit(tokenId));
+    deleteSecret(ctx.hre.config.paths.root, ctx.chainId, ctx.contractAddress, tokenId, committer.address);
+    return { result: { tokenId, ...tx }, print: printTx("Commitment cancelled") };
+  }));
+
+leaseTask("expire-commit", "Clear a commitment whose reveal deadline has passed")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const { committer } = await ctx.contract.getCommit(tokenId);
+    const tx = await ctx.send("Expire commitment", ctx.contract.connect(ctx.signer()).expireCommit(tokenId));
+    deleteSecret(ctx.hre.config.paths.root, ctx.chainId, ctx.contractAddress, tokenId, committer);
+    return { result: { tokenId, ...tx }, print: printTx("Expired commitment cleared") };
+  }));
+
+leaseTask("pay", "Make monthly payments, including late fees on overdue ones")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addOptionalParam("months", "Payments to make (default: all currently due, at least 1)", undefined, types.int)
+  .addFlag("permit", "Pay an ERC-20 lease with an EIP-2612 permit instead of approve")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const lease = await ctx.contract.getLease(tokenId);
+    if (!lease.active) throw new Error(`Lease for token #${tokenId} is not active`);
+    const lessee = ctx.signer(lease.lessee);
+
+    const [duePrincipal] = await ctx.contract.getAmountDue(tokenId);
+    const dueMonths = duePrincipal / lease.monthlyPayment;
+    const months = BigInt(args.months !== undefined ? args.months : (dueMonths > 0n ? dueMonths : 1n));
+    const due = await paymentDue(ctx, lease, months);
+    const paymentAsset = await ctx.asset((await ctx.contract.getLeaseTerms(tokenId)).paymentToken);
+
+    ctx.log(`\n💳 Paying ${months} month(s) on token #${tokenId}: ${paymentAsset.format(due.total)}` +
+      (due.fees > 0n ? ` (incl. ${paymentAsset.format(due.fees)} late fees)` : "") + "...");
+    const funds = await ctx.fund(paymentAsset, lessee, due.total, args.permit);
+    const tx = await ctx.send("Payment", funds.permit
+      ? ctx.contract.connect(lessee).makeMonthlyPaymentWithPermit(
+        tokenId, months, funds.permit.deadline, funds.permit.v, funds.permit.r, funds.permit.s
+      )
+      : ctx.contract.connect(lessee).makeMonthlyPayment(tokenId, months, { value: funds.value }));
+
+    const updated = await ctx.contract.getLease(tokenId);
+    return {
+      result: { tokenId, months, principal: due.principal, fees: due.fees, paymentsMade: updated.paymentsMade, durationMonths: updated.durationMonths, ...tx },
+      print: printTx(`Paid ${paymentAsset.format(due.total)}; ${updated.paymentsMade}/${updated.durationMonths} payments made`)
+    };
+  }));
+
+leaseTask("refund", "Get the deposit back when the dealer missed the confirmation deadline")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const lessee = ctx.signer((await ctx.contract.getLease(tokenId)).lessee);
+    const tx = await ctx.send("Refund", ctx.contract.connect(lessee).refundUnconfirmedDeposit(tokenId));
+    return { result: { tokenId, ...tx }, print: printTx("Deposit credited (collect with lease withdraw)") };
+  }));
+
+leaseTask("terminate", "End an active lease early (as lessee, or as dealer with --from)")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const caller = ctx.signer((await ctx.contract.getLease(tokenId)).lessee);
+    const tx = await ctx.send("Terminate", ctx.contract.connect(caller).terminateLease(tokenId));
+    return { result: { tokenId, terminatedBy: caller.address, ...tx }, print: printTx("Lease terminated; the rest of the deposit can be reclaimed after the return inspection") };
+  }));
+
+leaseTask("reclaim", "Reclaim the deposit after the final payment or termination and the return inspection")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const lessee = ctx.signer((await ctx.contract.getLease(tokenId)).lessee);
+    const tx = await ctx.send("Reclaim deposit", ctx.contract.connect(lessee).reclaimDeposit(tokenId));
+    return { result: { tokenId, ...tx }, print: printTx("Deposit credited (collect with lease withdraw)") };
+  }));
+
+leaseTask("release-deposit", "Credit a deposit the lessee never reclaimed back to them after the return window")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const { lessee } = await ctx.contract.getLease(tokenId);
+    const tx = await ctx.send("Release deposit", ctx.module.connect(ctx.signer()).releaseDeposit(tokenId));
+    return { result: { tokenId, lessee, ...tx }, print: printTx(`Deposit credited to ${lessee}; the car can be relisted`) };
+  }));
+
+leaseTask("accept-damage", "Accept the dealer's damage claim, paying it from the deposit")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    // After the dispute window anyone may settle an unanswered claim
+    const lessee = ctx.signer((await ctx.contract.getLease(tokenId)).lessee);
+    const tx = await ctx.send("Accept damage claim", ctx.module.connect(lessee).acceptDamageClaim(tokenId));
+    return { result: { tokenId, ...tx }, print: printTx("Damage claim paid to the dealer") };
+  }));
+
+leaseTask("dispute-damage", "Dispute the dealer's damage claim; the damage arbiter decides the split")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addParam("evidence", "Counter-evidence file to hash, or its 32-byte hash")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const lessee = ctx.signer((await ctx.contract.getLease(tokenId)).lessee);
+    const hash = evidenceHash(ctx.ethers, args.evidence);
+    const tx = await ctx.send("Dispute damage claim", ctx.module.connect(lessee).disputeDamageClaim(tokenId, hash));
+    return { result: { tokenId, evidenceHash: hash, ...tx }, print: printTx("Damage claim disputed; awaiting the damage arbiter") };
+  }));
+
+leaseTask("accept-extension", "Accept the dealer's extension offer and top up the deposit")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const lease = await ctx.contract.getLease(tokenId);
+    const offer = await ctx.contract.getExtensionOffer(tokenId);
+    if (offer.expiresAt === 0n) throw new Error(`No extension offer for token #${tokenId}`);
+    const lessee = ctx.signer(lease.lessee);
+
+    // Deposit is topped up to the lease's multiple of the new monthly payment, never reduced
+    const requiredDeposit = offer.newMonthlyPayment * leaseTiming(lease).depositMultiplier;
+    const topUp = requiredDeposit > lease.deposit ? requiredDeposit - lease.deposit : 0n;
+    const paymentAsset = await ctx.asset((await ctx.contract.getLeaseTerms(tokenId)).paymentToken);
+
+    ctx.log(`\n📆 Accepting +${offer.additionalMonths} months on token #${tokenId} (top-up ${paymentAsset.format(topUp)})...`);
+    const funds = await ctx.fund(paymentAsset, lessee, topUp, false);
+    const tx = await ctx.send("Extend", ctx.contract.connect(lessee).extendLease(
+      tokenId, offer.additionalMonths, offer.newMonthlyPayment, { value: funds.value }
+    ));
+    const updated = await ctx.contract.getLease(tokenId);
+    return {
+      result: { tokenId, durationMonths: updated.durationMonths, monthlyPayment: updated.monthlyPayment, topUp, ...tx },
+      print: printTx(`Lease extended to ${updated.durationMonths} months at ${paymentAsset.format(updated.monthlyPayment)}/month`)
+    };
+  }));
+
+leaseTask("transfer", "Hand the lease NFT to the new lessee the dealer approved")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addPositionalParam("to", "New lessee address")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const holder = ctx.signer(await ctx.contract.ownerOf(tokenId));
+    const tx = await ctx.send("Transfer", ctx.contract.connect(holder)["safeTransferFrom(address,address,uint256)"](
+      holder.address, args.to, tokenId
+    ));
+    return { result: { tokenId, from: holder.address, to: args.to, ...tx }, print: printTx(`Lease assigned to ${args.to}`) };
+  }));
+
+leaseTask("withdraw", "Withdraw refunds and proceeds credited to the signer")
+  .addOptionalParam("asset", "Payment asset (default: ETH)")
+  .addOptionalParam("to", "Recipient (default: the signer)")
+  .setAction(action(async (args, ctx) => {
+    const account = ctx.signer();
+    const paymentAsset = await ctx.asset(args.asset);
+    const amount = await ctx.contract.pendingWithdrawal(account.address, paymentAsset.address);
+    if (amount === 0n) throw new Error(`Nothing credited to ${account.address} in ${paymentAsset.symbol}`);
+    const tx = await ctx.send("Withdraw", ctx.contract.connect(account).withdraw(paymentAsset.address, args.to || account.address));
+    return { result: { account: account.address, asset: paymentAsset.symbol, amount, ...tx }, print: printTx(`Withdrew ${paymentAsset.format(amount)}`) };
+  }));
+
+leaseTask("buyout", "Buy the car: pay the buyout price less the deposit and keep the NFT")
+  .addPositionalParam("tokenId", "Lease NFT ID (active lease, or completed within FINAL_READING_WINDOW)")
+  .setAction(action(async (args, ctx) => {
+    const tokenId = tokenIdArg(args.tokenId);
+    const lessee = ctx.signer((await ctx.contract.getLease(tokenId)).lessee);
+    const [price, depositCredit, amountDue] = await ctx.contract.getBuyoutQuote(tokenId);
+    const paymentAsset = await ctx.asset((await ctx.contract.getLeaseTerms(tokenId)).paymentToken);
+
+    ctx.log(`\n🔑 Buying out token #${tokenId} for ${paymentAsset.format(price)} ` +
+      `(${paymentAsset.format(depositCredit)} from the deposit, ${paymentAsset.format(amountDue)} to pay)...`);
+    const funds = await ctx.fund(paymentAsset, lessee, amountDue, false);
+    const tx = await ctx.send("Buyout", ctx.contract.connect(lessee).buyout(tokenId, { value: funds.value }));
+    return {
+      result: { tokenId, owner: lessee.address, price, depositCredit, amountPaid: amountDue, ...tx },
+      print: printTx(`Token #${tokenId} is now owned by ${lessee.address}`)
+    };
+  }));
+
+// ============================================
+// SIGNED OFFERS AND RELAYED ACTIONS
+// ============================================
+
+leaseTask("accept-offer", "Accept a dealer-signed offer: mints the option, pays the deposit and starts the lease")
+  .addPositionalParam("file", "Signed offer file from lease sign-offer")
+  .setAction(action(async (args, ctx) => {
+    const { offer, signature } = loadSigned(ctx, args.file);
+    if (recoverOfferSigner(ctx.ethers, ctx.chainId, ctx.contractAddress, offer, signature) !== offer.dealer) {
+      throw new Error(`${args.file} is not signed by its dealer ${offer.dealer}`);
+    }
+    if (await ctx.module.offerNonceUsed(offer.dealer, offer.nonce)) {
+      throw new Error(`Offer ${offer.nonce} was already accepted or cancelled`);
+    }
+    const lessee = ctx.signer(offer.lessee !== ctx.ethers.ZeroAddress ? offer.lessee : undefined);
+
+    const paymentAsset = await ctx.asset(offer.terms.paymentToken);
+    const deposit = BigInt(offer.terms.monthlyPayment) * (await ctx.contract.leaseParams()).depositMultiplier;
+
+    ctx.log(`\n🤝 Accepting ${offer.car.year} ${offer.car.model} from ${offer.dealer} and paying ${paymentAsset.format(deposit)} deposit...`);
+    const funds = await ctx.fund(paymentAsset, lessee, deposit, false);
+    const tx = await ctx.send("Accept offer", ctx.module.connect(lessee).acceptOffer(offer, signature, { value: funds.value }));
+    const accepted = tx.events.find((e) => e.name === "OfferAccepted");
+    return {
+      result: { tokenId: accepted.args.tokenId, dealer: offer.dealer, lessee: lessee.address, deposit, ...tx },
+      print: (r) => printTx(`Token #${r.tokenId} minted and leased to ${r.lessee}`)(r)
+    };
+  }));
+
+leaseTask("sign-action", "Sign a commit, reveal or payment for someone else to submit (and pay gas for) with lease relay")
+  .addPositionalParam("command", "commit, reveal or pay")
+  .addPositionalParam("tokenId", "Lease NFT ID")
+  .addOptionalParam("months", "pay: payments to make", 1, types.int)
+  .addOptionalParam("ttlHours", "Hours the signature stays valid", 1, types.int)
+  .addOptionalParam("out", "Write the signed action to this file (default: print it)")
+  .setAction(action(async (args, ctx) => {
+    const { ethers } = ctx;
+    const tokenId = tokenIdArg(args.tokenId);
+    const root = ctx.hre.config.paths.root;
+    const iface = ctx.contract.interface;
+    let account;
+    let actionData;
+    let value = 0n;
+
+    // ETH the relayer must attach; token leases attach none and need the account's approval instead
+    async function due(amount) {
+      const paymentAsset = await ctx.asset((await ctx.contract.getLeaseTerms(tokenId)).paymentToken);
+      if (paymentAsset.address === ethers.ZeroAddress) return amount;
+      await ctx.fund(paymentAsset, account, amount, false);
+      return 0n;
+    }
+
+    if (args.command === "commit") {
+      account = ctx.signer();
+      const secret = ethers.hexlify(ethers.randomBytes(32));
+      const commitment = ethers.solidityPackedKeccak256(["uint256", "bytes32", "address"], [tokenId, secret, account.address]);
+      saveSecret(root, { chainId: ctx.chainId, contract: ctx.contractAddress, tokenId, committer: account.address, commitment, secret });
+      actionData = iface.encodeFunctionData("commitToLease", [tokenId, commitment]);
+    } else if (args.command === "reveal") {
+      account = ctx.signer((await ctx.contract.getCommit(tokenId)).committer);
+      const stored = loadSecret(root, ctx.chainId, ctx.contractAddress, tokenId, account.address);
+      if (!stored) throw new Error(`No stored secret for token #${tokenId} and ${account.address}; sign a commit first`);
+      const terms = await ctx.contract.getLeaseTerms(tokenId);
+      actionData = iface.encodeFunctionData("revealAndPay", [tokenId, stored.secret, terms.durationMonths, terms.monthlyPayment]);
+      value = await due(terms.monthlyPayment * (await ctx.contract.leaseParams()).depositMultiplier);
+    } else if (args.command === "pay") {
+      const lease = await ctx.contract.getLease(tokenId);
+      if (!lease.active) throw new Error(`Lease for token #${tokenId} is not active`);
+      account = ctx.signer(lease.lessee);
+      const months = BigInt(args.months);
+      actionData = iface.encodeFunctionData("makeMonthlyPayment", [tokenId, months]);
+      value = await due((await paymentDue(ctx, lease, months)).total);
+    } else {
+      throw new Error(`Unknown action ${args.command}; use commit, reveal or pay`);
+    }
+
+    const nonce = await ctx.module.nonces(account.address);
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + args.ttlHours * 60 * 60;
+    const signed = {
+      chainId: ctx.chainId,
+      contract: ctx.contractAddress,
+      account: account.address,
+      action: actionData,
+      nonce,
+      deadline,
+      value,
+      signature: await signAction(account, ctx.chainId, ctx.contractAddress, iface, actionData, nonce, deadline)
+    };
+    const file = args.out ? saveSigned(args.out, signed) : null;
+    return {
+      result: { ...signed, file },
+      print: (r) => {
+        console.log(`\n✍️  ${args.command} on token #${tokenId} signed by ${r.account} (nonce ${r.nonce}), valid until ${isoDate(r.deadline)}`);
+        console.log(r.file ? `   💾 Saved to ${r.file}` : toJson(signed));
+        console.log(`   Submit with: npx hardhat lease relay ${r.file || "<action file>"}\n`);
+      }
+    };
+  }));
+
+leaseTask("relay", "Submit an action another account signed with lease sign-action, paying the gas (and ETH amount)")
+  .addPositionalParam("file", "Signed action file from lease sign-action")
+  .setAction(action(async (args, ctx) => {
+    const signed = loadSigned(ctx, args.file);
+    const iface = ctx.contract.interface;
+    const { name, message } = actionTypedData(iface, signed.account, signed.action, signed.nonce, signed.deadline);
+    const signer = recoverActionSigner(
+      ctx.ethers, ctx.chainId, ctx.contractAddress, iface, signed.account, signed.action, signed.nonce, signed.deadline, signed.signature
+    );
+    if (signer !== signed.account) throw new Error(`${args.file} is not signed by ${signed.account}`);
+    if ((await ctx.module.nonces(signed.account)) !== BigInt(signed.nonce)) {
+      throw new Error(`${args.file} was already relayed or superseded (nonce ${signed.nonce})`);
+    }
+
+    const relayer = ctx.signer();
+    ctx.log(`\n📨 Relaying ${name} on token #${message.tokenId} for ${signed.account} as ${relayer.address}...`);
+    const tx = await ctx.send("Relay", ctx.module.connect(relayer).executeBySig(
+      signed.account, signed.action, signed.deadline, signed.signature, { value: BigInt(signed.value) }
+    ));
+    if (name === "revealAndPay") {
+      deleteSecret(ctx.hre.config.paths.root, ctx.chainId, ctx.contractAddress, message.tokenId, signed.account);
+    }
+    return {
+      result: { action: name, tokenId: message.tokenId, account: signed.account, relayer: relayer.address, ...tx },
+      print: printTx(`${name} performed for ${signed.account}`)
+    };
+  }));
+
+// ============================================
+// LOCAL DEVELOPMENT
+// ============================================
+
+leaseTask("advance-time", "Move the local Hardhat chain forward (e.g. to the next payment)")
+  .addPositionalParam("days", "Days to advance", undefined, types.float)
+  .setAction(action(async (args, ctx) => {
+    if (ctx.chainId !== 31337n) throw new Error("advance-time only works on the local Hardhat chain");
+    await ctx.ethers.provider.send("evm_increaseTime", [Math.round(args.days * 86400)]);
+    await ctx.ethers.provider.send("evm_mine", []);
+    const { timestamp } = await ctx.ethers.provider.getBlock("latest");
+    return { result: { timestamp }, print: (r) => console.log(`\n⏰ Chain time is now ${isoDate(r.timestamp)}\n`) };
+  }));
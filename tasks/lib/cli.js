@@ -0,0 +1,287 @@
+/**
+ * Shared plumbing for the `npx hardhat lease <command>` tasks
+ * Every command accepts --contract, --from and --json; actions return a plain result
+ * object that is either pretty-printed or written to stdout as JSON for scripting
+ */
+
+const fs = require("fs");
+const { scope } = require("hardhat/config");
+const { resolveContractAddress } = require("../../scripts/lib/deployments");
+
+// CarLease enums, in declaration order
+const LEASE_STATUS = [
+  "Available", "Committed", "PendingConfirmation", "Active",
+  "Completed", "Terminated", "Defaulted", "Cancelled", "BoughtOut"
+];
+const REJECTION_REASONS = ["CreditCheckFailed", "IncompleteApplication", "VehicleUnavailable", "Other"];
+const DAMAGE_CLAIM_STATUS = ["None", "Filed", "Disputed", "Accepted", "Resolved", "Waived"];
+
+// Terms leases revealed before lease parameters were tunable keep (they read 0 in getLease)
+const DAY = 24n * 60n * 60n;
+const LEGACY_LEASE_TERMS = { paymentPeriod: 30n * DAY, paymentGrace: 45n * DAY, depositMultiplier: 3n };
+
+const lease = scope("lease", "Operate a deployed CarLease contract");
+
+/**
+ * Declare a `lease` subcommand with the common --contract, --from and --json options
+ */
+function leaseTask(name, description) {
+  return lease.task(name, description)
+    .addOptionalParam("contract", "CarLease address (default: deployments/<network>.json)")
+    .addOptionalParam("from", "Signer: account address or index (default: the account the command needs)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+/**
+ * JSON.stringify that writes bigints as decimal strings
+ */
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/**
+ * Human-readable error: the revert reason or custom error when there is one, message otherwise.
+ * Hardhat cannot always decode reverts bubbled up from the linked libraries, so the raw
+ * revert data is decoded here as a fallback.
+ */
+function errorReason(error, contractInterface) {
+  if (error.reason) return error.reason;
+
+  const data = [error.data, error.data && error.data.data, error.info && error.info.error && error.info.error.data]
+    .find((candidate) => typeof candidate === "string" && candidate.startsWith("0x") && candidate.length >= 10);
+  if (data && contractInterface) {
+    try {
+      const parsed = contractInterface.parseError(data);
+      if (parsed) return parsed.name === "Error" ? parsed.args[0] : `${parsed.name}(${parsed.args.join(", ")})`;
+    } catch {
+      // Not a CarLease error; fall through to the message
+    }
+  }
+
+  const message = (error.info && error.info.error && error.info.error.message) || error.shortMessage || error.message;
+  const revert = /reverted with (?:reason string|custom error) '(.*)'/.exec(message);
+  return revert ? revert[1] : message;
+}
+
+/**
+ * Wrap a command so it gets a context, prints text or JSON and reports failures.
+ * The command returns { result, print }, where print(result) writes the text output.
+ */
+function action(command) {
+  return async (args, hre) => {
+    let ctx;
+    try {
+      ctx = await context(args, hre);
+      const { result, print } = await command(args, ctx);
+      if (args.json) {
+        console.log(toJson(result));
+      } else if (print) {
+        print(result);
+      }
+      return result;
+    } catch (error) {
+      if (args.json) {
+        console.log(toJson({ error: errorReason(error, ctx && ctx.contract.interface) }));
+      } else {
+        console.error(`\n❌ ${errorReason(error, ctx && ctx.contract.interface)}\n`);
+      }
+      process.exitCode = 1;
+    }
+  };
+}
+
+/**
+ * Connect to CarLease and collect what every command needs
+ */
+async function context(args, hre) {
+  const { ethers } = hre;
+  const contractAddress = args.contract || await resolveContractAddress(hre);
+  if (!contractAddress) {
+    throw new Error(`No deployments/${hre.network.name}.json found; deploy first or pass --contract`);
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const signers = await ethers.getSigners();
+  const contract = await ethers.getContractAt("CarLease", contractAddress);
+  // Signed offers and relayed actions: CarLeaseModule functions, called at the CarLease address
+  const carLeaseModule = await ethers.getContractAt("CarLeaseModule", contractAddress);
+
+  // Progress lines only in text mode, so --json output stays parseable
+  const log = args.json ? () => {} : (...line) => console.log(...line);
+
+  /**
+   * Signer for the command: --from if given, else the local account matching
+   * `preferred` (e.g. the token's dealer), else the first account
+   */
+  function signer(preferred) {
+    if (args.from !== undefined) {
+      const chosen = /^\d+$/.test(args.from)
+        ? signers[Number(args.from)]
+        : signers.find((s) => s.address.toLowerCase() === args.from.toLowerCase());
+      if (!chosen) throw new Error(`--from ${args.from} is not one of the configured accounts`);
+      return chosen;
+    }
+    if (preferred) {
+      const match = signers.find((s) => s.address.toLowerCase() === preferred.toLowerCase());
+      if (match) return match;
+    }
+    if (signers.length === 0) throw new Error("No accounts configured for this network");
+    return signers[0];
+  }
+
+  /**
+   * Send a transaction and summarize it with the CarLease events it emitted
+   */
+  async function send(label, txPromise) {
+    const tx = await txPromise;
+    log(`   ⏳ ${label}: ${tx.hash}`);
+    const receipt = await tx.wait();
+    const events = receipt.logs
+      .filter((entry) => entry.address.toLowerCase() === contractAddress.toLowerCase())
+      .map((entry) => { try { return contract.interface.parseLog(entry); } catch { return null; } })
+      .filter(Boolean)
+      .map((parsed) => ({ name: parsed.name, args: parsed.args.toObject(true) }));
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, events };
+  }
+
+  /**
+   * Symbol, decimals and formatter for a payment asset (address(0) = native ETH)
+   */
+  async function asset(address) {
+    if (!address || address === ethers.ZeroAddress) {
+      return { address: ethers.ZeroAddress, symbol: "ETH", decimals: 18, format: (v) => `${ethers.formatEther(v)} ETH` };
+    }
+    const token = await ethers.getContractAt("IERC20Metadata", address);
+    const symbol = await token.symbol();
+    const decimals = Number(await token.decimals());
+    return { address, symbol, decimals, token, format: (v) => `${ethers.formatUnits(v, decimals)} ${symbol}` };
+  }
+
+  /**
+   * Make `amount` of a lease's payment asset available to CarLease for `owner`.
+   * ETH: returns the msg.value to attach. ERC-20: approves if the allowance is short,
+   * or with usePermit signs an EIP-2612 permit for a *WithPermit call instead.
+   */
+  async function fund(assetInfo, owner, amount, usePermit) {
+    if (assetInfo.address === ethers.ZeroAddress) {
+      if (usePermit) throw new Error("--permit only applies to ERC-20 leases");
+      return { value: amount };
+    }
+    if (amount === 0n) return { value: 0n };
+
+    if (usePermit) {
+      const permitToken = await ethers.getContractAt("IERC20Permit", assetInfo.address);
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const signature = await owner.signTypedData(
+        { name: await assetInfo.token.name(), version: "1", chainId, verifyingContract: assetInfo.address },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        { owner: owner.address, spender: contractAddress, value: amount, nonce: await permitToken.nonces(owner.address), deadline }
+      );
+      const { v, r, s } = ethers.Signature.from(signature);
+      return { value: 0n, permit: { deadline, v, r, s } };
+    }
+
+    if ((await assetInfo.token.allowance(owner.address, contractAddress)) < amount) {
+      await send(`Approving ${assetInfo.format(amount)}`, assetInfo.token.connect(owner).approve(contractAddress, amount));
+    }
+    return { value: 0n };
+  }
+
+  return {
+    hre, ethers, chainId, contract, module: carLeaseModule, contractAddress, signers, signer, send, asset, fund, log
+  };
+}
+
+/**
+ * Payment period, payment grace and deposit multiplier a lease was revealed under
+ * (mirrors LeaseLogic's fallback for leases that predate lease parameters)
+ */
+function leaseTiming(lease) {
+  return {
+    paymentPeriod: lease.paymentPeriod > 0n ? lease.paymentPeriod : LEGACY_LEASE_TERMS.paymentPeriod,
+    paymentGrace: lease.paymentGrace > 0n ? lease.paymentGrace : LEGACY_LEASE_TERMS.paymentGrace,
+    depositMultiplier: lease.depositMultiplier > 0n ? lease.depositMultiplier : LEGACY_LEASE_TERMS.depositMultiplier
+  };
+}
+
+/**
+ * Parse a positional token ID
+ */
+function tokenIdArg(value) {
+  if (!/^\d+$/.test(String(value))) throw new Error(`Invalid token ID: ${value}`);
+  return BigInt(value);
+}
+
+/**
+ * Date string for a unix timestamp (empty for 0)
+ */
+function isoDate(timestamp) {
+  return Number(timestamp) === 0 ? "" : new Date(Number(timestamp) * 1000).toISOString();
+}
+
+/**
+ * Evidence hash for a damage claim or dispute: a 32-byte hex hash as given, or the
+ * keccak256 of a file (inspection report, photo archive) kept off-chain
+ */
+function evidenceHash(ethers, value) {
+  if (ethers.isHexString(value, 32)) return value;
+  if (!fs.existsSync(value)) throw new Error(`Evidence must be a 32-byte hash or a file: ${value}`);
+  return ethers.keccak256(fs.readFileSync(value));
+}
+
+/**
+ * Write a signed offer or action (from sign-offer / sign-action) to a JSON file
+ */
+function saveSigned(file, signed) {
+  fs.writeFileSync(file, toJson(signed) + "\n");
+  return file;
+}
+
+/**
+ * Read a signed offer or action file, refusing ones signed for another chain or contract
+ */
+function loadSigned(ctx, file) {
+  const signed = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (BigInt(signed.chainId) !== ctx.chainId || signed.contract.toLowerCase() !== ctx.contractAddress.toLowerCase()) {
+    throw new Error(`${file} was signed for CarLease ${signed.contract} on chain ${signed.chainId}`);
+  }
+  return signed;
+}
+
+/**
+ * Print a transaction result in text mode
+ */
+function printTx(message) {
+  return (result) => {
+    console.log(`   ✅ ${message}`);
+    for (const event of result.events) {
+      console.log(`   📣 ${event.name}`);
+    }
+    console.log();
+  };
+}
+
+module.exports = {
+  LEASE_STATUS,
+  REJECTION_REASONS,
+  DAMAGE_CLAIM_STATUS,
+  leaseTask,
+  action,
+  errorReason,
+  toJson,
+  tokenIdArg,
+  leaseTiming,
+  isoDate,
+  evidenceHash,
+  saveSigned,
+  loadSigned,
+  printTx
+};
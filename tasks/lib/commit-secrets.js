@@ -0,0 +1,140 @@
+/**
+ * Local store for commit-reveal secrets between `lease commit` and `lease reveal`
+ * One file per commitment under .carlease/commits/ (git-ignored), readable by the
+ * current user only. Secrets are encrypted with AES-256-GCM under a key derived
+ * (scrypt) from COMMIT_SECRET_PASSPHRASE; without a passphrase they are stored in
+ * plaintext, which is only allowed on the local Hardhat chain (31337).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const LOCAL_CHAIN_ID = 31337n;
+
+function storeDir(root) {
+  return path.join(root, ".carlease", "commits");
+}
+
+function secretFile(root, chainId, contractAddress, tokenId, committer) {
+  const name = `${chainId}-${contractAddress.toLowerCase()}-${tokenId}-${committer.toLowerCase()}.json`;
+  return path.join(storeDir(root), name);
+}
+
+// Binds a ciphertext to its commitment so files cannot be swapped between tokens
+function associatedData(record) {
+  return Buffer.from(`${record.chainId}:${record.contract}:${record.tokenId}:${record.committer}`.toLowerCase());
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Save the secret behind a commitment
+ * @returns {{ file: string, encrypted: boolean }}
+ */
+function saveSecret(root, { chainId, contract, tokenId, committer, commitment, secret }) {
+  const passphrase = process.env.COMMIT_SECRET_PASSPHRASE;
+  if (!passphrase && BigInt(chainId) !== LOCAL_CHAIN_ID) {
+    throw new Error("Set COMMIT_SECRET_PASSPHRASE to store commit secrets on this network");
+  }
+
+  const record = {
+    chainId: chainId.toString(),
+    contract,
+    tokenId: tokenId.toString(),
+    committer,
+    commitment,
+    createdAt: new Date().toISOString(),
+    encrypted: Boolean(passphrase)
+  };
+
+  if (passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+    cipher.setAAD(associatedData(record));
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(secret.slice(2), "hex")), cipher.final()]);
+    record.cipher = {
+      salt: salt.toString("hex"),
+      iv: iv.toString("hex"),
+      tag: cipher.getAuthTag().toString("hex"),
+      ciphertext: ciphertext.toString("hex")
+    };
+  } else {
+    record.secret = secret;
+  }
+
+  const dir = storeDir(root);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  fs.chmodSync(dir, 0o700);
+  const file = secretFile(root, chainId, contract, tokenId, committer);
+  fs.writeFileSync(file, JSON.stringify(record, null, 2) + "\n", { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+  return { file, encrypted: record.encrypted };
+}
+
+/**
+ * Load and decrypt the secret for a commitment, or null if none is stored
+ * @returns {{ secret: string, commitment: string, file: string } | null}
+ */
+function loadSecret(root, chainId, contractAddress, tokenId, committer) {
+  const file = secretFile(root, chainId, contractAddress, tokenId, committer);
+  if (!fs.existsSync(file)) return null;
+  const record = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (!record.encrypted) {
+    return { secret: record.secret, commitment: record.commitment, file };
+  }
+
+  const passphrase = process.env.COMMIT_SECRET_PASSPHRASE;
+  if (!passphrase) {
+    throw new Error(`Commit secret in ${file} is encrypted; set COMMIT_SECRET_PASSPHRASE`);
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, Buffer.from(record.cipher.salt, "hex")),
+    Buffer.from(record.cipher.iv, "hex")
+  );
+  decipher.setAAD(associatedData(record));
+  decipher.setAuthTag(Buffer.from(record.cipher.tag, "hex"));
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(Buffer.from(record.cipher.ciphertext, "hex")), decipher.final()]);
+  } catch {
+    throw new Error(`Cannot decrypt ${file}: wrong COMMIT_SECRET_PASSPHRASE or tampered file`);
+  }
+  return { secret: "0x" + plaintext.toString("hex"), commitment: record.commitment, file };
+}
+
+/**
+ * Remove a stored secret once its commitment is revealed, cancelled or expired
+ */
+function deleteSecret(root, chainId, contractAddress, tokenId, committer) {
+  const file = secretFile(root, chainId, contractAddress, tokenId, committer);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+/**
+ * Stored commitments (metadata only, never the secrets) for a chain and contract
+ */
+function listSecrets(root, chainId, contractAddress) {
+  const dir = storeDir(root);
+  if (!fs.existsSync(dir)) return [];
+  const prefix = `${chainId}-${contractAddress.toLowerCase()}-`;
+  return fs.readdirSync(dir)
+    .filter((name) => name.startsWith(prefix) && name.endsWith(".json"))
+    .map((name) => {
+      const { tokenId, committer, commitment, createdAt, encrypted } =
+        JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+      return { tokenId, committer, commitment, createdAt, encrypted, file: path.join(dir, name) };
+    });
+}
+
+module.exports = {
+  saveSecret,
+  loadSecret,
+  deleteSecret,
+  listSecrets
+};
@@ -0,0 +1,162 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { createHandler } = require("../scripts/api");
+const { TERMS, CAR, deployCarLease, mintOption, commitmentFor, activeLease } = require("./helpers");
+
+describe("API - read-only REST endpoints", function () {
+  let server;
+  let baseUrl;
+
+  afterEach(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = undefined;
+  });
+
+  // Token 1 leased, token 2 committed to, token 3 open
+  async function apiFixture() {
+    const fixture = await deployCarLease();
+    const { carLease, lessee, other } = fixture;
+    const leased = await activeLease(carLease, lessee);
+    const committed = await mintOption(carLease);
+    await carLease.connect(other).commitToLease(committed, commitmentFor(committed, ethers.id("secret"), other.address));
+    const open = await mintOption(carLease);
+    return { ...fixture, leased, committed, open };
+  }
+
+  /**
+   * Serves the fixture's contract on a free local port. A new handler per test keeps the
+   * per-block cache from outliving the fixture snapshot it was filled from.
+   */
+  async function serve({ carLease, module, address }) {
+    const info = { network: "hardhat", chainId: 31337n, contract: address };
+    server = http.createServer(createHandler(carLease, module, info));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  async function get(path, options) {
+    const res = await fetch(baseUrl + path, options);
+    return { status: res.status, body: await res.json() };
+  }
+
+  it("describes the network and contract", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    const { status, body } = await get("/");
+    expect(status).to.equal(200);
+    expect(body.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(body.data).to.deep.equal({ network: "hardhat", chainId: "31337", contract: fixture.address });
+  });
+
+  it("lists open cars by default and filters by status", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    const open = (await get("/cars")).body.data;
+    expect(open.map((c) => c.tokenId)).to.deep.equal([fixture.open.toString()]);
+    expect(open[0]).to.include({ status: "Available", dealer: fixture.owner.address });
+    expect(open[0].car).to.include({ model: CAR.model, mileageLimit: CAR.mileageLimit.toString() });
+    expect(open[0].terms).to.include({ monthlyPayment: TERMS.monthlyPayment.toString() });
+
+    const all = (await get("/cars?status=all")).body.data;
+    expect(all.map((c) => c.status)).to.deep.equal(["Active", "Committed", "Available"]);
+    expect((await get("/cars?status=Active")).body.data.map((c) => c.tokenId)).to.deep.equal([fixture.leased.toString()]);
+  });
+
+  it("returns a car by token ID", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    const { status, body } = await get(`/cars/${fixture.committed}`);
+    expect(status).to.equal(200);
+    expect(body.data).to.have.all.keys("tokenId", "status", "dealer", "car", "terms");
+    expect(body.data.status).to.equal("Committed");
+  });
+
+  it("returns lease details with the NFT holder", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    const { data } = (await get(`/leases/${fixture.leased}`)).body;
+    expect(data).to.include({ tokenId: fixture.leased.toString(), status: "Active", holder: fixture.lessee.address });
+    expect(data.lease).to.include({
+      lessee: fixture.lessee.address,
+      monthlyPayment: TERMS.monthlyPayment.toString(),
+      deposit: (3n * TERMS.monthlyPayment).toString(),
+      active: true
+    });
+    expect(data.extensionOffer).to.equal(null);
+    expect(data.damageClaim).to.equal(null);
+  });
+
+  it("returns the payment schedule and amount due", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    const { data } = (await get(`/leases/${fixture.leased}/payments`)).body;
+    const lease = await fixture.carLease.getLease(fixture.leased);
+    expect(data).to.include({ lessee: fixture.lessee.address, paymentsMade: "0", isPaymentCurrent: true });
+    // Nothing falls due before the first due date
+    expect(data.amountDue).to.deep.equal({ principal: "0", lateFees: "0" });
+    expect(data.schedule).to.have.length(TERMS.durationMonths);
+    expect(data.schedule[0]).to.deep.equal({
+      paymentNumber: "1",
+      dueDate: (lease.startTime + lease.paymentPeriod).toString(),
+      amount: TERMS.monthlyPayment.toString(),
+      paid: false
+    });
+    expect(data.nextDueDate).to.equal(data.schedule[0].dueDate);
+  });
+
+  it("returns a token's commitment", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    const committed = (await get(`/leases/${fixture.committed}/commitment`)).body.data;
+    expect(committed).to.include({ status: "Committed", committed: true, committer: fixture.other.address, valid: true });
+    const open = (await get(`/leases/${fixture.open}/commitment`)).body.data;
+    expect(open).to.include({ status: "Available", committed: false, valid: false });
+  });
+
+  it("lists the leases of a lessee", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    const leases = (await get(`/lessees/${fixture.lessee.address.toLowerCase()}/leases`)).body.data;
+    expect(leases.map((l) => l.tokenId)).to.deep.equal([fixture.leased.toString()]);
+    expect((await get(`/lessees/${fixture.other.address}/leases`)).body.data).to.deep.equal([]);
+  });
+
+  it("rejects malformed token IDs, addresses and status filters with 400", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    for (const path of ["/cars/abc", "/leases/-1", "/lessees/0x1234/leases", "/cars?status=Parked"]) {
+      const { status, body } = await get(path);
+      expect(status, path).to.equal(400);
+      expect(body).to.have.all.keys("error");
+    }
+  });
+
+  it("answers unknown routes, missing tokens and tokens without a lease with 404", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    expect(await get("/cars/99")).to.deep.equal({ status: 404, body: { error: "Token #99 does not exist" } });
+    expect(await get("/cars/0")).to.deep.equal({ status: 404, body: { error: "Token #0 does not exist" } });
+    expect(await get(`/leases/${fixture.open}/payments`))
+      .to.deep.equal({ status: 404, body: { error: `Token #${fixture.open} has no lease` } });
+    expect(await get("/dealers")).to.deep.equal({ status: 404, body: { error: "Not found: /dealers" } });
+  });
+
+  it("only accepts GET", async function () {
+    const fixture = await loadFixture(apiFixture);
+    await serve(fixture);
+
+    expect(await get("/cars", { method: "POST" }))
+      .to.deep.equal({ status: 405, body: { error: "Only GET is supported" } });
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ZERO, TERMS, deployCarLease, mintOption, commitAndReveal, activeLease, pay } = require("./helpers");
+
+describe("CarLease - lease NFT custody and assignment", function () {
+  async function leaseFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    return { ...fixture, tokenId };
+  }
+
+  it("activates the lease and hands the NFT to the lessee on confirmation", async function () {
+    const { carLease, address, lessee } = await loadFixture(deployCarLease);
+    const tokenId = await mintOption(carLease);
+    await commitAndReveal(carLease, tokenId, lessee);
+    expect(await carLease.ownerOf(tokenId)).to.equal(address);
+
+    await expect(carLease.confirmLease(tokenId)).to.emit(carLease, "LeaseConfirmed");
+
+    const lease = await carLease.getLease(tokenId);
+    expect(lease.active).to.equal(true);
+    expect(lease.startTime).to.be.greaterThan(0n);
+    expect(await carLease.ownerOf(tokenId)).to.equal(lessee.address);
+  });
+
+  it("takes the NFT back when the lease ends", async function () {
+    const { carLease, address, lessee, tokenId } = await loadFixture(leaseFixture);
+
+    await pay(carLease, tokenId, lessee, TERMS.durationMonths);
+    expect(await carLease.ownerOf(tokenId)).to.equal(address);
+  });
+
+  it("rejects transfers the dealer has not approved", async function () {
+    const { carLease, lessee, other, tokenId } = await loadFixture(leaseFixture);
+
+    await expect(carLease.connect(lessee).transferFrom(lessee.address, other.address, tokenId))
+      .to.be.revertedWith("Assignment not approved");
+    await expect(carLease.connect(lessee)["safeTransferFrom(address,address,uint256)"](lessee.address, other.address, tokenId))
+      .to.be.revertedWith("Assignment not approved");
+    expect(await carLease.ownerOf(tokenId)).to.equal(lessee.address);
+  });
+
+  it("hands the lease to the approved assignee when the lessee transfers the NFT", async function () {
+    const { carLease, lessee, other, tokenId } = await loadFixture(leaseFixture);
+    await pay(carLease, tokenId, lessee);
+
+    await expect(carLease.approveAssignment(tokenId, other.address))
+      .to.emit(carLease, "AssignmentApproved")
+      .withArgs(tokenId, lessee.address, other.address);
+    expect(await carLease.assignmentApprovals(tokenId)).to.equal(other.address);
+
+    await expect(carLease.connect(lessee).transferFrom(lessee.address, other.address, tokenId))
+      .to.emit(carLease, "LeaseAssigned")
+      .withArgs(tokenId, lessee.address, other.address);
+
+    expect(await carLease.ownerOf(tokenId)).to.equal(other.address);
+    const lease = await carLease.getLease(tokenId);
+    expect(lease.lessee).to.equal(other.address);
+    expect(lease.paymentsMade).to.equal(1n);
+    expect(lease.deposit).to.equal(3n * TERMS.monthlyPayment);
+    expect(await carLease.assignmentApprovals(tokenId)).to.equal(ZERO);
+
+    await expect(pay(carLease, tokenId, lessee)).to.be.revertedWith("Only lessee can pay");
+    await expect(pay(carLease, tokenId, other)).to.emit(carLease, "MonthlyPaid");
+  });
+
+  it("drops a pending extension offer on assignment", async function () {
+    const { carLease, lessee, other, tokenId } = await loadFixture(leaseFixture);
+    await carLease.offerExtension(tokenId, 6, TERMS.monthlyPayment);
+    await carLease.approveAssignment(tokenId, other.address);
+
+    await carLease.connect(lessee).transferFrom(lessee.address, other.address, tokenId);
+    expect((await carLease.getExtensionOffer(tokenId)).expiresAt).to.equal(0n);
+  });
+
+  it("only assigns to the approved address, and lets the dealer withdraw the approval", async function () {
+    const { carLease, lessee, other, dealer2, tokenId } = await loadFixture(leaseFixture);
+    await carLease.approveAssignment(tokenId, other.address);
+
+    await expect(carLease.connect(lessee).transferFrom(lessee.address, dealer2.address, tokenId))
+      .to.be.revertedWith("Assignment not approved");
+    await carLease.approveAssignment(tokenId, ZERO);
+    await expect(carLease.connect(lessee).transferFrom(lessee.address, other.address, tokenId))
+      .to.be.revertedWith("Assignment not approved");
+  });
+
+  it("lets only the token's dealer approve an assignee other than the lessee", async function () {
+    const { carLease, address, lessee, other, tokenId } = await loadFixture(leaseFixture);
+
+    await expect(carLease.connect(lessee).approveAssignment(tokenId, other.address)).to.be.revertedWith("Not the token's dealer");
+    await expect(carLease.approveAssignment(tokenId, lessee.address)).to.be.revertedWith("Invalid assignee");
+    await expect(carLease.approveAssignment(tokenId, address)).to.be.revertedWith("Invalid assignee");
+
+    const pending = await mintOption(carLease);
+    await commitAndReveal(carLease, pending, other, ethers.id("other secret"));
+    await expect(carLease.approveAssignment(pending, lessee.address)).to.be.revertedWith("Lease not active");
+  });
+});
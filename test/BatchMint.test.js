@@ -0,0 +1,143 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseCsv, readInventory, toMintArgs } = require("../scripts/import-inventory");
+const { ZERO, CAR, TERMS, deployCarLease } = require("./helpers");
+
+describe("Inventory - batch minting and import parsing", function () {
+  const car = (model) => ({ ...CAR, model });
+  const terms = (overrides = {}) => ({ ...TERMS, ...overrides });
+  const SAMPLE = path.join(__dirname, "..", "scripts", "inventory-sample.csv");
+
+  describe("mintOptionsBatch", function () {
+    it("mints consecutive options in input order", async function () {
+      const { carLease, owner } = await loadFixture(deployCarLease);
+      const cars = [car("Tesla Model 3"), car("Volkswagen ID.4"), car("Polestar 2")];
+
+      const tx = carLease.mintOptionsBatch(cars, [terms(), terms({ durationMonths: 24 }), terms()]);
+      await expect(tx).to.emit(carLease, "OptionMinted").withArgs(1, "Tesla Model 3", CAR.color, CAR.year, CAR.originalValueWei);
+      await expect(tx).to.emit(carLease, "OptionMinted").withArgs(3, "Polestar 2", CAR.color, CAR.year, CAR.originalValueWei);
+
+      expect(await carLease.totalMinted()).to.equal(3n);
+      expect((await carLease.getCarMetadata(2)).model).to.equal("Volkswagen ID.4");
+      expect((await carLease.getLeaseTerms(2)).durationMonths).to.equal(24n);
+      expect(await carLease.tokenDealer(3)).to.equal(owner.address);
+    });
+
+    it("reverts the whole batch when one row is invalid", async function () {
+      const { carLease } = await loadFixture(deployCarLease);
+      const cars = [car("Tesla Model 3"), car("Volkswagen ID.4"), car("Polestar 2")];
+
+      await expect(carLease.mintOptionsBatch(cars, [terms(), terms({ monthlyPayment: 0n }), terms()]))
+        .to.be.revertedWith("Monthly payment must be greater than zero");
+      await expect(carLease.mintOptionsBatch([car("Tesla Model 3"), car("")], [terms(), terms()]))
+        .to.be.revertedWith("Model cannot be empty");
+      expect(await carLease.totalMinted()).to.equal(0n);
+    });
+
+    it("rejects empty or mismatched batches and non-dealers", async function () {
+      const { carLease, lessee } = await loadFixture(deployCarLease);
+
+      await expect(carLease.mintOptionsBatch([], [])).to.be.revertedWith("Empty batch");
+      await expect(carLease.mintOptionsBatch([car("A"), car("B")], [terms()])).to.be.revertedWith("Array length mismatch");
+      await expect(carLease.connect(lessee).mintOptionsBatch([car("A")], [terms()]))
+        .to.be.revertedWithCustomError(carLease, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("import-inventory parsing", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "carlease-inventory-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function write(name, text) {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, text);
+      return file;
+    }
+
+    it("splits CSV records, honouring quotes, CRLF, blank lines and comments", function () {
+      const records = parseCsv('a,b\r\n"x, y","say ""hi"""\n\n# skipped\n"multi\nline",z');
+
+      expect(records.map((r) => r.fields)).to.deep.equal([
+        ["a", "b"],
+        ["x, y", 'say "hi"'],
+        ["multi\nline", "z"]
+      ]);
+      expect(records.map((r) => r.line)).to.deep.equal([1, 2, 5]);
+    });
+
+    it("reads the sample CSV into rows keyed by column", function () {
+      const rows = readInventory(SAMPLE);
+
+      expect(rows).to.have.length(3);
+      expect(rows[2]).to.deep.include({ row: 4 });
+      expect(rows[2].values).to.include({ model: "Polestar 2, Long Range", monthlyPayment: "0.45", residualValue: "" });
+    });
+
+    it("reads JSON arrays and rejects other JSON or missing CSV columns", function () {
+      const rows = readInventory(write("cars.json", JSON.stringify([{ model: "A" }, { model: "B" }])));
+      expect(rows).to.deep.equal([{ row: 1, values: { model: "A" } }, { row: 2, values: { model: "B" } }]);
+
+      expect(() => readInventory(write("car.json", JSON.stringify({ model: "A" })))).to.throw(/must be an array/);
+      expect(() => readInventory(write("cars.csv", "model,color\nA,red\n"))).to.throw(/missing column\(s\): year/);
+      expect(() => readInventory(write("empty.csv", ""))).to.throw(/empty/);
+    });
+
+    it("converts a valid row into mint arguments", async function () {
+      const { carLease } = await loadFixture(deployCarLease);
+      const [{ values }] = readInventory(SAMPLE);
+
+      const args = await toMintArgs(values, carLease, {});
+      expect(args.car).to.deep.equal({
+        model: "Tesla Model 3",
+        color: "Midnight Silver Metallic",
+        year: 2024n,
+        originalValueWei: ethers.parseEther("30"),
+        mileageLimit: 50_000n
+      });
+      expect(args.terms).to.deep.equal({
+        monthlyPayment: ethers.parseEther("0.5"),
+        durationMonths: 36n,
+        excessMileageRateWei: ethers.parseEther("0.0001"),
+        paymentToken: ZERO,
+        residualValue: ethers.parseEther("12")
+      });
+      await expect(carLease.mintOptionsBatch([args.car], [args.terms])).to.emit(carLease, "OptionMinted");
+    });
+
+    it("reports every problem in an invalid row", async function () {
+      const { carLease, other } = await loadFixture(deployCarLease);
+      const values = {
+        model: "", color: "Red", year: "70000", originalValue: "abc", monthlyPayment: "0",
+        durationMonths: "12.5", mileageLimit: "1000", paymentToken: other.address
+      };
+
+      let message;
+      try {
+        await toMintArgs(values, carLease, {});
+      } catch (error) {
+        message = error.message;
+      }
+      expect(message.split("; ")).to.deep.equal([
+        `paymentToken ${other.address} is not allow-listed`,
+        "year must be at most 65535",
+        'originalValue must be a decimal amount (got "abc")',
+        'durationMonths must be a whole number (got "12.5")',
+        "Model cannot be empty",
+        "Original value must be greater than zero",
+        "Monthly payment must be greater than zero",
+        "Duration must be greater than zero"
+      ]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DAY, ZERO, CAR, TERMS, deployCarLease, activeLease, pay } = require("./helpers");
+
+describe("CarLease - buyout", function () {
+  async function paidTwiceFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    await pay(fixture.carLease, tokenId, fixture.lessee, 2);
+    return { ...fixture, tokenId, deposit: 3n * TERMS.monthlyPayment };
+  }
+
+  it("prices a lease without a residual value at the car value less payments made", async function () {
+    const { carLease, tokenId, deposit } = await loadFixture(paidTwiceFixture);
+    const price = CAR.originalValueWei - 2n * TERMS.monthlyPayment;
+
+    const quote = await carLease.getBuyoutQuote(tokenId);
+    expect(quote.price).to.equal(price);
+    expect(quote.depositCredit).to.equal(deposit);
+    expect(quote.amountDue).to.equal(price - deposit);
+  });
+
+  it("hands the NFT to the lessee for good and books the price as revenue", async function () {
+    const { carLease, owner, lessee, tokenId, deposit } = await loadFixture(paidTwiceFixture);
+    const [price, , amountDue] = await carLease.getBuyoutQuote(tokenId);
+    const revenue = await carLease.withdrawableBalance(owner.address, ZERO);
+
+    await expect(carLease.connect(lessee).buyout(tokenId, { value: amountDue - 1n }))
+      .to.be.revertedWith("Incorrect buyout amount");
+    await expect(carLease.connect(lessee).buyout(tokenId, { value: amountDue }))
+      .to.emit(carLease, "LeaseBuyout")
+      .withArgs(tokenId, lessee.address, price, deposit);
+
+    expect(await carLease.ownerOf(tokenId)).to.equal(lessee.address);
+    expect(await carLease.getLeaseStatus(tokenId)).to.equal(8n); // BoughtOut
+    expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(revenue + price);
+    expect(await carLease.totalDepositsHeld(ZERO)).to.equal(0n);
+  });
+
+  it("only lets the lessee buy out", async function () {
+    const { carLease, other, tokenId } = await loadFixture(paidTwiceFixture);
+    const [, , amountDue] = await carLease.getBuyoutQuote(tokenId);
+
+    await expect(carLease.connect(other).buyout(tokenId, { value: amountDue }))
+      .to.be.revertedWith("Only lessee can buy out");
+  });
+
+  it("adds late fees on overdue payments to the price", async function () {
+    const { carLease, lessee } = await loadFixture(deployCarLease);
+    const tokenId = await activeLease(carLease, lessee);
+    const [before] = await carLease.getBuyoutQuote(tokenId);
+
+    // First payment overdue past the late fee grace, lease not yet in default
+    await time.increase(40 * DAY);
+    const [, fees] = await carLease.getAmountDue(tokenId);
+    expect(fees).to.be.greaterThan(0n);
+    expect((await carLease.getBuyoutQuote(tokenId)).price).to.equal(before + fees);
+  });
+
+  it("credits the deposit above a completed lease's residual value", async function () {
+    const { carLease, lessee } = await loadFixture(deployCarLease);
+    const residualValue = ethers.parseEther("0.1");
+    const tokenId = await activeLease(carLease, lessee, { terms: { residualValue } });
+    await pay(carLease, tokenId, lessee, TERMS.durationMonths);
+    const deposit = 3n * TERMS.monthlyPayment;
+
+    const quote = await carLease.getBuyoutQuote(tokenId);
+    expect(quote.price).to.equal(residualValue);
+    expect(quote.depositCredit).to.equal(residualValue);
+    expect(quote.amountDue).to.equal(0n);
+
+    await carLease.connect(lessee).buyout(tokenId);
+    expect(await carLease.ownerOf(tokenId)).to.equal(lessee.address);
+    expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit - residualValue);
+  });
+
+  it("takes the excess-mileage charge out of the deposit credit of an active lease", async function () {
+    const { carLease, owner, lessee, tokenId, deposit } = await loadFixture(paidTwiceFixture);
+    const excessKm = 5_000n;
+    const charge = excessKm * TERMS.excessMileageRateWei;
+    await carLease.reportMileage(tokenId, 1_000);
+    await carLease.reportMileage(tokenId, 1_000n + CAR.mileageLimit + excessKm);
+    const revenue = await carLease.withdrawableBalance(owner.address, ZERO);
+
+    const [price, depositCredit, amountDue] = await carLease.getBuyoutQuote(tokenId);
+    expect(depositCredit).to.equal(deposit - charge);
+    expect(amountDue).to.equal(price - deposit + charge);
+
+    await expect(carLease.connect(lessee).buyout(tokenId, { value: amountDue - charge }))
+      .to.be.revertedWith("Incorrect buyout amount");
+    await expect(carLease.connect(lessee).buyout(tokenId, { value: amountDue }))
+      .to.emit(carLease, "LeaseBuyout")
+      .withArgs(tokenId, lessee.address, price, deposit - charge);
+    expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(revenue + price + charge);
+  });
+
+  it("has no price before the lease is confirmed", async function () {
+    const { carLease } = await loadFixture(deployCarLease);
+
+    await expect(carLease.getBuyoutQuote(1)).to.be.revertedWith("Lease not active or completed");
+  });
+
+  describe("completed leases", function () {
+    const residualValue = ethers.parseEther("0.1");
+
+    // Lease paid in full, its car back for the return inspection
+    async function completedFixture() {
+      const fixture = await deployCarLease();
+      const tokenId = await activeLease(fixture.carLease, fixture.lessee, { terms: { residualValue } });
+      await pay(fixture.carLease, tokenId, fixture.lessee, TERMS.durationMonths);
+      return { ...fixture, tokenId, deposit: 3n * TERMS.monthlyPayment };
+    }
+
+    it("can only be bought during the return inspection", async function () {
+      const { carLease, lessee, tokenId } = await loadFixture(completedFixture);
+      const window = await carLease.FINAL_READING_WINDOW();
+      const { returnedAt } = await carLease.getLease(tokenId);
+
+      await time.setNextBlockTimestamp(returnedAt + window);
+      await carLease.connect(lessee).buyout.staticCall(tokenId);
+      await time.increaseTo(returnedAt + window + 1n);
+      await expect(carLease.getBuyoutQuote(tokenId)).to.be.revertedWith("Buyout window closed");
+      await expect(carLease.connect(lessee).buyout(tokenId)).to.be.revertedWith("Buyout window closed");
+    });
+
+    it("cannot be bought once the deposit has been reclaimed", async function () {
+      const { carLease, module, lessee, tokenId, deposit } = await loadFixture(completedFixture);
+      await carLease.reportMileage(tokenId, 1_000);
+      await module.waiveDamageClaim(tokenId);
+      await carLease.connect(lessee).reclaimDeposit(tokenId);
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit);
+
+      await expect(carLease.getBuyoutQuote(tokenId)).to.be.revertedWith("Buyout window closed");
+      await expect(carLease.connect(lessee).buyout(tokenId)).to.be.revertedWith("Buyout window closed");
+      expect(await carLease.ownerOf(tokenId)).to.equal(await carLease.getAddress());
+    });
+
+    it("settles the excess-mileage charge before crediting the deposit", async function () {
+      const { carLease, owner, lessee, tokenId, deposit } = await loadFixture(completedFixture);
+      const excessKm = 1_000n;
+      const charge = excessKm * TERMS.excessMileageRateWei;
+      await carLease.reportMileage(tokenId, 1_000);
+      await carLease.reportMileage(tokenId, 1_000n + CAR.mileageLimit + excessKm);
+      const revenue = await carLease.withdrawableBalance(owner.address, ZERO);
+
+      const quote = await carLease.getBuyoutQuote(tokenId);
+      expect(quote.price).to.equal(residualValue);
+      expect(quote.depositCredit).to.equal(residualValue);
+
+      await expect(carLease.connect(lessee).buyout(tokenId))
+        .to.emit(carLease, "MileageCharged")
+        .withArgs(tokenId, lessee.address, excessKm, charge);
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit - charge - residualValue);
+      expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(revenue + residualValue + charge);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(0n);
+    });
+  });
+});
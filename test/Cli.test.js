@@ -0,0 +1,189 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { saveSecret, loadSecret, deleteSecret, listSecrets } = require("../tasks/lib/commit-secrets");
+const { errorReason } = require("../tasks/lib/cli");
+const { deployCarLease, mintOption } = require("./helpers");
+
+describe("CLI - lease tasks", function () {
+  let root;
+
+  beforeEach(function () {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "carlease-cli-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(root, { recursive: true, force: true });
+    delete process.env.COMMIT_SECRET_PASSPHRASE;
+    // A failed command sets exit status 1
+    process.exitCode = undefined;
+  });
+
+  describe("commit secrets store", function () {
+    const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    const COMMITTER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const secret = ethers.id("secret");
+    const record = (overrides = {}) => ({
+      chainId: 31337n, contract: CONTRACT, tokenId: 1n, committer: COMMITTER, commitment: ethers.id("commitment"), secret, ...overrides
+    });
+
+    it("keeps plaintext secrets on the local chain, readable by the current user only", function () {
+      const { file, encrypted } = saveSecret(root, record());
+
+      expect(encrypted).to.equal(false);
+      expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+      expect(fs.statSync(path.dirname(file)).mode & 0o777).to.equal(0o700);
+      expect(loadSecret(root, 31337n, CONTRACT, 1n, COMMITTER))
+        .to.deep.equal({ secret, commitment: record().commitment, file });
+      expect(loadSecret(root, 31337n, CONTRACT, 2n, COMMITTER)).to.equal(null);
+    });
+
+    it("requires a passphrase on any other chain", function () {
+      expect(() => saveSecret(root, record({ chainId: 1n })))
+        .to.throw("Set COMMIT_SECRET_PASSPHRASE to store commit secrets on this network");
+      expect(listSecrets(root, 1n, CONTRACT)).to.deep.equal([]);
+    });
+
+    it("encrypts with the passphrase and refuses a wrong one", function () {
+      process.env.COMMIT_SECRET_PASSPHRASE = "correct horse";
+      const { file, encrypted } = saveSecret(root, record({ chainId: 1n }));
+
+      expect(encrypted).to.equal(true);
+      expect(fs.readFileSync(file, "utf8")).to.not.include(secret.slice(2));
+      expect(loadSecret(root, 1n, CONTRACT, 1n, COMMITTER).secret).to.equal(secret);
+
+      process.env.COMMIT_SECRET_PASSPHRASE = "battery staple";
+      expect(() => loadSecret(root, 1n, CONTRACT, 1n, COMMITTER)).to.throw(/wrong COMMIT_SECRET_PASSPHRASE or tampered file/);
+      delete process.env.COMMIT_SECRET_PASSPHRASE;
+      expect(() => loadSecret(root, 1n, CONTRACT, 1n, COMMITTER)).to.throw(/is encrypted; set COMMIT_SECRET_PASSPHRASE/);
+    });
+
+    it("does not decrypt a secret file copied to another token", function () {
+      process.env.COMMIT_SECRET_PASSPHRASE = "correct horse";
+      const { file } = saveSecret(root, record({ chainId: 1n }));
+      const copy = JSON.parse(fs.readFileSync(file, "utf8"));
+      const other = saveSecret(root, record({ chainId: 1n, tokenId: 2n })).file;
+      fs.writeFileSync(other, JSON.stringify({ ...copy, tokenId: "2" }));
+
+      expect(() => loadSecret(root, 1n, CONTRACT, 2n, COMMITTER)).to.throw(/tampered file/);
+    });
+
+    it("lists stored commitments without their secrets and deletes them", function () {
+      saveSecret(root, record());
+      saveSecret(root, record({ tokenId: 2n }));
+      saveSecret(root, record({ contract: COMMITTER }));
+
+      const listed = listSecrets(root, 31337n, CONTRACT);
+      expect(listed.map((s) => s.tokenId).sort()).to.deep.equal(["1", "2"]);
+      expect(listed[0]).to.not.have.property("secret");
+
+      deleteSecret(root, 31337n, CONTRACT, 1n, COMMITTER);
+      deleteSecret(root, 31337n, CONTRACT, 1n, COMMITTER);
+      expect(listSecrets(root, 31337n, CONTRACT).map((s) => s.tokenId)).to.deep.equal(["2"]);
+    });
+  });
+
+  describe("commands", function () {
+    let output;
+    let paths;
+
+    // Runs a `lease` command with its output captured and secrets stored under `root`
+    async function lease(task, args) {
+      const log = console.log;
+      const error = console.error;
+      console.log = (...line) => output.stdout.push(line.join(" "));
+      console.error = (...line) => output.stderr.push(line.join(" "));
+      try {
+        return await hre.run({ scope: "lease", task }, args);
+      } finally {
+        console.log = log;
+        console.error = error;
+      }
+    }
+
+    beforeEach(function () {
+      output = { stdout: [], stderr: [] };
+      paths = hre.config.paths.root;
+      hre.config.paths.root = root;
+    });
+
+    afterEach(function () {
+      hre.config.paths.root = paths;
+    });
+
+    it("reveals with the secret stored by commit and then forgets it", async function () {
+      const { carLease, address, lessee } = await loadFixture(deployCarLease);
+      const tokenId = await mintOption(carLease);
+
+      const committed = await lease("commit", { contract: address, from: "1", tokenId: tokenId.toString(), json: true });
+      expect(committed.committer).to.equal(lessee.address);
+      expect(committed.secretFile.startsWith(root)).to.equal(true);
+      expect(listSecrets(root, 31337n, address)).to.have.length(1);
+
+      const revealed = await lease("reveal", { contract: address, tokenId: tokenId.toString(), json: true });
+      expect(revealed.lessee).to.equal(lessee.address);
+      expect(revealed.events.map((e) => e.name)).to.include("LeaseSignedRevealed");
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(2n); // PendingConfirmation
+      expect(listSecrets(root, 31337n, address)).to.deep.equal([]);
+      expect(process.exitCode).to.equal(undefined);
+    });
+
+    it("prints the revert reason and exits 1 when a transaction fails", async function () {
+      const { carLease, address, other } = await loadFixture(deployCarLease);
+      const tokenId = (await mintOption(carLease)).toString();
+      await lease("commit", { contract: address, from: "1", tokenId, json: true });
+
+      const result = await lease("commit", { contract: address, from: "2", tokenId });
+      expect(result).to.equal(undefined);
+      expect(output.stderr).to.deep.equal(["\n❌ Commitment pending\n"]);
+      expect(process.exitCode).to.equal(1);
+      // The failed commit does not leave a secret behind
+      expect(loadSecret(root, 31337n, address, BigInt(tokenId), other.address)).to.equal(null);
+    });
+
+    it("reports errors as JSON with --json", async function () {
+      const { carLease, address } = await loadFixture(deployCarLease);
+      const tokenId = (await mintOption(carLease)).toString();
+
+      await lease("reveal", { contract: address, tokenId, json: true });
+      await lease("commit", { contract: address, tokenId: "one", json: true });
+      expect(output.stdout.map((line) => JSON.parse(line))).to.deep.equal([
+        { error: `No stored secret for token #${tokenId} and ${(await ethers.getSigners())[0].address}; run lease commit first` },
+        { error: "Invalid token ID: one" }
+      ]);
+      expect(output.stderr).to.deep.equal([]);
+      expect(process.exitCode).to.equal(1);
+    });
+
+    it("rejects an unknown --from account", async function () {
+      const { carLease, address } = await loadFixture(deployCarLease);
+      const tokenId = (await mintOption(carLease)).toString();
+
+      await lease("commit", { contract: address, from: "99", tokenId });
+      expect(output.stderr).to.deep.equal(["\n❌ --from 99 is not one of the configured accounts\n"]);
+      expect(process.exitCode).to.equal(1);
+    });
+  });
+
+  describe("errorReason", function () {
+    it("decodes revert strings and custom errors from raw revert data", async function () {
+      const { carLease, lessee } = await loadFixture(deployCarLease);
+      const { interface: abi } = carLease;
+
+      expect(errorReason({ reason: "Paused" }, abi)).to.equal("Paused");
+      expect(errorReason({ data: abi.encodeErrorResult("Error", ["Lease not active"]) }, abi)).to.equal("Lease not active");
+      expect(errorReason({ info: { error: { data: abi.encodeErrorResult("OwnableUnauthorizedAccount", [lessee.address]) } } }, abi))
+        .to.equal(`OwnableUnauthorizedAccount(${lessee.address})`);
+    });
+
+    it("falls back to the reason in the message, then the message itself", function () {
+      expect(errorReason({ message: "VM Exception: reverted with reason string 'Not a dealer'" })).to.equal("Not a dealer");
+      expect(errorReason({ shortMessage: "could not coalesce error", message: "long" })).to.equal("could not coalesce error");
+      expect(errorReason({ data: "0xdeadbeef", message: "unknown error" }, new ethers.Interface([]))).to.equal("unknown error");
+    });
+  });
+});
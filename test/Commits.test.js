@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TERMS, deployCarLease, mintOption, commitmentFor } = require("./helpers");
+
+// LeaseStatus
+const AVAILABLE = 0n;
+const COMMITTED = 1n;
+
+describe("CarLease - commitment lock, cancellation and expiry", function () {
+  const SECRET = ethers.id("secret");
+  const DEPOSIT = 3n * TERMS.monthlyPayment;
+
+  // Token committed to by the lessee
+  async function committedFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await mintOption(fixture.carLease);
+    const commitment = commitmentFor(tokenId, SECRET, fixture.lessee.address);
+    await fixture.carLease.connect(fixture.lessee).commitToLease(tokenId, commitment);
+    const { deadline } = await fixture.carLease.getCommit(tokenId);
+    return { ...fixture, tokenId, commitment, deadline };
+  }
+
+  function reveal(carLease, lessee, tokenId) {
+    return carLease.connect(lessee).revealAndPay(tokenId, SECRET, TERMS.durationMonths, TERMS.monthlyPayment, { value: DEPOSIT });
+  }
+
+  describe("lock", function () {
+    it("sets the reveal deadline from the lease parameters", async function () {
+      const { carLease, lessee, tokenId, commitment, deadline } = await loadFixture(committedFixture);
+      const { revealWindow } = await carLease.leaseParams();
+
+      expect(deadline).to.equal(BigInt(await time.latest()) + revealWindow);
+      const commit = await carLease.getCommit(tokenId);
+      expect(commit.committer).to.equal(lessee.address);
+      expect(commit.commitment).to.equal(commitment);
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(COMMITTED);
+      await expect(carLease.connect(lessee).commitToLease(tokenId, ethers.ZeroHash)).to.be.revertedWith("Invalid commitment");
+    });
+
+    it("blocks other customers until the reveal deadline has passed", async function () {
+      const { carLease, lessee, other, tokenId, commitment, deadline } = await loadFixture(committedFixture);
+      const theirs = commitmentFor(tokenId, SECRET, other.address);
+
+      await time.setNextBlockTimestamp(deadline);
+      await expect(carLease.connect(other).commitToLease(tokenId, theirs)).to.be.revertedWith("Commitment pending");
+
+      await expect(carLease.connect(other).commitToLease(tokenId, theirs))
+        .to.emit(carLease, "CommitExpired")
+        .withArgs(tokenId, lessee.address, deadline)
+        .and.to.emit(carLease, "CommitPlaced");
+      expect((await carLease.getCommit(tokenId)).committer).to.equal(other.address);
+      await expect(reveal(carLease, lessee, tokenId)).to.be.revertedWith("Invalid secret");
+    });
+
+    it("lets the committer replace their own commitment", async function () {
+      const { carLease, lessee, tokenId, commitment } = await loadFixture(committedFixture);
+      const replacement = commitmentFor(tokenId, ethers.id("new secret"), lessee.address);
+
+      await expect(carLease.connect(lessee).commitToLease(tokenId, replacement))
+        .to.emit(carLease, "CommitSuperseded")
+        .withArgs(tokenId, lessee.address, commitment, replacement);
+      expect((await carLease.getCommit(tokenId)).commitment).to.equal(replacement);
+    });
+
+    it("accepts a reveal up to and including the deadline", async function () {
+      const { carLease, lessee, tokenId, deadline } = await loadFixture(committedFixture);
+
+      await time.setNextBlockTimestamp(deadline);
+      await expect(reveal(carLease, lessee, tokenId)).to.emit(carLease, "LeaseSignedRevealed");
+    });
+
+    it("rejects a reveal after the deadline", async function () {
+      const { carLease, lessee, tokenId, deadline } = await loadFixture(committedFixture);
+
+      await time.setNextBlockTimestamp(deadline + 1n);
+      await expect(reveal(carLease, lessee, tokenId)).to.be.revertedWith("Commitment expired");
+    });
+  });
+
+  describe("cancelCommit", function () {
+    it("lets the committer free the token before the deadline", async function () {
+      const { carLease, lessee, other, tokenId } = await loadFixture(committedFixture);
+
+      await expect(carLease.connect(other).cancelCommit(tokenId)).to.be.revertedWith("Only committer can cancel");
+      await expect(carLease.connect(lessee).cancelCommit(tokenId))
+        .to.emit(carLease, "CommitCancelled")
+        .withArgs(tokenId, lessee.address);
+
+      expect((await carLease.getCommit(tokenId)).deadline).to.equal(0n);
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(AVAILABLE);
+      await expect(carLease.connect(lessee).cancelCommit(tokenId)).to.be.revertedWith("No commitment");
+      await expect(carLease.connect(other).commitToLease(tokenId, commitmentFor(tokenId, SECRET, other.address)))
+        .to.emit(carLease, "CommitPlaced");
+    });
+  });
+
+  describe("expireCommit", function () {
+    it("clears a commitment only once its deadline has passed", async function () {
+      const { carLease, lessee, other, tokenId, deadline } = await loadFixture(committedFixture);
+
+      await time.setNextBlockTimestamp(deadline);
+      await expect(carLease.connect(other).expireCommit(tokenId)).to.be.revertedWith("Commitment not expired");
+
+      await expect(carLease.connect(other).expireCommit(tokenId))
+        .to.emit(carLease, "CommitExpired")
+        .withArgs(tokenId, lessee.address, deadline);
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(AVAILABLE);
+      await expect(carLease.connect(other).expireCommit(tokenId)).to.be.revertedWith("No commitment");
+      await expect(reveal(carLease, lessee, tokenId)).to.be.revertedWith("Commitment expired");
+    });
+
+    it("has nothing to expire on an uncommitted token", async function () {
+      const { carLease, other } = await loadFixture(deployCarLease);
+      const tokenId = await mintOption(carLease);
+
+      await expect(carLease.connect(other).expireCommit(tokenId)).to.be.revertedWith("No commitment");
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DAY, ZERO, TERMS, deployCarLease, mintOption, commitAndReveal, activeLease } = require("./helpers");
+
+// RejectionReason
+const CREDIT_CHECK_FAILED = 0;
+
+describe("CarLease - application rejection and credit checks", function () {
+  const DEPOSIT = 3n * TERMS.monthlyPayment;
+
+  // Revealed application awaiting confirmation; the oracle signer is a credit attestor
+  async function applicationFixture() {
+    const fixture = await deployCarLease();
+    await fixture.carLease.setCreditAttestor(fixture.oracle.address, true);
+    const tokenId = await mintOption(fixture.carLease);
+    await commitAndReveal(fixture.carLease, tokenId, fixture.lessee);
+    return { ...fixture, tokenId };
+  }
+
+  // Same encoding as LeaseLogic.attestCredit, signed as an EIP-191 personal message
+  async function attest(carLease, attestor, tokenId, lessee, creditFactor, expiresAt) {
+    const digest = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "address", "uint256", "address", "uint32", "uint64"],
+      [31337n, await carLease.getAddress(), tokenId, lessee, creditFactor, expiresAt]
+    ));
+    return attestor.signMessage(ethers.getBytes(digest));
+  }
+
+  async function expiry() {
+    return BigInt(await time.latest()) + BigInt(7 * DAY);
+  }
+
+  describe("rejectLease", function () {
+    it("credits the deposit back and frees the token", async function () {
+      const { carLease, owner, lessee, other, tokenId } = await loadFixture(applicationFixture);
+
+      await expect(carLease.rejectLease(tokenId, CREDIT_CHECK_FAILED))
+        .to.emit(carLease, "LeaseRejected")
+        .withArgs(tokenId, owner.address, lessee.address, CREDIT_CHECK_FAILED, DEPOSIT);
+
+      expect((await carLease.getLease(tokenId)).exists).to.equal(false);
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(0n);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(0n);
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(DEPOSIT);
+      await expect(carLease.connect(lessee).withdraw(ZERO, lessee.address)).to.changeEtherBalance(lessee, DEPOSIT);
+
+      await commitAndReveal(carLease, tokenId, other);
+      expect((await carLease.getLease(tokenId)).lessee).to.equal(other.address);
+    });
+
+    it("lets only the token's dealer reject, and only before confirmation", async function () {
+      const { carLease, lessee, tokenId } = await loadFixture(applicationFixture);
+
+      await expect(carLease.connect(lessee).rejectLease(tokenId, CREDIT_CHECK_FAILED)).to.be.revertedWith("Not the token's dealer");
+      await carLease.confirmLease(tokenId);
+      await expect(carLease.rejectLease(tokenId, CREDIT_CHECK_FAILED)).to.be.revertedWith("Lease already confirmed");
+    });
+
+    it("lets a suspended dealer still reject", async function () {
+      const { carLease, owner, tokenId } = await loadFixture(applicationFixture);
+      await carLease.suspendDealer(owner.address);
+
+      await expect(carLease.confirmLease(tokenId)).to.be.revertedWithCustomError(carLease, "AccessControlUnauthorizedAccount");
+      await expect(carLease.rejectLease(tokenId, CREDIT_CHECK_FAILED)).to.emit(carLease, "LeaseRejected");
+    });
+
+    it("has nothing to reject on a token without an application", async function () {
+      const { carLease } = await loadFixture(deployCarLease);
+      const tokenId = await mintOption(carLease);
+
+      await expect(carLease.rejectLease(tokenId, CREDIT_CHECK_FAILED)).to.be.revertedWith("Lease does not exist");
+    });
+  });
+
+  describe("submitCreditAttestation", function () {
+    it("records an attestation signed by an authorized attestor", async function () {
+      const { carLease, lessee, oracle, other, tokenId } = await loadFixture(applicationFixture);
+      const expiresAt = await expiry();
+      const signature = await attest(carLease, oracle, tokenId, lessee.address, 700, expiresAt);
+
+      await expect(carLease.connect(other).submitCreditAttestation(tokenId, 700, expiresAt, signature))
+        .to.emit(carLease, "CreditAttested")
+        .withArgs(tokenId, lessee.address, oracle.address, 700, expiresAt);
+    });
+
+    it("rejects unauthorized, altered, expired and out-of-range attestations", async function () {
+      const { carLease, lessee, oracle, other, tokenId } = await loadFixture(applicationFixture);
+      const expiresAt = await expiry();
+      const max = await carLease.MAX_CREDIT_FACTOR();
+
+      const byOther = await attest(carLease, other, tokenId, lessee.address, 700, expiresAt);
+      await expect(carLease.submitCreditAttestation(tokenId, 700, expiresAt, byOther)).to.be.revertedWith("Not a credit attestor");
+      const signature = await attest(carLease, oracle, tokenId, lessee.address, 700, expiresAt);
+      await expect(carLease.submitCreditAttestation(tokenId, 900, expiresAt, signature)).to.be.revertedWith("Not a credit attestor");
+      const forOther = await attest(carLease, oracle, tokenId, other.address, 700, expiresAt);
+      await expect(carLease.submitCreditAttestation(tokenId, 700, expiresAt, forOther)).to.be.revertedWith("Not a credit attestor");
+
+      const tooHigh = await attest(carLease, oracle, tokenId, lessee.address, max + 1n, expiresAt);
+      await expect(carLease.submitCreditAttestation(tokenId, max + 1n, expiresAt, tooHigh)).to.be.revertedWith("Credit factor out of range");
+
+      const past = BigInt(await time.latest());
+      const expired = await attest(carLease, oracle, tokenId, lessee.address, 700, past);
+      await expect(carLease.submitCreditAttestation(tokenId, 700, past, expired)).to.be.revertedWith("Attestation expired");
+
+      await carLease.setCreditAttestor(oracle.address, false);
+      await expect(carLease.submitCreditAttestation(tokenId, 700, expiresAt, signature)).to.be.revertedWith("Not a credit attestor");
+    });
+
+    it("only attests applications awaiting confirmation", async function () {
+      const { carLease, lessee, oracle } = await loadFixture(applicationFixture);
+      const tokenId = await activeLease(carLease, lessee);
+      const expiresAt = await expiry();
+      const signature = await attest(carLease, oracle, tokenId, lessee.address, 700, expiresAt);
+
+      await expect(carLease.submitCreditAttestation(tokenId, 700, expiresAt, signature)).to.be.revertedWith("Lease already confirmed");
+      const open = await mintOption(carLease);
+      await expect(carLease.submitCreditAttestation(open, 700, expiresAt, signature)).to.be.revertedWith("Lease does not exist");
+    });
+  });
+
+  describe("minCreditFactor gate", function () {
+    async function gatedFixture() {
+      const fixture = await applicationFixture();
+      await fixture.carLease.setMinCreditFactor(600);
+      return fixture;
+    }
+
+    it("lets dealers set a minimum within range", async function () {
+      const { carLease, owner, lessee } = await loadFixture(applicationFixture);
+      const max = await carLease.MAX_CREDIT_FACTOR();
+
+      await expect(carLease.setMinCreditFactor(600))
+        .to.emit(carLease, "MinCreditFactorUpdated")
+        .withArgs(owner.address, 0, 600);
+      expect(await carLease.minCreditFactor(owner.address)).to.equal(600n);
+      await expect(carLease.setMinCreditFactor(max + 1n)).to.be.revertedWith("Credit factor out of range");
+      await expect(carLease.connect(lessee).setMinCreditFactor(1))
+        .to.be.revertedWithCustomError(carLease, "AccessControlUnauthorizedAccount");
+    });
+
+    it("blocks confirmation without an attestation meeting the minimum", async function () {
+      const { carLease, lessee, oracle, tokenId } = await loadFixture(gatedFixture);
+      const expiresAt = await expiry();
+
+      await expect(carLease.confirmLease(tokenId)).to.be.revertedWith("Credit attestation required");
+      await carLease.submitCreditAttestation(tokenId, 599, expiresAt, await attest(carLease, oracle, tokenId, lessee.address, 599, expiresAt));
+      await expect(carLease.confirmLease(tokenId)).to.be.revertedWith("Credit factor too low");
+
+      await carLease.submitCreditAttestation(tokenId, 600, expiresAt, await attest(carLease, oracle, tokenId, lessee.address, 600, expiresAt));
+      await expect(carLease.confirmLease(tokenId)).to.emit(carLease, "LeaseConfirmed");
+    });
+
+    it("rejects an attestation that expired before confirmation", async function () {
+      const { carLease, lessee, oracle, tokenId } = await loadFixture(gatedFixture);
+      const expiresAt = BigInt(await time.latest()) + BigInt(DAY);
+      await carLease.submitCreditAttestation(tokenId, 800, expiresAt, await attest(carLease, oracle, tokenId, lessee.address, 800, expiresAt));
+
+      await time.increaseTo(expiresAt);
+      await expect(carLease.confirmLease(tokenId)).to.be.revertedWith("Credit attestation required");
+    });
+
+    it("drops the attestation when the application is rejected", async function () {
+      const { carLease, lessee, other, oracle, tokenId } = await loadFixture(gatedFixture);
+      const expiresAt = await expiry();
+      await carLease.submitCreditAttestation(tokenId, 800, expiresAt, await attest(carLease, oracle, tokenId, lessee.address, 800, expiresAt));
+      await carLease.rejectLease(tokenId, CREDIT_CHECK_FAILED);
+
+      await commitAndReveal(carLease, tokenId, other);
+      await expect(carLease.confirmLease(tokenId)).to.be.revertedWith("Credit attestation required");
+    });
+  });
+});
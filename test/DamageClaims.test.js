@@ -0,0 +1,293 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ZERO, TERMS, deployCarLease, activeLease, pay } = require("./helpers");
+
+// DamageClaimStatus
+const FILED = 1n;
+const DISPUTED = 2n;
+const ACCEPTED = 3n;
+const RESOLVED = 4n;
+const WAIVED = 5n;
+
+describe("CarLease - return inspection and damage claims", function () {
+  const EVIDENCE = ethers.id("inspection report");
+  const COUNTER = ethers.id("lessee photos");
+  const CLAIM = ethers.parseEther("0.4");
+
+  // Lease paid in full with its return reading taken
+  async function completedFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    await fixture.carLease.reportMileage(tokenId, 0);
+    await pay(fixture.carLease, tokenId, fixture.lessee, TERMS.durationMonths);
+    await fixture.carLease.reportMileage(tokenId, 10_000);
+    const revenue = await fixture.carLease.withdrawableBalance(fixture.owner.address, ZERO);
+    return { ...fixture, tokenId, deposit: 3n * TERMS.monthlyPayment, revenue };
+  }
+
+  async function filedFixture() {
+    const fixture = await completedFixture();
+    await fixture.module.fileDamageClaim(fixture.tokenId, CLAIM, EVIDENCE);
+    return fixture;
+  }
+
+  async function disputedFixture() {
+    const fixture = await filedFixture();
+    await fixture.module.setDamageArbiter(fixture.oracle.address);
+    await fixture.module.connect(fixture.lessee).disputeDamageClaim(fixture.tokenId, COUNTER);
+    return fixture;
+  }
+
+  describe("inspection hold", function () {
+    it("holds the deposit until the dealer files or waives a claim", async function () {
+      const { carLease, module, lessee, tokenId, deposit } = await loadFixture(completedFixture);
+
+      await expect(carLease.connect(lessee).reclaimDeposit(tokenId)).to.be.revertedWith("Inspection window still open");
+      await expect(module.connect(lessee).waiveDamageClaim(tokenId)).to.be.revertedWith("Not the token's dealer");
+      await expect(module.waiveDamageClaim(tokenId))
+        .to.emit(carLease, "DamageClaimWaived")
+        .withArgs(tokenId, await carLease.owner());
+      expect((await module.getDamageClaim(tokenId)).status).to.equal(WAIVED);
+
+      await expect(module.fileDamageClaim(tokenId, CLAIM, EVIDENCE)).to.be.revertedWith("Damage claim already filed");
+      await expect(carLease.connect(lessee).reclaimDeposit(tokenId))
+        .to.emit(carLease, "DepositReturned")
+        .withArgs(tokenId, lessee.address, deposit);
+    });
+
+    it("waits for a return reading taken after the car came back", async function () {
+      const { carLease, module, lessee } = await loadFixture(deployCarLease);
+      const tokenId = await activeLease(carLease, lessee);
+      await carLease.reportMileage(tokenId, 0);
+      await pay(carLease, tokenId, lessee, TERMS.durationMonths);
+      await module.waiveDamageClaim(tokenId);
+
+      await expect(carLease.connect(lessee).reclaimDeposit(tokenId)).to.be.revertedWith("Awaiting final mileage reading");
+      await carLease.reportMileage(tokenId, 10_000);
+      await expect(carLease.connect(lessee).reclaimDeposit(tokenId)).to.emit(carLease, "DepositReturned");
+    });
+
+    it("closes claims once the inspection window has passed", async function () {
+      const { carLease, module, lessee, tokenId, deposit } = await loadFixture(completedFixture);
+      await time.increase(await carLease.FINAL_READING_WINDOW());
+
+      await expect(module.fileDamageClaim(tokenId, CLAIM, EVIDENCE)).to.be.revertedWith("Inspection window closed");
+      await expect(module.waiveDamageClaim(tokenId)).to.be.revertedWith("Inspection window closed");
+      await expect(carLease.connect(lessee).reclaimDeposit(tokenId))
+        .to.emit(carLease, "DepositReturned")
+        .withArgs(tokenId, lessee.address, deposit);
+    });
+
+    it("only opens an inspection once the lease has ended", async function () {
+      const { carLease, module, lessee } = await loadFixture(deployCarLease);
+      const tokenId = await activeLease(carLease, lessee);
+
+      await expect(module.fileDamageClaim(tokenId, CLAIM, EVIDENCE)).to.be.revertedWith("Lease not ended");
+      await expect(module.waiveDamageClaim(tokenId)).to.be.revertedWith("Lease not ended");
+      await expect(carLease.connect(lessee).reclaimDeposit(tokenId)).to.be.revertedWith("Lease not ended");
+    });
+
+    it("holds a terminated lease's refund for the inspection and allows a claim on it", async function () {
+      const { carLease, module, owner, lessee } = await loadFixture(deployCarLease);
+      const tokenId = await activeLease(carLease, lessee);
+      await pay(carLease, tokenId, lessee);
+      const [penalty, refund] = await carLease.getTerminationQuote(tokenId);
+
+      await carLease.connect(lessee).terminateLease(tokenId);
+      expect((await carLease.getLease(tokenId)).deposit).to.equal(refund);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(refund);
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(0n);
+      await expect(carLease.connect(lessee).reclaimDeposit(tokenId)).to.be.revertedWith("Inspection window still open");
+
+      const claimed = refund / 2n;
+      await module.fileDamageClaim(tokenId, claimed, EVIDENCE);
+      await carLease.reportMileage(tokenId, 0);
+      await expect(carLease.connect(lessee).reclaimDeposit(tokenId))
+        .to.emit(carLease, "DepositReturned")
+        .withArgs(tokenId, lessee.address, refund - claimed);
+
+      const revenue = await carLease.withdrawableBalance(owner.address, ZERO);
+      await module.connect(lessee).acceptDamageClaim(tokenId);
+      expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(revenue + claimed);
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(refund - claimed);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(0n);
+      expect(penalty + refund).to.equal(3n * TERMS.monthlyPayment);
+    });
+  });
+
+  describe("filing", function () {
+    it("escrows the claimed amount and lets the rest be reclaimed", async function () {
+      const { carLease, module, owner, lessee, tokenId, deposit } = await loadFixture(completedFixture);
+
+      const tx = module.fileDamageClaim(tokenId, CLAIM, EVIDENCE);
+      const deadline = BigInt(await time.latest()) + 1n + (await module.DAMAGE_DISPUTE_WINDOW());
+      await expect(tx)
+        .to.emit(carLease, "DamageClaimFiled")
+        .withArgs(tokenId, owner.address, CLAIM, EVIDENCE, deadline);
+
+      const claim = await module.getDamageClaim(tokenId);
+      expect(claim.status).to.equal(FILED);
+      expect(claim.amount).to.equal(CLAIM);
+      expect(claim.disputeDeadline).to.equal(deadline);
+      expect((await carLease.getLease(tokenId)).deposit).to.equal(deposit - CLAIM);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(deposit);
+
+      await expect(carLease.connect(lessee).reclaimDeposit(tokenId))
+        .to.emit(carLease, "DepositReturned")
+        .withArgs(tokenId, lessee.address, deposit - CLAIM);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(CLAIM);
+    });
+
+    it("rejects claims from others, empty claims and claims above the deposit", async function () {
+      const { module, other, tokenId, deposit } = await loadFixture(completedFixture);
+
+      await expect(module.connect(other).fileDamageClaim(tokenId, CLAIM, EVIDENCE)).to.be.revertedWith("Not the token's dealer");
+      await expect(module.fileDamageClaim(tokenId, 0, EVIDENCE)).to.be.revertedWith("Claim amount must be greater than zero");
+      await expect(module.fileDamageClaim(tokenId, deposit + 1n, EVIDENCE)).to.be.revertedWith("Claim exceeds deposit");
+    });
+
+    it("allows one claim per lease", async function () {
+      const { module, tokenId } = await loadFixture(filedFixture);
+
+      await expect(module.fileDamageClaim(tokenId, 1n, EVIDENCE)).to.be.revertedWith("Damage claim already filed");
+      await expect(module.waiveDamageClaim(tokenId)).to.be.revertedWith("Damage claim already filed");
+    });
+  });
+
+  describe("acceptance", function () {
+    it("pays the claim to the dealer when the lessee accepts it", async function () {
+      const { carLease, module, owner, lessee, tokenId, deposit, revenue } = await loadFixture(filedFixture);
+      await carLease.connect(lessee).reclaimDeposit(tokenId);
+
+      await expect(module.connect(lessee).acceptDamageClaim(tokenId))
+        .to.emit(carLease, "DamageClaimAccepted")
+        .withArgs(tokenId, lessee.address, CLAIM);
+
+      const claim = await module.getDamageClaim(tokenId);
+      expect(claim.status).to.equal(ACCEPTED);
+      expect(claim.dealerAmount).to.equal(CLAIM);
+      expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(revenue + CLAIM);
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit - CLAIM);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(0n);
+      await expect(module.connect(lessee).acceptDamageClaim(tokenId)).to.be.revertedWith("No damage claim to accept");
+    });
+
+    it("lets only the lessee accept before the dispute deadline and anyone after it", async function () {
+      const { carLease, module, owner, other, tokenId, revenue } = await loadFixture(filedFixture);
+      const { disputeDeadline } = await module.getDamageClaim(tokenId);
+
+      await expect(module.connect(other).acceptDamageClaim(tokenId)).to.be.revertedWith("Dispute window still open");
+      // The next transaction lands on the deadline itself
+      await time.increaseTo(disputeDeadline - 1n);
+      await expect(module.connect(other).acceptDamageClaim(tokenId)).to.be.revertedWith("Dispute window still open");
+
+      await expect(module.connect(other).acceptDamageClaim(tokenId))
+        .to.emit(carLease, "DamageClaimAccepted")
+        .withArgs(tokenId, other.address, CLAIM);
+      expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(revenue + CLAIM);
+    });
+
+    it("has nothing to accept without a filed claim", async function () {
+      const { module, lessee, tokenId } = await loadFixture(completedFixture);
+
+      await expect(module.connect(lessee).acceptDamageClaim(tokenId)).to.be.revertedWith("No damage claim to accept");
+    });
+  });
+
+  describe("disputes", function () {
+    it("lets the lessee dispute within the window", async function () {
+      const { carLease, module, lessee, other, tokenId } = await loadFixture(filedFixture);
+
+      await expect(module.connect(other).disputeDamageClaim(tokenId, COUNTER)).to.be.revertedWith("Only lessee can dispute");
+      await expect(module.connect(lessee).disputeDamageClaim(tokenId, COUNTER))
+        .to.emit(carLease, "DamageClaimDisputed")
+        .withArgs(tokenId, lessee.address, COUNTER);
+
+      const claim = await module.getDamageClaim(tokenId);
+      expect(claim.status).to.equal(DISPUTED);
+      expect(claim.disputeEvidenceHash).to.equal(COUNTER);
+      await expect(module.connect(lessee).acceptDamageClaim(tokenId)).to.be.revertedWith("No damage claim to accept");
+      await expect(module.connect(lessee).disputeDamageClaim(tokenId, COUNTER)).to.be.revertedWith("No damage claim to dispute");
+    });
+
+    it("closes disputes after the deadline", async function () {
+      const { module, lessee, tokenId } = await loadFixture(filedFixture);
+      const { disputeDeadline } = await module.getDamageClaim(tokenId);
+
+      await time.increaseTo(disputeDeadline);
+      await expect(module.connect(lessee).disputeDamageClaim(tokenId, COUNTER)).to.be.revertedWith("Dispute window closed");
+    });
+
+    it("lets the arbiter split a disputed claim", async function () {
+      const { carLease, module, owner, lessee, oracle, tokenId, deposit, revenue } = await loadFixture(disputedFixture);
+      await carLease.connect(lessee).reclaimDeposit(tokenId);
+      const dealerAmount = CLAIM / 4n;
+
+      await expect(module.resolveDamageClaim(tokenId, dealerAmount)).to.be.revertedWith("Only damage arbiter");
+      await expect(module.connect(oracle).resolveDamageClaim(tokenId, CLAIM + 1n)).to.be.revertedWith("Award exceeds claim");
+      await expect(module.connect(oracle).resolveDamageClaim(tokenId, dealerAmount))
+        .to.emit(carLease, "DamageClaimResolved")
+        .withArgs(tokenId, oracle.address, dealerAmount, CLAIM - dealerAmount);
+
+      const claim = await module.getDamageClaim(tokenId);
+      expect(claim.status).to.equal(RESOLVED);
+      expect(claim.dealerAmount).to.equal(dealerAmount);
+      expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(revenue + dealerAmount);
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit - dealerAmount);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(0n);
+      await expect(module.connect(oracle).resolveDamageClaim(tokenId, 0)).to.be.revertedWith("No disputed damage claim");
+    });
+
+    it("only resolves disputed claims", async function () {
+      const { module, oracle, tokenId } = await loadFixture(filedFixture);
+      await module.setDamageArbiter(oracle.address);
+
+      await expect(module.connect(oracle).resolveDamageClaim(tokenId, 0)).to.be.revertedWith("No disputed damage claim");
+    });
+
+    it("lets only the owner change the arbiter, handing it open disputes", async function () {
+      const { carLease, module, owner, lessee, oracle, other, tokenId } = await loadFixture(disputedFixture);
+
+      await expect(module.connect(other).setDamageArbiter(other.address))
+        .to.be.revertedWithCustomError(carLease, "OwnableUnauthorizedAccount");
+      await expect(module.connect(owner).setDamageArbiter(other.address))
+        .to.emit(carLease, "DamageArbiterUpdated")
+        .withArgs(oracle.address, other.address);
+      expect(await module.damageArbiter()).to.equal(other.address);
+
+      await expect(module.connect(oracle).resolveDamageClaim(tokenId, 0)).to.be.revertedWith("Only damage arbiter");
+      await expect(module.connect(other).resolveDamageClaim(tokenId, 0))
+        .to.emit(carLease, "DamageClaimResolved")
+        .withArgs(tokenId, other.address, 0, CLAIM);
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(CLAIM);
+    });
+  });
+
+  describe("unreclaimed deposits", function () {
+    it("releases the rest of the deposit to the lessee after the window, leaving the claim escrowed", async function () {
+      const { carLease, module, lessee, other, tokenId, deposit } = await loadFixture(filedFixture);
+
+      await expect(module.connect(other).releaseDeposit(tokenId)).to.be.revertedWith("Inspection window still open");
+      await time.increase(await carLease.FINAL_READING_WINDOW());
+      await expect(module.connect(other).releaseDeposit(tokenId))
+        .to.emit(carLease, "DepositReturned")
+        .withArgs(tokenId, lessee.address, deposit - CLAIM);
+
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit - CLAIM);
+      expect(await carLease.pendingWithdrawal(other.address, ZERO)).to.equal(0n);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(CLAIM);
+      await expect(module.connect(other).releaseDeposit(tokenId)).to.be.revertedWith("No deposit to return");
+
+      await module.connect(other).acceptDamageClaim(tokenId);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(0n);
+    });
+
+    it("only lets the lessee reclaim", async function () {
+      const { carLease, module, other, tokenId } = await loadFixture(completedFixture);
+      await module.waiveDamageClaim(tokenId);
+
+      await expect(carLease.connect(other).reclaimDeposit(tokenId)).to.be.revertedWith("Only lessee can reclaim deposit");
+    });
+  });
+});
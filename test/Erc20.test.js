@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DAY, ZERO, TERMS, deployCarLease, mintOption, commitmentFor, commitAndReveal } = require("./helpers");
+
+describe("CarLease - ERC-20 payment tokens", function () {
+  const MONTHLY = 500_000_000n; // 500 mUSD (6 decimals)
+  const DEPOSIT = 3n * MONTHLY;
+
+  async function tokenFixture() {
+    const fixture = await deployCarLease();
+    const token = await (await ethers.getContractFactory("MockERC20")).deploy("Mock USD", "mUSD", 6);
+    const tokenAddress = await token.getAddress();
+    await fixture.carLease.setPaymentTokenAllowed(tokenAddress, true);
+    await token.mint(fixture.lessee.address, 100n * MONTHLY);
+    const terms = { paymentToken: tokenAddress, monthlyPayment: MONTHLY };
+    return { ...fixture, token, tokenAddress, terms };
+  }
+
+  async function tokenLeaseFixture() {
+    const fixture = await tokenFixture();
+    const { carLease, token, address, lessee, terms } = fixture;
+    const tokenId = await mintOption(carLease, { terms });
+    await token.connect(lessee).approve(address, DEPOSIT);
+    await commitAndReveal(carLease, tokenId, lessee);
+    await carLease.confirmLease(tokenId);
+    return { ...fixture, tokenId };
+  }
+
+  // EIP-2612 permit from `signer` to CarLease for `value`
+  async function permit(token, signer, spender, value, deadline) {
+    const domain = {
+      name: await token.name(),
+      version: "1",
+      chainId: 31337n,
+      verifyingContract: await token.getAddress()
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const nonce = await token.nonces(signer.address);
+    const signature = await signer.signTypedData(domain, types, { owner: signer.address, spender, value, nonce, deadline });
+    return ethers.Signature.from(signature);
+  }
+
+  it("only mints options priced in allow-listed tokens", async function () {
+    const { carLease, other, tokenAddress, terms } = await loadFixture(tokenFixture);
+
+    await expect(mintOption(carLease, { terms: { ...terms, paymentToken: other.address } }))
+      .to.be.revertedWith("Payment token not allowed");
+    await expect(carLease.connect(other).setPaymentTokenAllowed(tokenAddress, false))
+      .to.be.revertedWithCustomError(carLease, "OwnableUnauthorizedAccount");
+    await expect(carLease.setPaymentTokenAllowed(ZERO, true)).to.be.revertedWith("Invalid token");
+
+    await expect(carLease.setPaymentTokenAllowed(tokenAddress, false))
+      .to.emit(carLease, "PaymentTokenUpdated")
+      .withArgs(tokenAddress, false);
+    await expect(mintOption(carLease, { terms })).to.be.revertedWith("Payment token not allowed");
+  });
+
+  it("pulls the deposit in the lease's token and escrows it", async function () {
+    const { carLease, token, address, lessee, terms } = await loadFixture(tokenFixture);
+    const tokenId = await mintOption(carLease, { terms });
+    const secret = ethers.id("secret");
+    await carLease.connect(lessee).commitToLease(tokenId, commitmentFor(tokenId, secret, lessee.address));
+
+    await expect(carLease.connect(lessee).revealAndPay(tokenId, secret, TERMS.durationMonths, MONTHLY, { value: 1n }))
+      .to.be.revertedWith("ETH not accepted for token lease");
+    await expect(carLease.connect(lessee).revealAndPay(tokenId, secret, TERMS.durationMonths, MONTHLY))
+      .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+
+    await token.connect(lessee).approve(address, DEPOSIT);
+    await expect(carLease.connect(lessee).revealAndPay(tokenId, secret, TERMS.durationMonths, MONTHLY))
+      .to.changeTokenBalances(token, [lessee, carLease], [-DEPOSIT, DEPOSIT]);
+    expect(await carLease.totalDepositsHeld(await token.getAddress())).to.equal(DEPOSIT);
+    expect(await carLease.totalDepositsHeld(ZERO)).to.equal(0n);
+  });
+
+  it("collects monthly payments in the token as dealer revenue", async function () {
+    const { carLease, token, tokenAddress, address, owner, lessee, tokenId } = await loadFixture(tokenLeaseFixture);
+    await token.connect(lessee).approve(address, 2n * MONTHLY);
+
+    await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, 2))
+      .to.changeTokenBalances(token, [lessee, carLease], [-2n * MONTHLY, 2n * MONTHLY]);
+    expect(await carLease.withdrawableBalance(owner.address, tokenAddress)).to.equal(2n * MONTHLY);
+    expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(0n);
+
+    await expect(carLease.withdrawRevenue(tokenAddress, owner.address, 2n * MONTHLY))
+      .to.changeTokenBalances(token, [carLease, owner], [-2n * MONTHLY, 2n * MONTHLY]);
+    expect(await token.balanceOf(address)).to.equal(DEPOSIT);
+  });
+
+  it("accepts a permit in place of an approval for the deposit and payments", async function () {
+    const { carLease, token, tokenAddress, address, owner, lessee, terms } = await loadFixture(tokenFixture);
+    const tokenId = await mintOption(carLease, { terms });
+    const secret = ethers.id("secret");
+    await carLease.connect(lessee).commitToLease(tokenId, commitmentFor(tokenId, secret, lessee.address));
+    const deadline = BigInt(await time.latest()) + BigInt(DAY);
+
+    const deposit = await permit(token, lessee, address, DEPOSIT, deadline);
+    await expect(carLease.connect(lessee).revealAndPayWithPermit(
+      tokenId, secret, TERMS.durationMonths, MONTHLY, deadline, deposit.v, deposit.r, deposit.s
+    )).to.changeTokenBalances(token, [lessee, carLease], [-DEPOSIT, DEPOSIT]);
+    await carLease.confirmLease(tokenId);
+
+    const payment = await permit(token, lessee, address, MONTHLY, deadline);
+    await expect(carLease.connect(lessee).makeMonthlyPaymentWithPermit(tokenId, 1, deadline, payment.v, payment.r, payment.s))
+      .to.changeTokenBalances(token, [lessee, carLease], [-MONTHLY, MONTHLY]);
+    expect(await carLease.withdrawableBalance(owner.address, tokenAddress)).to.equal(MONTHLY);
+    expect(await token.allowance(lessee.address, address)).to.equal(0n);
+  });
+
+  it("credits token refunds and pays them out with withdraw(asset)", async function () {
+    const { carLease, module, token, tokenAddress, address, lessee, tokenId } = await loadFixture(tokenLeaseFixture);
+    await carLease.terminateLease(tokenId);
+    await time.increase(await carLease.FINAL_READING_WINDOW());
+    await module.releaseDeposit(tokenId);
+
+    expect(await carLease.pendingWithdrawal(lessee.address, tokenAddress)).to.equal(DEPOSIT);
+    expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(0n);
+    await expect(carLease.connect(lessee).withdraw(ZERO, lessee.address)).to.be.revertedWith("Nothing to withdraw");
+
+    await expect(carLease.connect(lessee).withdraw(tokenAddress, lessee.address))
+      .to.changeTokenBalances(token, [carLease, lessee], [-DEPOSIT, DEPOSIT]);
+    expect(await carLease.pendingWithdrawal(lessee.address, tokenAddress)).to.equal(0n);
+    expect(await token.balanceOf(address)).to.equal(0n);
+  });
+});
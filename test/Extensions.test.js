@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DAY, ZERO, TERMS, deployCarLease, activeLease, pay } = require("./helpers");
+
+describe("CarLease - dealer-approved lease extensions", function () {
+  const RAISED = (TERMS.monthlyPayment * 11n) / 10n; // +10%
+  const LOWERED = (TERMS.monthlyPayment * 9n) / 10n; // -10%
+
+  async function leaseFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    return { ...fixture, tokenId, deposit: 3n * TERMS.monthlyPayment };
+  }
+
+  async function offeredFixture() {
+    const fixture = await leaseFixture();
+    await fixture.carLease.offerExtension(fixture.tokenId, 6, RAISED);
+    return fixture;
+  }
+
+  describe("offerExtension", function () {
+    it("records an offer that expires after the offer window", async function () {
+      const { carLease, lessee, tokenId } = await loadFixture(leaseFixture);
+
+      const tx = carLease.offerExtension(tokenId, 6, RAISED);
+      const expiresAt = BigInt(await time.latest()) + 1n + (await carLease.EXTENSION_OFFER_WINDOW());
+      await expect(tx).to.emit(carLease, "ExtensionOffered").withArgs(tokenId, lessee.address, 6, RAISED, expiresAt);
+      const offer = await carLease.getExtensionOffer(tokenId);
+      expect(offer.additionalMonths).to.equal(6n);
+      expect(offer.newMonthlyPayment).to.equal(RAISED);
+      expect(offer.expiresAt).to.equal(expiresAt);
+
+      await carLease.offerExtension(tokenId, 3, LOWERED);
+      expect((await carLease.getExtensionOffer(tokenId)).additionalMonths).to.equal(3n);
+    });
+
+    it("bounds the extension length and the payment change", async function () {
+      const { carLease, lessee, tokenId } = await loadFixture(leaseFixture);
+      const maxMonths = await carLease.MAX_EXTENSION_MONTHS();
+      const maxChange = (TERMS.monthlyPayment * (await carLease.MAX_PAYMENT_CHANGE_BPS())) / 10_000n;
+
+      await expect(carLease.connect(lessee).offerExtension(tokenId, 6, RAISED)).to.be.revertedWith("Not the token's dealer");
+      await expect(carLease.offerExtension(tokenId, 0, RAISED)).to.be.revertedWith("Invalid extension length");
+      await expect(carLease.offerExtension(tokenId, maxMonths + 1n, RAISED)).to.be.revertedWith("Invalid extension length");
+      await expect(carLease.offerExtension(tokenId, 6, TERMS.monthlyPayment + maxChange + 1n))
+        .to.be.revertedWith("Payment change out of bounds");
+      await expect(carLease.offerExtension(tokenId, 6, TERMS.monthlyPayment - maxChange - 1n))
+        .to.be.revertedWith("Payment change out of bounds");
+
+      await expect(carLease.offerExtension(tokenId, maxMonths, TERMS.monthlyPayment + maxChange))
+        .to.emit(carLease, "ExtensionOffered");
+    });
+  });
+
+  describe("extendLease", function () {
+    it("applies the offered terms and tops up the deposit", async function () {
+      const { carLease, lessee, tokenId, deposit } = await loadFixture(offeredFixture);
+      const topUp = 3n * RAISED - deposit;
+
+      await expect(carLease.connect(lessee).extendLease(tokenId, 6, RAISED, { value: topUp - 1n }))
+        .to.be.revertedWith("Incorrect additional deposit");
+      await expect(carLease.connect(lessee).extendLease(tokenId, 6, RAISED, { value: topUp }))
+        .to.emit(carLease, "LeaseExtended")
+        .withArgs(tokenId, lessee.address, TERMS.durationMonths + 6, RAISED, topUp);
+
+      const lease = await carLease.getLease(tokenId);
+      expect(lease.durationMonths).to.equal(BigInt(TERMS.durationMonths + 6));
+      expect(lease.monthlyPayment).to.equal(RAISED);
+      expect(lease.deposit).to.equal(3n * RAISED);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(3n * RAISED);
+      expect((await carLease.getExtensionOffer(tokenId)).expiresAt).to.equal(0n);
+      await expect(carLease.connect(lessee).extendLease(tokenId, 6, RAISED)).to.be.revertedWith("No extension offer");
+    });
+
+    it("keeps the existing deposit when the payment goes down", async function () {
+      const { carLease, lessee, tokenId, deposit } = await loadFixture(leaseFixture);
+      await carLease.offerExtension(tokenId, 3, LOWERED);
+
+      await expect(carLease.connect(lessee).extendLease(tokenId, 3, LOWERED))
+        .to.emit(carLease, "LeaseExtended")
+        .withArgs(tokenId, lessee.address, TERMS.durationMonths + 3, LOWERED, 0);
+      expect((await carLease.getLease(tokenId)).deposit).to.equal(deposit);
+    });
+
+    it("runs the payment schedule over the extended term at the new payment", async function () {
+      const { carLease, lessee, tokenId } = await loadFixture(offeredFixture);
+      await carLease.connect(lessee).extendLease(tokenId, 6, RAISED, { value: 3n * (RAISED - TERMS.monthlyPayment) });
+
+      await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, 1, { value: TERMS.monthlyPayment }))
+        .to.be.revertedWith("Incorrect payment amount");
+      await expect(pay(carLease, tokenId, lessee, TERMS.durationMonths))
+        .to.emit(carLease, "MonthlyPaid")
+        .and.not.to.emit(carLease, "LeaseCompleted");
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(3n);
+
+      const [principal] = await carLease.getAmountDue(tokenId);
+      expect(principal).to.equal(0n);
+      await expect(pay(carLease, tokenId, lessee, 7)).to.be.revertedWith("Exceeds remaining payments");
+      await expect(pay(carLease, tokenId, lessee, 6)).to.emit(carLease, "LeaseCompleted");
+      const lease = await carLease.getLease(tokenId);
+      expect(lease.paymentsMade).to.equal(BigInt(TERMS.durationMonths + 6));
+      expect(lease.completed).to.equal(true);
+    });
+
+    it("only accepts the live offer, from the lessee, with payments current", async function () {
+      const { carLease, lessee, other, tokenId } = await loadFixture(offeredFixture);
+      const topUp = 3n * (RAISED - TERMS.monthlyPayment);
+
+      await expect(carLease.connect(other).extendLease(tokenId, 6, RAISED, { value: topUp }))
+        .to.be.revertedWith("Only lessee can extend");
+      await expect(carLease.connect(lessee).extendLease(tokenId, 7, RAISED, { value: topUp }))
+        .to.be.revertedWith("Does not match extension offer");
+      await expect(carLease.connect(lessee).extendLease(tokenId, 6, TERMS.monthlyPayment))
+        .to.be.revertedWith("Does not match extension offer");
+
+      const { expiresAt } = await carLease.getExtensionOffer(tokenId);
+      await time.increaseTo(expiresAt);
+      await expect(carLease.connect(lessee).extendLease(tokenId, 6, RAISED, { value: topUp }))
+        .to.be.revertedWith("Extension offer expired");
+
+      // First payment falls due after one payment period
+      await time.increase(31 * DAY);
+      await carLease.offerExtension(tokenId, 6, RAISED);
+      await expect(carLease.connect(lessee).extendLease(tokenId, 6, RAISED, { value: topUp }))
+        .to.be.revertedWith("Payments not current");
+      await pay(carLease, tokenId, lessee);
+      await expect(carLease.connect(lessee).extendLease(tokenId, 6, RAISED, { value: topUp }))
+        .to.emit(carLease, "LeaseExtended");
+    });
+
+    it("drops a pending offer when the lease is no longer active", async function () {
+      const { carLease, lessee, tokenId } = await loadFixture(offeredFixture);
+      await carLease.terminateLease(tokenId);
+
+      await expect(carLease.connect(lessee).extendLease(tokenId, 6, RAISED, { value: ethers.parseEther("0.15") }))
+        .to.be.revertedWith("Lease not active");
+      await expect(carLease.offerExtension(tokenId, 6, RAISED)).to.be.revertedWith("Lease not active");
+    });
+  });
+});
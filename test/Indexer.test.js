@@ -0,0 +1,133 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { emptyLedger, loadLedger, saveLedger, sync, exportReports } = require("../scripts/indexer");
+const { DAY, ZERO, TERMS, deployCarLease, activeLease, pay } = require("./helpers");
+
+const OPTIONS = { startBlock: 0, blockRange: 2000, confirmations: 0 };
+
+describe("Indexer - ledger replay and CSV export", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "carlease-indexer-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Deposit, one monthly payment, an early exit by the lessee and the refund after inspection
+  async function terminatedFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    await pay(fixture.carLease, tokenId, fixture.lessee);
+    const [penalty, refund] = await fixture.carLease.getTerminationQuote(tokenId);
+    await fixture.carLease.connect(fixture.lessee).terminateLease(tokenId);
+    await time.increase(await fixture.carLease.FINAL_READING_WINDOW());
+    await fixture.carLease.connect(fixture.lessee).reclaimDeposit(tokenId);
+    return { ...fixture, tokenId, deposit: 3n * TERMS.monthlyPayment, penalty, refund };
+  }
+
+  it("totals the deposit, payment and termination of a lease", async function () {
+    const { carLease, address, owner, lessee, tokenId, deposit, penalty, refund } = await loadFixture(terminatedFixture);
+    const ledgerFile = path.join(dir, "ledger.json");
+    const ledger = emptyLedger(31337, address, 0);
+
+    expect(await sync(ledger, ledgerFile, carLease, address, OPTIONS)).to.be.greaterThan(0);
+
+    const token = ledger.tokens[tokenId.toString()];
+    expect(token.status).to.equal("Terminated");
+    expect(token.dealer).to.equal(owner.address);
+    expect(token.lease.lessee).to.equal(lessee.address);
+    expect(token.lease.paymentsMade).to.equal(1);
+    expect(token.lease.depositHeld).to.equal("0");
+    expect(token.totals).to.include({
+      depositsPaid: deposit.toString(),
+      payments: TERMS.monthlyPayment.toString(),
+      lateFees: "0",
+      penalties: penalty.toString(),
+      refunds: refund.toString(),
+      depositsClaimed: "0"
+    });
+    expect(penalty + refund).to.equal(deposit);
+
+    expect(ledger.journal.map((j) => j.type)).to.deep.equal(["deposit", "payment", "penalty", "refund"]);
+    const [depositEntry, paymentEntry] = ledger.journal;
+    expect(depositEntry).to.include({ from: lessee.address, to: "escrow", amount: deposit.toString(), asset: ZERO });
+    expect(paymentEntry).to.include({ from: lessee.address, to: owner.address, amount: TERMS.monthlyPayment.toString() });
+  });
+
+  it("books a claimed default once, as a deposit claim", async function () {
+    const { carLease, address, owner, lessee } = await loadFixture(deployCarLease);
+    const tokenId = await activeLease(carLease, lessee);
+    const deposit = 3n * TERMS.monthlyPayment;
+    // No payments: in default once the first payment is past the grace period
+    await time.increase(120 * DAY);
+    await carLease.claimDeposit(tokenId);
+
+    const ledger = emptyLedger(31337, address, 0);
+    await sync(ledger, path.join(dir, "ledger.json"), carLease, address, OPTIONS);
+
+    const token = ledger.tokens[tokenId.toString()];
+    expect(token.status).to.equal("Defaulted");
+    expect(token.lease.depositHeld).to.equal("0");
+    expect(token.totals).to.include({
+      depositsPaid: deposit.toString(),
+      penalties: "0",
+      refunds: "0",
+      depositsClaimed: deposit.toString()
+    });
+    expect(ledger.journal.map((j) => j.type)).to.deep.equal(["deposit", "deposit_claim"]);
+    expect(ledger.journal[1]).to.include({ from: "escrow", to: owner.address, amount: deposit.toString(), note: "default" });
+  });
+
+  it("resumes from the saved ledger without double counting", async function () {
+    const { carLease, address, lessee, tokenId, deposit } = await loadFixture(terminatedFixture);
+    const ledgerFile = path.join(dir, "ledger.json");
+    await sync(emptyLedger(31337, address, 0), ledgerFile, carLease, address, OPTIONS);
+
+    await carLease.connect(lessee).withdraw(ZERO, lessee.address);
+    const ledger = loadLedger(ledgerFile, 31337, address, 0);
+    expect(await sync(ledger, ledgerFile, carLease, address, OPTIONS)).to.equal(1);
+    expect(await sync(ledger, ledgerFile, carLease, address, OPTIONS)).to.equal(0);
+
+    expect(ledger.tokens[tokenId.toString()].totals.depositsPaid).to.equal(deposit.toString());
+    expect(ledger.journal.map((j) => j.type)).to.deep.equal(["deposit", "payment", "penalty", "refund", "withdrawal"]);
+    expect(() => loadLedger(ledgerFile, 1, address, 0)).to.throw(/belongs to/);
+  });
+
+  it("exports the ledger totals to CSV", async function () {
+    const { carLease, address, lessee, tokenId, deposit, penalty, refund } = await loadFixture(terminatedFixture);
+    const ledgerFile = path.join(dir, "ledger.json");
+    const ledger = emptyLedger(31337, address, 0);
+    await sync(ledger, ledgerFile, carLease, address, OPTIONS);
+    saveLedger(ledgerFile, ledger);
+
+    const report = exportReports(ledger, dir);
+    expect(report).to.include({ tokenCount: 1, journalCount: 4 });
+
+    const [header, row] = fs.readFileSync(report.leasesFile, "utf8").trim().split("\n").map((line) => line.split(","));
+    const lease = Object.fromEntries(header.map((column, i) => [column, row[i]]));
+    expect(lease).to.include({
+      tokenId: tokenId.toString(),
+      asset: "ETH",
+      status: "Terminated",
+      lessee: lessee.address,
+      paymentsMade: "1",
+      depositHeld: "0.0",
+      depositsPaid: ethers.formatEther(deposit),
+      payments: ethers.formatEther(TERMS.monthlyPayment),
+      penalties: ethers.formatEther(penalty),
+      refunds: ethers.formatEther(refund)
+    });
+
+    const journal = fs.readFileSync(report.journalFile, "utf8").trim().split("\n");
+    expect(journal).to.have.length(5);
+    expect(journal[0]).to.equal("date,block,tx,logIndex,tokenId,type,from,to,amount,asset,amountRaw,note");
+    expect(journal[4]).to.contain(`,refund,escrow,${lessee.address},${ethers.formatEther(refund)},ETH,${refund},deposit returned`);
+  });
+});
@@ -0,0 +1,143 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DAY, ZERO, TERMS, deployCarLease, mintOption, commitAndReveal, activeLease, pay } = require("./helpers");
+
+/**
+ * Runs `lease keeper` against the fixture's contract and returns its JSON result.
+ * Output is silenced; the task prints the same result it returns.
+ */
+async function keeper(address, args = {}) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await hre.run({ scope: "lease", task: "keeper" }, { contract: address, json: true, ...args });
+  } finally {
+    console.log = log;
+  }
+}
+
+const summary = (result) => result.actions.map((a) => `${a.type} #${a.tokenId} ${a.status}`);
+
+describe("Keeper - lease keeper task", function () {
+  afterEach(function () {
+    // A failed action sets exit status 1
+    process.exitCode = undefined;
+  });
+
+  async function activeFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    return { ...fixture, tokenId };
+  }
+
+  it("reports payments due soon without planning anything", async function () {
+    const { address, tokenId } = await loadFixture(activeFixture);
+    await time.increase(25 * DAY);
+
+    const result = await keeper(address);
+    expect(result.mode).to.equal("dry-run");
+    expect(result.upcoming.map((e) => e.tokenId)).to.deep.equal([tokenId]);
+    expect(result.overdue).to.have.length(0);
+    expect(result.actions).to.have.length(0);
+  });
+
+  it("reports overdue payments with late fees before the lease defaults", async function () {
+    const { address, tokenId } = await loadFixture(activeFixture);
+    await time.increase(36 * DAY);
+
+    const result = await keeper(address, { execute: true });
+    expect(result.overdue).to.have.length(1);
+    const [overdue] = result.overdue;
+    expect(overdue.tokenId).to.equal(tokenId);
+    expect(overdue.principal).to.equal(TERMS.monthlyPayment);
+    expect(overdue.fees).to.be.greaterThan(0n);
+    expect(result.claimable).to.have.length(0);
+    expect(result.actions).to.have.length(0);
+  });
+
+  it("simulates the default claim in a dry run and sends it with --execute", async function () {
+    const { carLease, address, owner, tokenId } = await loadFixture(activeFixture);
+    await time.increase(80 * DAY);
+    const deposit = 3n * TERMS.monthlyPayment;
+
+    const dryRun = await keeper(address);
+    expect(dryRun.claimable.map((e) => e.tokenId)).to.deep.equal([tokenId]);
+    expect(summary(dryRun)).to.deep.equal([`claimDeposit #${tokenId} ready`]);
+    expect(dryRun.actions[0].signer).to.equal(owner.address);
+    expect((await carLease.getLease(tokenId)).deposit).to.equal(deposit);
+
+    const executed = await keeper(address, { execute: true });
+    expect(executed.mode).to.equal("execute");
+    expect(summary(executed)).to.deep.equal([`claimDeposit #${tokenId} sent`]);
+    expect(executed.actions[0].events.map((e) => e.name)).to.include("DepositClaimed");
+    expect(await carLease.getLeaseStatus(tokenId)).to.equal(6n); // Defaulted
+    expect(await carLease.pendingWithdrawal(owner.address, ZERO)).to.equal(deposit);
+
+    const after = await keeper(address);
+    expect(after.claimable).to.have.length(0);
+    expect(after.actions).to.have.length(0);
+  });
+
+  it("releases a deposit left unreclaimed past the return window", async function () {
+    const { carLease, address, lessee, tokenId } = await loadFixture(activeFixture);
+    await pay(carLease, tokenId, lessee, TERMS.durationMonths);
+    const deposit = 3n * TERMS.monthlyPayment;
+
+    expect((await keeper(address)).unreclaimedDeposits).to.have.length(0);
+    await time.increase(15 * DAY);
+
+    const dryRun = await keeper(address);
+    expect(dryRun.unreclaimedDeposits.map((e) => e.tokenId)).to.deep.equal([tokenId]);
+    expect(summary(dryRun)).to.deep.equal([`releaseDeposit #${tokenId} ready`]);
+    expect((await carLease.getLease(tokenId)).deposit).to.equal(deposit);
+
+    const executed = await keeper(address, { execute: true });
+    expect(summary(executed)).to.deep.equal([`releaseDeposit #${tokenId} sent`]);
+    expect((await carLease.getLease(tokenId)).deposit).to.equal(0n);
+    expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit);
+  });
+
+  describe("applications past their confirmation deadline", function () {
+    async function unconfirmedFixture() {
+      const fixture = await deployCarLease();
+      const tokenId = await mintOption(fixture.carLease);
+      await commitAndReveal(fixture.carLease, tokenId, fixture.lessee);
+      await time.increaseTo((await fixture.carLease.getLease(tokenId)).confirmDeadline + 1n);
+      return { ...fixture, tokenId };
+    }
+
+    it("refunds them as the lessee", async function () {
+      const { carLease, address, lessee, tokenId } = await loadFixture(unconfirmedFixture);
+
+      const executed = await keeper(address, { execute: true });
+      expect(executed.unconfirmed.map((e) => e.tokenId)).to.deep.equal([tokenId]);
+      expect(summary(executed)).to.deep.equal([`refundUnconfirmedDeposit #${tokenId} sent`]);
+      expect(executed.actions[0].signer).to.equal(lessee.address);
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(7n); // Cancelled
+    });
+
+    it("does not reject them as the dealer unless asked to", async function () {
+      const { carLease, address, tokenId } = await loadFixture(unconfirmedFixture);
+
+      const executed = await keeper(address, { execute: true, from: "0" });
+      expect(summary(executed)).to.deep.equal([`refundUnconfirmedDeposit #${tokenId} skipped`]);
+      expect(executed.actions[0].error).to.contain("--reject-unconfirmed");
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(2n); // PendingConfirmation
+    });
+
+    it("rejects them as the dealer with --reject-unconfirmed", async function () {
+      const { carLease, address, owner, lessee, tokenId } = await loadFixture(unconfirmedFixture);
+
+      const dryRun = await keeper(address, { rejectUnconfirmed: true, from: "0" });
+      expect(summary(dryRun)).to.deep.equal([`rejectLease #${tokenId} ready`]);
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(2n);
+
+      const executed = await keeper(address, { execute: true, rejectUnconfirmed: true, from: "0" });
+      expect(summary(executed)).to.deep.equal([`rejectLease #${tokenId} sent`]);
+      expect(executed.actions[0].signer).to.equal(owner.address);
+      expect(await carLease.getLeaseStatus(tokenId)).to.equal(0n); // Available
+      expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(3n * TERMS.monthlyPayment);
+    });
+  });
+});
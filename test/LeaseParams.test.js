@@ -0,0 +1,300 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ethers } = hre;
+const { loadFixture, time, setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+const { currentLayout } = require("../scripts/lib/storage-layout");
+const { DAY, CAR, TERMS, deployCarLease, mintOption, commitmentFor, commitAndReveal, activeLease, pay } = require("./helpers");
+
+describe("CarLease - lease parameters and rate snapshots", function () {
+  // Storage slot of a CarLeaseBase state variable
+  async function slotOf(label) {
+    const { storage } = await currentLayout(hre);
+    return BigInt(storage.find((s) => s.label === label).slot);
+  }
+
+  // Zeroes leaseParams, as on a proxy upgraded from an implementation without them
+  async function clearLeaseParams(address) {
+    await setStorageAt(address, await slotOf("leaseParams"), 0);
+  }
+
+  // Current parameters with some values replaced
+  async function paramsWith(carLease, overrides) {
+    return { ...(await carLease.leaseParams()).toObject(), ...overrides };
+  }
+
+  // Proposes changed parameters; returns them and their eta
+  async function proposed(carLease, overrides) {
+    const params = await paramsWith(carLease, overrides);
+    await carLease.proposeLeaseParams(params);
+    const { eta } = await carLease.pendingLeaseParams();
+    return { params, eta };
+  }
+
+  it("refuses commitments and reveals while the lease parameters are unset", async function () {
+    const { carLease, address, lessee } = await loadFixture(deployCarLease);
+    const tokenId = await mintOption(carLease);
+    const secret = ethers.id("secret");
+    await carLease.connect(lessee).commitToLease(tokenId, commitmentFor(tokenId, secret, lessee.address));
+
+    await clearLeaseParams(address);
+    await expect(carLease.connect(lessee).revealAndPay(tokenId, secret, TERMS.durationMonths, TERMS.monthlyPayment))
+      .to.be.revertedWith("Lease params not set");
+
+    const next = await mintOption(carLease);
+    await expect(carLease.connect(lessee).commitToLease(next, commitmentFor(next, secret, lessee.address)))
+      .to.be.revertedWith("Lease params not set");
+  });
+
+  it("starts with the default rates", async function () {
+    const { carLease } = await loadFixture(deployCarLease);
+
+    const params = await carLease.leaseParams();
+    expect(params.lateFeeBps).to.equal(500n);
+    expect(params.earlyTerminationPenaltyBps).to.equal(2_500n);
+  });
+
+  it("keeps the late fee and termination penalty a lease was revealed under", async function () {
+    const { carLease, lessee } = await loadFixture(deployCarLease);
+    const tokenId = await activeLease(carLease, lessee);
+    const [penalty] = await carLease.getTerminationQuote(tokenId);
+    const { eta } = await proposed(carLease, { lateFeeBps: 2_000, earlyTerminationPenaltyBps: 10_000 });
+    await time.increaseTo(eta);
+    await carLease.applyLeaseParams();
+    await time.increase(40 * DAY);
+
+    const [, fees] = await carLease.getAmountDue(tokenId);
+    expect(fees).to.equal((TERMS.monthlyPayment * 500n) / 10_000n);
+    const lease = await carLease.getLease(tokenId);
+    expect(lease.lateFeeBps).to.equal(500n);
+    expect(lease.earlyTerminationPenaltyBps).to.equal(2_500n);
+    expect((await carLease.getTerminationQuote(tokenId))[0]).to.equal(penalty);
+    await expect(pay(carLease, tokenId, lessee)).to.emit(carLease, "LateFeeCharged");
+  });
+
+  it("applies changed rates to leases revealed afterwards", async function () {
+    const { carLease, lessee } = await loadFixture(deployCarLease);
+    const { eta } = await proposed(carLease, { lateFeeBps: 2_000, earlyTerminationPenaltyBps: 5_000 });
+    await time.increaseTo(eta);
+    await carLease.applyLeaseParams();
+
+    const tokenId = await mintOption(carLease);
+    await commitAndReveal(carLease, tokenId, lessee);
+    const lease = await carLease.getLease(tokenId);
+    expect(lease.lateFeeBps).to.equal(2_000n);
+    expect(lease.earlyTerminationPenaltyBps).to.equal(5_000n);
+  });
+
+  describe("timelocked changes", function () {
+    it("queues a proposal until PARAMS_TIMELOCK has passed", async function () {
+      const { carLease } = await loadFixture(deployCarLease);
+      const before = await carLease.leaseParams();
+      const params = await paramsWith(carLease, { paymentGrace: 60 * DAY, lateFeeBps: 300 });
+
+      const now = BigInt(await time.latest()) + 10n;
+      const eta = now + (await carLease.PARAMS_TIMELOCK());
+      await time.setNextBlockTimestamp(now);
+      await expect(carLease.proposeLeaseParams(params)).to.emit(carLease, "LeaseParamsProposed").withArgs(Object.values(params), eta);
+
+      const pending = await carLease.pendingLeaseParams();
+      expect(pending.eta).to.equal(eta);
+      expect(pending.paymentGrace).to.equal(BigInt(60 * DAY));
+      expect(pending.lateFeeBps).to.equal(300n);
+      expect(await carLease.leaseParams()).to.deep.equal(before);
+    });
+
+    it("applies the proposal from its eta, not a second earlier", async function () {
+      const { carLease } = await loadFixture(deployCarLease);
+      const before = await carLease.leaseParams();
+      const { params, eta } = await proposed(carLease, { earlyTerminationPenaltyBps: 1_000 });
+
+      await time.setNextBlockTimestamp(eta - 1n);
+      await expect(carLease.applyLeaseParams()).to.be.revertedWith("Timelock not expired");
+
+      await expect(carLease.applyLeaseParams())
+        .to.emit(carLease, "LeaseParamsUpdated")
+        .withArgs(Object.values(before.toObject()), Object.values(params));
+      expect((await carLease.leaseParams()).earlyTerminationPenaltyBps).to.equal(1_000n);
+      expect((await carLease.pendingLeaseParams()).eta).to.equal(0n);
+      await expect(carLease.applyLeaseParams()).to.be.revertedWith("No pending params");
+    });
+
+    it("restarts the timelock when a proposal is replaced", async function () {
+      const { carLease } = await loadFixture(deployCarLease);
+      const { eta: first } = await proposed(carLease, { lateFeeBps: 300 });
+      await time.increase(DAY);
+      const { eta: second } = await proposed(carLease, { lateFeeBps: 400 });
+
+      expect(second).to.be.greaterThan(first);
+      await time.setNextBlockTimestamp(first);
+      await expect(carLease.applyLeaseParams()).to.be.revertedWith("Timelock not expired");
+      await time.increaseTo(second);
+      await carLease.applyLeaseParams();
+      expect((await carLease.leaseParams()).lateFeeBps).to.equal(400n);
+    });
+
+    it("lets the owner cancel a proposal", async function () {
+      const { carLease } = await loadFixture(deployCarLease);
+      const { params, eta } = await proposed(carLease, { lateFeeBps: 300 });
+
+      await expect(carLease.cancelLeaseParams())
+        .to.emit(carLease, "LeaseParamsCancelled")
+        .withArgs(Object.values(params));
+      expect((await carLease.pendingLeaseParams()).eta).to.equal(0n);
+      await time.increaseTo(eta);
+      await expect(carLease.applyLeaseParams()).to.be.revertedWith("No pending params");
+      await expect(carLease.cancelLeaseParams()).to.be.revertedWith("No pending params");
+      expect((await carLease.leaseParams()).lateFeeBps).to.equal(500n);
+    });
+
+    it("checks the bounds of every parameter", async function () {
+      const { carLease } = await loadFixture(deployCarLease);
+      const cases = [
+        [{ revealWindow: 60 * 60 - 1 }, "Reveal window out of range"],
+        [{ confirmWindow: 31 * DAY }, "Confirm window out of range"],
+        [{ paymentPeriod: 6 * DAY }, "Payment period out of range"],
+        [{ paymentGrace: 29 * DAY }, "Payment grace out of range"],
+        [{ depositMultiplier: 0 }, "Deposit multiplier out of range"],
+        [{ lateFeeBps: (await carLease.MAX_LATE_FEE_BPS()) + 1n }, "Late fee too high"],
+        [{ earlyTerminationPenaltyBps: 10_001 }, "Penalty exceeds 100%"]
+      ];
+
+      for (const [overrides, message] of cases) {
+        await expect(carLease.proposeLeaseParams(await paramsWith(carLease, overrides))).to.be.revertedWith(message);
+      }
+      await expect(carLease.proposeLeaseParams(await paramsWith(carLease, { lateFeeBps: 2_000, earlyTerminationPenaltyBps: 10_000 })))
+        .to.emit(carLease, "LeaseParamsProposed");
+    });
+
+    it("only lets the platform owner change parameters", async function () {
+      const { carLease, dealer2 } = await loadFixture(deployCarLease);
+      const params = await paramsWith(carLease, { lateFeeBps: 300 });
+      await carLease.onboardDealer(dealer2.address);
+
+      for (const call of [
+        () => carLease.connect(dealer2).proposeLeaseParams(params),
+        () => carLease.connect(dealer2).applyLeaseParams(),
+        () => carLease.connect(dealer2).cancelLeaseParams()
+      ]) {
+        await expect(call()).to.be.revertedWithCustomError(carLease, "OwnableUnauthorizedAccount");
+      }
+      expect(carLease.interface.getFunction("setLateFee")).to.equal(null);
+      expect(carLease.interface.getFunction("setEarlyTerminationPenalty")).to.equal(null);
+    });
+
+    it("applies the first proposal at once while no parameters are set", async function () {
+      const { carLease, address } = await loadFixture(deployCarLease);
+      await clearLeaseParams(address);
+      const params = await paramsWith(carLease, { paymentPeriod: 30 * DAY, paymentGrace: 45 * DAY, depositMultiplier: 3, revealWindow: DAY, confirmWindow: DAY, lateFeeBps: 500, earlyTerminationPenaltyBps: 2_500 });
+
+      await expect(carLease.proposeLeaseParams(params)).to.emit(carLease, "LeaseParamsUpdated");
+      expect((await carLease.leaseParams()).paymentPeriod).to.equal(BigInt(30 * DAY));
+      expect((await carLease.pendingLeaseParams()).eta).to.equal(0n);
+    });
+  });
+
+  describe("migrateLeaseRates", function () {
+    // Rates left in the pre-leaseParams variables, as on a proxy upgraded from such an implementation
+    async function legacyFixture() {
+      const fixture = await deployCarLease();
+      const params = (await fixture.carLease.leaseParams()).toObject();
+      const slot = await slotOf("leaseParams");
+      await setStorageAt(fixture.address, await slotOf("lateFeeBps"), 700);
+      await setStorageAt(fixture.address, await slotOf("earlyTerminationPenaltyBps"), 3_000);
+      // Only the first five members existed: drop the appended rates
+      const packed = ethers.toBigInt(await ethers.provider.getStorage(fixture.address, slot));
+      await setStorageAt(fixture.address, slot, packed & ((1n << 136n) - 1n));
+      return { ...fixture, params };
+    }
+
+    it("moves the old rates into leaseParams once", async function () {
+      const { carLease, module, params } = await loadFixture(legacyFixture);
+      expect((await carLease.leaseParams()).lateFeeBps).to.equal(0n);
+
+      await expect(module.migrateLeaseRates())
+        .to.emit(carLease, "LeaseParamsUpdated")
+        .withArgs(
+          Object.values({ ...params, lateFeeBps: 0n, earlyTerminationPenaltyBps: 0n }),
+          Object.values({ ...params, lateFeeBps: 700n, earlyTerminationPenaltyBps: 3_000n })
+        );
+      const current = await carLease.leaseParams();
+      expect(current.lateFeeBps).to.equal(700n);
+      expect(current.earlyTerminationPenaltyBps).to.equal(3_000n);
+      expect(current.paymentPeriod).to.equal(params.paymentPeriod);
+      await expect(module.migrateLeaseRates()).to.be.revertedWith("Nothing to migrate");
+    });
+
+    it("gives a pending proposal the old rates and unset parameters the defaults", async function () {
+      const { carLease, module, address } = await loadFixture(legacyFixture);
+      const { eta } = await proposed(carLease, { paymentGrace: 60 * DAY });
+      await module.migrateLeaseRates();
+
+      await time.increaseTo(eta);
+      await carLease.applyLeaseParams();
+      const applied = await carLease.leaseParams();
+      expect(applied.paymentGrace).to.equal(BigInt(60 * DAY));
+      expect(applied.lateFeeBps).to.equal(700n);
+
+      await clearLeaseParams(address);
+      await setStorageAt(address, await slotOf("lateFeeBps"), 100);
+      await module.migrateLeaseRates();
+      const defaults = await carLease.leaseParams();
+      expect(defaults.paymentPeriod).to.equal(BigInt(30 * DAY));
+      expect(defaults.lateFeeBps).to.equal(100n);
+      expect(defaults.earlyTerminationPenaltyBps).to.equal(0n);
+    });
+
+    it("only runs for the owner on a deployment with old rates", async function () {
+      const { carLease, module, lessee } = await loadFixture(legacyFixture);
+
+      await expect(module.connect(lessee).migrateLeaseRates())
+        .to.be.revertedWithCustomError(carLease, "OwnableUnauthorizedAccount");
+      const fresh = await deployCarLease();
+      await expect(fresh.module.migrateLeaseRates()).to.be.revertedWith("Nothing to migrate");
+    });
+  });
+
+  describe("pause", function () {
+    it("stops new mints, commitments and reveals", async function () {
+      const { carLease, owner, lessee } = await loadFixture(deployCarLease);
+      const tokenId = await mintOption(carLease);
+      const secret = ethers.id("secret");
+      await carLease.connect(lessee).commitToLease(tokenId, commitmentFor(tokenId, secret, lessee.address));
+
+      await expect(carLease.pause()).to.emit(carLease, "Paused").withArgs(owner.address);
+      expect(await carLease.paused()).to.equal(true);
+      await expect(mintOption(carLease)).to.be.revertedWith("Paused");
+      await expect(carLease.mintOptionsBatch([CAR], [TERMS])).to.be.revertedWith("Paused");
+      await expect(carLease.connect(lessee).revealAndPay(tokenId, secret, TERMS.durationMonths, TERMS.monthlyPayment, { value: 3n * TERMS.monthlyPayment }))
+        .to.be.revertedWith("Paused");
+      const other = await carLease.totalMinted();
+      await expect(carLease.connect(lessee).commitToLease(other, commitmentFor(other, secret, lessee.address)))
+        .to.be.revertedWith("Paused");
+
+      await expect(carLease.unpause()).to.emit(carLease, "Unpaused").withArgs(owner.address);
+      await expect(carLease.connect(lessee).revealAndPay(tokenId, secret, TERMS.durationMonths, TERMS.monthlyPayment, { value: 3n * TERMS.monthlyPayment }))
+        .to.emit(carLease, "LeaseSignedRevealed");
+    });
+
+    it("keeps existing leases running", async function () {
+      const { carLease, lessee } = await loadFixture(deployCarLease);
+      const tokenId = await activeLease(carLease, lessee);
+      const pending = await mintOption(carLease);
+      await commitAndReveal(carLease, pending, lessee, ethers.id("other secret"));
+      await carLease.pause();
+
+      await expect(carLease.confirmLease(pending)).to.emit(carLease, "LeaseConfirmed");
+      await expect(pay(carLease, tokenId, lessee)).to.emit(carLease, "MonthlyPaid");
+      await expect(carLease.connect(lessee).terminateLease(tokenId)).to.emit(carLease, "LeaseTerminated");
+    });
+
+    it("is owner-only and cannot be repeated", async function () {
+      const { carLease, dealer2 } = await loadFixture(deployCarLease);
+
+      await expect(carLease.unpause()).to.be.revertedWith("Not paused");
+      await expect(carLease.connect(dealer2).pause()).to.be.revertedWithCustomError(carLease, "OwnableUnauthorizedAccount");
+      await carLease.pause();
+      await expect(carLease.pause()).to.be.revertedWith("Already paused");
+      await expect(carLease.connect(dealer2).unpause()).to.be.revertedWithCustomError(carLease, "OwnableUnauthorizedAccount");
+    });
+  });
+});
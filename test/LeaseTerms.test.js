@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { CAR, TERMS, deployCarLease, mintOption, commitmentFor } = require("./helpers");
+
+describe("CarLease - minting and offered terms", function () {
+  it("stores the car metadata and offered terms at mint", async function () {
+    const { carLease, address } = await loadFixture(deployCarLease);
+
+    await expect(carLease.mintOption(
+      CAR.model, CAR.color, CAR.year, CAR.originalValueWei, TERMS.monthlyPayment, TERMS.durationMonths,
+      CAR.mileageLimit, TERMS.excessMileageRateWei, ethers.ZeroAddress, 0
+    ))
+      .to.emit(carLease, "OptionMinted")
+      .withArgs(1, CAR.model, CAR.color, CAR.year, CAR.originalValueWei);
+
+    expect(await carLease.ownerOf(1)).to.equal(address);
+    const car = await carLease.getCarMetadata(1);
+    expect(car.model).to.equal(CAR.model);
+    expect(car.mileageLimit).to.equal(CAR.mileageLimit);
+
+    const terms = await carLease.getLeaseTerms(1);
+    expect(terms.monthlyPayment).to.equal(TERMS.monthlyPayment);
+    expect(terms.durationMonths).to.equal(TERMS.durationMonths);
+    expect(terms.excessMileageRateWei).to.equal(TERMS.excessMileageRateWei);
+    expect(terms.paymentToken).to.equal(ethers.ZeroAddress);
+  });
+
+  it("rejects options without a price or duration", async function () {
+    const { carLease } = await loadFixture(deployCarLease);
+
+    await expect(mintOption(carLease, { terms: { monthlyPayment: 0n } }))
+      .to.be.revertedWith("Monthly payment must be greater than zero");
+    await expect(mintOption(carLease, { terms: { durationMonths: 0 } }))
+      .to.be.revertedWith("Duration must be greater than zero");
+  });
+});
+
+describe("CarLease - commit-reveal at the offered terms", function () {
+  async function committedFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await mintOption(fixture.carLease);
+    const secret = ethers.id("secret");
+    await fixture.carLease.connect(fixture.lessee)
+      .commitToLease(tokenId, commitmentFor(tokenId, secret, fixture.lessee.address));
+    return { ...fixture, tokenId, secret };
+  }
+
+  it("rejects a reveal that changes the duration or monthly payment", async function () {
+    const { carLease, lessee, tokenId, secret } = await loadFixture(committedFixture);
+
+    await expect(carLease.connect(lessee).revealAndPay(tokenId, secret, 1, TERMS.monthlyPayment, { value: 3n * TERMS.monthlyPayment }))
+      .to.be.revertedWith("Duration does not match terms");
+    await expect(carLease.connect(lessee).revealAndPay(tokenId, secret, TERMS.durationMonths, 1n, { value: 3n }))
+      .to.be.revertedWith("Monthly payment does not match terms");
+  });
+
+  it("rejects a wrong secret or deposit", async function () {
+    const { carLease, lessee, tokenId, secret } = await loadFixture(committedFixture);
+
+    await expect(carLease.connect(lessee).revealAndPay(tokenId, ethers.id("other"), TERMS.durationMonths, TERMS.monthlyPayment, { value: 3n * TERMS.monthlyPayment }))
+      .to.be.revertedWith("Invalid secret");
+    await expect(carLease.connect(lessee).revealAndPay(tokenId, secret, TERMS.durationMonths, TERMS.monthlyPayment, { value: TERMS.monthlyPayment }))
+      .to.be.revertedWith("Incorrect deposit");
+  });
+
+  it("opens the lease at the offered terms with a 3x deposit", async function () {
+    const { carLease, lessee, tokenId, secret } = await loadFixture(committedFixture);
+    const deposit = 3n * TERMS.monthlyPayment;
+
+    const tx = carLease.connect(lessee).revealAndPay(tokenId, secret, TERMS.durationMonths, TERMS.monthlyPayment, { value: deposit });
+    await expect(tx).to.changeEtherBalances([lessee, carLease], [-deposit, deposit]);
+    await expect(tx).to.emit(carLease, "LeaseSignedRevealed");
+
+    const lease = await carLease.getLease(tokenId);
+    expect(lease.lessee).to.equal(lessee.address);
+    expect(lease.monthlyPayment).to.equal(TERMS.monthlyPayment);
+    expect(lease.durationMonths).to.equal(TERMS.durationMonths);
+    expect(lease.deposit).to.equal(deposit);
+    expect(lease.active).to.equal(false);
+    expect(await carLease.totalDepositsHeld(ethers.ZeroAddress)).to.equal(deposit);
+  });
+});
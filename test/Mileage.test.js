@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ZERO, CAR, TERMS, deployCarLease, activeLease } = require("./helpers");
+
+describe("CarLease - mileage and overage", function () {
+  async function leaseFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    await fixture.carLease.reportMileage(tokenId, 1_000);
+    return { ...fixture, tokenId, deposit: 3n * TERMS.monthlyPayment };
+  }
+
+  it("records readings from the dealer or an authorized reporter only", async function () {
+    const { carLease, lessee, oracle, tokenId } = await loadFixture(leaseFixture);
+
+    await expect(carLease.connect(lessee).reportMileage(tokenId, 2_000)).to.be.revertedWith("Not a mileage reporter");
+    await carLease.setMileageReporter(oracle.address, true);
+    await expect(carLease.connect(oracle).reportMileage(tokenId, 2_000))
+      .to.emit(carLease, "MileageReported")
+      .withArgs(tokenId, oracle.address, 2_000, 1);
+
+    await expect(carLease.reportMileage(tokenId, 1_500)).to.be.revertedWith("Odometer cannot decrease");
+    expect(await carLease.getMileageReadings(tokenId)).to.have.length(2);
+  });
+
+  it("records readings past the mileage limit and flags them", async function () {
+    const { carLease, tokenId } = await loadFixture(leaseFixture);
+    const limitKm = (CAR.mileageLimit * BigInt(await carLease.MAX_USAGE_PERCENT())) / 100n;
+
+    await expect(carLease.reportMileage(tokenId, 1_000n + limitKm))
+      .to.emit(carLease, "MileageReported")
+      .and.not.to.emit(carLease, "MileageLimitExceeded");
+    const heavyKm = 10n * CAR.mileageLimit;
+    await expect(carLease.reportMileage(tokenId, 1_000n + heavyKm))
+      .to.emit(carLease, "MileageLimitExceeded")
+      .withArgs(tokenId, heavyKm, CAR.mileageLimit);
+
+    const excessKm = heavyKm - CAR.mileageLimit;
+    expect(await carLease.getExcessMileageCharge(tokenId))
+      .to.deep.equal([excessKm, excessKm * TERMS.excessMileageRateWei]);
+  });
+
+  it("deducts the excess-mileage charge when a terminated lease's deposit is released", async function () {
+    const { carLease, owner, lessee, tokenId, deposit } = await loadFixture(leaseFixture);
+    const excessKm = 10_000n;
+    await carLease.reportMileage(tokenId, 1_000n + CAR.mileageLimit + excessKm);
+
+    const charge = excessKm * TERMS.excessMileageRateWei;
+    expect(await carLease.getExcessMileageCharge(tokenId)).to.deep.equal([excessKm, charge]);
+
+    await expect(carLease.terminateLease(tokenId)).not.to.emit(carLease, "MileageCharged");
+    await time.increase(await carLease.FINAL_READING_WINDOW());
+    await expect(carLease.connect(lessee).reclaimDeposit(tokenId))
+      .to.emit(carLease, "MileageCharged")
+      .withArgs(tokenId, lessee.address, excessKm, charge);
+    expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit - charge);
+    expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(charge);
+  });
+
+  it("caps the charge at the deposit left", async function () {
+    const { carLease, owner, lessee, tokenId, deposit } = await loadFixture(leaseFixture);
+    await carLease.reportMileage(tokenId, 1_000n + 2n * CAR.mileageLimit);
+    await carLease.terminateLease(tokenId);
+    await time.increase(await carLease.FINAL_READING_WINDOW());
+
+    await expect(carLease.connect(lessee).reclaimDeposit(tokenId))
+      .to.emit(carLease, "MileageCharged")
+      .withArgs(tokenId, lessee.address, CAR.mileageLimit, deposit);
+    expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(0n);
+    expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(deposit);
+  });
+
+  it("charges the return reading taken after termination", async function () {
+    const { carLease, module, owner, lessee, tokenId, deposit } = await loadFixture(leaseFixture);
+    await carLease.terminateLease(tokenId);
+
+    await module.waiveDamageClaim(tokenId);
+    await expect(carLease.connect(lessee).reclaimDeposit(tokenId)).to.be.revertedWith("Awaiting final mileage reading");
+    await carLease.reportMileage(tokenId, 1_000n + CAR.mileageLimit + 1_000n);
+
+    const charge = 1_000n * TERMS.excessMileageRateWei;
+    await expect(carLease.connect(lessee).reclaimDeposit(tokenId))
+      .to.emit(carLease, "MileageCharged")
+      .withArgs(tokenId, lessee.address, 1_000n, charge);
+    expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit - charge);
+    expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(charge);
+    await expect(carLease.reportMileage(tokenId, 1_000n + 2n * CAR.mileageLimit))
+      .to.be.revertedWith("Lease already settled");
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DAY, ZERO, TERMS, deployCarLease, mintOption, commitAndReveal, activeLease, pay } = require("./helpers");
+
+describe("CarLease - multiple dealers", function () {
+  const DEPOSIT = 3n * TERMS.monthlyPayment;
+
+  // Owner and dealer2 each have a lease with one payment, plus an unconfirmed application
+  async function dealersFixture() {
+    const fixture = await deployCarLease();
+    const { carLease, lessee, other, dealer2 } = fixture;
+    await carLease.onboardDealer(dealer2.address);
+
+    const ownerLease = await activeLease(carLease, lessee);
+    const dealer2Lease = await activeLease(carLease, other, { dealer: dealer2 });
+    await pay(carLease, ownerLease, lessee);
+    await pay(carLease, dealer2Lease, other);
+
+    const dealer2Pending = await mintOption(carLease, { dealer: dealer2 });
+    await commitAndReveal(carLease, dealer2Pending, lessee);
+    return { ...fixture, ownerLease, dealer2Lease, dealer2Pending };
+  }
+
+  describe("onboarding", function () {
+    it("only lets dealers mint", async function () {
+      const { carLease, lessee } = await loadFixture(deployCarLease);
+
+      await expect(mintOption(carLease, { dealer: lessee }))
+        .to.be.revertedWithCustomError(carLease, "AccessControlUnauthorizedAccount");
+    });
+
+    it("records the minting dealer and stops suspended dealers from minting", async function () {
+      const { carLease, owner, dealer2 } = await loadFixture(deployCarLease);
+
+      await expect(carLease.connect(dealer2).onboardDealer(dealer2.address))
+        .to.be.revertedWithCustomError(carLease, "OwnableUnauthorizedAccount");
+      await carLease.onboardDealer(dealer2.address);
+      await expect(carLease.onboardDealer(dealer2.address)).to.be.revertedWith("Already a dealer");
+
+      const tokenId = await mintOption(carLease, { dealer: dealer2 });
+      expect(await carLease.tokenDealer(tokenId)).to.equal(dealer2.address);
+      expect(await carLease.tokenDealer(await mintOption(carLease))).to.equal(owner.address);
+
+      await carLease.suspendDealer(dealer2.address);
+      await expect(carLease.suspendDealer(dealer2.address)).to.be.revertedWith("Not a dealer");
+      await expect(mintOption(carLease, { dealer: dealer2 }))
+        .to.be.revertedWithCustomError(carLease, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("token isolation", function () {
+    it("only lets the token's dealer confirm or reject an application", async function () {
+      const { carLease, dealer2, dealer2Pending } = await loadFixture(dealersFixture);
+
+      await expect(carLease.confirmLease(dealer2Pending)).to.be.revertedWith("Not the token's dealer");
+      await expect(carLease.rejectLease(dealer2Pending, 0)).to.be.revertedWith("Not the token's dealer");
+      await expect(carLease.connect(dealer2).confirmLease(dealer2Pending)).to.emit(carLease, "LeaseConfirmed");
+    });
+
+    it("only lets the token's dealer claim a defaulted deposit", async function () {
+      const { carLease, dealer2, ownerLease, dealer2Lease } = await loadFixture(dealersFixture);
+      await time.increase(120 * DAY);
+
+      await expect(carLease.connect(dealer2).claimDeposit(ownerLease)).to.be.revertedWith("Not the token's dealer");
+      await expect(carLease.claimDeposit(dealer2Lease)).to.be.revertedWith("Not the token's dealer");
+
+      await carLease.connect(dealer2).claimDeposit(dealer2Lease);
+      expect(await carLease.pendingWithdrawal(dealer2.address, ZERO)).to.equal(DEPOSIT);
+      await expect(carLease.withdraw(ZERO, dealer2.address)).to.be.revertedWith("Nothing to withdraw");
+      await expect(carLease.connect(dealer2).withdraw(ZERO, dealer2.address)).to.changeEtherBalance(dealer2, DEPOSIT);
+    });
+
+    it("only lets the token's dealer terminate or approve an assignment", async function () {
+      const { carLease, dealer2, other, ownerLease, dealer2Lease } = await loadFixture(dealersFixture);
+
+      await expect(carLease.connect(dealer2).terminateLease(ownerLease)).to.be.revertedWith("Unauthorized");
+      await expect(carLease.approveAssignment(dealer2Lease, dealer2.address)).to.be.revertedWith("Not the token's dealer");
+      await expect(carLease.connect(dealer2).approveAssignment(ownerLease, other.address)).to.be.revertedWith("Not the token's dealer");
+    });
+  });
+
+  describe("revenue isolation", function () {
+    it("books each payment to the token's dealer", async function () {
+      const { carLease, owner, dealer2 } = await loadFixture(dealersFixture);
+
+      expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(TERMS.monthlyPayment);
+      expect(await carLease.withdrawableBalance(dealer2.address, ZERO)).to.equal(TERMS.monthlyPayment);
+      const [collected, depositsHeld] = await carLease.getTreasurySummary(ZERO);
+      expect(collected).to.equal(2n * TERMS.monthlyPayment);
+      expect(depositsHeld).to.equal(3n * DEPOSIT);
+    });
+
+    it("does not let a dealer withdraw another dealer's revenue", async function () {
+      const { carLease, owner, dealer2, lessee } = await loadFixture(dealersFixture);
+
+      await expect(carLease.withdrawRevenue(ZERO, owner.address, 2n * TERMS.monthlyPayment))
+        .to.be.revertedWith("Amount exceeds withdrawable balance");
+      await expect(carLease.connect(lessee).withdrawRevenue(ZERO, lessee.address, 1n))
+        .to.be.revertedWith("Amount exceeds withdrawable balance");
+
+      await carLease.withdrawRevenue(ZERO, owner.address, TERMS.monthlyPayment);
+      await expect(carLease.withdrawRevenue(ZERO, owner.address, 1n))
+        .to.be.revertedWith("Amount exceeds withdrawable balance");
+      expect(await carLease.withdrawableBalance(dealer2.address, ZERO)).to.equal(TERMS.monthlyPayment);
+      await expect(carLease.connect(dealer2).withdrawRevenue(ZERO, dealer2.address, TERMS.monthlyPayment))
+        .to.changeEtherBalance(dealer2, TERMS.monthlyPayment);
+    });
+  });
+});
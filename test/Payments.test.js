@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DAY, TERMS, deployCarLease, activeLease } = require("./helpers");
+
+describe("CarLease - monthly payments, late fees and prepayment", function () {
+  const LATE_FEE = (TERMS.monthlyPayment * 500n) / 10_000n;
+
+  async function leaseFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    const { startTime, paymentPeriod } = await fixture.carLease.getLease(tokenId);
+    return { ...fixture, tokenId, startTime, period: paymentPeriod };
+  }
+
+  it("only accepts payments from the lessee at the exact amount", async function () {
+    const { carLease, lessee, other, tokenId } = await loadFixture(leaseFixture);
+
+    await expect(carLease.connect(other).makeMonthlyPayment(tokenId, 1, { value: TERMS.monthlyPayment }))
+      .to.be.revertedWith("Only lessee can pay");
+    await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, 1, { value: 1n }))
+      .to.be.revertedWith("Incorrect payment amount");
+  });
+
+  it("prepays future months without late fees", async function () {
+    const { carLease, lessee, tokenId, startTime, period } = await loadFixture(leaseFixture);
+
+    const tx = carLease.connect(lessee).makeMonthlyPayment(tokenId, 3, { value: 3n * TERMS.monthlyPayment });
+    await expect(tx).to.emit(carLease, "MonthlyPaid").withArgs(tokenId, lessee.address, 3, TERMS.monthlyPayment, (t) => t > 0n);
+    await expect(tx).not.to.emit(carLease, "LateFeeCharged");
+
+    expect((await carLease.getLease(tokenId)).paymentsMade).to.equal(3n);
+    await time.increaseTo(startTime + 3n * period);
+    expect(await carLease.getAmountDue(tokenId)).to.deep.equal([0n, 0n, startTime + 4n * period]);
+  });
+
+  it("charges the late fee from LATE_FEE_GRACE after the due date", async function () {
+    const { carLease, tokenId, startTime, period } = await loadFixture(leaseFixture);
+    const grace = await carLease.LATE_FEE_GRACE();
+
+    await time.increaseTo(startTime + period + grace - 1n);
+    expect(await carLease.getAmountDue(tokenId)).to.deep.equal([TERMS.monthlyPayment, 0n, startTime + period]);
+    await time.increase(1);
+    expect((await carLease.getAmountDue(tokenId))[1]).to.equal(LATE_FEE);
+  });
+
+  it("settles arrears first, with a late fee on each overdue month, then prepays", async function () {
+    const { carLease, lessee, tokenId, startTime, period } = await loadFixture(leaseFixture);
+    await time.increaseTo(startTime + 2n * period + 6n * BigInt(DAY));
+
+    const [principal, fees] = await carLease.getAmountDue(tokenId);
+    expect(principal).to.equal(2n * TERMS.monthlyPayment);
+    expect(fees).to.equal(2n * LATE_FEE);
+
+    await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, 3, { value: 3n * TERMS.monthlyPayment }))
+      .to.be.revertedWith("Incorrect payment amount");
+    await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, 3, { value: 3n * TERMS.monthlyPayment + fees }))
+      .to.emit(carLease, "LateFeeCharged")
+      .withArgs(tokenId, lessee.address, 2, fees);
+    expect((await carLease.getLease(tokenId)).paymentsMade).to.equal(3n);
+    expect(await carLease.getAmountDue(tokenId)).to.deep.equal([0n, 0n, startTime + 4n * period]);
+  });
+
+  it("only charges late fees on the overdue months actually paid", async function () {
+    const { carLease, lessee, tokenId, startTime, period } = await loadFixture(leaseFixture);
+    await time.increaseTo(startTime + 2n * period + 6n * BigInt(DAY));
+
+    await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, 1, { value: TERMS.monthlyPayment + LATE_FEE }))
+      .to.emit(carLease, "LateFeeCharged")
+      .withArgs(tokenId, lessee.address, 1, LATE_FEE);
+    expect(await carLease.getAmountDue(tokenId)).to.deep.equal([TERMS.monthlyPayment, LATE_FEE, startTime + 2n * period]);
+  });
+
+  it("rejects zero months and payments beyond the term", async function () {
+    const { carLease, lessee, tokenId } = await loadFixture(leaseFixture);
+    const months = BigInt(TERMS.durationMonths);
+
+    await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, 0)).to.be.revertedWith("Months must be greater than zero");
+    await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, months + 1n, { value: (months + 1n) * TERMS.monthlyPayment }))
+      .to.be.revertedWith("Exceeds remaining payments");
+
+    await carLease.connect(lessee).makeMonthlyPayment(tokenId, months, { value: months * TERMS.monthlyPayment });
+    await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, 1, { value: TERMS.monthlyPayment }))
+      .to.be.revertedWith("Lease not active");
+  });
+});
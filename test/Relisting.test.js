@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ZERO, CAR, TERMS, deployCarLease, activeLease, pay } = require("./helpers");
+
+describe("CarLease - deposit release and relisting", function () {
+  async function completedFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    await fixture.carLease.reportMileage(tokenId, 0);
+    await pay(fixture.carLease, tokenId, fixture.lessee, TERMS.durationMonths);
+    return { ...fixture, tokenId, deposit: 3n * TERMS.monthlyPayment };
+  }
+
+  it("lets the lessee reclaim the deposit and the dealer relist", async function () {
+    const { carLease, module, lessee, tokenId, deposit } = await loadFixture(completedFixture);
+    await carLease.reportMileage(tokenId, 10_000);
+    await module.waiveDamageClaim(tokenId);
+
+    await expect(carLease.connect(lessee).reclaimDeposit(tokenId))
+      .to.emit(carLease, "DepositReturned")
+      .withArgs(tokenId, lessee.address, deposit);
+    await expect(carLease.relistOption(tokenId, TERMS.monthlyPayment, 24))
+      .to.emit(carLease, "OptionRelisted");
+    expect(await carLease.getLeaseStatus(tokenId)).to.equal(0n);
+  });
+
+  it("blocks relisting while the deposit is unreclaimed", async function () {
+    const { carLease, tokenId } = await loadFixture(completedFixture);
+
+    await expect(carLease.relistOption(tokenId, TERMS.monthlyPayment, 24)).to.be.revertedWith("Deposit not settled");
+  });
+
+  it("lets anyone release an unreclaimed deposit to the lessee after the return window", async function () {
+    const { carLease, module, lessee, other, tokenId, deposit } = await loadFixture(completedFixture);
+
+    await expect(module.connect(other).releaseDeposit(tokenId)).to.be.revertedWith("Inspection window still open");
+
+    const { lastPaymentTime } = await carLease.getLease(tokenId);
+    await time.increaseTo(lastPaymentTime + (await carLease.FINAL_READING_WINDOW()) + 1n);
+    await expect(module.connect(other).releaseDeposit(tokenId))
+      .to.emit(carLease, "DepositReturned")
+      .withArgs(tokenId, lessee.address, deposit);
+
+    expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit);
+    expect(await carLease.pendingWithdrawal(other.address, ZERO)).to.equal(0n);
+    expect(await carLease.totalDepositsHeld(ZERO)).to.equal(0n);
+    await expect(carLease.connect(lessee).reclaimDeposit(tokenId)).to.be.revertedWith("No deposit to return");
+    await expect(module.connect(other).releaseDeposit(tokenId)).to.be.revertedWith("No deposit to return");
+
+    await expect(carLease.relistOption(tokenId, TERMS.monthlyPayment, 24)).to.emit(carLease, "OptionRelisted");
+  });
+
+  it("deducts the excess-mileage charge from a released deposit", async function () {
+    const { carLease, module, owner, lessee, tokenId, deposit } = await loadFixture(completedFixture);
+    const excessKm = 1_000n;
+    await carLease.reportMileage(tokenId, CAR.mileageLimit + excessKm);
+    const charge = excessKm * TERMS.excessMileageRateWei;
+    const revenue = await carLease.withdrawableBalance(owner.address, ZERO);
+
+    const { lastPaymentTime } = await carLease.getLease(tokenId);
+    await time.increaseTo(lastPaymentTime + (await carLease.FINAL_READING_WINDOW()) + 1n);
+    await expect(module.releaseDeposit(tokenId))
+      .to.emit(carLease, "MileageCharged")
+      .withArgs(tokenId, lessee.address, excessKm, charge);
+
+    expect(await carLease.pendingWithdrawal(lessee.address, ZERO)).to.equal(deposit - charge);
+    expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(revenue + charge);
+  });
+
+  it("does not release deposits of leases still running", async function () {
+    const { carLease, module, lessee } = await loadFixture(deployCarLease);
+    const tokenId = await activeLease(carLease, lessee);
+
+    await expect(module.releaseDeposit(tokenId)).to.be.revertedWith("Lease not ended");
+  });
+});
@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signOffer, signAction, recoverOfferSigner, recoverActionSigner, domain } = require("../scripts/lib/signatures");
+const { DAY, ZERO, CAR, TERMS, deployCarLease, mintOption, commitmentFor, activeLease } = require("./helpers");
+
+const CHAIN_ID = 31337n;
+
+describe("CarLease - signed offers and relayed actions", function () {
+  const DEPOSIT = 3n * TERMS.monthlyPayment;
+
+  async function offerFixture() {
+    const fixture = await deployCarLease();
+    const expiresAt = BigInt(await time.latest()) + BigInt(DAY);
+    const offer = { car: CAR, terms: TERMS, dealer: fixture.owner.address, lessee: ZERO, nonce: 1n, expiresAt };
+    return { ...fixture, offer };
+  }
+
+  function sign(signer, address, offer) {
+    return signOffer(signer, CHAIN_ID, address, offer);
+  }
+
+  describe("acceptOffer", function () {
+    it("opens an active lease for the caller from a dealer-signed offer", async function () {
+      const { carLease, module, address, owner, lessee, offer } = await loadFixture(offerFixture);
+      const signature = await sign(owner, address, offer);
+      expect(recoverOfferSigner(ethers, CHAIN_ID, address, offer, signature)).to.equal(owner.address);
+
+      const tx = module.connect(lessee).acceptOffer(offer, signature, { value: DEPOSIT });
+      await expect(tx).to.emit(carLease, "OfferAccepted").withArgs(1n, owner.address, lessee.address, offer.nonce);
+      await expect(tx).to.emit(carLease, "LeaseConfirmed");
+      await expect(tx).to.changeEtherBalance(lessee, -DEPOSIT);
+
+      expect(await carLease.ownerOf(1n)).to.equal(lessee.address);
+      expect(await carLease.tokenDealer(1n)).to.equal(owner.address);
+      expect(await carLease.getLeaseStatus(1n)).to.equal(3n);
+      const lease = await carLease.getLease(1n);
+      expect(lease.lessee).to.equal(lessee.address);
+      expect(lease.deposit).to.equal(DEPOSIT);
+      expect(lease.monthlyPayment).to.equal(TERMS.monthlyPayment);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(DEPOSIT);
+      expect(await module.offerNonceUsed(owner.address, offer.nonce)).to.equal(true);
+    });
+
+    it("rejects an expired offer", async function () {
+      const { module, address, owner, lessee, offer } = await loadFixture(offerFixture);
+      const signature = await sign(owner, address, offer);
+
+      await time.increaseTo(offer.expiresAt);
+      await expect(module.connect(lessee).acceptOffer(offer, signature, { value: DEPOSIT }))
+        .to.be.revertedWith("Offer expired");
+    });
+
+    it("rejects a spent or cancelled nonce", async function () {
+      const { carLease, module, address, owner, lessee, other, offer } = await loadFixture(offerFixture);
+      const signature = await sign(owner, address, offer);
+      await module.connect(lessee).acceptOffer(offer, signature, { value: DEPOSIT });
+
+      await expect(module.connect(other).acceptOffer(offer, signature, { value: DEPOSIT }))
+        .to.be.revertedWith("Offer already used or cancelled");
+      await expect(module.cancelOffer(offer.nonce)).to.be.revertedWith("Offer already used or cancelled");
+
+      const next = { ...offer, nonce: 2n };
+      await expect(module.cancelOffer(next.nonce)).to.emit(carLease, "OfferCancelled").withArgs(owner.address, next.nonce);
+      await expect(module.connect(lessee).acceptOffer(next, await sign(owner, address, next), { value: DEPOSIT }))
+        .to.be.revertedWith("Offer already used or cancelled");
+    });
+
+    it("rejects offers not signed by their dealer or altered after signing", async function () {
+      const { carLease, module, address, owner, lessee, other, dealer2, offer } = await loadFixture(offerFixture);
+      const signature = await sign(owner, address, offer);
+      await carLease.onboardDealer(dealer2.address);
+
+      await expect(module.connect(lessee).acceptOffer(offer, await sign(other, address, offer), { value: DEPOSIT }))
+        .to.be.revertedWith("Invalid dealer signature");
+      const cheaper = { ...offer, terms: { ...TERMS, monthlyPayment: TERMS.monthlyPayment / 2n } };
+      await expect(module.connect(lessee).acceptOffer(cheaper, signature, { value: DEPOSIT / 2n }))
+        .to.be.revertedWith("Invalid dealer signature");
+      const otherDealer = { ...offer, dealer: dealer2.address };
+      await expect(module.connect(lessee).acceptOffer(otherDealer, signature, { value: DEPOSIT }))
+        .to.be.revertedWith("Invalid dealer signature");
+      // Signed for another deployment
+      await expect(module.connect(lessee).acceptOffer(offer, await sign(owner, other.address, offer), { value: DEPOSIT }))
+        .to.be.revertedWith("Invalid dealer signature");
+    });
+
+    it("only accepts offers from dealers, for the named lessee, with the exact deposit", async function () {
+      const { carLease, module, address, owner, lessee, other, offer } = await loadFixture(offerFixture);
+      const fromOther = { ...offer, dealer: other.address };
+      await expect(module.connect(lessee).acceptOffer(fromOther, await sign(other, address, fromOther), { value: DEPOSIT }))
+        .to.be.revertedWithCustomError(carLease, "AccessControlUnauthorizedAccount");
+
+      const named = { ...offer, lessee: lessee.address };
+      const signature = await sign(owner, address, named);
+      await expect(module.connect(other).acceptOffer(named, signature, { value: DEPOSIT }))
+        .to.be.revertedWith("Offer not for caller");
+      await expect(module.connect(lessee).acceptOffer(named, signature, { value: DEPOSIT - 1n }))
+        .to.be.revertedWith("Incorrect deposit");
+      await expect(module.connect(lessee).acceptOffer(named, signature, { value: DEPOSIT }))
+        .to.emit(carLease, "OfferAccepted");
+    });
+
+    it("requires a named lessee when the dealer sets a minimum credit factor", async function () {
+      const { carLease, module, address, owner, lessee, offer } = await loadFixture(offerFixture);
+      await carLease.setMinCreditFactor(1);
+
+      await expect(module.connect(lessee).acceptOffer(offer, await sign(owner, address, offer), { value: DEPOSIT }))
+        .to.be.revertedWith("Offer not for caller");
+      const named = { ...offer, lessee: lessee.address };
+      await expect(module.connect(lessee).acceptOffer(named, await sign(owner, address, named), { value: DEPOSIT }))
+        .to.emit(carLease, "OfferAccepted");
+    });
+  });
+
+  describe("executeBySig", function () {
+    // Signs `name(args)` for `signer` at their current nonce
+    async function signed(carLease, module, address, signer, name, args, deadline) {
+      const action = carLease.interface.encodeFunctionData(name, args);
+      const nonce = await module.nonces(signer.address);
+      const signature = await signAction(signer, CHAIN_ID, address, carLease.interface, action, nonce, deadline);
+      expect(recoverActionSigner(ethers, CHAIN_ID, address, carLease.interface, signer.address, action, nonce, deadline, signature))
+        .to.equal(signer.address);
+      return { action, signature };
+    }
+
+    async function deadline() {
+      return BigInt(await time.latest()) + BigInt(DAY);
+    }
+
+    it("relays a commit, reveal and monthly payment for the signer", async function () {
+      const { carLease, module, address, lessee, other } = await loadFixture(deployCarLease);
+      const tokenId = await mintOption(carLease);
+      const secret = ethers.id("secret");
+      const until = await deadline();
+
+      const commit = await signed(carLease, module, address, lessee, "commitToLease",
+        [tokenId, commitmentFor(tokenId, secret, lessee.address)], until);
+      await expect(module.connect(other).executeBySig(lessee.address, commit.action, until, commit.signature))
+        .to.emit(carLease, "CommitPlaced");
+      expect((await carLease.getCommit(tokenId)).committer).to.equal(lessee.address);
+      expect(await module.nonces(lessee.address)).to.equal(1n);
+
+      const reveal = await signed(carLease, module, address, lessee, "revealAndPay",
+        [tokenId, secret, TERMS.durationMonths, TERMS.monthlyPayment], until);
+      await expect(module.connect(other).executeBySig(lessee.address, reveal.action, until, reveal.signature, { value: DEPOSIT }))
+        .to.emit(carLease, "LeaseSignedRevealed");
+      expect((await carLease.getLease(tokenId)).lessee).to.equal(lessee.address);
+      await carLease.confirmLease(tokenId);
+
+      const payment = await signed(carLease, module, address, lessee, "makeMonthlyPayment", [tokenId, 1], until);
+      const tx = module.connect(other).executeBySig(lessee.address, payment.action, until, payment.signature, { value: TERMS.monthlyPayment });
+      await expect(tx).to.emit(carLease, "MonthlyPaid");
+      await expect(tx).to.changeEtherBalance(other, -TERMS.monthlyPayment);
+      expect((await carLease.getLease(tokenId)).paymentsMade).to.equal(1n);
+      expect(await module.nonces(lessee.address)).to.equal(3n);
+    });
+
+    it("rejects replays, wrong signers and expired signatures", async function () {
+      const { carLease, module, address, lessee, other } = await loadFixture(deployCarLease);
+      const tokenId = await activeLease(carLease, lessee);
+      const until = await deadline();
+      const payment = await signed(carLease, module, address, lessee, "makeMonthlyPayment", [tokenId, 1], until);
+
+      await expect(module.connect(other).executeBySig(other.address, payment.action, until, payment.signature, { value: TERMS.monthlyPayment }))
+        .to.be.revertedWith("Invalid signature");
+      await module.connect(other).executeBySig(lessee.address, payment.action, until, payment.signature, { value: TERMS.monthlyPayment });
+      await expect(module.connect(other).executeBySig(lessee.address, payment.action, until, payment.signature, { value: TERMS.monthlyPayment }))
+        .to.be.revertedWith("Invalid signature");
+
+      const next = await signed(carLease, module, address, lessee, "makeMonthlyPayment", [tokenId, 1], until);
+      await time.increaseTo(until);
+      await expect(module.connect(other).executeBySig(lessee.address, next.action, until, next.signature, { value: TERMS.monthlyPayment }))
+        .to.be.revertedWith("Signature expired");
+    });
+
+    it("only relays commits, reveals and monthly payments", async function () {
+      const { carLease, module, address, lessee } = await loadFixture(deployCarLease);
+      const tokenId = await activeLease(carLease, lessee);
+      const action = carLease.interface.encodeFunctionData("terminateLease", [tokenId]);
+      // Sign the payment struct; the selector is checked before the signature
+      const { signature } = await signed(carLease, module, address, lessee, "makeMonthlyPayment", [tokenId, 1], await deadline());
+
+      await expect(module.executeBySig(lessee.address, action, await deadline(), signature))
+        .to.be.revertedWith("Action not relayable");
+    });
+
+    it("refuses ETH sent with a relayed commit", async function () {
+      const { carLease, module, address, lessee } = await loadFixture(deployCarLease);
+      const tokenId = await mintOption(carLease);
+      const until = await deadline();
+      const commit = await signed(carLease, module, address, lessee, "commitToLease",
+        [tokenId, commitmentFor(tokenId, ethers.id("secret"), lessee.address)], until);
+
+      await expect(module.executeBySig(lessee.address, commit.action, until, commit.signature, { value: 1n }))
+        .to.be.revertedWith("ETH not accepted for commit");
+    });
+
+    it("signs in the contract's EIP-712 domain", async function () {
+      const { module, address } = await loadFixture(deployCarLease);
+
+      expect(await module.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain(CHAIN_ID, address)));
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { CAR, TERMS, deployCarLease, mintOption, commitAndReveal, pay } = require("./helpers");
+
+/**
+ * Decodes a data:application/json;base64 tokenURI and its SVG image
+ */
+async function metadata(carLease, tokenId) {
+  const uri = await carLease.tokenURI(tokenId);
+  const jsonPrefix = "data:application/json;base64,";
+  expect(uri.startsWith(jsonPrefix)).to.equal(true);
+
+  const json = JSON.parse(Buffer.from(uri.slice(jsonPrefix.length), "base64").toString("utf8"));
+  const imagePrefix = "data:image/svg+xml;base64,";
+  expect(json.image.startsWith(imagePrefix)).to.equal(true);
+
+  const attributes = Object.fromEntries(json.attributes.map((a) => [a.trait_type, a.value]));
+  const svg = Buffer.from(json.image.slice(imagePrefix.length), "base64").toString("utf8");
+  return { json, attributes, svg };
+}
+
+describe("CarLease - tokenURI", function () {
+  it("describes an available option with its car details and an SVG card", async function () {
+    const { carLease } = await loadFixture(deployCarLease);
+    const tokenId = await mintOption(carLease);
+
+    const { json, attributes, svg } = await metadata(carLease, tokenId);
+    expect(json.name).to.equal(`CarLease #${tokenId}: ${CAR.model}`);
+    expect(json.description).to.contain("Status: Available.");
+    expect(attributes).to.include({
+      Model: CAR.model,
+      Color: CAR.color,
+      Year: CAR.year,
+      "Value (wei)": CAR.originalValueWei.toString(),
+      "Mileage Limit (km)": Number(CAR.mileageLimit),
+      Status: "Available",
+      "Payment Asset": "ETH"
+    });
+    expect(attributes).to.not.have.property("Lessee");
+    expect(svg).to.match(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    expect(svg).to.contain(`CarLease #${tokenId}`);
+    expect(svg).to.contain("Available");
+  });
+
+  it("follows the lease through reveal, confirmation and payments", async function () {
+    const { carLease, lessee } = await loadFixture(deployCarLease);
+    const tokenId = await mintOption(carLease);
+
+    await commitAndReveal(carLease, tokenId, lessee);
+    let { attributes, svg } = await metadata(carLease, tokenId);
+    expect(attributes.Status).to.equal("Pending Confirmation");
+    expect(attributes.Lessee.toLowerCase()).to.equal(lessee.address.toLowerCase());
+    expect(attributes["Monthly Payment (wei)"]).to.equal(TERMS.monthlyPayment.toString());
+    expect(attributes["Payments Made"]).to.equal(0);
+    expect(svg).to.contain("Pending Confirmation");
+
+    await carLease.confirmLease(tokenId);
+    ({ attributes } = await metadata(carLease, tokenId));
+    expect(attributes.Status).to.equal("Active");
+
+    await pay(carLease, tokenId, lessee, 2);
+    ({ attributes, svg } = await metadata(carLease, tokenId));
+    expect(attributes["Payments Made"]).to.equal(2);
+    expect(attributes["Duration (months)"]).to.equal(TERMS.durationMonths);
+    expect(svg).to.contain(`2/${TERMS.durationMonths} payments - 0.5 ETH/month`);
+
+    await carLease.terminateLease(tokenId);
+    const { json } = await metadata(carLease, tokenId);
+    expect(json.description).to.contain("Status: Terminated.");
+  });
+
+  it("sanitizes car details so the JSON and SVG stay valid", async function () {
+    const { carLease } = await loadFixture(deployCarLease);
+    const tokenId = await mintOption(carLease, { car: { model: 'Model "S" \\ <Plaid>\n' } });
+
+    const { json, attributes, svg } = await metadata(carLease, tokenId);
+    expect(attributes.Model).to.equal("Model 'S' / (Plaid)");
+    expect(json.name).to.equal(`CarLease #${tokenId}: Model 'S' / (Plaid)`);
+    expect(svg).to.contain("Model 'S' / (Plaid)");
+  });
+
+  it("reverts for tokens that were never minted", async function () {
+    const { carLease } = await loadFixture(deployCarLease);
+
+    await expect(carLease.tokenURI(1)).to.be.revertedWithCustomError(carLease, "ERC721NonexistentToken");
+  });
+});
@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ZERO, TERMS, deployCarLease, activeLease, pay } = require("./helpers");
+
+describe("CarLease - dealer treasury", function () {
+  const DEPOSIT = 3n * TERMS.monthlyPayment;
+
+  // Active lease with two payments booked as the owner's revenue
+  async function revenueFixture() {
+    const fixture = await deployCarLease();
+    const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+    await pay(fixture.carLease, tokenId, fixture.lessee, 2);
+    return { ...fixture, tokenId, revenue: 2n * TERMS.monthlyPayment };
+  }
+
+  it("books the monthly payment as dealer revenue", async function () {
+    const { carLease, owner, lessee } = await loadFixture(deployCarLease);
+    const tokenId = await activeLease(carLease, lessee);
+
+    await expect(carLease.connect(lessee).makeMonthlyPayment(tokenId, 1, { value: TERMS.monthlyPayment }))
+      .to.emit(carLease, "MonthlyPaid")
+      .withArgs(tokenId, lessee.address, 1, TERMS.monthlyPayment, (t) => t > 0n);
+
+    expect((await carLease.getLease(tokenId)).paymentsMade).to.equal(1);
+    expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(TERMS.monthlyPayment);
+  });
+
+  describe("getTreasurySummary", function () {
+    it("separates collected revenue from held deposits", async function () {
+      const { carLease, revenue } = await loadFixture(revenueFixture);
+
+      const [collected, depositsHeld, withdrawable] = await carLease.getTreasurySummary(ZERO);
+      expect(collected).to.equal(revenue);
+      expect(depositsHeld).to.equal(DEPOSIT);
+      expect(withdrawable).to.equal(revenue);
+    });
+
+    it("keeps the collected total but lowers what is withdrawable after a withdrawal", async function () {
+      const { carLease, other, revenue } = await loadFixture(revenueFixture);
+      await carLease.withdrawRevenue(ZERO, other.address, TERMS.monthlyPayment);
+
+      const [collected, depositsHeld, withdrawable] = await carLease.getTreasurySummary(ZERO);
+      expect(collected).to.equal(revenue);
+      expect(depositsHeld).to.equal(DEPOSIT);
+      expect(withdrawable).to.equal(revenue - TERMS.monthlyPayment);
+    });
+
+    it("is empty for an asset nothing was paid in", async function () {
+      const { carLease } = await loadFixture(revenueFixture);
+      const token = await (await ethers.getContractFactory("MockERC20")).deploy("Mock USD", "mUSD", 6);
+
+      const [collected, depositsHeld, withdrawable] = await carLease.getTreasurySummary(await token.getAddress());
+      expect([collected, depositsHeld, withdrawable]).to.deep.equal([0n, 0n, 0n]);
+    });
+  });
+
+  describe("withdrawRevenue", function () {
+    it("pays revenue to the chosen recipient and reports what is left", async function () {
+      const { carLease, owner, other, revenue } = await loadFixture(revenueFixture);
+
+      const tx = carLease.withdrawRevenue(ZERO, other.address, TERMS.monthlyPayment);
+      await expect(tx)
+        .to.emit(carLease, "Withdrawn")
+        .withArgs(owner.address, ZERO, other.address, TERMS.monthlyPayment, revenue - TERMS.monthlyPayment);
+      await expect(tx).to.changeEtherBalances([other, carLease], [TERMS.monthlyPayment, -TERMS.monthlyPayment]);
+
+      expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(revenue - TERMS.monthlyPayment);
+      expect(await carLease.dealerRevenueWithdrawn(owner.address, ZERO)).to.equal(TERMS.monthlyPayment);
+      expect(await carLease.totalRevenueWithdrawn(ZERO)).to.equal(TERMS.monthlyPayment);
+    });
+
+    it("never pays out held deposits", async function () {
+      const { carLease, owner, address, revenue } = await loadFixture(revenueFixture);
+      expect(await ethers.provider.getBalance(address)).to.equal(revenue + DEPOSIT);
+
+      await expect(carLease.withdrawRevenue(ZERO, owner.address, revenue + 1n))
+        .to.be.revertedWith("Amount exceeds withdrawable balance");
+      await carLease.withdrawRevenue(ZERO, owner.address, revenue);
+
+      expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(0n);
+      expect(await ethers.provider.getBalance(address)).to.equal(DEPOSIT);
+      await expect(carLease.withdrawRevenue(ZERO, owner.address, 1n))
+        .to.be.revertedWith("Amount exceeds withdrawable balance");
+    });
+
+    it("rejects a zero amount or recipient", async function () {
+      const { carLease, owner } = await loadFixture(revenueFixture);
+
+      await expect(carLease.withdrawRevenue(ZERO, owner.address, 0n)).to.be.revertedWith("Amount must be greater than zero");
+      await expect(carLease.withdrawRevenue(ZERO, ZERO, 1n)).to.be.revertedWith("Invalid recipient");
+    });
+
+    it("lets a suspended dealer withdraw what they earned", async function () {
+      const { carLease, owner, revenue } = await loadFixture(revenueFixture);
+      await carLease.suspendDealer(owner.address);
+
+      await expect(carLease.withdrawRevenue(ZERO, owner.address, revenue)).to.changeEtherBalance(owner, revenue);
+    });
+  });
+});
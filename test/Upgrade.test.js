@@ -0,0 +1,201 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { currentLayout, compareLayouts, moduleLayoutErrors } = require("../scripts/lib/storage-layout");
+const { ZERO, TERMS, deployCarLease, mintOption, activeLease, pay } = require("./helpers");
+
+// ERC-1967 implementation slot, as read by scripts/upgrade.js
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+describe("CarLease - UUPS proxy deployment and upgrades", function () {
+  // CarLease implementation (with its own module) linked against the fixture's libraries
+  async function deployImplementation(libraries) {
+    const CarLeaseModule = await ethers.getContractFactory("CarLeaseModule", {
+      libraries: { LeaseLogic: libraries.LeaseLogic, LeaseSignatures: libraries.LeaseSignatures }
+    });
+    const carLeaseModule = await CarLeaseModule.deploy();
+    const CarLease = await ethers.getContractFactory("CarLease", {
+      libraries: { LeaseMetadata: libraries.LeaseMetadata, LeaseLogic: libraries.LeaseLogic }
+    });
+    return CarLease.deploy(await carLeaseModule.getAddress());
+  }
+
+  // Proxy deployed and initialized in one transaction, as scripts/deploy.js does with DEPLOY_MODE=uups
+  async function proxyFixture() {
+    const { libraries, owner, lessee, other } = await deployCarLease();
+    const implementation = await deployImplementation(libraries);
+    const initData = implementation.interface.encodeFunctionData("initialize", [owner.address]);
+    const proxy = await (await ethers.getContractFactory("CarLeaseProxy"))
+      .deploy(await implementation.getAddress(), initData);
+    const address = await proxy.getAddress();
+    const carLease = implementation.attach(address);
+
+    return {
+      carLease,
+      module: await ethers.getContractAt("CarLeaseModule", address),
+      address,
+      implementation,
+      libraries,
+      owner,
+      lessee,
+      other
+    };
+  }
+
+  async function implementationAt(address) {
+    const slot = await ethers.provider.getStorage(address, IMPLEMENTATION_SLOT);
+    return ethers.getAddress(ethers.dataSlice(slot, 12));
+  }
+
+  describe("proxy deployment", function () {
+    it("initializes the proxy with the owner as first dealer", async function () {
+      const { carLease, address, implementation, owner } = await loadFixture(proxyFixture);
+
+      expect(await implementationAt(address)).to.equal(await implementation.getAddress());
+      expect(await carLease.owner()).to.equal(owner.address);
+      expect(await carLease.hasRole(await carLease.DEALER_ROLE(), owner.address)).to.equal(true);
+      expect((await carLease.leaseParams()).depositMultiplier).to.equal(3n);
+      expect(await carLease.name()).to.equal("CarLeaseOption");
+    });
+
+    it("runs a lease through the proxy and its module", async function () {
+      const { carLease, module, address, lessee } = await loadFixture(proxyFixture);
+      const tokenId = await activeLease(carLease, lessee);
+
+      await expect(pay(carLease, tokenId, lessee)).to.emit(carLease, "MonthlyPaid");
+      expect(await carLease.ownerOf(tokenId)).to.equal(lessee.address);
+      expect(await ethers.provider.getBalance(address)).to.equal(4n * TERMS.monthlyPayment);
+      expect(await module.DOMAIN_SEPARATOR()).to.not.equal(ethers.ZeroHash);
+    });
+
+    it("cannot be initialized twice, nor can the implementation", async function () {
+      const { carLease, implementation, other } = await loadFixture(proxyFixture);
+
+      await expect(carLease.initialize(other.address)).to.be.revertedWithCustomError(carLease, "InvalidInitialization");
+      await expect(implementation.initialize(other.address))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  describe("upgradeToAndCall", function () {
+    // Proxy with a live lease, a payment and an open option
+    async function liveFixture() {
+      const fixture = await proxyFixture();
+      const tokenId = await activeLease(fixture.carLease, fixture.lessee);
+      await pay(fixture.carLease, tokenId, fixture.lessee);
+      const openId = await mintOption(fixture.carLease);
+      return { ...fixture, tokenId, openId };
+    }
+
+    it("points the proxy at the new implementation and keeps its state", async function () {
+      const { carLease, address, libraries, owner, lessee, tokenId, openId } = await loadFixture(liveFixture);
+      const before = {
+        lease: await carLease.getLease(tokenId),
+        totalMinted: await carLease.totalMinted(),
+        deposits: await carLease.totalDepositsHeld(ZERO),
+        revenue: await carLease.withdrawableBalance(owner.address, ZERO),
+        balance: await ethers.provider.getBalance(address),
+        params: await carLease.leaseParams()
+      };
+      const next = await deployImplementation(libraries);
+
+      await expect(carLease.upgradeToAndCall(await next.getAddress(), "0x"))
+        .to.emit(carLease, "Upgraded")
+        .withArgs(await next.getAddress());
+
+      expect(await implementationAt(address)).to.equal(await next.getAddress());
+      expect(await carLease.getLease(tokenId)).to.deep.equal(before.lease);
+      expect(await carLease.totalMinted()).to.equal(before.totalMinted);
+      expect(await carLease.totalDepositsHeld(ZERO)).to.equal(before.deposits);
+      expect(await carLease.withdrawableBalance(owner.address, ZERO)).to.equal(before.revenue);
+      expect(await ethers.provider.getBalance(address)).to.equal(before.balance);
+      expect(await carLease.leaseParams()).to.deep.equal(before.params);
+      expect(await carLease.owner()).to.equal(owner.address);
+      expect(await carLease.ownerOf(tokenId)).to.equal(lessee.address);
+      expect(await carLease.getLeaseStatus(openId)).to.equal(0n);
+
+      // The lease carries on against the new implementation
+      await expect(pay(carLease, tokenId, lessee)).to.emit(carLease, "MonthlyPaid");
+      expect((await carLease.getLease(tokenId)).paymentsMade).to.equal(2n);
+    });
+
+    it("runs the call data in the upgrade transaction", async function () {
+      const { carLease, libraries } = await loadFixture(liveFixture);
+      const next = await deployImplementation(libraries);
+
+      await expect(carLease.upgradeToAndCall(await next.getAddress(), next.interface.encodeFunctionData("pause")))
+        .to.emit(carLease, "Paused");
+      expect(await carLease.paused()).to.equal(true);
+    });
+
+    it("only lets the platform owner upgrade", async function () {
+      const { carLease, address, implementation, libraries, lessee, other } = await loadFixture(liveFixture);
+      const next = await deployImplementation(libraries);
+      await carLease.onboardDealer(other.address);
+
+      await expect(carLease.connect(lessee).upgradeToAndCall(await next.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(carLease, "OwnableUnauthorizedAccount");
+      await expect(carLease.connect(other).upgradeToAndCall(await next.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(carLease, "OwnableUnauthorizedAccount");
+      expect(await implementationAt(address)).to.equal(await implementation.getAddress());
+    });
+
+    it("refuses upgrades called on the implementation or to a non-UUPS target", async function () {
+      const { carLease, implementation, libraries } = await loadFixture(liveFixture);
+      const next = await deployImplementation(libraries);
+      const token = await (await ethers.getContractFactory("MockERC20")).deploy("Mock USD", "mUSD", 6);
+
+      await expect(implementation.upgradeToAndCall(await next.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(implementation, "UUPSUnauthorizedCallContext");
+      await expect(carLease.upgradeToAndCall(await token.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(carLease, "ERC1967InvalidImplementation");
+    });
+  });
+
+  describe("storage layout checks", function () {
+    it("accepts the current build against itself and the module", async function () {
+      const layout = await currentLayout(hre);
+
+      expect(layout.storage.length).to.be.greaterThan(0);
+      expect(compareLayouts(layout, layout)).to.deep.equal([]);
+      expect(await moduleLayoutErrors(hre, layout)).to.deep.equal([]);
+    });
+
+    it("allows appending a variable but not inserting, removing or retyping one", async function () {
+      const layout = await currentLayout(hre);
+      const last = layout.storage[layout.storage.length - 1];
+      const appended = { label: "newVariable", slot: String(Number(last.slot) + 1), offset: 0, type: "t_uint256", contract: last.contract };
+
+      expect(compareLayouts(layout, { ...layout, storage: [...layout.storage, appended] })).to.deep.equal([]);
+
+      const inserted = { ...layout, storage: [appended, ...layout.storage] };
+      expect(compareLayouts(layout, inserted)[0]).to.match(/moved, renamed or a variable was inserted before it/);
+
+      const removed = { ...layout, storage: layout.storage.slice(0, -1) };
+      expect(compareLayouts(layout, removed)).to.deep.equal([`${last.label}: state variable removed (slot ${last.slot})`]);
+
+      const uintVariable = layout.storage.find((s) => s.type === "t_uint256");
+      const retyped = {
+        ...layout,
+        storage: layout.storage.map((s) => (s === uintVariable ? { ...s, type: "t_address" } : s))
+      };
+      expect(compareLayouts(layout, retyped).join("\n")).to.include(`${uintVariable.label}: type changed`);
+    });
+
+    it("lets an inline struct gain members only within its last slot", async function () {
+      const layout = await currentLayout(hre);
+      const typeId = layout.storage.find((s) => s.label === "leaseParams").type;
+      const withType = (type) => ({ ...layout, types: { ...layout.types, [typeId]: type } });
+      const current = layout.types[typeId];
+
+      // leaseParams before lateFeeBps and earlyTerminationPenaltyBps were appended
+      const previous = withType({ ...current, members: current.members.slice(0, -2) });
+      expect(compareLayouts(previous, layout)).to.deep.equal([]);
+
+      const spilled = withType({ ...current, numberOfBytes: "64" });
+      expect(compareLayouts(previous, spilled).join("\n"))
+        .to.include("leaseParams: struct CarLease.LeaseParams gained members but is not stored as a mapping value");
+    });
+  });
+});
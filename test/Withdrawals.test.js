@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DAY, ZERO, CAR, TERMS, deployCarLease, mintOption, commitmentFor, commitAndReveal } = require("./helpers");
+
+describe("CarLease - pull payments to accounts that reject ETH", function () {
+  async function receiverFixture() {
+    const fixture = await deployCarLease();
+    const receiver = await (await ethers.getContractFactory("RejectingReceiver")).deploy();
+    const receiverAddress = await receiver.getAddress();
+    // Calls CarLease through the receiver so it is msg.sender
+    const call = (method, args, value = 0n) =>
+      receiver.execute(fixture.address, fixture.carLease.interface.encodeFunctionData(method, args), { value });
+    return { ...fixture, receiver, receiverAddress, call };
+  }
+
+  it("credits an unconfirmed deposit refund and pays it out to another recipient", async function () {
+    const { carLease, other, receiverAddress, call } = await loadFixture(receiverFixture);
+    const tokenId = await mintOption(carLease);
+    const secret = ethers.id("secret");
+    const deposit = 3n * TERMS.monthlyPayment;
+
+    await call("commitToLease", [tokenId, commitmentFor(tokenId, secret, receiverAddress)]);
+    await call("revealAndPay", [tokenId, secret, TERMS.durationMonths, TERMS.monthlyPayment], deposit);
+    await time.increaseTo((await carLease.getLease(tokenId)).confirmDeadline + 1n);
+
+    await expect(call("refundUnconfirmedDeposit", [tokenId]))
+      .to.emit(carLease, "FundsCredited")
+      .withArgs(receiverAddress, ZERO, deposit);
+    expect(await carLease.pendingWithdrawal(receiverAddress, ZERO)).to.equal(deposit);
+
+    // Withdrawing to itself still fails, but the credit is kept
+    await expect(call("withdraw", [ZERO, receiverAddress])).to.be.revertedWith("ETH transfer failed");
+
+    await expect(call("withdraw", [ZERO, other.address]))
+      .to.changeEtherBalances([other, carLease], [deposit, -deposit]);
+    expect(await carLease.pendingWithdrawal(receiverAddress, ZERO)).to.equal(0n);
+    expect(await carLease.totalPendingWithdrawals(ZERO)).to.equal(0n);
+  });
+
+  it("credits a dealer's claimed deposit and pays it out to another recipient", async function () {
+    const { carLease, lessee, other, receiverAddress, call } = await loadFixture(receiverFixture);
+    await carLease.onboardDealer(receiverAddress);
+    await call("mintOption", [
+      CAR.model, CAR.color, CAR.year, CAR.originalValueWei, TERMS.monthlyPayment, TERMS.durationMonths,
+      CAR.mileageLimit, TERMS.excessMileageRateWei, ZERO, 0
+    ]);
+    const tokenId = await carLease.totalMinted();
+    const deposit = await commitAndReveal(carLease, tokenId, lessee);
+    await call("confirmLease", [tokenId]);
+
+    // No payments: in default once the first payment is past the grace period
+    await time.increase(120 * DAY);
+    await expect(call("claimDeposit", [tokenId]))
+      .to.emit(carLease, "FundsCredited")
+      .withArgs(receiverAddress, ZERO, deposit);
+
+    await expect(call("withdraw", [ZERO, other.address]))
+      .to.emit(carLease, "FundsWithdrawn")
+      .withArgs(receiverAddress, ZERO, other.address, deposit);
+    expect(await ethers.provider.getBalance(receiverAddress)).to.equal(0n);
+  });
+
+  it("rejects withdrawals without a credit", async function () {
+    const { carLease, other } = await loadFixture(receiverFixture);
+
+    await expect(carLease.connect(other).withdraw(ZERO, other.address)).to.be.revertedWith("Nothing to withdraw");
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Shared fixtures for the CarLease test suite
+ * Deploys the linked libraries, CarLeaseModule and CarLease the way scripts/deploy.js
+ * does, and drives a lease through mint, commit-reveal and confirmation.
+ * Use with loadFixture so every test starts from the same snapshot.
+ */
+
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const DAY = 24 * 60 * 60;
+const ZERO = ethers.ZeroAddress;
+
+// Terms of the option minted by mintOption unless overridden
+const CAR = {
+  model: "Tesla Model 3",
+  color: "Midnight Silver",
+  year: 2024,
+  originalValueWei: ethers.parseEther("30"),
+  mileageLimit: 50_000n
+};
+const TERMS = {
+  monthlyPayment: ethers.parseEther("0.5"),
+  durationMonths: 12,
+  excessMileageRateWei: ethers.parseEther("0.0001"),
+  paymentToken: ZERO,
+  residualValue: 0n
+};
+
+/**
+ * Fresh direct deployment. The deployer (owner) is also the first dealer.
+ * `module` is the CarLeaseModule ABI at the CarLease address.
+ */
+async function deployCarLease() {
+  const [owner, lessee, other, dealer2, oracle] = await ethers.getSigners();
+
+  const leaseMetadata = await (await ethers.getContractFactory("LeaseMetadata")).deploy();
+  const leaseLogic = await (await ethers.getContractFactory("LeaseLogic")).deploy();
+  const leaseSignatures = await (await ethers.getContractFactory("LeaseSignatures")).deploy();
+  const libraries = {
+    LeaseMetadata: await leaseMetadata.getAddress(),
+    LeaseLogic: await leaseLogic.getAddress(),
+    LeaseSignatures: await leaseSignatures.getAddress()
+  };
+
+  const CarLeaseModule = await ethers.getContractFactory("CarLeaseModule", {
+    libraries: { LeaseLogic: libraries.LeaseLogic, LeaseSignatures: libraries.LeaseSignatures }
+  });
+  const carLeaseModule = await CarLeaseModule.deploy();
+
+  const CarLease = await ethers.getContractFactory("CarLease", {
+    libraries: { LeaseMetadata: libraries.LeaseMetadata, LeaseLogic: libraries.LeaseLogic }
+  });
+  const carLease = await CarLease.deploy(await carLeaseModule.getAddress());
+  const address = await carLease.getAddress();
+
+  return {
+    carLease,
+    module: await ethers.getContractAt("CarLeaseModule", address),
+    address,
+    libraries,
+    moduleAddress: await carLeaseModule.getAddress(),
+    owner,
+    lessee,
+    other,
+    dealer2,
+    oracle
+  };
+}
+
+/**
+ * Mints an option as `dealer` (default: the owner) and returns its token ID
+ */
+async function mintOption(carLease, { dealer, car = {}, terms = {} } = {}) {
+  const c = { ...CAR, ...car };
+  const t = { ...TERMS, ...terms };
+  const signer = dealer || (await ethers.getSigners())[0];
+  await carLease.connect(signer).mintOption(
+    c.model, c.color, c.year, c.originalValueWei,
+    t.monthlyPayment, t.durationMonths, c.mileageLimit, t.excessMileageRateWei,
+    t.paymentToken, t.residualValue
+  );
+  return carLease.totalMinted();
+}
+
+/**
+ * Commitment hash revealAndPay checks: keccak256(tokenId, secret, committer)
+ */
+function commitmentFor(tokenId, secret, committer) {
+  return ethers.solidityPackedKeccak256(["uint256", "bytes32", "address"], [tokenId, secret, committer]);
+}
+
+/**
+ * Commits to and reveals a token as `lessee` at the offered terms, paying the deposit.
+ * ERC-20 leases must have approved the deposit beforehand.
+ */
+async function commitAndReveal(carLease, tokenId, lessee, secret = ethers.id("secret")) {
+  await carLease.connect(lessee).commitToLease(tokenId, commitmentFor(tokenId, secret, lessee.address));
+
+  const terms = await carLease.getLeaseTerms(tokenId);
+  const { depositMultiplier } = await carLease.leaseParams();
+  const deposit = terms.monthlyPayment * depositMultiplier;
+  await carLease.connect(lessee).revealAndPay(
+    tokenId, secret, terms.durationMonths, terms.monthlyPayment,
+    { value: terms.paymentToken === ZERO ? deposit : 0n }
+  );
+  return deposit;
+}
+
+/**
+ * Mints, reveals and confirms a lease; returns its token ID
+ */
+async function activeLease(carLease, lessee, options = {}) {
+  const tokenId = await mintOption(carLease, options);
+  await commitAndReveal(carLease, tokenId, lessee);
+  const dealer = options.dealer || (await ethers.getSigners())[0];
+  await carLease.connect(dealer).confirmLease(tokenId);
+  return tokenId;
+}
+
+/**
+ * Pays the next `months` payments with whatever late fees apply now
+ */
+async function pay(carLease, tokenId, lessee, months = 1) {
+  const lease = await carLease.getLease(tokenId);
+  const lateFees = lease.lateFeeBps;
+  const period = BigInt(lease.paymentPeriod);
+  const now = BigInt(await time.latest()) + 1n;
+
+  // Same rule as LeaseLogic.lateFees, at the timestamp of the next block
+  let overdue = 0n;
+  const grace = BigInt(5 * DAY);
+  const elapsed = now - lease.startTime;
+  if (elapsed > grace) {
+    const lastOverdue = (elapsed - grace) / period;
+    if (lastOverdue > lease.paymentsMade) overdue = lastOverdue - lease.paymentsMade;
+    if (overdue > BigInt(months)) overdue = BigInt(months);
+  }
+  const amount = BigInt(months) * lease.monthlyPayment + (overdue * lease.monthlyPayment * lateFees) / 10_000n;
+  return carLease.connect(lessee).makeMonthlyPayment(tokenId, months, { value: amount });
+}
+
+module.exports = {
+  DAY,
+  ZERO,
+  CAR,
+  TERMS,
+  deployCarLease,
+  mintOption,
+  commitmentFor,
+  commitAndReveal,
+  activeLease,
+  pay
+};